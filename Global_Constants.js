@@ -29,6 +29,42 @@ const LEADS_SHEET_TAB_NAME = "Potential Job Leads";        // Tab for incoming j
 const DASHBOARD_TAB_NAME = "Dashboard";
 const DASHBOARD_HELPER_SHEET_NAME = "DashboardHelperData";
 
+// For: MJM Core (Application status history specific)
+const APP_EVENTS_SHEET_TAB_NAME = "Application Events";      // Tab logging one row per Status/Peak Status change
+const APP_TIMELINE_SHEET_TAB_NAME = "Application Timeline";  // Tab with a per-application timeline built from the events tab
+
+// For: MJM Core (Interview scheduling specific)
+const INTERVIEWS_SHEET_TAB_NAME = "Interviews";             // Tab with one row per scheduled interview and its calendar event
+
+// For: MJM Core (Recruiter/hiring contact CRM specific)
+const CONTACTS_SHEET_TAB_NAME = "Contacts";                 // Tab with one row per recruiter/hiring contact seen in application emails
+
+// For: MJM Core (Dry-run email processing specific)
+const PROCESSING_PREVIEW_SHEET_TAB_NAME = "Processing Preview"; // Tab with the proposed inserts/updates from a dry run, awaiting approval
+
+// For: MJM Core (User-defined email parsing rules specific)
+const PARSING_RULES_SHEET_TAB_NAME = "Parsing Rules";        // Tab with ordered, user-editable rules applied before Gemini/regex parsing
+
+// For: MJM Core (Importing applications from other trackers specific)
+const IMPORT_MAPPING_SHEET_TAB_NAME = "Import Mapping";       // Tab mapping an import file's columns and statuses onto the Applications sheet
+
+// For: MJM Core (Interview/offer alerts & daily digest specific)
+const NOTIFICATION_SETTINGS_SHEET_TAB_NAME = "Notification Settings"; // Tab with alert recipients, alert statuses and digest time
+
+// For: BOTH (Job descriptions sent from the browser bookmarklet; MJM saves them, RTS Stage 1 can analyze them)
+const SAVED_JDS_SHEET_TAB_NAME = "Saved Job Descriptions";  // Tab with one row per job description sent with an application
+
+// For: BOTH (Tailored resumes generated by RTS Stage 3; MJM exports them with the profile data)
+const TAILORED_RESUMES_SHEET_TAB_NAME = "Tailored Resumes";   // Tab with one row per generated resume and its resume object as JSON
+
+// For: BOTH (Outgoing webhooks; MJM status changes/new leads and RTS generated resumes)
+const WEBHOOKS_SHEET_TAB_NAME = "Webhooks";                 // Tab with the webhook URLs to POST each event type to
+const WEBHOOK_FAILURES_SHEET_TAB_NAME = "Webhook Failures"; // Tab with one row per webhook delivery that failed after all retries
+
+// For: BOTH (Processing run history; MJM runs and RTS stages are logged)
+const RUN_LOG_SHEET_TAB_NAME = "Run Log";                   // Tab with one row per processing run and its statistics
+const RUN_ERRORS_SHEET_TAB_NAME = "Run Errors";             // Tab with one row per error hit during a logged run
+
 // --- Master Profile / Resume Data Structure & Setup (Origin: RTS, now Global) ---
 // For: BOTH (Shared - Defines profile structure; MJM will initiate its setup, RTS will parse it)
 const NUM_DEDICATED_PROFILE_BULLET_COLUMNS = 3;
@@ -77,6 +113,10 @@ const RTS_STAGE3_MAX_HIGHLIGHTS_FOR_SUMMARY = 4;
 // For: RTS Core
 const USER_SELECT_YES_VALUE = "YES"; // Value user types to select a bullet for tailoring
 
+// Column headers of the BulletScoringResults sheet, written by RTS Stage 1 (Stages 2 & 3 find columns by these names)
+// For: RTS Core (and MJM_SchemaMigrations.gs, which versions this layout)
+const BULLET_SCORING_RESULTS_HEADERS = ["UniqueID", "Section", "ItemIdentifier", "OriginalBulletText", "RelevanceScore", "MatchingKeywords", "Justification", "SelectToTailor(Manual)", "TailoredBulletText(Stage2)"];
+
 // Placeholder value if Gemini (or other parsers) cannot determine company/title/status
 // For: BOTH (Shared - MJM parsing uses it, RTS parsing might implicitly align)
 const MANUAL_REVIEW_NEEDED_TEXT = "N/A - Manual Review";
@@ -27,20 +27,46 @@ const MJM_LEADS_GMAIL_FILTER_QUERY = 'subject:("job alert") OR subject:(jobalert
 const MJM_LEADS_USER_PROPERTY_NEEDS_PROCESS_LABEL_ID = 'mjmLeadsGmailNeedsProcessLabelId'; // Prefixed for clarity
 const MJM_LEADS_USER_PROPERTY_DONE_PROCESS_LABEL_ID = 'mjmLeadsGmailDoneProcessLabelId';   // Prefixed for clarity
 
-// --- "Applications" Sheet (MJM App Tracker): Column Indices & Settings ---
+// --- "Applications" Sheet (MJM App Tracker): Column Headers & Indices ---
 // For: MJM Core (App Tracker Module only)
-const MJM_APP_PROCESSED_TIMESTAMP_COL = 1;
-const MJM_APP_EMAIL_DATE_COL = 2;
-const MJM_APP_PLATFORM_COL = 3;
-const MJM_APP_COMPANY_COL = 4;
-const MJM_APP_JOB_TITLE_COL = 5;
-const MJM_APP_STATUS_COL = 6;
-const MJM_APP_PEAK_STATUS_COL = 7;
-const MJM_APP_LAST_UPDATE_DATE_COL = 8;
-const MJM_APP_EMAIL_SUBJECT_COL = 9;
-const MJM_APP_EMAIL_LINK_COL = 10;
-const MJM_APP_EMAIL_ID_COL = 11;
-const MJM_APP_TOTAL_COLUMNS = 11; // Total columns in the "Applications" sheet
+// Columns are found by header name, so users can insert their own columns (Notes, Salary...) anywhere.
+// MJM_APP_SHEET_HEADERS is the layout of a new sheet; the MJM_APP_*_COL indices below start out matching it and are
+// re-resolved from the sheet's header row by MJM_resolveAppSheetColumns (MJM_SheetUtils.gs) before the sheet is used.
+const MJM_APP_SHEET_HEADERS = [
+  "Processed Timestamp", "Email Date", "Platform", "Company Name", "Job Title", "Status", "Peak Status", "Last Update Email Date",
+  "Email Subject", "Email Link", "Email ID", "Gmail Thread IDs", "Requisition IDs", "Normalized Title", "Match Details", "Application Key",
+  "Follow-Up Status", "Follow-Up Date", "Follow-Up Draft ID", "Parsing Rule IDs", "ATS", "Lead ID", "Parse Source", "Confidence", "Evidence",
+  "Job URL", "Notes"
+];
+let MJM_APP_PROCESSED_TIMESTAMP_COL = MJM_APP_SHEET_HEADERS.indexOf("Processed Timestamp") + 1;
+let MJM_APP_EMAIL_DATE_COL = MJM_APP_SHEET_HEADERS.indexOf("Email Date") + 1;
+let MJM_APP_PLATFORM_COL = MJM_APP_SHEET_HEADERS.indexOf("Platform") + 1;
+let MJM_APP_COMPANY_COL = MJM_APP_SHEET_HEADERS.indexOf("Company Name") + 1;
+let MJM_APP_JOB_TITLE_COL = MJM_APP_SHEET_HEADERS.indexOf("Job Title") + 1;
+let MJM_APP_STATUS_COL = MJM_APP_SHEET_HEADERS.indexOf("Status") + 1;
+let MJM_APP_PEAK_STATUS_COL = MJM_APP_SHEET_HEADERS.indexOf("Peak Status") + 1;
+let MJM_APP_LAST_UPDATE_DATE_COL = MJM_APP_SHEET_HEADERS.indexOf("Last Update Email Date") + 1;
+let MJM_APP_EMAIL_SUBJECT_COL = MJM_APP_SHEET_HEADERS.indexOf("Email Subject") + 1;
+let MJM_APP_EMAIL_LINK_COL = MJM_APP_SHEET_HEADERS.indexOf("Email Link") + 1;
+let MJM_APP_EMAIL_ID_COL = MJM_APP_SHEET_HEADERS.indexOf("Email ID") + 1;
+let MJM_APP_THREAD_IDS_COL = MJM_APP_SHEET_HEADERS.indexOf("Gmail Thread IDs") + 1;        // Comma-separated Gmail thread IDs linked to this application
+let MJM_APP_REQUISITION_IDS_COL = MJM_APP_SHEET_HEADERS.indexOf("Requisition IDs") + 1;    // Comma-separated requisition/job IDs (e.g., "JR12345", Greenhouse/Lever IDs)
+let MJM_APP_NORMALIZED_TITLE_COL = MJM_APP_SHEET_HEADERS.indexOf("Normalized Title") + 1;  // Lowercased, cleaned title used as a matching key
+let MJM_APP_MATCH_DETAILS_COL = MJM_APP_SHEET_HEADERS.indexOf("Match Details") + 1;        // Explanation of how the last email was matched to this row
+let MJM_APP_KEY_COL = MJM_APP_SHEET_HEADERS.indexOf("Application Key") + 1;                // Stable application key (e.g., "APP-1A2B3C4D") linking the row to its status events
+let MJM_APP_FOLLOW_UP_STATUS_COL = MJM_APP_SHEET_HEADERS.indexOf("Follow-Up Status") + 1;  // Follow-up state set by the stale policy (e.g., "Queued"); blank if none
+let MJM_APP_FOLLOW_UP_DATE_COL = MJM_APP_SHEET_HEADERS.indexOf("Follow-Up Date") + 1;      // When the follow-up was queued or drafted
+let MJM_APP_FOLLOW_UP_DRAFT_ID_COL = MJM_APP_SHEET_HEADERS.indexOf("Follow-Up Draft ID") + 1; // Gmail draft ID of the follow-up written by MJM_createFollowUpDrafts
+let MJM_APP_PARSING_RULE_IDS_COL = MJM_APP_SHEET_HEADERS.indexOf("Parsing Rule IDs") + 1;  // Comma-separated IDs of the "Parsing Rules" that matched this application's emails
+let MJM_APP_ATS_COL = MJM_APP_SHEET_HEADERS.indexOf("ATS") + 1;                            // Applicant tracking system behind the emails (e.g., "Greenhouse"), separate from Platform
+let MJM_APP_LEAD_ID_COL = MJM_APP_SHEET_HEADERS.indexOf("Lead ID") + 1;                    // "Lead ID" of the "Potential Job Leads" row this application came from; blank if none
+let MJM_APP_PARSE_SOURCE_COL = MJM_APP_SHEET_HEADERS.indexOf("Parse Source") + 1;          // Which parser produced each field of the latest email (e.g., "Company: Gemini (0.95) | ...")
+let MJM_APP_CONFIDENCE_COL = MJM_APP_SHEET_HEADERS.indexOf("Confidence") + 1;              // Lowest field confidence (0-1) for the latest email; below MJM_PARSE_CONFIDENCE_REVIEW_THRESHOLD goes to Manual Review
+let MJM_APP_EVIDENCE_COL = MJM_APP_SHEET_HEADERS.indexOf("Evidence") + 1;                  // Snippet or keyword that triggered the latest status
+let MJM_APP_JOB_URL_COL = MJM_APP_SHEET_HEADERS.indexOf("Job URL") + 1;                    // Link to the job posting, entered in the manual entry sidebar
+let MJM_APP_NOTES_COL = MJM_APP_SHEET_HEADERS.indexOf("Notes") + 1;                        // Free-text notes from the manual entry sidebar; later notes are appended
+let MJM_APP_TOTAL_COLUMNS = MJM_APP_SHEET_HEADERS.length; // Width of a full row in the "Applications" sheet, user-added columns included once resolved
+const MJM_APP_COLUMN_LAYOUT_PROPERTY = 'mjmAppColumnLayout'; // UserProperty key; the header layout the Dashboard formulas were last built for
 
 // --- "Applications" Sheet (MJM App Tracker): Status Values & Hierarchy ---
 // For: MJM Core (App Tracker Module only)
@@ -52,12 +78,15 @@ const MJM_APP_ACCEPTED_STATUS = "Offer Accepted";
 const MJM_APP_INTERVIEW_STATUS = "Interview Scheduled";
 const MJM_APP_ASSESSMENT_STATUS = "Assessment/Screening";
 const MJM_APP_VIEWED_STATUS = "Application Viewed";
+const MJM_APP_GHOSTED_STATUS = "No Response / Ghosted"; // Set by the stale policy; not a rejection
 const MJM_APP_DEFAULT_PLATFORM = "Other"; // Default platform if not detected
+const MJM_APP_DEFAULT_ATS = "None Detected"; // Default ATS if not detected (e.g., a recruiter writing from a company mailbox)
 
 const MJM_APP_STATUS_HIERARCHY = {
   [MANUAL_REVIEW_NEEDED_TEXT]: -1, // Uses global constant for the text value
   "Update/Other": 0,             // Generic status, often from Gemini parsing
   [MJM_APP_DEFAULT_STATUS]: 1,
+  [MJM_APP_GHOSTED_STATUS]: 1,   // Terminal for the stale policy, but any later recruiter email revives the application
   [MJM_APP_VIEWED_STATUS]: 2,
   [MJM_APP_ASSESSMENT_STATUS]: 3,
   [MJM_APP_INTERVIEW_STATUS]: 4,
@@ -65,11 +94,335 @@ const MJM_APP_STATUS_HIERARCHY = {
   [MJM_APP_REJECTED_STATUS]: 5, // Can be same level as offer before acceptance
   [MJM_APP_ACCEPTED_STATUS]: 6
 };
+const MJM_APP_PEAK_STATUS_EXCLUDED = [ // Never recorded as Peak Status, which tracks how far an application got
+  MJM_APP_REJECTED_STATUS, MJM_APP_ACCEPTED_STATUS, MJM_APP_GHOSTED_STATUS, MANUAL_REVIEW_NEEDED_TEXT, "Update/Other"
+];
+
+// --- "Applications" Sheet (MJM App Tracker): Stale Application Policy ---
+// For: MJM Core (App Tracker Module's MJM_markStaleApplicationsAsRejected only)
+const MJM_STALE_WEEKS_THRESHOLD = 7; // Fallback number of weeks after which a non-finalized application is stale
+const MJM_STALE_FINAL_STATUSES_FOR_CHECK = new Set([MJM_APP_REJECTED_STATUS, MJM_APP_ACCEPTED_STATUS, MJM_APP_GHOSTED_STATUS, "Withdrawn"]); // Statuses exempt from stale check
+const MJM_STALE_ACTION_GHOST = "ghost";       // Set Status to MJM_APP_GHOSTED_STATUS
+const MJM_STALE_ACTION_FOLLOW_UP = "followup"; // Queue a follow-up on the row; Status is left unchanged
+const MJM_STALE_ACTION_REJECT = "reject";     // Set Status to MJM_APP_REJECTED_STATUS (the old auto-reject behavior)
+const MJM_APP_FOLLOW_UP_QUEUED = "Queued";    // Follow-Up Status value written by MJM_STALE_ACTION_FOLLOW_UP
+const MJM_APP_FOLLOW_UP_DRAFTED = "Draft Created"; // Follow-Up Status once a Gmail draft exists; never drafted again automatically
+// Rules are checked top to bottom; the first rule whose status (or "*") and optional platform match the row wins.
+// weeks: time since "Last Update Email Date" before the rule applies.
+// ghostAfterWeeks (follow-up rules only): time since the follow-up was queued before the row is ghosted anyway.
+const MJM_STALE_POLICY_RULES = [
+  // Example per-platform rule: { status: MJM_APP_DEFAULT_STATUS, platform: "Indeed", weeks: 4, action: MJM_STALE_ACTION_GHOST },
+  { status: MJM_APP_VIEWED_STATUS, weeks: 2, action: MJM_STALE_ACTION_GHOST },
+  { status: MJM_APP_DEFAULT_STATUS, weeks: 6, action: MJM_STALE_ACTION_GHOST },
+  { status: MJM_APP_ASSESSMENT_STATUS, weeks: 2, action: MJM_STALE_ACTION_FOLLOW_UP, ghostAfterWeeks: 3 },
+  { status: MJM_APP_INTERVIEW_STATUS, weeks: 2, action: MJM_STALE_ACTION_FOLLOW_UP, ghostAfterWeeks: 3 },
+  { status: "*", weeks: MJM_STALE_WEEKS_THRESHOLD, action: MJM_STALE_ACTION_GHOST }
+];
+
+// --- Follow-Up Drafts (MJM App Tracker): Windows & Limits ---
+// For: MJM Core (App Tracker Module's MJM_FollowUps.gs only)
+// Rows at these statuses with no follow-up yet get a draft once Last Update is this many days old.
+// Keep these shorter than the MJM_STALE_POLICY_RULES ghosting windows so the nudge goes out first.
+// Rows the stale policy marked "Queued" are drafted regardless of status.
+const MJM_FOLLOW_UP_WINDOW_DAYS_BY_STATUS = {
+  [MJM_APP_DEFAULT_STATUS]: 14,
+  [MJM_APP_VIEWED_STATUS]: 7
+};
+const MJM_FOLLOW_UP_MAX_DRAFTS_PER_RUN = 10; // Gemini calls + drafts per run, to stay well inside the execution limit
+const MJM_FOLLOW_UP_RECIPIENT_PLACEHOLDER = "[RECIPIENT_NAME]"; // Sent to Gemini instead of the recipient's first name; replaced in the draft
+const MJM_FOLLOW_UP_SENDER_PLACEHOLDER = "[YOUR_NAME]";          // Sent to Gemini instead of the MasterProfile full name; replaced in the draft
+
+// --- Application Email Processing (MJM App Tracker): Batch Limits, Continuation & Backfill ---
+// For: MJM Core (App Tracker Module's MJM_processJobApplicationEmails & MJM_ProcessingCursor.gs)
+const MJM_APP_EMAILS_MAX_THREADS_PER_RUN = 15;        // Threads fetched per run (from the "To Process" label or the backfill search)
+const MJM_APP_EMAILS_MAX_MESSAGES_PER_RUN = 20;       // Messages analyzed per run before handing off to a continuation
+const MJM_APP_EMAILS_TIME_BUDGET_SECONDS = 330;       // Stop well before the 6-minute Apps Script execution limit
+const MJM_APP_EMAILS_WEBHOOK_DEADLINE_SECONDS = 345;  // Webhooks still unsent (or being retried) this long after the run started are recorded as failures
+const MJM_APP_EMAILS_CONTINUATION_DELAY_MS = 60 * 1000; // Delay before the one-off follow-up trigger fires
+const MJM_APP_EMAILS_MAX_CONTINUATIONS = 100;         // Safety stop for one drain/backfill; the hourly trigger picks up after that
+const MJM_APP_EMAILS_CURSOR_PROPERTY = 'mjmAppEmailsProcessingCursor'; // UserProperty key holding the JSON processing cursor
+const MJM_APP_EMAILS_CONTINUATION_HANDLER = 'MJM_continueApplicationEmailProcessing'; // One-off trigger handler (MJM_ProcessingCursor.gs)
+
+// --- "Application Events" & "Application Timeline" Sheets (MJM App Tracker): Headers & Settings ---
+// For: MJM Core (App Tracker Module's MJM_EventLog.gs only)
+const MJM_APP_EVENTS_SHEET_HEADERS = [ // One row per Status/Peak Status change
+  "Event Timestamp", "Application Key", "Company", "Job Title", "Old Status", "New Status",
+  "Old Peak Status", "New Peak Status", "Source Email ID", "Email Date", "Parser"
+];
+const MJM_APP_TIMELINE_SHEET_HEADERS = [ // Milestone columns hold the first date each stage was reached
+  "Application Key", "Company", "Job Title", "Current Status", "Applied", "Viewed", "Screened",
+  "Interview", "Offer", "Rejected", "Event Count", "Timeline"
+];
+const MJM_EVENT_PARSER_GEMINI = "Gemini";
+const MJM_EVENT_PARSER_REGEX = "Regex";
+const MJM_EVENT_PARSER_GEMINI_WITH_REGEX = "Gemini+Regex";
+const MJM_EVENT_PARSER_STALE_CHECK = "Stale Check";
+const MJM_EVENT_PARSER_RULE = "Parsing Rule"; // Status came from a "Parsing Rules" sheet rule
+const MJM_EVENT_PARSER_MANUAL = "Manual Entry"; // Entered in the manual entry sidebar (also its "Parse Source")
+const MJM_EVENT_PARSER_IMPORT = "Import";       // Imported from another tracker's export (also its "Parse Source")
+
+// --- "Interviews" Sheet & Calendar Events (MJM App Tracker) ---
+// For: MJM Core (App Tracker Module's MJM_Interviews.gs only)
+const MJM_INTERVIEWS_SHEET_HEADERS = [ // One row per interview thread; reschedules update the row in place
+  "Application Key", "Company", "Job Title", "Scheduled Start", "Duration (min)", "Format", "Meeting Link",
+  "Location", "Interviewers", "Calendar Event ID", "Gmail Thread ID", "Source Email ID", "Email Link",
+  "Application Row", "Last Updated", "Reschedule Count"
+];
+const MJM_INTERVIEW_CALENDAR_ID = "";                  // << REVIEW / REPLACE >> Calendar for interview events; blank uses your default calendar
+const MJM_INTERVIEW_DEFAULT_DURATION_MINUTES = 45;     // Used when the email does not state a duration
+const MJM_INTERVIEW_FORMATS = ["Phone", "Video", "Onsite"]; // Allowed "Format" values (anything else becomes "Unknown")
+const MJM_INTERVIEW_EVENT_TAG_KEY = "mjmApplicationKey"; // Calendar event tag linking the event to its application key
+
+// --- "Contacts" Sheet (MJM App Tracker): Recruiter & Hiring Contact CRM ---
+// For: MJM Core (App Tracker Module's MJM_Contacts.gs only)
+const MJM_CONTACTS_SHEET_HEADERS = [ // One row per person; "Email" is the lookup key, "Other Emails" collects merged addresses
+  "Contact ID", "Name", "Email", "Other Emails", "Role", "Company", "Source", "Linked Applications",
+  "First Contact Date", "Last Contact Date", "Email Count", "Notes"
+];
+const MJM_CONTACT_SOURCE_EMAIL = "Email";       // Found in an application email (From/Reply-To/signature)
+const MJM_CONTACT_SOURCE_REFERRAL = "Referral"; // Added manually from the menu
+// Addresses that never belong to a person (no-reply senders, ATS notification mailboxes)
+const MJM_CONTACT_AUTOMATED_ADDRESS_PATTERN = /^(?:no-?reply|do-?not-?reply|notifications?|alerts?|jobs|careers|recruiting|talent|hiring|hr|apply|applications?|support|info|hello|team|mailer-daemon)\b|@(?:[\w-]+\.)*(?:greenhouse\.io|greenhouse-mail\.io|lever\.co|hire\.lever\.co|myworkday\.com|icims\.com|ashbyhq\.com|smartrecruiters\.com|bamboohr\.com|taleo\.net|linkedin\.com|indeed\.com|indeedemail\.com)$/i;
+const MJM_CONTACT_SIGNOFF_PATTERN = /^(?:best|best regards|kind regards|warm regards|regards|thanks|thank you|many thanks|cheers|sincerely|all the best)[,!.]?$/i; // Line that precedes a signature
+const MJM_CONTACT_ROLE_KEYWORDS = /\b(?:recruit\w*|sourc\w*|talent|hiring manager|people|hr|human resources|coordinator|partner|manager|director|head of|lead|engineer|founder|ceo|cto)\b/i; // Signature line that is a job role
+
+// --- Manual Application Entry Sidebar (MJM App Tracker) ---
+// For: MJM Core (App Tracker Module's MJM_ManualEntry.gs and MJM_ManualEntrySidebar.html)
+// For applications that never produce a confirmation email. Platform is a free-text field; these are its suggestions.
+const MJM_MANUAL_ENTRY_PLATFORMS = ["LinkedIn", "Indeed", "Wellfound", "Company Website", "Referral", MJM_APP_DEFAULT_PLATFORM];
+const MJM_MANUAL_ENTRY_EXCLUDED_STATUSES = [MANUAL_REVIEW_NEEDED_TEXT, "Update/Other"]; // Parser-only statuses, not offered in the form
+const MJM_MANUAL_ENTRY_EVIDENCE = "Entered manually"; // "Evidence" of a manually entered status
+
+// --- Application Import (MJM App Tracker): Other Trackers' CSV/JSON Exports ---
+// For: MJM Core (App Tracker Module's MJM_Import.gs only)
+// "Load File" lists the file's columns and status values in the "Import Mapping" sheet with guessed targets from the
+// aliases below (LinkedIn "Job Applications", Huntr, Teal and generic exports); "Run Import" uses the sheet as edited.
+const MJM_IMPORT_MAPPING_SHEET_HEADERS = ["Type", "Source Value", "Sample / Rows", "Maps To"];
+const MJM_IMPORT_TYPE_COLUMN = "Column";
+const MJM_IMPORT_TYPE_STATUS = "Status";
+const MJM_IMPORT_IGNORE_COLUMN = "(Ignore)"; // "Maps To" of a column that isn't imported
+const MJM_IMPORT_SKIP_ROW = "(Skip Row)";    // "Maps To" of a status whose rows aren't imported (saved jobs never applied to)
+const MJM_IMPORT_COLUMN_ALIASES = { // Applications header => lowercase source headers it is guessed from
+  "Company Name": ["company", "company name", "organization", "employer"],
+  "Job Title": ["job title", "title", "position", "job position", "role"],
+  "Status": ["status", "stage", "list", "application status"],
+  "Email Date": ["application date", "date applied", "applied date", "applied on", "applied", "date"],
+  "Last Update Email Date": ["last updated", "last update", "updated", "updated at", "modified"],
+  "Platform": ["platform", "source", "job board"],
+  "Job URL": ["job url", "url", "job link", "link", "job posting url", "posting url"],
+  "Notes": ["notes", "note", "comments"]
+};
+const MJM_IMPORT_STATUS_ALIASES = { // Lowercase source status => status in MJM_APP_STATUS_HIERARCHY, or MJM_IMPORT_SKIP_ROW
+  "wishlist": MJM_IMPORT_SKIP_ROW, "bookmarked": MJM_IMPORT_SKIP_ROW, "saved": MJM_IMPORT_SKIP_ROW, "applying": MJM_IMPORT_SKIP_ROW,
+  "applied": MJM_APP_DEFAULT_STATUS, "submitted": MJM_APP_DEFAULT_STATUS,
+  "viewed": MJM_APP_VIEWED_STATUS, "application viewed": MJM_APP_VIEWED_STATUS,
+  "screen": MJM_APP_ASSESSMENT_STATUS, "screening": MJM_APP_ASSESSMENT_STATUS, "phone screen": MJM_APP_ASSESSMENT_STATUS, "assessment": MJM_APP_ASSESSMENT_STATUS,
+  "interview": MJM_APP_INTERVIEW_STATUS, "interviewing": MJM_APP_INTERVIEW_STATUS,
+  "offer": MJM_APP_OFFER_STATUS, "negotiating": MJM_APP_OFFER_STATUS, "accepted": MJM_APP_ACCEPTED_STATUS,
+  "rejected": MJM_APP_REJECTED_STATUS, "not selected": MJM_APP_REJECTED_STATUS, "declined": MJM_APP_REJECTED_STATUS, "i withdrew": MJM_APP_REJECTED_STATUS, "withdrawn": MJM_APP_REJECTED_STATUS,
+  "no response": MJM_APP_GHOSTED_STATUS, "ghosted": MJM_APP_GHOSTED_STATUS
+};
+const MJM_IMPORT_FILE_ID_PROPERTY = 'mjmImportFileId'; // UserProperty key; the Drive file loaded by "Load File"
+const MJM_IMPORT_SAMPLE_MAX_CHARS = 80;  // "Sample / Rows" column values are truncated to this
+const MJM_IMPORT_MAX_REPORTED_SKIPS = 10; // Skip reasons listed in the summary; the rest are counted
+
+// --- Web App Endpoint (MJM App Tracker): Browser Bookmarklet ---
+// For: BOTH (MJM_WebApp.gs; rows are saved like manual entries, and saved job descriptions can be fed to RTS Stage 1)
+// Deploy the project as a web app (Execute as: Me, Who has access: Anyone) and run "Web App: Show Bookmarklet" for the
+// secret and the bookmarklet. Requests carry the secret in the JSON body; there is no other access check. The
+// confirmation page link doPost returns is signed with the secret (HMAC-SHA256) and expires.
+const MJM_WEB_APP_SECRET_PROPERTY = 'mjmWebAppSecret'; // UserProperty key holding the shared secret
+const MJM_WEB_APP_CONFIRMATION_LINK_TTL_MINUTES = 10;  // How long the signed confirmation page link stays valid
+const MJM_WEB_APP_ERROR_BAD_REQUEST = "BAD_REQUEST";         // The payload is not JSON, or a field is missing/invalid
+const MJM_WEB_APP_ERROR_UNAUTHORIZED = "UNAUTHORIZED";       // Wrong or missing secret or link signature, or no secret set up yet
+const MJM_WEB_APP_ERROR_AMBIGUOUS_MATCH = "AMBIGUOUS_MATCH"; // Several rows could match; resend with updateRow or createNew
+const MJM_WEB_APP_ERROR_NOT_FOUND = "NOT_FOUND";             // No application with the requested key (doGet)
+const MJM_WEB_APP_ERROR_INTERNAL = "INTERNAL";               // Anything else, e.g. the sheet is locked by email processing
+const MJM_WEB_APP_TITLE_SEPARATORS = [" at ", " @ ", " - ", " | ", " – "]; // Tried in order to split "Title at Company" page titles
+const MJM_SAVED_JD_SHEET_HEADERS = ["Saved At", "Application Key", "Company", "Job Title", "Job URL", "Job Description"];
+const MJM_SAVED_JD_MAX_CHARS = 49000; // Sheet cells hold 50,000 characters
+
+// --- Read-Only JSON API (MJM_JsonApi.gs, served by the same web app's doGet) ---
+// For: BOTH (Applications and Potential Job Leads rows, Dashboard metrics, and RTS stage runs from the Run Log)
+// GET <web app URL>?resource=applications&token=...&status=Applied,Rejected&since=2024-01-01&limit=100&offset=0
+// Apps Script can't read request headers or set response headers, so caching works through query parameters: pass the
+// "etag" of the last response as ifNoneMatch (or its "lastModified" as ifModifiedSince) to get a short notModified reply.
+const MJM_API_TOKEN_PROPERTY = 'mjmApiToken'; // UserProperty key holding the read-only API token (separate from the bookmarklet secret)
+const MJM_API_RESOURCE_APPLICATIONS = "applications";
+const MJM_API_RESOURCE_LEADS = "leads";
+const MJM_API_RESOURCE_METRICS = "metrics";
+const MJM_API_RESOURCE_RTS_SESSIONS = "rtsSessions";
+const MJM_API_DEFAULT_PAGE_SIZE = 100;
+const MJM_API_MAX_PAGE_SIZE = 500;
+const MJM_API_RTS_FUNCTION_PREFIX = "RTS_"; // "Run Log" rows whose Function starts with this are RTS sessions
+
+// --- Data Export (MJM_Export.gs): Drive Bundles & "Tailored Resumes" Sheet ---
+// For: BOTH (MJM sheets and the RTS profile, bullet scores and generated resumes)
+// Each export is a new Drive folder holding one CSV per sheet below, a JSON file with the parsed master profile and every
+// tailored resume saved by RTS Stage 3, and a manifest listing the files with the schema version of each.
+const MJM_EXPORT_FORMAT_VERSION = 1; // Bump when the bundle layout (file names, manifest fields) changes
+const MJM_EXPORT_SHEET_NAMES = [APP_TRACKER_SHEET_TAB_NAME, LEADS_SHEET_TAB_NAME, RUN_LOG_SHEET_TAB_NAME, BULLET_SCORING_RESULTS_SHEET_NAME];
+const MJM_EXPORT_PROFILE_FILE_NAME = "profile_and_resumes.json";
+const MJM_EXPORT_MANIFEST_FILE_NAME = "manifest.json";
+const MJM_TAILORED_RESUMES_SHEET_HEADERS = ["Generated At", "Company", "Job Title", "Doc URL", "Resume (JSON)"];
+const MJM_TAILORED_RESUME_MAX_CHARS = 49000; // Sheet cells hold 50,000 characters; larger resume objects aren't saved
+
+// --- "Processing Preview" Sheet (MJM App Tracker): Dry-Run Output ---
+// For: MJM Core (App Tracker Module's MJM_Preview.gs only)
+const MJM_PREVIEW_SHEET_HEADERS = [ // One row per analyzed email; the JSON columns are what "Apply" writes back
+  "Approve", "Result", "Action", "Sheet Row", "Application Key", "Company", "Job Title", "Old Status", "New Status",
+  "Changes", "Parser", "Match Details", "Email Date", "Email Subject", "Email Link", "Gmail Thread ID", "Email ID",
+  "Proposed Row (JSON)", "Original Row (JSON)", "Interview (JSON)"
+];
+const MJM_PREVIEW_ACTION_INSERT = "Insert";
+const MJM_PREVIEW_ACTION_UPDATE = "Update";
+const MJM_PREVIEW_ACTION_AMBIGUOUS = "Ambiguous (Manual Review)"; // Cannot be approved; the real run routes these to Manual Review
+const MJM_PREVIEW_ACTION_IGNORED = "Ignored (Parsing Rule)";      // Cannot be approved; the real run skips these emails
+const MJM_PREVIEW_RESULT_APPLIED = "Applied";
+
+// --- "Run Log" & "Run Errors" Sheets: Processing Run History ---
+// For: BOTH (MJM_RunLog.gs; written by MJM email/lead/stale runs and the RTS stages started from the menu)
+const MJM_RUN_LOG_SHEET_HEADERS = [ // One row per run
+  "Run ID", "Function", "Start Time", "End Time", "Duration (s)", "Outcome", "Messages Scanned", "Messages Processed",
+  "Rows Added", "Rows Updated", "Errors", "LLM Calls", "Redactions", "Notes"
+];
+const MJM_RUN_ERRORS_SHEET_HEADERS = [ // One row per error, linked to its run by "Run ID"
+  "Run ID", "Function", "Timestamp", "Message ID", "Context", "Error", "Stack Summary"
+];
+const MJM_RUN_OUTCOME_SUCCESS = "Success";
+const MJM_RUN_OUTCOME_WITH_ERRORS = "Completed With Errors";
+const MJM_RUN_OUTCOME_FAILED = "Failed"; // The run threw, or returned { success: false }
+const MJM_RUN_LOG_RETENTION_DAYS = 60;   // Older rows are pruned from both sheets at the end of each run
+const MJM_RUN_LOG_MAX_ROWS = 2000;       // Per sheet; the oldest rows beyond this are pruned too
+const MJM_RUN_ERRORS_MAX_PER_RUN = 50;   // Further errors are only counted, so a broken run can't flood the sheet
+const MJM_RUN_ERROR_STACK_MAX_LINES = 4; // Stack frames kept in "Stack Summary"
+
+// --- "Notification Settings" Sheet (MJM App Tracker): Instant Alerts & Daily Digest ---
+// For: MJM Core (App Tracker Module's MJM_Notifications.gs only)
+// The sheet holds one setting per row; these are the rows written when it is created, and the values used when a row
+// is missing or blank. "Recipients" left blank sends to the account running the script.
+const MJM_NOTIFICATION_SETTINGS_HEADERS = ["Setting", "Value", "Description"];
+const MJM_NOTIFY_SETTING_RECIPIENTS = "Recipients";
+const MJM_NOTIFY_SETTING_ALERTS_ENABLED = "Instant Alerts Enabled";
+const MJM_NOTIFY_SETTING_ALERT_STATUSES = "Alert Statuses";
+const MJM_NOTIFY_SETTING_DIGEST_ENABLED = "Daily Digest Enabled";
+const MJM_NOTIFY_SETTING_DIGEST_HOUR = "Digest Hour";
+const MJM_NOTIFICATION_DEFAULT_SETTINGS = [
+  [MJM_NOTIFY_SETTING_RECIPIENTS, "", "Comma-separated email addresses. Blank = the account running the script."],
+  [MJM_NOTIFY_SETTING_ALERTS_ENABLED, true, "Email an alert as soon as processing sets one of the Alert Statuses."],
+  [MJM_NOTIFY_SETTING_ALERT_STATUSES, `${MJM_APP_INTERVIEW_STATUS}, ${MJM_APP_OFFER_STATUS}`, "Comma-separated statuses exactly as they appear in the Applications sheet."],
+  [MJM_NOTIFY_SETTING_DIGEST_ENABLED, true, "Email a daily summary of new applications, status changes, new leads and manual-review items."],
+  [MJM_NOTIFY_SETTING_DIGEST_HOUR, 8, "Hour of day (0-23, script time zone) for the digest. Run \"Notifications: Apply Settings\" after changing it."]
+];
+const MJM_NOTIFICATION_MAX_ALERTS_PER_RUN = 10; // Further alerts in the same run are left to the daily digest
+const MJM_NOTIFICATION_DIGEST_MAX_ITEMS = 25;  // Per digest section; the rest are counted
+const MJM_LAST_DIGEST_SENT_PROPERTY = 'mjmLastDigestSentAt'; // UserProperty key; the digest covers everything since this time
+
+// --- "Webhooks" & "Webhook Failures" Sheets: Outgoing Event Notifications ---
+// For: BOTH (MJM_Webhooks.gs; events come from MJM email/stale processing, the Leads module and RTS Stage 3)
+// Each enabled row POSTs every event of its Event Type (or of every type, with "*") to its URL as JSON. The payload has a
+// "text" field (Slack, Google Chat) and a "content" field (Discord) holding a one-line summary, next to the event fields.
+const MJM_WEBHOOKS_SHEET_HEADERS = ["Enabled", "Event Type", "Webhook URL", "Notes"];
+const MJM_WEBHOOK_FAILURES_SHEET_HEADERS = ["Timestamp", "Event Type", "Webhook URL", "Attempts", "Response Code", "Error", "Payload"];
+const MJM_WEBHOOK_EVENT_STATUS_CHANGE = "status_change";       // An application row was added or changed status
+const MJM_WEBHOOK_EVENT_LEAD_ADDED = "lead_added";             // A job lead was added to "Potential Job Leads"
+const MJM_WEBHOOK_EVENT_RESUME_GENERATED = "resume_generated"; // RTS Stage 3 generated a tailored resume doc
+const MJM_WEBHOOK_EVENT_ALL = "*";
+const MJM_WEBHOOK_EVENT_TYPES = [MJM_WEBHOOK_EVENT_STATUS_CHANGE, MJM_WEBHOOK_EVENT_LEAD_ADDED, MJM_WEBHOOK_EVENT_RESUME_GENERATED, MJM_WEBHOOK_EVENT_ALL];
+const MJM_WEBHOOKS_EXAMPLES = [ // Written (disabled) when the sheet is first created, to show the format
+  [false, MJM_WEBHOOK_EVENT_STATUS_CHANGE, "https://hooks.slack.com/services/XXX/YYY/ZZZ", "Example: Slack incoming webhook"],
+  [false, MJM_WEBHOOK_EVENT_ALL, "https://chat.googleapis.com/v1/spaces/XXX/messages?key=YYY&token=ZZZ", "Example: Google Chat space webhook, every event"]
+];
+const MJM_WEBHOOK_MAX_ATTEMPTS = 3;           // Per URL and event; 4xx responses other than 408/429 are not retried
+const MJM_WEBHOOK_RETRY_BASE_DELAY_MS = 1000; // Doubled after each failed attempt
+const MJM_WEBHOOK_FAILURE_PAYLOAD_MAX_CHARS = 1000; // "Payload" column is truncated to this
+
+// --- "Parsing Rules" Sheet (MJM App Tracker): User-Defined Rules ---
+// For: MJM Core (App Tracker Module's MJM_ParsingRules.gs only)
+// Rules are evaluated top to bottom before Gemini/regex parsing. A rule matches when ALL of its filled-in conditions match
+// (Sender Domain: the From address ends with it; Subject Regex: case-insensitive regex; Body Phrase: case-insensitive text).
+// Every matching rule applies its action; for "Set ..." actions the first matching rule wins.
+// "Ignore Email" and "Force Manual Review" stop evaluation.
+const MJM_PARSING_RULES_SHEET_HEADERS = [
+  "Rule ID", "Enabled", "Sender Domain", "Subject Regex", "Body Phrase", "Action", "Action Value", "Notes"
+];
+const MJM_RULE_ACTION_SET_STATUS = "Set Status";     // Action Value: one of the statuses in MJM_APP_STATUS_HIERARCHY
+const MJM_RULE_ACTION_SET_COMPANY = "Set Company";   // Action Value: the company name
+const MJM_RULE_ACTION_SET_PLATFORM = "Set Platform"; // Action Value: the platform name (e.g., "LinkedIn")
+const MJM_RULE_ACTION_IGNORE = "Ignore Email";       // The email is skipped entirely (no row, no Gemini call)
+const MJM_RULE_ACTION_MANUAL_REVIEW = "Force Manual Review"; // The email is recorded, but its thread goes to Manual Review
+const MJM_RULE_ACTIONS = [MJM_RULE_ACTION_SET_STATUS, MJM_RULE_ACTION_SET_COMPANY, MJM_RULE_ACTION_SET_PLATFORM, MJM_RULE_ACTION_IGNORE, MJM_RULE_ACTION_MANUAL_REVIEW];
+const MJM_PARSING_RULES_EXAMPLES = [ // Written (disabled) when the sheet is first created, to show the format
+  ["RULE-001", false, "linkedin.com", "", "", MJM_RULE_ACTION_SET_PLATFORM, "LinkedIn", "Example: platform from sender domain"],
+  ["RULE-002", false, "", "^Your application was (?:sent|submitted)", "", MJM_RULE_ACTION_SET_STATUS, MJM_APP_DEFAULT_STATUS, "Example: subject regex sets the status"],
+  ["RULE-003", false, "", "", "job alert", MJM_RULE_ACTION_IGNORE, "", "Example: skip job alerts that reach the tracker label"]
+];
+
+// --- Email-to-Application Matching (MJM App Tracker): Scoring Weights & Thresholds ---
+// For: MJM Core (App Tracker Module's MJM_Matching.gs only)
+const MJM_MATCH_WEIGHT_THREAD = 100;         // Email is in a Gmail thread already linked to the row
+const MJM_MATCH_WEIGHT_REQUISITION_ID = 90;  // Email shares a requisition/job ID with the row
+const MJM_MATCH_PENALTY_REQUISITION_ID = -50; // Both sides have requisition IDs, but none overlap
+const MJM_MATCH_WEIGHT_COMPANY = 30;         // Same company name (case-insensitive)
+const MJM_MATCH_WEIGHT_TITLE_EXACT = 45;     // Same normalized job title
+const MJM_MATCH_WEIGHT_TITLE_SIMILAR = 45;   // Scaled by title token overlap when >= MJM_MATCH_TITLE_SIMILARITY_MIN
+const MJM_MATCH_PENALTY_TITLE_CONFLICT = -20; // Both titles known but clearly different
+const MJM_MATCH_WEIGHT_SOLE_COMPANY_APP = 30; // Email has no usable title and the company has exactly one application
+const MJM_MATCH_TITLE_SIMILARITY_MIN = 0.5;  // Minimum token overlap (Jaccard) for titles to count as similar
+const MJM_MATCH_MIN_SCORE = 60;              // Minimum score for a candidate row to be updated
+const MJM_MATCH_AMBIGUITY_MARGIN = 15;       // Top two candidates closer than this are treated as ambiguous
+const MJM_REQUISITION_ID_PATTERNS = [ // Each pattern's first capture group is the ID
+  /\b(JR-?\d{3,})\b/gi,                                                   // Workday-style "JR12345"
+  /\b(REQ-?\d{3,})\b/gi,                                                  // "REQ-1234"
+  /\b(?:requisition|req|job|position)\s*(?:id|#|number|no\.?)\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{2,})\b/gi, // "Job ID: 12345", "Requisition #R-778"
+  /greenhouse\.io\/[^\/\s]+\/jobs\/(\d{5,})/gi,                             // Greenhouse job board URL
+  /[?&]gh_jid=(\d{5,})/gi,                                                 // Greenhouse embedded job ID
+  /jobs\.lever\.co\/[^\/\s]+\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/gi // Lever posting UUID
+];
+
+// --- ATS (Applicant Tracking System) Detection (MJM App Tracker) ---
+// For: MJM Core (App Tracker Module's MJM_ParsingUtils.gs ATS detection/extraction & MJM_Dashboard.gs ATS chart)
+// Detection checks, in order: the sender domain, links in the body (hostPattern), then footer text (footerPattern).
+// jobLinkPattern captures details from the vendor's job-posting URL; the group numbers name what each capture holds.
+const MJM_ATS_SIGNATURES = {
+  "Greenhouse": { domains: ["greenhouse.io", "greenhouse-mail.io"], hostPattern: /\b(?:boards|job-boards|app)\.greenhouse\.io\//i, footerPattern: /powered by greenhouse/i,
+                  jobLinkPattern: /(?:boards|job-boards)\.greenhouse\.io\/([\w-]+)\/jobs\/(\d{5,})/i, companyGroup: 1, idGroup: 2 },
+  "Lever":      { domains: ["lever.co"], hostPattern: /\bjobs\.lever\.co\//i, footerPattern: /powered by lever/i,
+                  jobLinkPattern: /jobs\.lever\.co\/([\w-]+)\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i, companyGroup: 1, idGroup: 2 },
+  "Workday":    { domains: ["myworkday.com", "myworkdayjobs.com", "workday.com"], hostPattern: /\.myworkday(?:jobs)?\.com\//i, footerPattern: /powered by workday/i,
+                  jobLinkPattern: /([\w-]+)\.wd\d+\.myworkdayjobs\.com\/[^\s"'<>]*?\/job\/[^\s"'<>]*?\/([\w-]+?)_((?:JR|R)-?\d{4,}(?:-\d+)?)/i, companyGroup: 1, titleGroup: 2, idGroup: 3 },
+  "iCIMS":      { domains: ["icims.com"], hostPattern: /\.icims\.com\//i, footerPattern: /powered by icims/i,
+                  jobLinkPattern: /(?:careers|jobs)-([\w-]+)\.icims\.com\/jobs\/(\d{3,})\/([\w-]+)/i, companyGroup: 1, idGroup: 2, titleGroup: 3 },
+  "Ashby":      { domains: ["ashbyhq.com"], hostPattern: /\bjobs\.ashbyhq\.com\//i, footerPattern: /powered by ashby/i,
+                  jobLinkPattern: /jobs\.ashbyhq\.com\/([\w.-]+)\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i, companyGroup: 1, idGroup: 2 },
+  "SmartRecruiters": { domains: ["smartrecruiters.com"], hostPattern: /\b(?:jobs|careers)\.smartrecruiters\.com\//i, footerPattern: /powered by smartrecruiters/i,
+                  jobLinkPattern: /jobs\.smartrecruiters\.com\/([\w-]+)\/(\d{6,})-([\w-]+)/i, companyGroup: 1, idGroup: 2, titleGroup: 3 },
+  "BambooHR":   { domains: ["bamboohr.com"], hostPattern: /\.bamboohr\.com\/(?:careers|jobs|hiring)/i, footerPattern: /powered by bamboohr/i,
+                  jobLinkPattern: /([\w-]+)\.bamboohr\.com\/(?:careers\/|jobs\/view\.php\?id=)(\d+)/i, companyGroup: 1, idGroup: 2 },
+  "Taleo":      { domains: ["taleo.net"], hostPattern: /\.taleo\.net\//i, footerPattern: /powered by taleo|oracle taleo/i,
+                  jobLinkPattern: /([\w-]+)\.taleo\.net\/[^\s"'<>]*?[?&]job=(\w+)/i, companyGroup: 1, idGroup: 2 }
+};
+const MJM_ATS_FOOTER_SCAN_CHARS = 2000; // Footer text is only looked for in the last N characters of the body
 
-// --- "Applications" Sheet (MJM App Tracker): Config for Auto-Reject Stale Applications ---
+// --- Parse Confidence & Explainability (MJM App Tracker) ---
 // For: MJM Core (App Tracker Module only)
-const MJM_STALE_WEEKS_THRESHOLD = 7; // Number of weeks after which a non-finalized application is stale
-const MJM_STALE_FINAL_STATUSES_FOR_CHECK = new Set([MJM_APP_REJECTED_STATUS, MJM_APP_ACCEPTED_STATUS, "Withdrawn"]); // Statuses exempt from stale check
+// Every parsed field (company, title, status) gets a source and a 0-1 confidence. Gemini reports its own confidence;
+// regex methods and rules use the fixed scores below. The row's "Confidence" is the lowest of its three fields.
+const MJM_PARSE_CONFIDENCE_REVIEW_THRESHOLD = 0.5; // Rows scoring below this are routed to the Manual Review label
+const MJM_PARSE_CONFIDENCE_GEMINI_DEFAULT = 0.7;   // Used when Gemini omits a confidence for a field
+const MJM_PARSE_CONFIDENCE_BY_METHOD = {           // Heuristic scores for non-LLM methods (see MJM_extractCompanyAndTitle)
+  "Parsing Rule": 1.0,
+  "ATS Format": 0.85,     // Vendor-specific subject/body formats (MJM_extractAtsSpecificDetails)
+  "Subject Pattern": 0.75,
+  "Wellfound Format": 0.7,
+  "Body Keyword": 0.65,   // Status keyword found by MJM_parseBodyForStatusDetails
+  "ATS Link": 0.6,        // Company/title slug from a job-posting link
+  "Body Scan": 0.55,
+  "Default Status": 0.5,  // No status signal at all; MJM_APP_DEFAULT_STATUS assumed
+  "Sender Name": 0.45,
+  "Sender Domain": 0.35
+};
+const MJM_PARSE_EVIDENCE_MAX_CHARS = 200; // Longest "Evidence" snippet written to the sheet
 
 // --- Email Parsing (MJM Regex Fallback Logic): Keywords & Settings ---
 // For: MJM Core (App Tracker Module's Regex Parser only)
@@ -81,10 +434,141 @@ const MJM_APP_VIEWED_KEYWORDS = ["application was viewed", "your application was
 const MJM_PLATFORM_DOMAIN_KEYWORDS = { "linkedin.com": "LinkedIn", "indeed.com": "Indeed", "wellfound.com": "Wellfound", "angel.co": "Wellfound" }; // << REVIEW: This might be shareable if RTS also did platform detection, but keeping MJM-specific for now
 const MJM_IGNORED_DOMAINS_FOR_COMPANY_PARSE = new Set(['greenhouse.io', 'lever.co', 'myworkday.com', 'icims.com', 'ashbyhq.com', 'smartrecruiters.com', 'bamboohr.com', 'taleo.net', 'gmail.com', 'google.com', 'example.com']); // Specific to MJM's regex company parsing logic
 
+// --- Email Body Extraction (MJM HTML Fallback) ---
+// For: MJM Core (App Tracker Module: Gemini & Regex Parsers)
+// Many ATS emails put everything in HTML tables and leave getPlainBody() nearly empty. When the plain body has fewer
+// than MJM_PLAIN_BODY_MIN_USEFUL_CHARS characters of real text (URLs and whitespace don't count), MJM_getEmailBodyText
+// converts getBody() to text instead: styles/scripts dropped, one line per table row, links kept as "text (URL)".
+const MJM_PLAIN_BODY_MIN_USEFUL_CHARS = 120;
+const MJM_HTML_BODY_SOURCE = "HTML";   // Body source labels; an HTML-derived body is noted in the "Parse Source" column
+const MJM_PLAIN_BODY_SOURCE = "Plain";
+
+// --- PII Redaction Before LLM Calls (MJM_Redaction.gs) ---
+// For: MJM Core (App Tracker & Leads Modules; applied to the email subject/body sent by MJM_GeminiService.gs)
+// Every rule is matched against the original text; where matches overlap, the earlier rule wins. A match lying wholly
+// inside an allowlisted term is kept: company names and job titles from the "Applications" and "Potential Job Leads"
+// sheets, plus MJM_REDACTION_ALLOWLIST. The user's name comes from the MasterProfile's full name and MJM_REDACTION_EXTRA_NAMES.
+// Email addresses keep their domain ("[EMAIL]@greenhouse.io"), and "Long ID" is off by default: Gemini relies on the
+// sender domain to pick the company and on requisition/job IDs that MJM_Matching.gs uses to find the right row.
+const MJM_REDACTION_ENABLED = true;
+const MJM_REDACTION_RULES = [
+  { type: "Email", enabled: true, mask: "[EMAIL]", pattern: /\b[A-Z0-9._%+-]+(?=@[A-Z0-9.-]+\.[A-Z]{2,}\b)/gi }, // Local part only; the domain is kept
+  { type: "SSN", enabled: true, mask: "[ID]", pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: "Phone", enabled: true, mask: "[PHONE]", pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}\b/g },
+  { type: "Address", enabled: true, mask: "[ADDRESS]", pattern: /\b\d{1,6}\s+(?:[A-Z][\w.'-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Circle|Cir|Highway|Hwy)\b\.?(?:,?\s+(?:Apt|Apartment|Suite|Ste|Unit|#)\.?\s*[\w-]+)?/g },
+  { type: "Long ID", enabled: false, mask: "[ID]", pattern: /\b(?:[A-Z]{1,4}[-#]?)?\d{6,}\b/gi }, // Opt-in: candidate/reference numbers, but also requisition IDs; 6+ digits, optional letter prefix
+  { type: "Name", enabled: true, mask: "[NAME]", pattern: null } // Built from the user's name(s) at run time
+];
+const MJM_REDACTION_KEEP_URLS = true; // Keep matches inside http(s) URLs, so job posting links reach Gemini intact
+const MJM_REDACTION_ALLOWLIST = [];   // << REVIEW / REPLACE >> Extra terms never redacted (e.g., a company or agency name)
+const MJM_REDACTION_EXTRA_NAMES = []; // << REVIEW / REPLACE >> Other names to mask besides the MasterProfile full name (nicknames, former names)
+const MJM_REDACTION_MIN_TERM_CHARS = 3; // Shorter allowlist terms and name parts are ignored
+
+// --- Email Parsing (MJM Regex Fallback Logic): Locale Keyword Packs ---
+// For: MJM Core (App Tracker Module's Regex Parser only)
+// MJM_parseBodyForStatusDetails detects the email language (MJM_detectEmailLanguage) and checks that language's pack,
+// then English, since many non-English emails carry English ATS boilerplate. Keywords are matched case-insensitively
+// after punctuation (including apostrophes and hyphens) is replaced by spaces, so "l'entretien" matches "l entretien".
+const MJM_DEFAULT_EMAIL_LANGUAGE = "en";
+const MJM_STATUS_KEYWORD_PACKS = {
+  en: { offer: MJM_OFFER_KEYWORDS, interview: MJM_INTERVIEW_KEYWORDS, assessment: MJM_ASSESSMENT_KEYWORDS, viewed: MJM_APP_VIEWED_KEYWORDS, rejection: MJM_REJECTION_KEYWORDS },
+  de: { // German
+    offer: ["freuen uns ihnen ein angebot", "vertragsangebot", "ihnen die stelle anbieten", "angebot unterbreiten", "jobangebot"],
+    interview: ["vorstellungsgespräch", "bewerbungsgespräch", "kennenlerngespräch", "einladung zum gespräch", "telefoninterview", "termin für ein gespräch"],
+    assessment: ["eignungstest", "online test", "assessment center", "fallstudie", "programmieraufgabe", "testaufgabe"],
+    viewed: ["ihre bewerbung wurde angesehen", "bewerbung wurde gesichtet", "hat ihre bewerbung angesehen"],
+    rejection: ["leider", "absage", "nicht weiter berücksichtigen", "für einen anderen kandidaten entschieden", "anderweitig besetzt", "nicht in die engere auswahl"]
+  },
+  fr: { // French
+    offer: ["heureux de vous proposer le poste", "vous proposer le poste", "proposition d embauche", "promesse d embauche", "offre de contrat"],
+    interview: ["entretien d embauche", "vous inviter à un entretien", "convier à un entretien", "planifier un entretien", "entretien téléphonique", "entretien vidéo"],
+    assessment: ["test technique", "test en ligne", "étude de cas", "exercice technique", "évaluation en ligne"],
+    viewed: ["votre candidature a été consultée", "a consulté votre candidature"],
+    rejection: ["malheureusement", "ne pas donner suite", "ne pouvons pas donner suite", "pas été retenue", "autre candidat", "regret de vous informer"]
+  },
+  es: { // Spanish (Spain & Latin America)
+    offer: ["nos complace ofrecerle", "nos complace ofrecerte", "carta oferta", "propuesta de contratación", "ofrecerle el puesto", "ofrecerte el puesto"],
+    interview: ["invitarte a una entrevista", "invitarle a una entrevista", "agendar una entrevista", "programar una entrevista", "coordinar una entrevista", "entrevista telefónica"],
+    assessment: ["prueba técnica", "prueba en línea", "evaluación en línea", "caso práctico", "desafío técnico"],
+    viewed: ["tu postulación fue vista", "tu candidatura ha sido vista", "vio tu solicitud", "han visto tu solicitud"],
+    rejection: ["lamentablemente", "desafortunadamente", "no continuar con tu candidatura", "otros candidatos", "no ha sido seleccionad", "no avanzar con tu"]
+  },
+  pt: { // Portuguese (Brazil & Portugal)
+    offer: ["temos o prazer de oferecer", "proposta de emprego", "proposta de trabalho", "carta proposta", "oferecer a vaga"],
+    interview: ["convidar para uma entrevista", "agendar uma entrevista", "marcar uma entrevista", "entrevista por vídeo", "entrevista telefônica"],
+    assessment: ["teste técnico", "teste online", "avaliação online", "estudo de caso", "desafio técnico"],
+    viewed: ["sua candidatura foi visualizada", "visualizou sua candidatura", "seu currículo foi visualizado"],
+    rejection: ["infelizmente", "não seguiremos com", "outros candidatos", "não foi selecionad", "optamos por seguir com"]
+  }
+};
+const MJM_LANGUAGE_HINT_WORDS = { // Common words used to guess an email's language; the best-scoring language wins
+  en: ["the", "and", "you", "your", "we", "with", "this", "have", "thank", "application", "position", "regards"],
+  de: ["und", "der", "die", "das", "sie", "ihre", "ihnen", "wir", "mit", "für", "nicht", "bewerbung", "grüßen", "vielen"],
+  fr: ["et", "vous", "votre", "nous", "pour", "avec", "une", "des", "pas", "candidature", "poste", "cordialement", "merci"],
+  es: ["y", "usted", "tu", "su", "para", "con", "una", "los", "las", "postulación", "puesto", "saludos", "gracias"],
+  pt: ["e", "você", "sua", "seu", "para", "com", "uma", "os", "não", "candidatura", "vaga", "atenciosamente", "obrigado"]
+};
+const MJM_LANGUAGE_DETECTION_MIN_HITS = 3; // A non-default language needs at least this many hint words to be chosen
+
 // --- "Potential Job Leads" Sheet (MJM Leads Module): Headers & Settings ---
 // For: MJM Core (Leads Module only)
 const MJM_LEADS_SHEET_HEADERS = [ // Defines expected order in "Potential Job Leads" sheet
     "Date Added", "Job Title", "Company", "Location", "Source Email Subject",
-    "Link to Job Posting", "Status", "Source Email ID", "Processed Timestamp", "Notes"
+    "Link to Job Posting", "Status", "Source Email ID", "Processed Timestamp", "Notes",
+    "Lead ID", "Linked Application"
 ];
 // No column indices needed if MJM_Leads_SheetUtils.gs uses the header array to find columns by name (headerMap approach).
+const MJM_LEAD_STATUS_NEW = "New";         // Status of a freshly extracted lead
+const MJM_LEAD_STATUS_APPLIED = "Applied"; // Set when an application row is linked to the lead (MJM_LeadLinking.gs)
+const MJM_LEAD_STATUS_ERROR = "Error";     // Status of an error entry written by MJM_Leads_writeErrorEntryToSheet
+
+// --- Lead-to-Application Linking ---
+// For: MJM Core (App Tracker & Leads Modules; MJM_LeadLinking.gs)
+// A new application is linked to the best unlinked lead with the same company (after normalization) and a similar title.
+const MJM_LEAD_MATCH_TITLE_SIMILARITY_MIN = 0.6; // Minimum title token overlap (Jaccard, see MJM_titleSimilarity)
+const MJM_COMPANY_NAME_NOISE_PATTERN = /\b(?:inc|incorporated|llc|ltd|limited|corp|corporation|co|company|gmbh|plc|ag|sa|group|holdings|technologies|the)\b/g; // Dropped when comparing company names
+
+// --- Sheet Schema Versions & Migrations ---
+// For: BOTH (MJM_SchemaMigrations.gs; covers the MJM "Applications"/"Potential Job Leads"/"Run Log" sheets and the RTS sheets)
+// Each sheet's schema version is kept in a developer metadata key on the sheet. Version 1 lists the sheet's original
+// headers; each later version lists the steps that turn the previous layout into it, and must end with the layout the
+// code currently writes (MJM_APP_SHEET_HEADERS, MJM_LEADS_SHEET_HEADERS...). Steps are skipped when already done:
+//   { add: "Header", after: "Header" }    Inserts a blank column after "after" (or at the end of the header row)
+//   { rename: "Old Header", to: "New" }   Renames a header in place
+//   { reorder: ["Header", ...] }          Moves the listed columns next to each other in this order, from where the first one is
+// MasterProfile has one header row per section, so its versions give `sectionHeaders` and steps give a `section`.
+const MJM_SCHEMA_VERSION_METADATA_KEY = "mjmSchemaVersion";
+const MJM_SHEET_SCHEMAS = [
+  { sheetName: APP_TRACKER_SHEET_TAB_NAME, versions: [
+    { version: 1, description: "Original layout", headers: MJM_APP_SHEET_HEADERS.slice(0, MJM_APP_SHEET_HEADERS.indexOf("Email ID") + 1) },
+    { version: 2, description: "Email-to-application matching", steps: [
+      { add: "Gmail Thread IDs", after: "Email ID" }, { add: "Requisition IDs", after: "Gmail Thread IDs" },
+      { add: "Normalized Title", after: "Requisition IDs" }, { add: "Match Details", after: "Normalized Title" }] },
+    { version: 3, description: "Application keys", steps: [{ add: "Application Key", after: "Match Details" }] },
+    { version: 4, description: "Stale policy follow-ups", steps: [
+      { add: "Follow-Up Status", after: "Application Key" }, { add: "Follow-Up Date", after: "Follow-Up Status" }] },
+    { version: 5, description: "Follow-up drafts", steps: [{ add: "Follow-Up Draft ID", after: "Follow-Up Date" }] },
+    { version: 6, description: "Parsing rules", steps: [{ add: "Parsing Rule IDs", after: "Follow-Up Draft ID" }] },
+    { version: 7, description: "ATS detection", steps: [{ add: "ATS", after: "Parsing Rule IDs" }] },
+    { version: 8, description: "Lead linking", steps: [{ add: "Lead ID", after: "ATS" }] },
+    { version: 9, description: "Parse confidence & evidence", steps: [
+      { add: "Parse Source", after: "Lead ID" }, { add: "Confidence", after: "Parse Source" }, { add: "Evidence", after: "Confidence" }] },
+    { version: 10, description: "Manual application entry", steps: [{ add: "Job URL", after: "Evidence" }, { add: "Notes", after: "Job URL" }] }
+  ] },
+  { sheetName: LEADS_SHEET_TAB_NAME, versions: [
+    { version: 1, description: "Original layout", headers: MJM_LEADS_SHEET_HEADERS.slice(0, MJM_LEADS_SHEET_HEADERS.indexOf("Notes") + 1) },
+    { version: 2, description: "Lead linking", steps: [{ add: "Lead ID", after: "Notes" }, { add: "Linked Application", after: "Lead ID" }] }
+  ] },
+  { sheetName: RUN_LOG_SHEET_TAB_NAME, versions: [
+    { version: 1, description: "Original layout", headers: MJM_RUN_LOG_SHEET_HEADERS.filter(header => header !== "Redactions") },
+    { version: 2, description: "PII redaction count", steps: [{ add: "Redactions", after: "LLM Calls" }] }
+  ] },
+  { sheetName: BULLET_SCORING_RESULTS_SHEET_NAME, versions: [
+    { version: 1, description: "Original layout", headers: BULLET_SCORING_RESULTS_HEADERS }
+  ] },
+  { sheetName: PROFILE_DATA_SHEET_NAME, versions: [ // Responsibility#/DescriptionBullet# columns vary with NUM_DEDICATED_PROFILE_BULLET_COLUMNS, so aren't listed
+    { version: 1, description: "Original layout", sectionHeaders: PROFILE_STRUCTURE
+      .filter(section => Array.isArray(section.headers) && section.title !== "PERSONAL INFO") // PERSONAL INFO is Key/Value rows with no header row
+      .reduce((headersBySection, section) => Object.assign(headersBySection, { [section.title]: section.headers }), {}) }
+  ] }
+];
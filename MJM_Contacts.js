@@ -0,0 +1,321 @@
+// File: MJM_Contacts.gs
+// Description: A lightweight recruiter / hiring-contact CRM for the MJM Application Tracker.
+// People found in application emails (From and Reply-To addresses, plus the name/role in the signature)
+// are upserted into the "Contacts" sheet, linked to the applications they appeared on, with their
+// last contact date. Menu commands merge duplicate contacts and add manual referral contacts.
+// Relies on constants from MJM_Config.gs (MJM_CONTACTS_SHEET_HEADERS, MJM_CONTACT_*)
+// and Global_Constants.gs (CONTACTS_SHEET_TAB_NAME, APP_TRACKER_SHEET_TAB_NAME, GLOBAL_DEBUG_MODE).
+
+/**
+ * Splits an address header ("Jane Doe <jane@acme.com>, bob@acme.com") into name/email pairs.
+ * @param {string} headerValue The raw From / Reply-To header.
+ * @return {Array<{name:string, email:string}>} Parsed addresses with lowercased emails.
+ */
+function MJM_parseAddressHeader(headerValue) {
+  const addresses = [];
+  const addressPattern = /(?:"?([^"<,]*?)"?\s*<([^>\s]+@[^>\s]+)>|([^\s<>,]+@[^\s<>,]+))/g;
+  let match;
+  while ((match = addressPattern.exec(String(headerValue || ""))) !== null) {
+    const email = String(match[2] || match[3] || "").trim().toLowerCase();
+    if (email) addresses.push({ name: String(match[1] || "").trim(), email: email });
+  }
+  return addresses;
+}
+
+/**
+ * Finds the sender's name and role in an email signature: the lines right after a sign-off such as "Best,".
+ * @param {string} plainBody The plain text body of the email.
+ * @return {{name:string, role:string}|null} The signature details, or null if none was found.
+ */
+function MJM_extractSignatureContact(plainBody) {
+  const bodyLines = String(plainBody || "").split(/\r?\n/).map(line => line.trim());
+  const searchFrom = Math.max(0, bodyLines.length - 40); // Signatures live near the end; skip quoted history above
+  for (let i = bodyLines.length - 1; i >= searchFrom; i--) {
+    if (!MJM_CONTACT_SIGNOFF_PATTERN.test(bodyLines[i])) continue; // From MJM_Config.gs
+    const signatureLines = bodyLines.slice(i + 1).filter(line => line).slice(0, 3);
+    const nameLine = signatureLines[0] || "";
+    if (!/^[A-Z][\p{L}'.-]+(?:\s+[A-Z][\p{L}'.-]+){0,3}$/u.test(nameLine) || / team$/i.test(nameLine)) return null; // "Jane Doe", not "The Acme Team"
+    const roleLine = signatureLines.slice(1).find(line => MJM_CONTACT_ROLE_KEYWORDS.test(line) && line.length <= 80) || ""; // From MJM_Config.gs
+    return { name: nameLine, role: roleLine.split(/\s+[|@]\s+/)[0].trim() };
+  }
+  return null;
+}
+
+/**
+ * Extracts the people in an application email: a personal From address, a personal Reply-To address,
+ * and the signature name/role (attributed to whichever of those is personal).
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The Gmail message.
+ * @param {string} plainBody The plain text body (already fetched by the caller).
+ * @return {Array<{name:string, email:string, role:string}>} Zero or more contacts.
+ */
+function MJM_extractContactsFromMessage(message, plainBody) {
+  const candidates = MJM_parseAddressHeader(message.getFrom());
+  try { MJM_parseAddressHeader(message.getReplyTo()).forEach(addr => candidates.push(addr)); } catch (e) { /* Reply-To is optional */ }
+
+  const personalAddresses = [];
+  candidates.forEach(addr => {
+    if (MJM_CONTACT_AUTOMATED_ADDRESS_PATTERN.test(addr.email)) return; // From MJM_Config.gs
+    if (personalAddresses.some(existing => existing.email === addr.email)) return;
+    personalAddresses.push({ name: addr.name.replace(/\s*(?:via|from|at|\|)\s+.*$/i, "").trim(), email: addr.email, role: "" }); // "Jane via Greenhouse" -> "Jane"
+  });
+  if (personalAddresses.length === 0) return [];
+
+  const signature = MJM_extractSignatureContact(plainBody);
+  if (signature) {
+    const signer = personalAddresses[0]; // From wins over Reply-To when both are personal
+    if (!signer.name || signature.name.toLowerCase().startsWith(signer.name.split(" ")[0].toLowerCase())) signer.name = signature.name;
+    signer.role = signature.role;
+  }
+  return personalAddresses;
+}
+
+/**
+ * Finds the Contacts sheet row index (0-based within data rows) whose Email or Other Emails includes an address.
+ * @param {Array<Array<*>>} contactRows Data rows of the Contacts sheet.
+ * @param {string} email Lowercased email address.
+ * @return {number} The index, or -1.
+ */
+function MJM_findContactIndexByEmail(contactRows, email) {
+  const emailIdx = MJM_CONTACTS_SHEET_HEADERS.indexOf("Email");
+  const otherEmailsIdx = MJM_CONTACTS_SHEET_HEADERS.indexOf("Other Emails");
+  return contactRows.findIndex(row => String(row[emailIdx]).toLowerCase() === email ||
+    MJM_splitIdList(row[otherEmailsIdx]).some(other => other.toLowerCase() === email)); // MJM_Matching.gs
+}
+
+/**
+ * Upserts contact sightings from a processing run into the "Contacts" sheet in one write.
+ * New people get a row; known people get the application linked, blanks filled, and Last Contact Date advanced.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Array<{name:string, email:string, role:string, company:string, appKey:string, contactDate:Date}>} sightings Contacts seen this run.
+ * @return {number} Number of contacts added or updated (0 on error or empty input).
+ */
+function MJM_upsertContacts(ss, sightings) {
+  if (!sightings || sightings.length === 0) return 0;
+  const contactsSheet = MJM_getOrCreateHistorySheet(ss, CONTACTS_SHEET_TAB_NAME, MJM_CONTACTS_SHEET_HEADERS); // MJM_EventLog.gs
+  if (!contactsSheet) return 0;
+
+  try {
+    const col = name => MJM_CONTACTS_SHEET_HEADERS.indexOf(name);
+    const lastRow = contactsSheet.getLastRow();
+    const contactRows = lastRow > 1 ? contactsSheet.getRange(2, 1, lastRow - 1, MJM_CONTACTS_SHEET_HEADERS.length).getValues() : [];
+    const existingRowCount = contactRows.length;
+    const touchedIndexes = new Set();
+
+    sightings.forEach(sighting => {
+      let idx = MJM_findContactIndexByEmail(contactRows, sighting.email);
+      if (idx === -1) {
+        const newRow = new Array(MJM_CONTACTS_SHEET_HEADERS.length).fill("");
+        newRow[col("Contact ID")] = "CON-" + Utilities.getUuid().replace(/-/g, "").substring(0, 8).toUpperCase();
+        newRow[col("Email")] = sighting.email;
+        newRow[col("Source")] = MJM_CONTACT_SOURCE_EMAIL; // MJM_Config.gs
+        newRow[col("First Contact Date")] = sighting.contactDate;
+        newRow[col("Email Count")] = 0;
+        contactRows.push(newRow);
+        idx = contactRows.length - 1;
+      }
+      const row = contactRows[idx];
+      if (!row[col("Name")] && sighting.name) row[col("Name")] = sighting.name;
+      if (sighting.role) row[col("Role")] = sighting.role; // Latest signature wins; people change roles
+      if (!row[col("Company")] && sighting.company && sighting.company !== MANUAL_REVIEW_NEEDED_TEXT) row[col("Company")] = sighting.company;
+      if (sighting.appKey) row[col("Linked Applications")] = MJM_mergeIdList(row[col("Linked Applications")], [sighting.appKey]); // MJM_Matching.gs
+      const lastContact = row[col("Last Contact Date")];
+      if (!(lastContact instanceof Date) || sighting.contactDate > lastContact) row[col("Last Contact Date")] = sighting.contactDate;
+      row[col("Email Count")] = (Number(row[col("Email Count")]) || 0) + 1;
+      touchedIndexes.add(idx);
+    });
+
+    if (existingRowCount > 0) contactsSheet.getRange(2, 1, existingRowCount, MJM_CONTACTS_SHEET_HEADERS.length).setValues(contactRows.slice(0, existingRowCount));
+    if (contactRows.length > existingRowCount) contactsSheet.getRange(existingRowCount + 2, 1, contactRows.length - existingRowCount, MJM_CONTACTS_SHEET_HEADERS.length).setValues(contactRows.slice(existingRowCount));
+    contactsSheet.getRange(2, col("First Contact Date") + 1, contactRows.length, 2).setNumberFormat("yyyy-mm-dd");
+    if (GLOBAL_DEBUG_MODE) Logger.log(`[DEBUG] MJM_Contacts (MJM_upsertContacts): ${touchedIndexes.size} contact(s) touched, ${contactRows.length - existingRowCount} new.`);
+    return touchedIndexes.size;
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Contacts (MJM_upsertContacts): ${e.message}\nStack: ${e.stack}`);
+    return 0;
+  }
+}
+
+/**
+ * Merges one contact row into another: emails, linked applications and notes are combined,
+ * blanks are filled, dates widened and email counts summed.
+ * @param {Array<*>} keptRow The row that survives (modified in place).
+ * @param {Array<*>} mergedRow The row being folded in.
+ */
+function MJM_mergeContactRow(keptRow, mergedRow) {
+  const col = name => MJM_CONTACTS_SHEET_HEADERS.indexOf(name);
+  const keptEmail = String(keptRow[col("Email")]).toLowerCase();
+  const otherEmails = [mergedRow[col("Email")]].concat(MJM_splitIdList(mergedRow[col("Other Emails")]))
+    .map(email => String(email || "").toLowerCase()).filter(email => email && email !== keptEmail);
+  keptRow[col("Other Emails")] = MJM_mergeIdList(keptRow[col("Other Emails")], otherEmails); // MJM_Matching.gs
+  keptRow[col("Linked Applications")] = MJM_mergeIdList(keptRow[col("Linked Applications")], MJM_splitIdList(mergedRow[col("Linked Applications")]));
+  ["Name", "Role", "Company"].forEach(field => { if (!keptRow[col(field)]) keptRow[col(field)] = mergedRow[col(field)]; });
+  if (mergedRow[col("Source")] === MJM_CONTACT_SOURCE_REFERRAL) keptRow[col("Source")] = MJM_CONTACT_SOURCE_REFERRAL; // A referral is worth remembering
+  const firstDates = [keptRow[col("First Contact Date")], mergedRow[col("First Contact Date")]].filter(d => d instanceof Date);
+  const lastDates = [keptRow[col("Last Contact Date")], mergedRow[col("Last Contact Date")]].filter(d => d instanceof Date);
+  if (firstDates.length) keptRow[col("First Contact Date")] = new Date(Math.min(...firstDates));
+  if (lastDates.length) keptRow[col("Last Contact Date")] = new Date(Math.max(...lastDates));
+  keptRow[col("Email Count")] = (Number(keptRow[col("Email Count")]) || 0) + (Number(mergedRow[col("Email Count")]) || 0);
+  keptRow[col("Notes")] = [keptRow[col("Notes")], mergedRow[col("Notes")]].filter(note => note).join("\n");
+}
+
+/**
+ * Provides a UI prompt to merge duplicate contacts. With Contact IDs ("CON-1A2B3C4D, CON-5E6F7A8B"),
+ * the listed contacts are merged into the first one. Left blank, contacts sharing an email address, or with the same
+ * name and the same (non-blank) company, are merged; same-name contacts missing a company are left for a merge by ID.
+ * The sheet is rewritten under the script lock, so a processing run can't upsert contacts into shifted rows.
+ */
+function MJM_mergeDuplicateContacts_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const mainSS = MJM_getOrCreateSpreadsheet_Core(); // From MJM_SheetUtils.gs
+  const contactsSheet = mainSS ? mainSS.getSheetByName(CONTACTS_SHEET_TAB_NAME) : null;
+  if (!contactsSheet || contactsSheet.getLastRow() < 3) {
+    ui.alert("Merge Contacts", `The "${CONTACTS_SHEET_TAB_NAME}" sheet has fewer than two contacts. Nothing to merge.`, ui.ButtonSet.OK);
+    return;
+  }
+  const response = ui.prompt("Merge Duplicate Contacts",
+    "Enter the Contact IDs to merge, separated by commas. The FIRST one is kept.\n\nLeave blank to merge every contact that shares an email address, or has the same name and the same company.",
+    ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() != ui.Button.OK) return;
+
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(10000)) {
+    ui.alert("Merge Contacts", "Email processing is running right now. Try again in a few minutes.", ui.ButtonSet.OK);
+    return;
+  }
+  try {
+    const col = name => MJM_CONTACTS_SHEET_HEADERS.indexOf(name);
+    const contactRows = contactsSheet.getRange(2, 1, contactsSheet.getLastRow() - 1, MJM_CONTACTS_SHEET_HEADERS.length).getValues();
+    const requestedIds = MJM_splitIdList(response.getResponseText()).map(id => id.toUpperCase()); // MJM_Matching.gs
+    const mergeGroups = []; // Arrays of row indexes; the first index is kept
+    let unmatchedSameNameCount = 0;
+
+    if (requestedIds.length > 0) {
+      const group = requestedIds.map(id => contactRows.findIndex(row => String(row[col("Contact ID")]).toUpperCase() === id));
+      const missingIds = requestedIds.filter((id, i) => group[i] === -1);
+      if (missingIds.length > 0 || group.length < 2) {
+        ui.alert("Merge Contacts", missingIds.length > 0 ? `Contact ID(s) not found: ${missingIds.join(", ")}` : "Enter at least two Contact IDs.", ui.ButtonSet.OK);
+        return;
+      }
+      mergeGroups.push(Array.from(new Set(group)));
+    } else {
+      const autoMerge = MJM_findAutoMergeContactGroups(contactRows);
+      autoMerge.groups.forEach(group => mergeGroups.push(group));
+      unmatchedSameNameCount = autoMerge.unmatchedSameNameCount;
+    }
+
+    const mergeableGroups = mergeGroups.filter(group => group.length > 1);
+    const manualMergeNote = unmatchedSameNameCount > 0
+      ? `\n\n${unmatchedSameNameCount} contact(s) have no company but share a name with another contact, so they were not merged. Merge them by Contact ID if they are the same person.` : "";
+    if (mergeableGroups.length === 0) {
+      ui.alert("Merge Contacts", `No duplicate contacts found.${manualMergeNote}`, ui.ButtonSet.OK);
+      return;
+    }
+    const removedIndexes = new Set();
+    mergeableGroups.forEach(group => group.slice(1).forEach(idx => { MJM_mergeContactRow(contactRows[group[0]], contactRows[idx]); removedIndexes.add(idx); }));
+
+    const remainingRows = contactRows.filter((row, idx) => !removedIndexes.has(idx));
+    contactsSheet.getRange(2, 1, contactRows.length, MJM_CONTACTS_SHEET_HEADERS.length).clearContent();
+    contactsSheet.getRange(2, 1, remainingRows.length, MJM_CONTACTS_SHEET_HEADERS.length).setValues(remainingRows);
+    Logger.log(`[INFO] MJM_Contacts (Merge UI): Merged ${removedIndexes.size} duplicate contact(s) into ${mergeableGroups.length} contact(s).`);
+    ui.alert("Contacts Merged", `Merged ${removedIndexes.size} duplicate contact(s) into ${mergeableGroups.length} contact(s).${manualMergeNote}`, ui.ButtonSet.OK);
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Groups the contacts that are safe to merge without asking: those sharing an email address (Email or Other Emails),
+ * and those with the same name and the same company. A blank company never counts as a match.
+ * @param {Array<Array<*>>} contactRows Data rows of the Contacts sheet.
+ * @return {{groups: Array<Array<number>>, unmatchedSameNameCount: number}} Groups of two or more row indexes, lowest
+ *     (kept) first, and how many ungrouped contacts have no company but share their name with another contact.
+ */
+function MJM_findAutoMergeContactGroups(contactRows) {
+  const col = name => MJM_CONTACTS_SHEET_HEADERS.indexOf(name);
+  const groupOf = contactRows.map((row, idx) => idx); // Union-find parents
+  const findGroup = idx => { while (groupOf[idx] !== idx) idx = groupOf[idx] = groupOf[groupOf[idx]]; return idx; };
+  const joinGroups = (a, b) => { const [rootA, rootB] = [findGroup(a), findGroup(b)]; if (rootA !== rootB) groupOf[Math.max(rootA, rootB)] = Math.min(rootA, rootB); };
+
+  const firstIdxByKey = {};
+  const nameCounts = {};
+  contactRows.forEach((row, idx) => {
+    const name = String(row[col("Name")] || "").trim().toLowerCase();
+    const company = String(row[col("Company")] || "").trim().toLowerCase();
+    const emails = [row[col("Email")]].concat(MJM_splitIdList(row[col("Other Emails")])) // MJM_Matching.gs
+      .map(email => String(email || "").trim().toLowerCase()).filter(email => email);
+    const keys = emails.map(email => `email:${email}`);
+    if (name && company) keys.push(`name:${name}|${company}`);
+    keys.forEach(key => { if (key in firstIdxByKey) joinGroups(firstIdxByKey[key], idx); else firstIdxByKey[key] = idx; });
+    if (name) nameCounts[name] = (nameCounts[name] || 0) + 1;
+  });
+
+  const groupsByRoot = {};
+  contactRows.forEach((row, idx) => (groupsByRoot[findGroup(idx)] = groupsByRoot[findGroup(idx)] || []).push(idx));
+  const groups = Object.values(groupsByRoot).filter(group => group.length > 1);
+  const unmatchedSameNameCount = contactRows.filter((row, idx) => {
+    const name = String(row[col("Name")] || "").trim().toLowerCase();
+    return name && !String(row[col("Company")] || "").trim() && nameCounts[name] > 1 && groupsByRoot[findGroup(idx)].length === 1;
+  }).length;
+  return { groups: groups, unmatchedSameNameCount: unmatchedSameNameCount };
+}
+
+/**
+ * Provides a UI prompt to add a referral contact by hand. The contact is linked to every application
+ * at the same company. An existing contact with the same email is updated instead of duplicated.
+ * Writes under the script lock, like MJM_mergeDuplicateContacts_UI.
+ */
+function MJM_addReferralContact_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt("Add Referral Contact",
+    "Enter: Name | Email | Company | Role (optional) | Notes (optional)\n\nExample: Jane Doe | jane@acme.com | Acme | Staff Engineer | Former teammate, offered to refer",
+    ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() != ui.Button.OK) return;
+
+  const [name, email, company, role, notes] = response.getResponseText().split("|").map(part => part.trim());
+  if (!name || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || "") || !company) {
+    ui.alert("Invalid Referral", "Name, a valid email and company are required, separated by \"|\".", ui.ButtonSet.OK);
+    return;
+  }
+
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(10000)) {
+    ui.alert("Add Referral Contact", "Email processing is running right now. Try again in a few minutes.", ui.ButtonSet.OK);
+    return;
+  }
+  try {
+    const mainSS = MJM_getOrCreateSpreadsheet_Core(); // From MJM_SheetUtils.gs
+    const contactsSheet = MJM_getOrCreateHistorySheet(mainSS, CONTACTS_SHEET_TAB_NAME, MJM_CONTACTS_SHEET_HEADERS); // MJM_EventLog.gs
+    if (!contactsSheet) { ui.alert("Error", `Could not open the "${CONTACTS_SHEET_TAB_NAME}" sheet. See logs.`, ui.ButtonSet.OK); return; }
+
+    const appSheet = mainSS.getSheetByName(APP_TRACKER_SHEET_TAB_NAME); // Global_Constants.gs
+    const linkedAppKeys = [];
+    if (appSheet && appSheet.getLastRow() > 1) {
+      MJM_resolveAppSheetColumns(appSheet); // MJM_SheetUtils.gs
+      appSheet.getRange(2, 1, appSheet.getLastRow() - 1, MJM_APP_TOTAL_COLUMNS).getValues().forEach(row => { // MJM_Config.gs
+        if (String(row[MJM_APP_COMPANY_COL - 1]).trim().toLowerCase() === company.toLowerCase() && row[MJM_APP_KEY_COL - 1]) linkedAppKeys.push(row[MJM_APP_KEY_COL - 1]);
+      });
+    }
+
+    const col = field => MJM_CONTACTS_SHEET_HEADERS.indexOf(field);
+    const lastRow = contactsSheet.getLastRow();
+    const contactRows = lastRow > 1 ? contactsSheet.getRange(2, 1, lastRow - 1, MJM_CONTACTS_SHEET_HEADERS.length).getValues() : [];
+    const existingIdx = MJM_findContactIndexByEmail(contactRows, email.toLowerCase());
+    const referralRow = new Array(MJM_CONTACTS_SHEET_HEADERS.length).fill("");
+    referralRow[col("Contact ID")] = "CON-" + Utilities.getUuid().replace(/-/g, "").substring(0, 8).toUpperCase();
+    referralRow[col("Name")] = name; referralRow[col("Email")] = email.toLowerCase(); referralRow[col("Role")] = role || "";
+    referralRow[col("Company")] = company; referralRow[col("Source")] = MJM_CONTACT_SOURCE_REFERRAL; // MJM_Config.gs
+    referralRow[col("Linked Applications")] = linkedAppKeys.join(", "); referralRow[col("Email Count")] = 0; referralRow[col("Notes")] = notes || "";
+
+    if (existingIdx >= 0) {
+      const existingRow = contactRows[existingIdx];
+      MJM_mergeContactRow(existingRow, referralRow);
+      contactsSheet.getRange(existingIdx + 2, 1, 1, MJM_CONTACTS_SHEET_HEADERS.length).setValues([existingRow]);
+    } else {
+      contactsSheet.getRange(lastRow + 1, 1, 1, MJM_CONTACTS_SHEET_HEADERS.length).setValues([referralRow]);
+    }
+    Logger.log(`[INFO] MJM_Contacts (Referral UI): ${existingIdx >= 0 ? "Updated" : "Added"} referral contact ${email} at "${company}" (${linkedAppKeys.length} linked application(s)).`);
+    ui.alert("Referral Saved", `${existingIdx >= 0 ? "Updated existing contact" : "Added"} ${name} (${company}).\nLinked to ${linkedAppKeys.length} application(s) at ${company}.`, ui.ButtonSet.OK);
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
@@ -156,7 +156,9 @@ function MJM_formatDashboardSheet(dashboardSheet, appDataSheetName) {
   dashboardSheet.getRange("B3").setValue("Key Metrics Overview:").setFontSize(14).setFontWeight(LABEL_FONT_WEIGHT).setFontColor(DARK_GREY_TEXT);
   dashboardSheet.setRowHeight(3, 30); dashboardSheet.setRowHeight(4, 10);
 
-  // 5. Prepare Column Letter References for Formulas
+  // 5. Prepare Column Letter References for Formulas (resolved by header name, so user-inserted columns are accounted for)
+  const appDataSheet = ss.getSheetByName(appDataSheetName);
+  if (appDataSheet) MJM_resolveAppSheetColumns(appDataSheet); // MJM_SheetUtils.gs
   const appShtFormulaRef = `'${appDataSheetName}'`; 
   const appCompColLetter = MJM_columnToLetter(MJM_APP_COMPANY_COL);
   const appStatColLetter = MJM_columnToLetter(MJM_APP_STATUS_COL);
@@ -164,8 +166,9 @@ function MJM_formatDashboardSheet(dashboardSheet, appDataSheetName) {
   const appEmailDateColLetter = MJM_columnToLetter(MJM_APP_EMAIL_DATE_COL); 
   const appPlatformColLetter = MJM_columnToLetter(MJM_APP_PLATFORM_COL);   
   const appJobTitleColLetter = MJM_columnToLetter(MJM_APP_JOB_TITLE_COL);   
+  const appAtsColLetter = MJM_columnToLetter(MJM_APP_ATS_COL);
 
-  // 6. Set Scorecard Formulas & Basic Styling 
+  // 6. Set Scorecard Formulas & Basic Styling (the JSON API computes the same values in MJM_computeDashboardMetrics, MJM_JsonApi.gs)
   if (DEBUG) Logger.log(`  ${functionNameForLog}: Setting scorecard formulas and labels.`);
   
   // --- Row 5 ---
@@ -180,7 +183,7 @@ function MJM_formatDashboardSheet(dashboardSheet, appDataSheetName) {
 
   // --- Row 7 ---
   dashboardSheet.getRange("B7").setValue("Active Applications"); 
-  dashboardSheet.getRange("C7").setFormula(`=IFERROR(COUNTIFS(${appShtFormulaRef}!${appStatColLetter}2:${appStatColLetter}, "<>"&"", ${appShtFormulaRef}!${appStatColLetter}2:${appStatColLetter}, "<>${MJM_APP_REJECTED_STATUS}", ${appShtFormulaRef}!${appStatColLetter}2:${appStatColLetter}, "<>${MJM_APP_ACCEPTED_STATUS}"), 0)`);
+  dashboardSheet.getRange("C7").setFormula(`=IFERROR(COUNTIFS(${appShtFormulaRef}!${appStatColLetter}2:${appStatColLetter}, "<>"&"", ${appShtFormulaRef}!${appStatColLetter}2:${appStatColLetter}, "<>${MJM_APP_REJECTED_STATUS}", ${appShtFormulaRef}!${appStatColLetter}2:${appStatColLetter}, "<>${MJM_APP_ACCEPTED_STATUS}", ${appShtFormulaRef}!${appStatColLetter}2:${appStatColLetter}, "<>${MJM_APP_GHOSTED_STATUS}"), 0)`);
   dashboardSheet.getRange("E7").setValue("Peak Offers"); 
   dashboardSheet.getRange("F7").setFormula(`=IFERROR(COUNTIF(${appShtFormulaRef}!${appPeakColLetter}2:${appPeakColLetter},"${MJM_APP_OFFER_STATUS}"), 0)`);
   dashboardSheet.getRange("H7").setValue("Current Interviews"); 
@@ -260,10 +263,27 @@ dashboardSheet.getRange("K9:L9").setBackground(PALE_ORANGE_BG); // Direct Reject
   dashboardSheet.getRange("K9:L9").setBackground(PALE_ORANGE_BG); // Direct Reject Rate
 
   // 8. Chart Section Titles
-  dashboardSheet.getRange("B11").setValue("Application Platform & Weekly Trends").setFontSize(12).setFontWeight(LABEL_FONT_WEIGHT).setFontColor(DARK_GREY_TEXT);
+  dashboardSheet.getRange("B11").setValue("Application Platform & ATS Breakdown").setFontSize(12).setFontWeight(LABEL_FONT_WEIGHT).setFontColor(DARK_GREY_TEXT);
   dashboardSheet.setRowHeight(11, 25); dashboardSheet.setRowHeight(12, 5);
-  dashboardSheet.getRange("B28").setValue("Application Funnel Analysis").setFontSize(12).setFontWeight(LABEL_FONT_WEIGHT).setFontColor(DARK_GREY_TEXT);
-  dashboardSheet.setRowHeight(28, 25); dashboardSheet.setRowHeight(29, 5);
+  dashboardSheet.getRange("B28").setValue("Application Funnel & Weekly Trends").setFontSize(12).setFontWeight(LABEL_FONT_WEIGHT).setFontColor(DARK_GREY_TEXT);
+  dashboardSheet.setRowHeight(28, 30); dashboardSheet.setRowHeight(29, 5);
+
+  // Lead-to-application conversion (leads get Status "Applied" when MJM_LeadLinking.gs links them to an application)
+  const leadsShtFormulaRef = `'${LEADS_SHEET_TAB_NAME}'`; // Global_Constants.gs
+  const leadStatusColLetter = MJM_columnToLetter(MJM_LEADS_SHEET_HEADERS.indexOf("Status") + 1); // MJM_Config.gs
+  const leadTitleColLetter = MJM_columnToLetter(MJM_LEADS_SHEET_HEADERS.indexOf("Job Title") + 1);
+  dashboardSheet.getRange("H28").setValue("Leads Applied To");
+  dashboardSheet.getRange("I28").setFormula(`=IFERROR(COUNTIF(${leadsShtFormulaRef}!${leadStatusColLetter}2:${leadStatusColLetter},"${MJM_LEAD_STATUS_APPLIED}"), 0)`);
+  dashboardSheet.getRange("K28").setValue("Lead Conversion Rate");
+  dashboardSheet.getRange("L28").setFormula(`=IFERROR(I28 / (COUNTA(${leadsShtFormulaRef}!${leadTitleColLetter}2:${leadTitleColLetter}) - COUNTIF(${leadsShtFormulaRef}!${leadStatusColLetter}2:${leadStatusColLetter},"${MJM_LEAD_STATUS_ERROR}")), 0)`);
+  // Ghosted applications (set by the stale policy, MJM_main.gs) are kept apart from Total Rejections
+  dashboardSheet.getRange("E28").setValue("Ghosted (No Response)");
+  dashboardSheet.getRange("F28").setFormula(`=IFERROR(COUNTIF(${appShtFormulaRef}!${appStatColLetter}2:${appStatColLetter},"${MJM_APP_GHOSTED_STATUS}"), 0)`);
+  ["E28:F28", "H28:I28", "K28:L28"].forEach(rgStr => dashboardSheet.getRange(rgStr).setBackground(LIGHT_GREY_CARD_BG)
+    .setBorder(true, true, true, true, true, true, CARD_BORDER_COLOR, SpreadsheetApp.BorderStyle.SOLID_THIN).setVerticalAlignment("middle"));
+  ["E28", "H28", "K28"].forEach(cAddr => dashboardSheet.getRange(cAddr).setFontWeight(LABEL_FONT_WEIGHT).setFontColor(DARK_GREY_TEXT).setHorizontalAlignment("left"));
+  ["F28", "I28"].forEach(cAddr => dashboardSheet.getRange(cAddr).setFontWeight(METRIC_FONT_WEIGHT).setFontColor(VALUE_TEXT_COLOR).setHorizontalAlignment("center").setNumberFormat("0"));
+  dashboardSheet.getRange("L28").setFontWeight(METRIC_FONT_WEIGHT).setFontColor(VALUE_TEXT_COLOR).setHorizontalAlignment("center").setNumberFormat("0.00%");
 
   // 9. Set Dashboard Column Widths
   dashboardSheet.setColumnWidth(1, DASH_LAYOUT_SPACER_COL_A_WIDTH); 
@@ -281,10 +301,13 @@ dashboardSheet.getRange("K9:L9").setBackground(PALE_ORANGE_BG); // Direct Reject
     helperSheet.getRange("D1").setValue("Week Starting"); helperSheet.getRange("E1").setValue("Applications");
     helperSheet.getRange("G1").setValue("Stage"); helperSheet.getRange("H1").setValue("Count");
     helperSheet.getRange("J1").setValue("RAW_VALID_DATES_FOR_WEEKLY"); helperSheet.getRange("K1").setValue("CALCULATED_WEEK_STARTS");
-    helperSheet.getRange("A1:K1").setFontWeight("bold");
+    helperSheet.getRange("M1").setValue("ATS"); helperSheet.getRange("N1").setValue("Count");
+    helperSheet.getRange("A1:N1").setFontWeight("bold");
     
     helperSheet.getRange("A2").setFormula(`=IFERROR(QUERY(${appShtFormulaRef}!${appPlatformColLetter}2:${appPlatformColLetter}, "SELECT ${appPlatformColLetter}, COUNT(${appPlatformColLetter}) WHERE ${appPlatformColLetter} IS NOT NULL AND ${appPlatformColLetter} <> '' GROUP BY ${appPlatformColLetter} ORDER BY COUNT(${appPlatformColLetter}) DESC LABEL ${appPlatformColLetter} '', COUNT(${appPlatformColLetter}) ''", 0), {"No Platforms",0})`);
   
+    helperSheet.getRange("M2").setFormula(`=IFERROR(QUERY(${appShtFormulaRef}!${appAtsColLetter}2:${appAtsColLetter}, "SELECT ${appAtsColLetter}, COUNT(${appAtsColLetter}) WHERE ${appAtsColLetter} IS NOT NULL AND ${appAtsColLetter} <> '' GROUP BY ${appAtsColLetter} ORDER BY COUNT(${appAtsColLetter}) DESC LABEL ${appAtsColLetter} '', COUNT(${appAtsColLetter}) ''", 0), {"No ATS Data",0})`);
+
     helperSheet.getRange("J2").setFormula(`=IFERROR(FILTER(${appShtFormulaRef}!${appEmailDateColLetter}2:${appEmailDateColLetter}, ISNUMBER(${appShtFormulaRef}!${appEmailDateColLetter}2:${appEmailDateColLetter})), {"";""})`);
     helperSheet.getRange("J2:J").setNumberFormat("yyyy-mm-dd hh:mm:ss");
     
@@ -335,9 +358,20 @@ dashboardSheet.getRange("K9:L9").setBackground(PALE_ORANGE_BG); // Direct Reject
     try { dashboardSheet.hideColumns(lastVisibleColPlusSpacer + 1, currentMaxDashCols - lastVisibleColPlusSpacer); }
     catch (eHC) { Logger.log(`[WARN] ${functionNameForLog} (Dash Format - HideCols): ${eHC.message}`); }
   }
+  PropertiesService.getUserProperties().setProperty(MJM_APP_COLUMN_LAYOUT_PROPERTY, MJM_getDashboardColumnLayout()); // MJM_Config.gs
   Logger.log(`[INFO] ${functionNameForLog}: Formatting completed for sheet "${dashboardSheet.getName()}".`);
 } // End of MJM_formatDashboardSheet
 
+/**
+ * Describes where the "Applications" columns used by the Dashboard formulas currently are, so a changed layout
+ * (e.g., a user-inserted column) can be detected. Resolve the columns first (MJM_resolveAppSheetColumns).
+ * @return {string} The layout, e.g. "D,F,G,B,C,E,U".
+ */
+function MJM_getDashboardColumnLayout() {
+  return [MJM_APP_COMPANY_COL, MJM_APP_STATUS_COL, MJM_APP_PEAK_STATUS_COL, MJM_APP_EMAIL_DATE_COL, MJM_APP_PLATFORM_COL, MJM_APP_JOB_TITLE_COL, MJM_APP_ATS_COL]
+    .map(MJM_columnToLetter).join(","); // MJM_SheetUtils.gs
+}
+
 /**
  * Main function to orchestrate updates to dashboard elements and charts.
  * It ensures the helper sheet formulas have had a chance to calculate, then
@@ -357,6 +391,17 @@ function MJM_updateDashboardMetrics(spreadsheet) {
   if (!dashboardSheet) { Logger.log(`[ERROR] MJM_Dashboard (UpdateMetrics): Dashboard sheet "${DASHBOARD_TAB_NAME}" MISSING. Cannot update charts.`); return; }
   if (!helperSheet) { Logger.log(`[ERROR] MJM_Dashboard (UpdateMetrics): Helper sheet "${DASHBOARD_HELPER_SHEET_NAME}" MISSING. Chart data sources likely invalid.`); return; }
 
+  // Formulas point at column letters; rebuild them if the "Applications" columns have moved since they were written
+  const appDataSheet = spreadsheet.getSheetByName(APP_TRACKER_SHEET_TAB_NAME); // Global_Constants.gs
+  if (appDataSheet) {
+    MJM_resolveAppSheetColumns(appDataSheet); // MJM_SheetUtils.gs
+    const currentLayout = MJM_getDashboardColumnLayout();
+    if (PropertiesService.getUserProperties().getProperty(MJM_APP_COLUMN_LAYOUT_PROPERTY) !== currentLayout) {
+      Logger.log(`[INFO] MJM_Dashboard (UpdateMetrics): "${APP_TRACKER_SHEET_TAB_NAME}" column layout changed (${currentLayout}). Rebuilding Dashboard formulas.`);
+      MJM_formatDashboardSheet(dashboardSheet, appDataSheet.getName());
+    }
+  }
+
   // Ensure helper sheet is temporarily visible if charts need to read from it and it was hidden
   let helperWasHidden = false;
   try {
@@ -375,6 +420,7 @@ function MJM_updateDashboardMetrics(spreadsheet) {
   try {
     // Call individual chart update functions, passing the sheet objects
     MJM_updatePlatformDistributionChart(dashboardSheet, helperSheet);
+    MJM_updateAtsBreakdownChart(dashboardSheet, helperSheet);
     MJM_updateApplicationsOverTimeChart(dashboardSheet, helperSheet);
     MJM_updateApplicationFunnelChart(dashboardSheet, helperSheet);
 
@@ -520,6 +566,54 @@ function MJM_updatePlatformDistributionChart(dashboardSheet, helperSheet) {
   }
 } // End of MJM_updatePlatformDistributionChart
 
+/**
+ * Updates or creates the ATS Breakdown Pie Chart on the dashboard, next to the Platform Distribution chart.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dashboardSheet The dashboard sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} helperSheet The helper sheet.
+ */
+function MJM_updateAtsBreakdownChart(dashboardSheet, helperSheet) {
+  const CHART_TITLE = "ATS Breakdown (MJM)";
+  const DEBUG = GLOBAL_DEBUG_MODE;
+  if (DEBUG) Logger.log(`    Updating/Creating Chart: ${CHART_TITLE}`);
+
+  // Data for this chart from Helper Sheet: M1="ATS", N1="Count". Data from M2:N...
+  const lastDataRowInHelperColM = helperSheet.getRange("M:M").getValues().filter(String).length;
+  if (lastDataRowInHelperColM < 2 || String(helperSheet.getRange("M1").getValue()).trim() !== "ATS") {
+    if (DEBUG) Logger.log(`      ${CHART_TITLE}: Insufficient/invalid data in "${helperSheet.getName()}" Col M. Need M1='ATS' & >1 data row. Found ${lastDataRowInHelperColM} rows in M.`);
+    dashboardSheet.getCharts().forEach(chart => { if (chart.getOptions().get('title') === CHART_TITLE) dashboardSheet.removeChart(chart); });
+    return;
+  }
+  const dataRange = helperSheet.getRange(1, 13, lastDataRowInHelperColM, 2); // Range M1:N<last_data_row_in_M>
+  if (DEBUG) Logger.log(`      ${CHART_TITLE}: Data range for chart: ${helperSheet.getName()}!${dataRange.getA1Notation()}`);
+
+  const anchorRow = 13, anchorCol = 8, chartWidth = 460, chartHeight = 280; // Target: H13
+
+  let existingChart = dashboardSheet.getCharts().find(c =>
+    c.getOptions().get('title') === CHART_TITLE &&
+    c.getContainerInfo().getAnchorRow() === anchorRow &&
+    c.getContainerInfo().getAnchorColumn() === anchorCol
+  );
+
+  const chartBuilder = (existingChart ? existingChart.modify() : dashboardSheet.newChart())
+    .setChartType(Charts.ChartType.PIE)
+    .addRange(dataRange)
+    .setOption('title', CHART_TITLE)
+    .setOption('pieHole', 0.4)
+    .setOption('legend', { position: 'right', textStyle: { fontSize: 10 } })
+    .setOption('pieSliceText', 'percentage')
+    .setOption('width', chartWidth)
+    .setOption('height', chartHeight)
+    .setPosition(anchorRow, anchorCol, 0, 0);
+
+  try {
+    if (existingChart) dashboardSheet.updateChart(chartBuilder.build());
+    else dashboardSheet.insertChart(chartBuilder.build());
+    Logger.log(`[INFO] MJM_Dashboard (Chart): "${CHART_TITLE}" ${existingChart ? 'updated' : 'created'}.`);
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Dashboard (Chart - ${CHART_TITLE}): Failed to build/insert/update: ${e.message}\n${e.stack || ''}`);
+  }
+}
+
 /**
  * Updates or creates the Applications Over Time Line Chart on the dashboard.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} dashboardSheet The dashboard sheet.
@@ -543,7 +637,13 @@ function MJM_updateApplicationsOverTimeChart(dashboardSheet, helperSheet) {
   const dataRange = helperSheet.getRange(1, 4, lastDataRowInHelperColD, 2); // Range D1:E<last_data_row_in_D>
   if (DEBUG) Logger.log(`      ${CHART_TITLE}: Data range for chart: ${helperSheet.getName()}!${dataRange.getA1Notation()}`);
 
-  const anchorRow = 13, anchorCol = 8, chartWidth = 460, chartHeight = 280; // Target: H13
+  const anchorRow = 30, anchorCol = 8, chartWidth = 460, chartHeight = 280; // Target: H30 (H13 now holds the ATS Breakdown)
+
+  // Remove copies left at an older anchor so they don't overlap the chart that now lives there
+  dashboardSheet.getCharts().forEach(c => {
+    const info = c.getContainerInfo();
+    if (c.getOptions().get('title') === CHART_TITLE && (info.getAnchorRow() !== anchorRow || info.getAnchorColumn() !== anchorCol)) dashboardSheet.removeChart(c);
+  });
 
   let existingChart = dashboardSheet.getCharts().find(c =>
     c.getOptions().get('title') === CHART_TITLE &&
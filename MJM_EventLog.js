@@ -0,0 +1,155 @@
+// File: MJM_EventLog.gs
+// Description: Records per-application status history for the MJM Application Tracker.
+// Every Status/Peak Status change made by MJM_processJobApplicationEmails or MJM_markStaleApplicationsAsRejected
+// is appended to the "Application Events" sheet, and the "Application Timeline" sheet is rebuilt from those events.
+// Relies on constants from MJM_Config.gs (MJM_APP_EVENTS_SHEET_HEADERS, MJM_APP_TIMELINE_SHEET_HEADERS, status values)
+// and Global_Constants.gs (APP_EVENTS_SHEET_TAB_NAME, APP_TIMELINE_SHEET_TAB_NAME, GLOBAL_DEBUG_MODE).
+
+/**
+ * Generates a new stable application key used to link an "Applications" row to its events.
+ * @return {string} A key like "APP-1A2B3C4D".
+ */
+function MJM_generateApplicationKey() {
+  return "APP-" + Utilities.getUuid().replace(/-/g, "").substring(0, 8).toUpperCase();
+}
+
+/**
+ * Gets a sheet by name, or creates it with a bold, frozen header row.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {string} sheetName The tab name.
+ * @param {string[]} headers The header row to write when the sheet is created or empty.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null on error.
+ */
+function MJM_getOrCreateHistorySheet(ss, sheetName, headers) {
+  if (!ss) { Logger.log(`[ERROR] MJM_EventLog (MJM_getOrCreateHistorySheet): Spreadsheet not provided for "${sheetName}".`); return null; }
+  try {
+    let sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = ss.insertSheet(sheetName);
+      Logger.log(`[INFO] MJM_EventLog (MJM_getOrCreateHistorySheet): Created sheet "${sheetName}".`);
+    }
+    if (sheet.getLastRow() === 0) {
+      sheet.getRange(1, 1, 1, headers.length).setValues([headers])
+           .setFontWeight("bold").setBackground("#D0E4F5").setHorizontalAlignment("center").setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP);
+      try { sheet.setFrozenRows(1); } catch (e) { /* ignore */ }
+    }
+    return sheet;
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_EventLog (MJM_getOrCreateHistorySheet): Failed for "${sheetName}": ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Builds an "Application Events" row when Status or Peak Status changed. Creation events use an empty old status.
+ * @param {Object} eventDetails
+ * @param {string} eventDetails.appKey The application key.
+ * @param {string} eventDetails.company Company name.
+ * @param {string} eventDetails.title Job title.
+ * @param {string} eventDetails.oldStatus Status before the change ("" for a new application).
+ * @param {string} eventDetails.newStatus Status after the change.
+ * @param {string} eventDetails.oldPeakStatus Peak Status before the change.
+ * @param {string} eventDetails.newPeakStatus Peak Status after the change.
+ * @param {string} [eventDetails.emailId] Source Gmail message ID ("" for non-email events).
+ * @param {Date} [eventDetails.emailDate] Date of the source email, if any.
+ * @param {string} eventDetails.parser Which parser produced the status (see MJM_EVENT_PARSER_* in MJM_Config.gs).
+ * @return {Array<*>|null} The row in MJM_APP_EVENTS_SHEET_HEADERS order, or null if nothing changed.
+ */
+function MJM_buildApplicationEventRow(eventDetails) {
+  const oldStatus = String(eventDetails.oldStatus || "").trim(); const newStatus = String(eventDetails.newStatus || "").trim();
+  const oldPeak = String(eventDetails.oldPeakStatus || "").trim(); const newPeak = String(eventDetails.newPeakStatus || "").trim();
+  if (oldStatus === newStatus && oldPeak === newPeak) return null;
+  return [new Date(), eventDetails.appKey, eventDetails.company, eventDetails.title, oldStatus, newStatus,
+          oldPeak, newPeak, eventDetails.emailId || "", eventDetails.emailDate || "", eventDetails.parser];
+}
+
+/**
+ * Appends a batch of event rows to the "Application Events" sheet in one write.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Array<Array<*>>} eventRows Rows from MJM_buildApplicationEventRow.
+ * @return {number} Number of rows written (0 on error or empty input).
+ */
+function MJM_appendApplicationEvents(ss, eventRows) {
+  if (!eventRows || eventRows.length === 0) return 0;
+  const eventsSheet = MJM_getOrCreateHistorySheet(ss, APP_EVENTS_SHEET_TAB_NAME, MJM_APP_EVENTS_SHEET_HEADERS); // Global_Constants.gs, MJM_Config.gs
+  if (!eventsSheet) return 0;
+  try {
+    eventsSheet.getRange(eventsSheet.getLastRow() + 1, 1, eventRows.length, MJM_APP_EVENTS_SHEET_HEADERS.length).setValues(eventRows.map(row => row.map(MJM_escapeSheetFormulaText))); // MJM_SheetUtils.gs; company/title may come from a web page
+    if (GLOBAL_DEBUG_MODE) Logger.log(`[DEBUG] MJM_EventLog (MJM_appendApplicationEvents): Logged ${eventRows.length} application event(s).`);
+    return eventRows.length;
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_EventLog (MJM_appendApplicationEvents): Failed to write ${eventRows.length} event(s): ${e.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Rebuilds the "Application Timeline" sheet from the "Application Events" sheet: one row per application key
+ * with the first date each milestone (Applied, Viewed, Screened, Interview, Offer, Rejected) was reached
+ * and a readable "date status → date status" timeline. Can be run from the menu.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} [ss] The main spreadsheet (defaults to MJM_getOrCreateSpreadsheet_Core()).
+ * @return {number} Number of applications written to the timeline, or -1 on error.
+ */
+function MJM_rebuildApplicationTimeline(ss) {
+  const DEBUG = (typeof GLOBAL_DEBUG_MODE !== 'undefined' ? GLOBAL_DEBUG_MODE : false);
+  const mainSS = ss || MJM_getOrCreateSpreadsheet_Core(); // From MJM_SheetUtils.gs
+  if (!mainSS) { Logger.log("[ERROR] MJM_EventLog (MJM_rebuildApplicationTimeline): Main spreadsheet not available."); return -1; }
+
+  const eventsSheet = MJM_getOrCreateHistorySheet(mainSS, APP_EVENTS_SHEET_TAB_NAME, MJM_APP_EVENTS_SHEET_HEADERS);
+  const timelineSheet = MJM_getOrCreateHistorySheet(mainSS, APP_TIMELINE_SHEET_TAB_NAME, MJM_APP_TIMELINE_SHEET_HEADERS);
+  if (!eventsSheet || !timelineSheet) return -1;
+
+  try {
+    const eventValues = eventsSheet.getLastRow() > 1 ? eventsSheet.getRange(2, 1, eventsSheet.getLastRow() - 1, MJM_APP_EVENTS_SHEET_HEADERS.length).getValues() : [];
+    const col = name => MJM_APP_EVENTS_SHEET_HEADERS.indexOf(name);
+    const milestoneByStatus = { // Status value (MJM_Config.gs) -> timeline milestone column
+      [MJM_APP_DEFAULT_STATUS]: "Applied", [MJM_APP_VIEWED_STATUS]: "Viewed", [MJM_APP_ASSESSMENT_STATUS]: "Screened",
+      [MJM_APP_INTERVIEW_STATUS]: "Interview", [MJM_APP_OFFER_STATUS]: "Offer", [MJM_APP_ACCEPTED_STATUS]: "Offer", [MJM_APP_REJECTED_STATUS]: "Rejected"
+    };
+    const timeZone = Session.getScriptTimeZone();
+    const formatDay = d => Utilities.formatDate(d, timeZone, "yyyy-MM-dd");
+
+    const applicationsByKey = {};
+    eventValues.forEach(eventRow => {
+      const appKey = String(eventRow[col("Application Key")] || "").trim();
+      if (!appKey) return;
+      const emailDate = eventRow[col("Email Date")];
+      const eventDate = (emailDate instanceof Date && !isNaN(emailDate.getTime())) ? emailDate : new Date(eventRow[col("Event Timestamp")]);
+      if (!applicationsByKey[appKey]) applicationsByKey[appKey] = { company: "", title: "", events: [] };
+      const app = applicationsByKey[appKey];
+      app.company = eventRow[col("Company")] || app.company; app.title = eventRow[col("Job Title")] || app.title; // Latest non-empty wins
+      app.events.push({ date: eventDate, oldStatus: String(eventRow[col("Old Status")] || ""), newStatus: String(eventRow[col("New Status")] || "") });
+    });
+
+    const timelineRows = Object.keys(applicationsByKey).map(appKey => {
+      const app = applicationsByKey[appKey];
+      app.events.sort((a, b) => a.date - b.date);
+      const milestones = {};
+      const timelineParts = [];
+      app.events.forEach((evt, idx) => {
+        if (idx === 0 && !milestones["Applied"]) milestones["Applied"] = evt.date; // First event is when the application entered the tracker
+        const milestone = milestoneByStatus[evt.newStatus];
+        if (milestone && !milestones[milestone]) milestones[milestone] = evt.date;
+        if (evt.newStatus !== evt.oldStatus) timelineParts.push(`${formatDay(evt.date)} ${evt.newStatus}`);
+      });
+      const currentStatus = app.events.length > 0 ? app.events[app.events.length - 1].newStatus : "";
+      return [appKey, app.company, app.title, currentStatus,
+              milestones["Applied"] || "", milestones["Viewed"] || "", milestones["Screened"] || "",
+              milestones["Interview"] || "", milestones["Offer"] || "", milestones["Rejected"] || "",
+              app.events.length, timelineParts.join(" → ")];
+    });
+    timelineRows.sort((a, b) => (b[4] || 0) - (a[4] || 0)); // Most recently applied first
+
+    if (timelineSheet.getLastRow() > 1) timelineSheet.getRange(2, 1, timelineSheet.getLastRow() - 1, timelineSheet.getLastColumn()).clearContent();
+    if (timelineRows.length > 0) {
+      timelineSheet.getRange(2, 1, timelineRows.length, MJM_APP_TIMELINE_SHEET_HEADERS.length).setValues(timelineRows.map(row => row.map(MJM_escapeSheetFormulaText))); // MJM_SheetUtils.gs
+      timelineSheet.getRange(2, 5, timelineRows.length, 6).setNumberFormat("yyyy-mm-dd"); // Milestone date columns
+    }
+    try { timelineSheet.setColumnWidth(MJM_APP_TIMELINE_SHEET_HEADERS.length, 500); } catch (e) { /* ignore */ }
+    if (DEBUG) Logger.log(`[DEBUG] MJM_EventLog (MJM_rebuildApplicationTimeline): Timeline rebuilt for ${timelineRows.length} application(s) from ${eventValues.length} event(s).`);
+    return timelineRows.length;
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_EventLog (MJM_rebuildApplicationTimeline): ${e.message}\nStack: ${e.stack}`);
+    return -1;
+  }
+}
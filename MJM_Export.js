@@ -0,0 +1,154 @@
+// File: MJM_Export.gs
+// Description: Exports the suite's data as a bundle in a new, timestamped Drive folder, for backups or for analysis
+// outside Sheets. The folder holds one CSV per sheet in MJM_EXPORT_SHEET_NAMES, a JSON file with the parsed master profile
+// (RTS_getMasterProfileData) and every tailored resume object, and a manifest.json describing the files and the schema
+// version of each. RTS Stage 3 saves each resume object it generates to the "Tailored Resumes" sheet for this export.
+// Relies on constants from MJM_Config.gs (MJM_EXPORT_*, MJM_TAILORED_RESUMES_SHEET_HEADERS, MJM_TAILORED_RESUME_MAX_CHARS,
+// MJM_SHEET_SCHEMAS) and Global_Constants.gs (APP_NAME, TAILORED_RESUMES_SHEET_TAB_NAME, PROFILE_DATA_SHEET_NAME, PROFILE_SCHEMA_VERSION).
+
+/**
+ * Menu entry: exports the data bundle as a logged run and shows the folder's link.
+ */
+function MJM_exportDataBundle_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const mainSS = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+  if (!mainSS) {
+    ui.alert("Export Data", "Main spreadsheet not available.", ui.ButtonSet.OK);
+    return;
+  }
+  try {
+    const summary = MJM_runWithRunLog('MJM_exportDataBundle', runLog => MJM_exportDataBundle(mainSS, runLog)); // MJM_RunLog.gs
+    ui.alert("Export Complete", `${summary.message}\n\nFolder: ${summary.folderUrl}`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert("Export Failed", `The export stopped: ${e.message}\nSee the "Run Errors" tab for details.`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Writes the export bundle to a new folder in the Drive root (where RTS also puts generated resumes).
+ * Sheets that don't exist yet are listed in the manifest's "missingSheets" instead of getting a CSV.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Object|null} runLog The run log from MJM_runWithRunLog; receives a note per missing sheet or unreadable resume.
+ * @return {{success: boolean, message: string, folderUrl: string, manifest: Object}} What was written.
+ */
+function MJM_exportDataBundle(ss, runLog) {
+  const timeZone = Session.getScriptTimeZone();
+  const exportedAt = new Date();
+  const folder = DriveApp.getRootFolder().createFolder(`${APP_NAME} Export ${Utilities.formatDate(exportedAt, timeZone, "yyyy-MM-dd HHmmss")}`); // Global_Constants.gs
+  const manifest = {
+    exportFormatVersion: MJM_EXPORT_FORMAT_VERSION, // MJM_Config.gs
+    appName: APP_NAME,
+    exportedAt: Utilities.formatDate(exportedAt, timeZone, "yyyy-MM-dd'T'HH:mm:ssXXX"),
+    timeZone: timeZone,
+    scriptProfileSchemaVersion: PROFILE_SCHEMA_VERSION, // Global_Constants.gs; the profile/resume version this script writes
+    spreadsheet: { id: ss.getId(), name: ss.getName(), url: ss.getUrl() },
+    files: [],
+    missingSheets: []
+  };
+
+  MJM_EXPORT_SHEET_NAMES.forEach(sheetName => { // MJM_Config.gs
+    const sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+      manifest.missingSheets.push(sheetName);
+      if (runLog) runLog.notes.push(`Export: "${sheetName}" sheet not found; no CSV written.`);
+      return;
+    }
+    const table = MJM_buildSheetCsv(sheet, timeZone);
+    const fileName = `${sheetName.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "")}.csv`;
+    folder.createFile(fileName, table.csv, MimeType.CSV);
+    const schema = MJM_SHEET_SCHEMAS.find(entry => entry.sheetName === sheetName);
+    manifest.files.push({
+      fileName: fileName, type: "csv", sheet: sheetName, rowCount: table.rowCount, columns: table.headers,
+      schemaVersion: MJM_getSheetSchemaVersion(sheet) || null, // MJM_SchemaMigrations.gs; null if the sheet was never stamped
+      latestSchemaVersion: schema ? schema.versions[schema.versions.length - 1].version : null // null: sheet isn't versioned (e.g. Tailored Resumes)
+    });
+  });
+
+  const masterProfile = RTS_getMasterProfileData(ss.getId(), PROFILE_DATA_SHEET_NAME); // RTS_MasterResumeData.gs; Global_Constants.gs
+  if (!masterProfile && runLog) runLog.notes.push(`Export: the "${PROFILE_DATA_SHEET_NAME}" profile could not be parsed; "masterProfile" is null.`);
+  const tailoredResumes = MJM_readTailoredResumes(ss, runLog);
+  folder.createFile(MJM_EXPORT_PROFILE_FILE_NAME, JSON.stringify({ masterProfile: masterProfile, tailoredResumes: tailoredResumes }, null, 2), "application/json");
+  manifest.files.push({
+    fileName: MJM_EXPORT_PROFILE_FILE_NAME, type: "json", sheets: [PROFILE_DATA_SHEET_NAME, TAILORED_RESUMES_SHEET_TAB_NAME],
+    profileSchemaVersion: masterProfile ? masterProfile.profileSchemaVersion : null,
+    tailoredResumeCount: tailoredResumes.length,
+    resumeSchemaVersions: tailoredResumes.map(entry => (entry.resume && entry.resume.resumeSchemaVersion) || null)
+      .filter((version, idx, versions) => versions.indexOf(version) === idx)
+  });
+  folder.createFile(MJM_EXPORT_MANIFEST_FILE_NAME, JSON.stringify(manifest, null, 2), "application/json");
+
+  Logger.log(`[INFO] MJM_Export (MJM_exportDataBundle): Wrote ${manifest.files.length + 1} file(s) to "${folder.getName()}".`);
+  const csvCount = manifest.files.filter(file => file.type === "csv").length;
+  return {
+    success: true,
+    message: `Exported ${csvCount} sheet(s) as CSV and ${tailoredResumes.length} tailored resume(s) to "${folder.getName()}".`
+      + (manifest.missingSheets.length ? ` Not found: ${manifest.missingSheets.join(", ")}.` : ""),
+    folderUrl: folder.getUrl(),
+    manifest: manifest
+  };
+}
+
+/**
+ * Converts a sheet's data range to CSV (RFC 4180: CRLF line ends, fields quoted when needed). Dates are written as
+ * ISO 8601 in the script time zone; other values as they are stored, not as displayed.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {string} timeZone The script time zone.
+ * @return {{csv: string, headers: string[], rowCount: number}} The CSV, the header row and the number of data rows.
+ */
+function MJM_buildSheetCsv(sheet, timeZone) {
+  if (sheet.getLastRow() < 1 || sheet.getLastColumn() < 1) return { csv: "", headers: [], rowCount: 0 };
+  const sheetValues = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+  const csvLines = sheetValues.map(rowValues => rowValues.map(value => {
+    const text = value instanceof Date ? Utilities.formatDate(value, timeZone, "yyyy-MM-dd'T'HH:mm:ssXXX") : String(value === null ? "" : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(","));
+  return { csv: csvLines.join("\r\n") + "\r\n", headers: sheetValues[0].map(header => String(header).trim()), rowCount: sheetValues.length - 1 };
+}
+
+/**
+ * Saves a tailored resume object generated by RTS Stage 3 to the "Tailored Resumes" sheet. Never throws, so a
+ * failure here can't fail the stage after its document was generated.
+ * @param {string} spreadsheetId The main spreadsheet's ID.
+ * @param {Object|null} jdAnalysis The job description analysis the resume was tailored to.
+ * @param {string} docUrl The generated document's URL.
+ * @param {Object} resumeObject The tailored resume object passed to RTS_createFormattedResumeDoc.
+ */
+function MJM_saveTailoredResume(spreadsheetId, jdAnalysis, docUrl, resumeObject) {
+  try {
+    const resumeJson = JSON.stringify(resumeObject);
+    if (resumeJson.length > MJM_TAILORED_RESUME_MAX_CHARS) { // MJM_Config.gs
+      Logger.log(`[WARN] MJM_Export (MJM_saveTailoredResume): Resume object is ${resumeJson.length} characters, over the ${MJM_TAILORED_RESUME_MAX_CHARS} a cell holds. Not saved.`);
+      return;
+    }
+    const ss = SpreadsheetApp.openById(spreadsheetId);
+    const resumesSheet = MJM_getOrCreateHistorySheet(ss, TAILORED_RESUMES_SHEET_TAB_NAME, MJM_TAILORED_RESUMES_SHEET_HEADERS); // MJM_EventLog.gs; Global_Constants.gs
+    resumesSheet.appendRow([new Date(), jdAnalysis ? (jdAnalysis.companyName || "") : "", jdAnalysis ? (jdAnalysis.jobTitle || "") : "", docUrl, resumeJson]);
+  } catch (e) {
+    Logger.log(`[WARN] MJM_Export (MJM_saveTailoredResume): ${e.message}`);
+  }
+}
+
+/**
+ * Reads every saved tailored resume, oldest first. Rows whose JSON can't be parsed are skipped with a run log note.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Object|null} runLog The run log, or null.
+ * @return {Array<{generatedAt: string, company: string, jobTitle: string, docUrl: string, resume: Object}>} The resumes.
+ */
+function MJM_readTailoredResumes(ss, runLog) {
+  const resumesSheet = ss.getSheetByName(TAILORED_RESUMES_SHEET_TAB_NAME); // Global_Constants.gs
+  if (!resumesSheet || resumesSheet.getLastRow() < 2) return [];
+  const rows = resumesSheet.getRange(2, 1, resumesSheet.getLastRow() - 1, MJM_TAILORED_RESUMES_SHEET_HEADERS.length).getValues();
+  const resumes = [];
+  rows.forEach((row, idx) => {
+    if (!row[4]) return;
+    try {
+      resumes.push({
+        generatedAt: row[0] instanceof Date ? row[0].toISOString() : String(row[0]),
+        company: String(row[1]), jobTitle: String(row[2]), docUrl: String(row[3]), resume: JSON.parse(row[4])
+      });
+    } catch (e) {
+      if (runLog) runLog.notes.push(`Export: "${TAILORED_RESUMES_SHEET_TAB_NAME}" row ${idx + 2} has invalid JSON; skipped.`);
+    }
+  });
+  return resumes;
+}
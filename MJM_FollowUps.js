@@ -0,0 +1,222 @@
+// File: MJM_FollowUps.gs
+// Description: Writes follow-up email drafts for applications that have gone quiet.
+// A daily job finds "Applications" rows past their follow-up window (or queued by the stale policy),
+// has Gemini compose a short personalized note using the row and any matching JDAnalysisData,
+// and saves it as a Gmail draft replying to the application's thread. The draft ID and date are
+// recorded on the row, so each application is only nudged automatically once.
+// Relies on constants from MJM_Config.gs (MJM_FOLLOW_UP_*, MJM_APP_FOLLOW_UP_* columns/values, MJM_CONTACT_*)
+// and Global_Constants.gs (sheet names, SHARED_GEMINI_API_KEY_PROPERTY, GLOBAL_DEBUG_MODE).
+
+/**
+ * Reads the JD analysis saved by RTS Stage 1 and returns a short context string if it is for this application.
+ * @param {Object|null} jdAnalysis The parsed JDAnalysisData JSON (or null).
+ * @param {string} company The application's company.
+ * @param {string} title The application's job title.
+ * @return {string} Context for the follow-up prompt, or "" if the analysis is for a different job.
+ */
+function MJM_buildFollowUpJdContext(jdAnalysis, company, title) {
+  if (!jdAnalysis || !jdAnalysis.jobTitle) return "";
+  const sameCompany = jdAnalysis.companyName && String(jdAnalysis.companyName).trim().toLowerCase() === String(company).trim().toLowerCase();
+  const sameTitle = MJM_normalizeJobTitle(jdAnalysis.jobTitle) === MJM_normalizeJobTitle(title); // MJM_Matching.gs
+  if (!sameCompany || !sameTitle) return "";
+  return [
+    `Key responsibilities: ${(jdAnalysis.keyResponsibilities || []).slice(0, 3).join("; ")}`,
+    `Primary keywords: ${(jdAnalysis.primaryKeywords || []).slice(0, 8).join(", ")}`,
+    jdAnalysis.companyCultureClues ? `Culture: ${[].concat(jdAnalysis.companyCultureClues).slice(0, 2).join("; ")}` : ""
+  ].filter(line => line).join("\n    ");
+}
+
+/**
+ * Maps application keys to the most recently contacted person in the "Contacts" sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @return {Object<string, {name:string, email:string, lastContact:Date}>} Contact by application key.
+ */
+function MJM_getContactsByApplicationKey(ss) {
+  const contactsByAppKey = {};
+  const contactsSheet = ss.getSheetByName(CONTACTS_SHEET_TAB_NAME); // Global_Constants.gs
+  if (!contactsSheet || contactsSheet.getLastRow() < 2) return contactsByAppKey;
+  const col = name => MJM_CONTACTS_SHEET_HEADERS.indexOf(name); // MJM_Config.gs
+  contactsSheet.getRange(2, 1, contactsSheet.getLastRow() - 1, MJM_CONTACTS_SHEET_HEADERS.length).getValues().forEach(row => {
+    const lastContact = row[col("Last Contact Date")] instanceof Date ? row[col("Last Contact Date")] : new Date(0);
+    MJM_splitIdList(row[col("Linked Applications")]).forEach(appKey => { // MJM_Matching.gs
+      if (!contactsByAppKey[appKey] || lastContact > contactsByAppKey[appKey].lastContact) {
+        contactsByAppKey[appKey] = { name: String(row[col("Name")] || ""), email: String(row[col("Email")] || ""), lastContact: lastContact };
+      }
+    });
+  });
+  return contactsByAppKey;
+}
+
+/**
+ * Decides where a follow-up draft goes: a reply on the application's thread to the latest message from a person,
+ * or (when the thread only has automated senders) a new draft to the application's known contact.
+ * @param {string[]} threadIds Gmail thread IDs linked to the application.
+ * @param {{name:string, email:string}|undefined} contact The application's contact from the "Contacts" sheet.
+ * @return {{replyToMessage:GoogleAppsScript.Gmail.GmailMessage|null, toEmail:string, toName:string, subject:string}|null} The target, or null if nobody can be reached.
+ */
+function MJM_resolveFollowUpTarget(threadIds, contact) {
+  let threadSubject = "";
+  for (let t = threadIds.length - 1; t >= 0; t--) { // Most recently linked thread first
+    let thread = null;
+    try { thread = GmailApp.getThreadById(threadIds[t]); } catch (e) { Logger.log(`[WARN] MJM_FollowUps: Could not open thread ${threadIds[t]}: ${e.message}`); }
+    if (!thread) continue;
+    const threadMessages = thread.getMessages();
+    threadSubject = threadSubject || threadMessages[0].getSubject();
+    for (let m = threadMessages.length - 1; m >= 0; m--) {
+      const senderAddresses = MJM_parseAddressHeader(threadMessages[m].getReplyTo() || threadMessages[m].getFrom()); // MJM_Contacts.gs
+      if (senderAddresses.length > 0 && !MJM_CONTACT_AUTOMATED_ADDRESS_PATTERN.test(senderAddresses[0].email)) { // MJM_Config.gs
+        const displayName = senderAddresses[0].name.replace(/\s+via\s+.*$/i, "").trim();
+        return { replyToMessage: threadMessages[m], toEmail: senderAddresses[0].email, toName: displayName, subject: threadMessages[m].getSubject() };
+      }
+    }
+  }
+  if (contact && contact.email) {
+    return { replyToMessage: null, toEmail: contact.email, toName: contact.name, subject: threadSubject ? `Re: ${threadSubject.replace(/^re:\s*/i, "")}` : "" };
+  }
+  return null;
+}
+
+/**
+ * Creates Gmail follow-up drafts for silent applications. Intended to be run by a daily time-driven trigger
+ * (after MJM_markStaleApplicationsAsRejected, so follow-ups it queues are drafted the same day) or from the menu.
+ * A row is eligible when its Follow-Up Status is "Queued", or when it is blank and the row's status has a
+ * window in MJM_FOLLOW_UP_WINDOW_DAYS_BY_STATUS that has passed. Drafted rows are never drafted again.
+ * Holds the script lock (skipping the run if email processing has it), so no row changes underneath the drafting.
+ */
+function MJM_createFollowUpDrafts() {
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(10000)) {
+    Logger.log("[WARN] Follow-Ups: Email processing holds the lock. Skipping this invocation; drafts will be written on the next run.");
+    return;
+  }
+  try {
+    MJM_runWithRunLog('MJM_createFollowUpDrafts', runLog => MJM_createFollowUpDraftsBatch(runLog)); // MJM_RunLog.gs; also counts the prompt's PII redactions
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Does the work of MJM_createFollowUpDrafts as a logged run. Call via MJM_createFollowUpDrafts() so the script lock is held.
+ * @param {Object|null} runLog The run log from MJM_runWithRunLog (MJM_RunLog.gs), if the run is being logged.
+ */
+function MJM_createFollowUpDraftsBatch(runLog) {
+  const SCRIPT_START_TIME = new Date();
+  Logger.log(`\n==== STARTING MJM_CREATE_FOLLOW_UP_DRAFTS (${SCRIPT_START_TIME.toLocaleString()}) ====`);
+  const DEBUG = (typeof GLOBAL_DEBUG_MODE !== 'undefined' ? GLOBAL_DEBUG_MODE : false); // Global_Constants.gs
+
+  const geminiApiKey = PropertiesService.getUserProperties().getProperty(SHARED_GEMINI_API_KEY_PROPERTY); // Global_Constants.gs
+  if (!geminiApiKey || !geminiApiKey.startsWith("AIza") || geminiApiKey.length <= 30) {
+    Logger.log("[WARN] Follow-Ups: Gemini API key is missing or invalid. Follow-up drafts need Gemini; skipping.");
+    return;
+  }
+  const mainSS = MJM_getOrCreateSpreadsheet_Core(); // From MJM_SheetUtils.gs
+  if (!mainSS) { Logger.log("[FATAL ERROR] Follow-Ups: Main application spreadsheet could not be accessed. Aborting."); return; }
+  const dataSheet = mainSS.getSheetByName(APP_TRACKER_SHEET_TAB_NAME); // Global_Constants.gs
+  if (!dataSheet || dataSheet.getLastRow() < 2) { Logger.log("[INFO] Follow-Ups: No application rows to check."); return; }
+  MJM_resolveAppSheetColumns(dataSheet); // MJM_SheetUtils.gs
+
+  const allSheetValues = dataSheet.getDataRange().getValues();
+  if (allSheetValues[0].length < MJM_APP_FOLLOW_UP_DRAFT_ID_COL) {
+    Logger.log(`[WARN] Follow-Ups: "${APP_TRACKER_SHEET_TAB_NAME}" has no Follow-Up Draft ID column yet. Re-run MJM setup to add it.`);
+    return;
+  }
+
+  let jdAnalysis = null;
+  try {
+    const jdSheet = mainSS.getSheetByName(JD_ANALYSIS_SHEET_NAME); // Global_Constants.gs
+    if (jdSheet && jdSheet.getLastRow() >= 2) jdAnalysis = JSON.parse(jdSheet.getRange(2, 1).getValue());
+  } catch (e) { if (DEBUG) Logger.log(`  Follow-Ups: JDAnalysisData not usable (${e.message}). Drafting without JD context.`); }
+  let senderName = "";
+  try { senderName = RTS_getMasterProfileData(mainSS.getId(), PROFILE_DATA_SHEET_NAME)?.personalInfo?.fullName || ""; } // RTS_MasterResumeData.gs
+  catch (e) { if (DEBUG) Logger.log(`  Follow-Ups: MasterProfile not usable (${e.message}). Drafts will have no signature name.`); }
+  const contactsByAppKey = MJM_getContactsByApplicationKey(mainSS);
+
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+  let draftsCreated = 0, rowsSkippedNoRecipient = 0, draftFailures = 0;
+
+  for (let i = 1; i < allSheetValues.length; i++) { // Start from 1 to skip header
+    if (draftsCreated >= MJM_FOLLOW_UP_MAX_DRAFTS_PER_RUN || (new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000 > MJM_APP_EMAILS_TIME_BUDGET_SECONDS) { // MJM_Config.gs
+      Logger.log(`[INFO] Follow-Ups: Reached the per-run limit. Remaining rows will be handled on the next run.`);
+      break;
+    }
+    const row = allSheetValues[i];
+    const appStatus = String(row[MJM_APP_STATUS_COL - 1] || "").trim();
+    const followUpStatus = String(row[MJM_APP_FOLLOW_UP_STATUS_COL - 1] || "").trim();
+    const lastUpdate = row[MJM_APP_LAST_UPDATE_DATE_COL - 1] instanceof Date ? row[MJM_APP_LAST_UPDATE_DATE_COL - 1] : null;
+    const company = String(row[MJM_APP_COMPANY_COL - 1] || "").trim();
+    const title = String(row[MJM_APP_JOB_TITLE_COL - 1] || "").trim();
+    if (!lastUpdate || !company || company === MANUAL_REVIEW_NEEDED_TEXT || MJM_STALE_FINAL_STATUSES_FOR_CHECK.has(appStatus)) continue;
+
+    const daysSinceUpdate = Math.floor((SCRIPT_START_TIME.getTime() - lastUpdate.getTime()) / MS_PER_DAY);
+    const windowDays = MJM_FOLLOW_UP_WINDOW_DAYS_BY_STATUS[appStatus]; // MJM_Config.gs
+    const isEligible = followUpStatus === MJM_APP_FOLLOW_UP_QUEUED || (!followUpStatus && typeof windowDays === 'number' && daysSinceUpdate >= windowDays);
+    if (!isEligible) continue;
+
+    const appKey = String(row[MJM_APP_KEY_COL - 1] || "").trim();
+    const contact = contactsByAppKey[appKey];
+    const target = MJM_resolveFollowUpTarget(MJM_splitIdList(row[MJM_APP_THREAD_IDS_COL - 1]), contact); // MJM_Matching.gs
+    if (!target) {
+      if (DEBUG) Logger.log(`    Row ${i + 1} Skip Follow-Up: No person to send to (only automated senders and no linked contact).`);
+      rowsSkippedNoRecipient++;
+      continue;
+    }
+
+    const composed = MJM_callGemini_forFollowUpEmail({ // MJM_GeminiService.gs
+      company: company, title: title === MANUAL_REVIEW_NEEDED_TEXT ? "open" : title, status: appStatus, daysSinceUpdate: daysSinceUpdate,
+      recipientName: (contact && contact.email === target.toEmail && contact.name) || target.toName, senderName: senderName,
+      jdContext: MJM_buildFollowUpJdContext(jdAnalysis, company, title)
+    }, geminiApiKey);
+    if (!composed.success) {
+      Logger.log(`[WARN] Follow-Ups: Row ${i + 1} (${company}) draft not written: ${composed.error}`);
+      MJM_recordRunError(runLog, composed.error, `Follow-up draft: row ${i + 1}`); // MJM_RunLog.gs
+      draftFailures++;
+      continue;
+    }
+
+    let draft;
+    try {
+      draft = target.replyToMessage
+        ? target.replyToMessage.createDraftReply(composed.body)
+        : GmailApp.createDraft(target.toEmail, target.subject || `Following up on my ${title} application`, composed.body);
+      draftsCreated++;
+      Logger.log(`[INFO] Follow-Ups: Draft created for row ${i + 1} (${title} @ ${company}) to ${target.toEmail}${target.replyToMessage ? " as a thread reply" : ""}.`);
+    } catch (eDraft) {
+      Logger.log(`[ERROR] Follow-Ups: Failed to create draft for row ${i + 1}: ${eDraft.message}`);
+      MJM_recordRunError(runLog, eDraft, `Follow-up draft: row ${i + 1}`);
+      draftFailures++;
+    }
+    if (draft) { // Recorded right away, so a timeout later in the run can't leave a draft the next run would repeat
+      try { MJM_writeFollowUpDraftColumns(dataSheet, { rowNum: i + 1, appKey: appKey, draftId: draft.getId(), draftedAt: new Date() }); }
+      catch (eWrite) {
+        Logger.log(`[ERROR] Follow-Ups: Draft created for row ${i + 1} but the sheet write failed; it may be drafted again: ${eWrite.message}`);
+        MJM_recordRunError(runLog, eWrite, `Sheet write: row ${i + 1}`); // MJM_RunLog.gs
+      }
+    }
+    Utilities.sleep(500);
+  }
+
+  MJM_recordRunStats(runLog, { rowsUpdated: draftsCreated }); // MJM_RunLog.gs
+  Logger.log(`[INFO] Follow-Ups: Drafts created ${draftsCreated}, skipped (no recipient) ${rowsSkippedNoRecipient}, failed ${draftFailures}.`);
+  Logger.log(`==== MJM_CREATE_FOLLOW_UP_DRAFTS END ==== Total Time: ${(new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000}s ====`);
+}
+
+/**
+ * Records a drafted follow-up on its row, writing only the three Follow-Up cells so edits made to the rest of the
+ * sheet while the draft was composed (e.g., by hand) are left alone. The row is found again by its application key,
+ * in case it moved; a row without a key is written at the row it was read from.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The "Applications" sheet.
+ * @param {{rowNum: number, appKey: string, draftId: string, draftedAt: Date}} drafted The drafted row.
+ */
+function MJM_writeFollowUpDraftColumns(dataSheet, drafted) {
+  const lastRow = dataSheet.getLastRow();
+  const currentKeys = (drafted.appKey && lastRow >= 2) ? dataSheet.getRange(2, MJM_APP_KEY_COL, lastRow - 1, 1).getValues().map(row => String(row[0] || "").trim()) : [];
+  const rowNum = drafted.appKey ? currentKeys.indexOf(drafted.appKey) + 2 : drafted.rowNum;
+  if (rowNum < 2) {
+    Logger.log(`[WARN] Follow-Ups: Application ${drafted.appKey} is no longer in the sheet; draft ${drafted.draftId} not recorded.`);
+    return;
+  }
+  dataSheet.getRange(rowNum, MJM_APP_FOLLOW_UP_STATUS_COL).setValue(MJM_APP_FOLLOW_UP_DRAFTED); // MJM_Config.gs
+  dataSheet.getRange(rowNum, MJM_APP_FOLLOW_UP_DATE_COL).setValue(drafted.draftedAt);
+  dataSheet.getRange(rowNum, MJM_APP_FOLLOW_UP_DRAFT_ID_COL).setValue(drafted.draftId);
+}
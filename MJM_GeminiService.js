@@ -1,21 +1,26 @@
 // File: MJM_GeminiService.gs (or MRM_GeminiService.gs)
 // Description: Handles all interactions with the Google Gemini API for
 // AI-powered parsing of email content specifically for MJM module tasks
-// (extracting job application details and job leads).
+// (extracting job application details, interview details and job leads, and writing follow-up emails).
 // Relies on constants from Global_Constants.gs (for API key prop, default model, shared text)
-// and MJM_Config.gs (for MJM-specific status examples in prompts).
+// and MJM_Config.gs (for MJM-specific status examples in prompts). Email text is masked by MJM_Redaction.gs before sending.
 
 /**
  * Calls the Gemini API to extract company name, job title, and application status
  * from an email subject and body, specifically for MJM Application Tracker.
+ * For interview scheduling/rescheduling emails it also extracts the interview details.
  *
  * @param {string} emailSubject The subject of the email.
  * @param {string} emailBody The plain text body of the email.
  * @param {string} apiKey The Gemini API key. (Passed directly, usually fetched by caller once per run).
- * @return {Object|null} An object like { company: string, title: string, status: string }
- *                       or null/MANUAL_REVIEW_NEEDED_TEXT as values on failure.
+ * @param {Date} [emailDate] When the email was sent; lets Gemini resolve relative dates like "next Tuesday".
+ * @return {Object|null} An object like { company: string, title: string, status: string, interview: Object|null,
+ *                       confidence: {company: number, title: number, status: number}, evidence: string }
+ *                       or null/MANUAL_REVIEW_NEEDED_TEXT as values on failure. "interview" holds the raw
+ *                       start_datetime, duration_minutes, format, meeting_link, location and interviewer_names.
+ *                       "confidence" is per field (0-1) and "evidence" quotes the text that decided the status.
  */
-function MJM_callGemini_forApplicationDetails(emailSubject, emailBody, apiKey) {
+function MJM_callGemini_forApplicationDetails(emailSubject, emailBody, apiKey, emailDate) {
   // API Key check is usually done by the calling function (e.g., MJM_processJobApplicationEmails) once.
   // If apiKey is not provided to this function, it will fail at UrlFetchApp.
   // GLOBAL_DEBUG_MODE, MANUAL_REVIEW_NEEDED_TEXT from Global_Constants.gs
@@ -24,7 +29,7 @@ function MJM_callGemini_forApplicationDetails(emailSubject, emailBody, apiKey) {
 
   if ((!emailSubject || emailSubject.trim() === "") && (!emailBody || emailBody.trim() === "")) {
     Logger.log("[WARN] MJM_GeminiService (AppDetails): Both email subject and body are empty. Skipping Gemini call.");
-    return { company: MANUAL_REVIEW_NEEDED_TEXT, title: MANUAL_REVIEW_NEEDED_TEXT, status: MANUAL_REVIEW_NEEDED_TEXT };
+    return { company: MANUAL_REVIEW_NEEDED_TEXT, title: MANUAL_REVIEW_NEEDED_TEXT, status: MANUAL_REVIEW_NEEDED_TEXT, interview: null, confidence: { company: 0, title: 0, status: 0 }, evidence: "" };
   }
 
   // DEFAULT_GEMINI_MODEL from Global_Constants.gs
@@ -32,15 +37,20 @@ function MJM_callGemini_forApplicationDetails(emailSubject, emailBody, apiKey) {
   const API_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${modelToUse}:generateContent?key=${apiKey}`;
   if(DEBUG) Logger.log(`[DEBUG] MJM_GeminiService (AppDetails): Using API Endpoint: ${API_ENDPOINT.split('key=')[0] + "key=..."}`);
 
-  const bodySnippet = emailBody ? emailBody.substring(0, 12000) : ""; // Max 12k chars for body snippet
+  const bodySnippet = MJM_redactTextForLlm(emailBody ? emailBody.substring(0, 12000) : ""); // Max 12k chars for body snippet; PII masked (MJM_Redaction.gs)
+  const subjectForPrompt = MJM_redactTextForLlm(emailSubject || "");
+  const emailDateText = (emailDate instanceof Date && !isNaN(emailDate.getTime()))
+    ? Utilities.formatDate(emailDate, Session.getScriptTimeZone(), "yyyy-MM-dd'T'HH:mm:ssXXX (EEEE)") : "Unknown";
 
   const prompt = `
     Analyze the provided email Subject and Body for a job application tracking system.
-    Extract: "company_name", "job_title", and "status".
-    Return ONLY a single, valid JSON object: {"company_name": "...", "job_title": "...", "status": "..."}. No markdown.
+    Extract: "company_name", "job_title", "status", "interview", "confidence" and "evidence".
+    Return ONLY a single, valid JSON object: {"company_name": "...", "job_title": "...", "status": "...", "interview": null, "confidence": {"company_name": 0.0, "job_title": 0.0, "status": 0.0}, "evidence": "..."}. No markdown.
+
+    The Body may have been converted from HTML: table cells are separated by " | " and links appear as "link text (URL)".
 
     **RELEVANCE CHECK (PRIORITY 1):**
-    - If the email IS NOT DIRECTLY for a job application submitted by the recipient (e.g., general newsletters, marketing, job alerts not tied to a submission, sales pitches, spam), set ALL three fields to "${MANUAL_REVIEW_NEEDED_TEXT}". Output: {"company_name": "${MANUAL_REVIEW_NEEDED_TEXT}","job_title": "${MANUAL_REVIEW_NEEDED_TEXT}","status": "${MANUAL_REVIEW_NEEDED_TEXT}"}
+    - If the email IS NOT DIRECTLY for a job application submitted by the recipient (e.g., general newsletters, marketing, job alerts not tied to a submission, sales pitches, spam), set ALL three fields to "${MANUAL_REVIEW_NEEDED_TEXT}". Output: {"company_name": "${MANUAL_REVIEW_NEEDED_TEXT}","job_title": "${MANUAL_REVIEW_NEEDED_TEXT}","status": "${MANUAL_REVIEW_NEEDED_TEXT}","interview": null,"confidence": {"company_name": 0.0,"job_title": 0.0,"status": 0.0},"evidence": ""}
 
     **IF APPLICATION-RELATED (PRIORITY 2):**
     1.  "company_name": HIRING COMPANY name. Not the ATS (Greenhouse, Lever), not the job board (LinkedIn, Indeed) unless they are the direct hirer. If unclear, use "${MANUAL_REVIEW_NEEDED_TEXT}".
@@ -54,26 +64,47 @@ function MJM_callGemini_forApplicationDetails(emailSubject, emailBody, apiKey) {
         *   "${MJM_APP_VIEWED_STATUS}" (Application viewed by recruiter/company)
         *   "Update/Other" (General updates, "still reviewing", unclear status)
         If truly ambiguous but application-related, use "${MANUAL_REVIEW_NEEDED_TEXT}" for status as a last resort.
+        The email may be in ANY language (e.g., German, French, Spanish, Portuguese). Always return one of the English status values above, translating the meaning
+        (e.g., "leider" / "malheureusement" / "lamentablemente" / "infelizmente" rejections -> "${MJM_APP_REJECTED_STATUS}"; "Vorstellungsgespräch" / "entretien" / "entrevista" -> "${MJM_APP_INTERVIEW_STATUS}").
+        Keep "company_name" and "job_title" as written in the email (do not translate them); "evidence" stays in the email's original language.
+    4.  "interview": ONLY if THIS email schedules, confirms or reschedules an interview at a specific time, return an object:
+        {"start_datetime": "ISO 8601 with UTC offset, e.g. 2025-03-04T14:00:00-05:00 (resolve relative dates using the Email Date; use the time zone stated in the email, else the Email Date's offset)",
+         "duration_minutes": number or null, "format": one of ${MJM_INTERVIEW_FORMATS.map(f => `"${f}"`).join(", ")} or null,
+         "meeting_link": "Zoom/Meet/Teams URL" or null, "location": "street address for onsite" or null,
+         "interviewer_names": ["Full Name", ...] or []}
+        If no specific time is given yet (e.g., "please pick a slot"), still return the object with "start_datetime": null. Otherwise use null.
+    5.  "confidence": For each of "company_name", "job_title" and "status", a number from 0.0 to 1.0 for how sure you are of THAT value.
+        Use 0.9+ only when the value is stated explicitly in this email, ~0.6 when inferred (e.g., company from a signature or domain), and 0.0 for "${MANUAL_REVIEW_NEEDED_TEXT}".
+    6.  "evidence": The shortest exact quote (max 150 characters) from THIS email that determined "status", or "" if none.
 
     --- EXAMPLES (using your system's status values) ---
     Subject: Your application was sent to MycoWorks
     Body: LinkedIn. Your application was sent to MycoWorks. Data Architect.
-    Output: {"company_name": "MycoWorks","job_title": "Data Architect","status": "${MJM_APP_DEFAULT_STATUS}"}
+    Output: {"company_name": "MycoWorks","job_title": "Data Architect","status": "${MJM_APP_DEFAULT_STATUS}","interview": null,"confidence": {"company_name": 0.95,"job_title": 0.9,"status": 0.95},"evidence": "Your application was sent to MycoWorks"}
 
     Subject: Update on your application for Product Manager at MegaEnterprises
     Body: From: no-reply@greenhouse.io. ...we have decided to move forward with other candidates...
-    Output: {"company_name": "MegaEnterprises","job_title": "Product Manager","status": "${MJM_APP_REJECTED_STATUS}"}
+    Output: {"company_name": "MegaEnterprises","job_title": "Product Manager","status": "${MJM_APP_REJECTED_STATUS}","interview": null,"confidence": {"company_name": 0.95,"job_title": 0.95,"status": 0.95},"evidence": "we have decided to move forward with other candidates"}
+
+    Subject: Interview confirmed: Data Engineer at Northwind (Email Date: 2025-03-03T09:12:00-05:00)
+    Body: Hi, your video interview with Priya Shah and Tom Lee is confirmed for Thursday, March 6 at 2:00 PM ET (60 minutes). Join: https://zoom.us/j/123456
+    Output: {"company_name": "Northwind","job_title": "Data Engineer","status": "${MJM_APP_INTERVIEW_STATUS}","interview": {"start_datetime": "2025-03-06T14:00:00-05:00","duration_minutes": 60,"format": "Video","meeting_link": "https://zoom.us/j/123456","location": null,"interviewer_names": ["Priya Shah","Tom Lee"]},"confidence": {"company_name": 0.95,"job_title": 0.95,"status": 0.95},"evidence": "your video interview with Priya Shah and Tom Lee is confirmed"}
 
     Subject: Thank you for applying to Handshake! (Application received, no title repeated in body)
     Body: no-reply@greenhouse.io. Hi Francis, Thank you for your interest in Handshake! We have received your application...
-    Output: {"company_name": "Handshake","job_title": "${MANUAL_REVIEW_NEEDED_TEXT}","status": "${MJM_APP_DEFAULT_STATUS}"}
+    Output: {"company_name": "Handshake","job_title": "${MANUAL_REVIEW_NEEDED_TEXT}","status": "${MJM_APP_DEFAULT_STATUS}","interview": null,"confidence": {"company_name": 0.95,"job_title": 0.0,"status": 0.95},"evidence": "We have received your application"}
+
+    Subject: Ihre Bewerbung als Softwareentwickler bei Contoso GmbH
+    Body: Sehr geehrter Herr Müller, vielen Dank für Ihre Bewerbung. Leider müssen wir Ihnen mitteilen, dass wir uns für einen anderen Kandidaten entschieden haben.
+    Output: {"company_name": "Contoso GmbH","job_title": "Softwareentwickler","status": "${MJM_APP_REJECTED_STATUS}","interview": null,"confidence": {"company_name": 0.95,"job_title": 0.9,"status": 0.95},"evidence": "wir uns für einen anderen Kandidaten entschieden haben"}
 
     Subject: Join our webinar on Future Tech! (Unrelated)
-    Output: {"company_name": "${MANUAL_REVIEW_NEEDED_TEXT}","job_title": "${MANUAL_REVIEW_NEEDED_TEXT}","status": "${MANUAL_REVIEW_NEEDED_TEXT}"}
+    Output: {"company_name": "${MANUAL_REVIEW_NEEDED_TEXT}","job_title": "${MANUAL_REVIEW_NEEDED_TEXT}","status": "${MANUAL_REVIEW_NEEDED_TEXT}","interview": null,"confidence": {"company_name": 0.0,"job_title": 0.0,"status": 0.0},"evidence": ""}
     --- END EXAMPLES ---
 
     --- EMAIL TO PROCESS ---
-    Subject: ${emailSubject}
+    Email Date: ${emailDateText}
+    Subject: ${subjectForPrompt}
     Body:
     ${bodySnippet}
     --- END OF EMAIL TO PROCESS ---
@@ -82,7 +113,7 @@ function MJM_callGemini_forApplicationDetails(emailSubject, emailBody, apiKey) {
 
   const payload = {
     "contents": [{"parts": [{"text": prompt}]}],
-    "generationConfig": { "temperature": 0.2, "maxOutputTokens": 512, "topP": 0.95, "topK": 40 },
+    "generationConfig": { "temperature": 0.2, "maxOutputTokens": 1024, "topP": 0.95, "topK": 40 },
     "safetySettings": [ /* ... standard safety settings ... */
       { "category": "HARM_CATEGORY_HARASSMENT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
       { "category": "HARM_CATEGORY_HATE_SPEECH", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
@@ -94,11 +125,12 @@ function MJM_callGemini_forApplicationDetails(emailSubject, emailBody, apiKey) {
 
   if(DEBUG) Logger.log(`[DEBUG] MJM_GeminiService (AppDetails): Calling API. Prompt len: ${prompt.length}`);
   let response, attempt = 0, maxAttempts = 2;
-  let result = { company: MANUAL_REVIEW_NEEDED_TEXT, title: MANUAL_REVIEW_NEEDED_TEXT, status: MANUAL_REVIEW_NEEDED_TEXT }; // Default to this
+  let result = { company: MANUAL_REVIEW_NEEDED_TEXT, title: MANUAL_REVIEW_NEEDED_TEXT, status: MANUAL_REVIEW_NEEDED_TEXT, interview: null, confidence: { company: 0, title: 0, status: 0 }, evidence: "" }; // Default to this
 
   while(attempt < maxAttempts){
     attempt++;
     try {
+      MJM_countLlmCall(); // MJM_RunLog.gs; counts retries too
       response = UrlFetchApp.fetch(API_ENDPOINT, options);
       const responseCode = response.getResponseCode(); const responseBody = response.getContentText();
       if(DEBUG) Logger.log(`  (AppDetails Attempt ${attempt}) RC: ${responseCode}. Body(start): ${responseBody.substring(0,150)}`);
@@ -117,8 +149,12 @@ function MJM_callGemini_forApplicationDetails(emailSubject, emailBody, apiKey) {
               result = { // Use MANUAL_REVIEW_NEEDED_TEXT as fallback if a field is empty but key exists
                   company: extractedData.company_name || MANUAL_REVIEW_NEEDED_TEXT,
                   title: extractedData.job_title || MANUAL_REVIEW_NEEDED_TEXT,
-                  status: extractedData.status || MANUAL_REVIEW_NEEDED_TEXT
+                  status: extractedData.status || MANUAL_REVIEW_NEEDED_TEXT,
+                  interview: (extractedData.interview && typeof extractedData.interview === 'object') ? extractedData.interview : null,
+                  confidence: MJM_normalizeGeminiConfidence(extractedData.confidence, extractedData),
+                  evidence: typeof extractedData.evidence === 'string' ? extractedData.evidence.trim() : ""
               };
+              if (DEBUG && result.interview) Logger.log(`[DEBUG] MJM_GeminiService (AppDetails): Interview details: ${JSON.stringify(result.interview)}`);
               return result; // Success, exit loop
             } else { Logger.log(`[WARN] MJM_GeminiService (AppDetails): JSON missing expected fields. Output: ${extractedJsonString}`); }
           } catch (e) { Logger.log(`[ERROR] MJM_GeminiService (AppDetails): Error parsing JSON string from Gemini: ${e}\nString: >>>${extractedJsonString}<<<`); }
@@ -148,6 +184,120 @@ function MJM_callGemini_forApplicationDetails(emailSubject, emailBody, apiKey) {
 }
 
 
+/**
+ * Turns Gemini's "confidence" object into per-field numbers between 0 and 1.
+ * Missing or invalid values get MJM_PARSE_CONFIDENCE_GEMINI_DEFAULT; fields Gemini left as MANUAL_REVIEW_NEEDED_TEXT get 0.
+ * @param {Object|undefined} rawConfidence The "confidence" object from Gemini's JSON.
+ * @param {Object} extractedData The full JSON object (to check which fields were left for manual review).
+ * @return {{company: number, title: number, status: number}} The per-field confidences.
+ */
+function MJM_normalizeGeminiConfidence(rawConfidence, extractedData) {
+  const fieldKeys = { company: "company_name", title: "job_title", status: "status" };
+  const confidence = {};
+  Object.keys(fieldKeys).forEach(field => {
+    const jsonKey = fieldKeys[field];
+    const rawValue = Number(rawConfidence && typeof rawConfidence === 'object' ? rawConfidence[jsonKey] : NaN);
+    const isUnresolved = !extractedData[jsonKey] || extractedData[jsonKey] === MANUAL_REVIEW_NEEDED_TEXT;
+    confidence[field] = isUnresolved ? 0 : (isNaN(rawValue) ? MJM_PARSE_CONFIDENCE_GEMINI_DEFAULT : Math.min(Math.max(rawValue, 0), 1)); // MJM_Config.gs
+  });
+  return confidence;
+}
+
+
+/**
+ * Calls the Gemini API to write a short, personalized follow-up email for a silent application.
+ * @param {Object} followUpContext
+ * @param {string} followUpContext.company Company name from the "Applications" row.
+ * @param {string} followUpContext.title Job title from the "Applications" row.
+ * @param {string} followUpContext.status Current application status.
+ * @param {number} followUpContext.daysSinceUpdate Days since the last email about this application.
+ * @param {string} [followUpContext.recipientName] Recruiter name, if known (from the "Contacts" sheet).
+ * @param {string} [followUpContext.senderName] The applicant's name (from the MasterProfile sheet).
+ * @param {string} [followUpContext.jdContext] Summary of the matching JDAnalysisData entry, if any.
+ * @param {string} apiKey The Gemini API key. (Passed directly by caller).
+ * @return {{success: boolean, body: string|null, error: string|null}} Result object with the plain text email body.
+ */
+function MJM_callGemini_forFollowUpEmail(followUpContext, apiKey) {
+  // API Key check by caller. GLOBAL_DEBUG_MODE, DEFAULT_GEMINI_MODEL from Global_Constants.gs
+  const DEBUG = GLOBAL_DEBUG_MODE;
+  const modelToUse = DEFAULT_GEMINI_MODEL;
+  const API_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/${modelToUse}:generateContent?key=${apiKey}`;
+
+  // Names never go to Gemini: the prompt carries placeholders, filled in below once the text comes back.
+  // The other context strings are masked like email text (MJM_Redaction.gs), so their redactions are counted too.
+  const company = MJM_redactTextForLlm(followUpContext.company);
+  const title = MJM_redactTextForLlm(followUpContext.title);
+  const jdContext = MJM_redactTextForLlm(followUpContext.jdContext);
+  const recipientFirstName = String(followUpContext.recipientName || "").trim().split(/\s+/)[0];
+  const senderName = String(followUpContext.senderName || "").trim();
+
+  const promptText = `
+    Write a short, polite follow-up email from a job applicant about an application that has gone quiet.
+    Rules: 60-120 words. Plain text only, no subject line, no markdown, no placeholders in brackets other than the ones named below.
+    Greet ${recipientFirstName ? `the recipient exactly as "Hi ${MJM_FOLLOW_UP_RECIPIENT_PLACEHOLDER},"` : `the hiring team ("Hi ${company} team,")`}.
+    Restate interest in the ${title} role at ${company}, mention ONE specific, relevant strength
+    (use the job details below if provided; otherwise keep it general), and ask politely about next steps or timeline.
+    Do not sound desperate, do not apologize, and do not invent facts about the applicant.
+    ${senderName ? `Sign off with the name written exactly as "${MJM_FOLLOW_UP_SENDER_PLACEHOLDER}".` : "End with a simple sign-off and no name."}
+
+    Application: ${title} at ${company}
+    Current status: ${MJM_redactTextForLlm(followUpContext.status)} (no news for ${followUpContext.daysSinceUpdate} days)
+    ${jdContext ? `Job details:\n    ${jdContext}` : ""}
+
+    Email body:
+  `;
+
+  const payload = {
+      contents: [{ parts: [{ "text": promptText }] }],
+      generationConfig: { "temperature": 0.6, "maxOutputTokens": 512 },
+      safetySettings: [ /* ... standard safety settings ... */
+        { "category": "HARM_CATEGORY_HARASSMENT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
+        { "category": "HARM_CATEGORY_HATE_SPEECH", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
+        { "category": "HARM_CATEGORY_SEXUALLY_EXPLICIT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" },
+        { "category": "HARM_CATEGORY_DANGEROUS_CONTENT", "threshold": "BLOCK_MEDIUM_AND_ABOVE" }
+      ]
+  };
+  const options = {'method': "post", 'contentType': "application/json", 'payload': JSON.stringify(payload), 'muteHttpExceptions': true};
+
+  if(DEBUG) Logger.log(`[DEBUG] MJM_GeminiService (FollowUp): Calling API for "${title}" at "${company}". Prompt len: ${promptText.length}`);
+  let attempt = 0, maxAttempts = 2;
+
+  while (attempt < maxAttempts) {
+      attempt++;
+      try {
+          MJM_countLlmCall(); // MJM_RunLog.gs; counts retries too
+          const response = UrlFetchApp.fetch(API_ENDPOINT, options);
+          const responseCode = response.getResponseCode();
+          const responseBody = response.getContentText();
+
+          if (responseCode === 200) {
+              const jsonResponse = JSON.parse(responseBody);
+              const emailText = jsonResponse.candidates?.[0]?.content?.parts?.[0]?.text;
+              if (typeof emailText === 'string' && emailText.trim()) {
+                  const emailBody = emailText.replace(/^```\w*\s*|```\s*$/g, "").trim()
+                    .split(MJM_FOLLOW_UP_RECIPIENT_PLACEHOLDER).join(recipientFirstName)
+                    .split(MJM_FOLLOW_UP_SENDER_PLACEHOLDER).join(senderName);
+                  return { success: true, body: emailBody, error: null };
+              }
+              const blockReason = jsonResponse.promptFeedback?.blockReason;
+              Logger.log(`[ERROR] MJM_GeminiService (FollowUp): No text in response${blockReason ? ` (blocked: ${blockReason})` : ""}. Body: ${responseBody.substring(0,300)}`);
+              return { success: false, body: null, error: blockReason ? `Blocked: ${blockReason}` : "Empty response from Gemini." };
+          } else if (responseCode === 429 && attempt < maxAttempts) {
+              Logger.log(`[WARN] MJM_GeminiService (FollowUp): Rate limit (429) on attempt ${attempt}. Waiting...`);
+              Utilities.sleep(3000 + Math.random() * 2000); continue;
+          } else {
+              Logger.log(`[ERROR] MJM_GeminiService (FollowUp): API error. Code: ${responseCode}. Body: ${responseBody.substring(0,500)}`);
+              return { success: false, body: null, error: `API Error ${responseCode}: ${responseBody.substring(0, 200)}` };
+          }
+      } catch (e) {
+          Logger.log(`[ERROR] MJM_GeminiService (FollowUp): Exception during API call (Attempt ${attempt}): ${e.toString()}`);
+          if (attempt < maxAttempts) { Utilities.sleep(2000); continue; }
+          return { success: false, body: null, error: `UrlFetchApp Error after ${maxAttempts} attempts: ${e.toString()}` };
+      }
+  }
+  return { success: false, body: null, error: `Exceeded max retry attempts for Gemini FollowUp API call.` };
+}
+
 /**
  * Calls the Gemini API to extract multiple job leads from an email body.
  * This function is specifically for the MJM Job Leads Tracker module.
@@ -194,7 +344,7 @@ function MJM_callGemini_forJobLeads(emailBody, apiKey) {
 
     Email Content:
     ---
-    ${emailBody.substring(0, 28000)} 
+    ${MJM_redactTextForLlm(emailBody.substring(0, 28000))} 
     ---
     JSON Array Output:
   `;
@@ -217,6 +367,7 @@ function MJM_callGemini_forJobLeads(emailBody, apiKey) {
   while (attempt < maxAttempts) {
       attempt++;
       try {
+          MJM_countLlmCall(); // MJM_RunLog.gs; counts retries too
           const response = UrlFetchApp.fetch(API_ENDPOINT, options);
           const responseCode = response.getResponseCode();
           const responseBody = response.getContentText();
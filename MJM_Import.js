@@ -0,0 +1,308 @@
+// File: MJM_Import.gs
+// Description: Imports applications from other trackers' exports (LinkedIn "Job Applications", Huntr, Teal or any CSV/JSON
+// file) stored in Drive, for users who start using the suite partway through a search. Importing takes two steps:
+// "Load File" reads the file and lists its columns and status values in the "Import Mapping" sheet with guessed targets.
+// After the user reviews them, "Run Import" adds each record as an application. Records that match an existing row
+// (same company/title scoring as email processing, MJM_Matching.gs) are merged into it like a manual entry instead.
+// Imported history is logged as status events, but sends no alerts or webhooks.
+// Relies on constants from MJM_Config.gs (MJM_IMPORT_*, MJM_APP_* columns & statuses, MJM_EVENT_PARSER_IMPORT)
+// and Global_Constants.gs (IMPORT_MAPPING_SHEET_TAB_NAME, APP_TRACKER_SHEET_TAB_NAME).
+
+/**
+ * Menu entry, step 1: asks for a Drive file, reads it and writes its column/status mapping to the "Import Mapping" sheet.
+ */
+function MJM_loadImportFile_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt("Import Applications: Load File", "Paste the Google Drive link or file ID of a CSV or JSON export\n(LinkedIn \"Job Applications\", Huntr, Teal, or your own spreadsheet saved as CSV):", ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const fileId = (response.getResponseText().match(/[-\w]{25,}/) || [])[0];
+  if (!fileId) {
+    ui.alert("Import Applications", "That doesn't look like a Google Drive link or file ID.", ui.ButtonSet.OK);
+    return;
+  }
+  try {
+    const importFile = MJM_readImportFile(fileId);
+    const mainSS = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+    const mappingSheet = MJM_writeImportMapping(mainSS, importFile);
+    PropertiesService.getUserProperties().setProperty(MJM_IMPORT_FILE_ID_PROPERTY, fileId); // MJM_Config.gs
+    mainSS.setActiveSheet(mappingSheet);
+    ui.alert("Import Applications", `Read ${importFile.records.length} record(s) with ${importFile.columns.length} column(s) from "${importFile.fileName}".\n\n`
+      + `Check the "Maps To" column of the "${IMPORT_MAPPING_SHEET_TAB_NAME}" tab (columns, then status values), then run "Import Applications: Run Import".`, ui.ButtonSet.OK);
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Import (MJM_loadImportFile_UI): ${e.message}`);
+    ui.alert("Import Applications", `The file could not be loaded: ${e.message}`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu entry, step 2: imports the loaded file with the mapping from the "Import Mapping" sheet, as a logged run.
+ */
+function MJM_runApplicationImport_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const fileId = PropertiesService.getUserProperties().getProperty(MJM_IMPORT_FILE_ID_PROPERTY); // MJM_Config.gs
+  const mainSS = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+  const mappingSheet = mainSS ? mainSS.getSheetByName(IMPORT_MAPPING_SHEET_TAB_NAME) : null; // Global_Constants.gs
+  const dataSheet = mainSS ? mainSS.getSheetByName(APP_TRACKER_SHEET_TAB_NAME) : null;
+  if (!fileId || !mappingSheet || mappingSheet.getLastRow() < 2) {
+    ui.alert("Import Applications", `There is no file to import. Run "Import Applications: Load File..." first.`, ui.ButtonSet.OK);
+    return;
+  }
+  if (!dataSheet) {
+    ui.alert("Import Applications", `The "${APP_TRACKER_SHEET_TAB_NAME}" sheet was not found. Run the setup first.`, ui.ButtonSet.OK);
+    return;
+  }
+  let importFile;
+  try { importFile = MJM_readImportFile(fileId); }
+  catch (e) { ui.alert("Import Applications", `The file could not be read: ${e.message}`, ui.ButtonSet.OK); return; }
+  const mapping = MJM_readImportMapping(mappingSheet);
+  if (!Object.values(mapping.columns).includes("Company Name") || !Object.values(mapping.columns).includes("Job Title")) {
+    ui.alert("Import Applications", `Map a column to "Company Name" and one to "Job Title" in the "${IMPORT_MAPPING_SHEET_TAB_NAME}" tab first.`, ui.ButtonSet.OK);
+    return;
+  }
+  const confirmation = ui.alert("Import Applications", `Import ${importFile.records.length} record(s) from "${importFile.fileName}" into "${APP_TRACKER_SHEET_TAB_NAME}"?\nRecords matching an existing application are merged into it.`, ui.ButtonSet.YES_NO);
+  if (confirmation !== ui.Button.YES) return;
+
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(10000)) {
+    ui.alert("Import Applications", "Email processing is running right now. Try again in a few minutes.", ui.ButtonSet.OK);
+    return;
+  }
+  try {
+    const summary = MJM_runWithRunLog('MJM_importApplications', runLog => MJM_importApplications(mainSS, dataSheet, importFile, mapping, runLog)); // MJM_RunLog.gs
+    const moreSkips = summary.skipReasons.length > MJM_IMPORT_MAX_REPORTED_SKIPS ? `\n...and ${summary.skipReasons.length - MJM_IMPORT_MAX_REPORTED_SKIPS} more` : "";
+    ui.alert("Import Complete", `${summary.message}${summary.skipReasons.length ? `\n\nSkipped:\n${summary.skipReasons.slice(0, MJM_IMPORT_MAX_REPORTED_SKIPS).join("\n")}${moreSkips}` : ""}`, ui.ButtonSet.OK);
+  } catch (e) {
+    ui.alert("Import Failed", `The import stopped: ${e.message}\nSee the "Run Errors" tab for details.`, ui.ButtonSet.OK);
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Reads a CSV or JSON export from Drive. JSON may be an array of objects or an object holding one.
+ * @param {string} fileId The Drive file ID.
+ * @return {{fileName: string, columns: string[], records: Array<{sourceRef: string, values: Object}>}} The file's
+ *         column names (in file order) and records keyed by column name.
+ * @throws {Error} If the file can't be read or parsed, or has no records.
+ */
+function MJM_readImportFile(fileId) {
+  const file = DriveApp.getFileById(fileId);
+  const fileName = file.getName();
+  const fileText = file.getBlob().getDataAsString("UTF-8").replace(/^\uFEFF/, "");
+  const isJson = /\.json$/i.test(fileName) || file.getMimeType() === "application/json" || /^\s*[\[{]/.test(fileText);
+  const columns = [];
+  const records = [];
+
+  if (isJson) {
+    let parsed;
+    try { parsed = JSON.parse(fileText); } catch (e) { throw new Error(`"${fileName}" is not valid JSON: ${e.message}`); }
+    const items = Array.isArray(parsed) ? parsed : Object.values(parsed || {}).find(value => Array.isArray(value)) || [];
+    items.forEach((item, idx) => {
+      if (!item || typeof item !== "object" || Array.isArray(item)) return;
+      const values = {};
+      Object.keys(item).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+        const value = item[key];
+        values[key] = value === null || value === undefined ? ""
+          : Array.isArray(value) && value.every(part => typeof part !== "object") ? value.join(", ")
+          : typeof value === "object" ? JSON.stringify(value) : String(value);
+      });
+      records.push({ sourceRef: `Item ${idx + 1}`, values: values });
+    });
+  } else {
+    const csvRows = Utilities.parseCsv(fileText);
+    if (csvRows.length > 0) csvRows[0].forEach((header, colIdx) => columns.push(String(header).trim() || `Column ${colIdx + 1}`));
+    csvRows.slice(1).forEach((csvRow, idx) => {
+      if (csvRow.every(value => !String(value).trim())) return;
+      const values = {};
+      columns.forEach((column, colIdx) => { if (!(column in values)) values[column] = String(csvRow[colIdx] === undefined ? "" : csvRow[colIdx]); });
+      records.push({ sourceRef: `Row ${idx + 2}`, values: values });
+    });
+  }
+  if (records.length === 0) throw new Error(`No records were found in "${fileName}".`);
+  return { fileName: fileName, columns: columns, records: records };
+}
+
+/**
+ * Guesses the "Applications" column a source column maps to, from MJM_IMPORT_COLUMN_ALIASES.
+ * @param {string} sourceColumn The source column name.
+ * @return {string} An "Applications" header, or MJM_IMPORT_IGNORE_COLUMN.
+ */
+function MJM_guessImportColumnTarget(sourceColumn) {
+  const columnLC = String(sourceColumn).trim().toLowerCase();
+  return Object.keys(MJM_IMPORT_COLUMN_ALIASES).find(appHeader => MJM_IMPORT_COLUMN_ALIASES[appHeader].includes(columnLC)) || MJM_IMPORT_IGNORE_COLUMN; // MJM_Config.gs
+}
+
+/**
+ * Normalizes a source status onto MJM_APP_STATUS_HIERARCHY: by alias, then by status name. Unknown statuses become the
+ * default status, since every imported record was at least applied to.
+ * @param {string} sourceStatus The status as written in the file.
+ * @return {string} A status from the hierarchy, or MJM_IMPORT_SKIP_ROW.
+ */
+function MJM_guessImportStatus(sourceStatus) {
+  const statusLC = String(sourceStatus || "").trim().toLowerCase();
+  if (!statusLC) return MJM_APP_DEFAULT_STATUS;
+  if (MJM_IMPORT_STATUS_ALIASES[statusLC]) return MJM_IMPORT_STATUS_ALIASES[statusLC]; // MJM_Config.gs
+  return MJM_getManualEntryFormOptions().statuses.find(status => status.toLowerCase() === statusLC) || MJM_APP_DEFAULT_STATUS; // MJM_ManualEntry.gs
+}
+
+/**
+ * Rewrites the "Import Mapping" sheet for a file: one "Column" row per source column, then, if a column maps to
+ * "Status", one "Status" row per distinct status value with its row count. "Maps To" holds the guesses, as dropdowns.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Object} importFile The file from MJM_readImportFile.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The mapping sheet.
+ * @throws {Error} If the sheet can't be created.
+ */
+function MJM_writeImportMapping(ss, importFile) {
+  const mappingSheet = MJM_getOrCreateHistorySheet(ss, IMPORT_MAPPING_SHEET_TAB_NAME, MJM_IMPORT_MAPPING_SHEET_HEADERS); // MJM_EventLog.gs; Global_Constants.gs
+  if (!mappingSheet) throw new Error(`The "${IMPORT_MAPPING_SHEET_TAB_NAME}" sheet could not be created.`);
+  if (mappingSheet.getLastRow() >= 2) mappingSheet.getRange(2, 1, mappingSheet.getLastRow() - 1, MJM_IMPORT_MAPPING_SHEET_HEADERS.length).clearContent().clearDataValidations();
+
+  const sample = column => {
+    const firstValue = (importFile.records.find(record => String(record.values[column] || "").trim()) || { values: {} }).values[column] || "";
+    return String(firstValue).substring(0, MJM_IMPORT_SAMPLE_MAX_CHARS);
+  };
+  const columnRows = importFile.columns.map(column => [MJM_IMPORT_TYPE_COLUMN, column, sample(column), MJM_guessImportColumnTarget(column)]);
+  const statusColumn = importFile.columns.find(column => MJM_guessImportColumnTarget(column) === "Status");
+  const statusCounts = {};
+  if (statusColumn) importFile.records.forEach(record => {
+    const sourceStatus = String(record.values[statusColumn] || "").trim();
+    if (sourceStatus) statusCounts[sourceStatus] = (statusCounts[sourceStatus] || 0) + 1;
+  });
+  const statusRows = Object.keys(statusCounts).map(sourceStatus => [MJM_IMPORT_TYPE_STATUS, sourceStatus, statusCounts[sourceStatus], MJM_guessImportStatus(sourceStatus)]);
+
+  const mappingRows = columnRows.concat(statusRows);
+  mappingSheet.getRange(2, 1, mappingRows.length, MJM_IMPORT_MAPPING_SHEET_HEADERS.length).setValues(mappingRows);
+  const mapsToCol = MJM_IMPORT_MAPPING_SHEET_HEADERS.indexOf("Maps To") + 1;
+  const dropdown = choices => SpreadsheetApp.newDataValidation().requireValueInList(choices, true).setAllowInvalid(false).build();
+  mappingSheet.getRange(2, mapsToCol, columnRows.length, 1).setDataValidation(dropdown([MJM_IMPORT_IGNORE_COLUMN].concat(Object.keys(MJM_IMPORT_COLUMN_ALIASES))));
+  if (statusRows.length > 0) {
+    mappingSheet.getRange(2 + columnRows.length, mapsToCol, statusRows.length, 1).setDataValidation(dropdown(MJM_getManualEntryFormOptions().statuses.concat([MJM_IMPORT_SKIP_ROW]))); // MJM_ManualEntry.gs
+  }
+  Logger.log(`[INFO] MJM_Import (MJM_writeImportMapping): Listed ${columnRows.length} column(s) and ${statusRows.length} status value(s) from "${importFile.fileName}".`);
+  return mappingSheet;
+}
+
+/**
+ * Reads the "Import Mapping" sheet as edited by the user.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} mappingSheet The mapping sheet.
+ * @return {{columns: Object<string, string>, statuses: Object<string, string>}} Source column => "Applications" header
+ *         (ignored columns left out), and lowercase source status => status or MJM_IMPORT_SKIP_ROW.
+ */
+function MJM_readImportMapping(mappingSheet) {
+  const col = name => MJM_IMPORT_MAPPING_SHEET_HEADERS.indexOf(name);
+  const mapping = { columns: {}, statuses: {} };
+  mappingSheet.getRange(2, 1, mappingSheet.getLastRow() - 1, MJM_IMPORT_MAPPING_SHEET_HEADERS.length).getValues().forEach(row => {
+    const sourceValue = String(row[col("Source Value")]).trim(), mapsTo = String(row[col("Maps To")]).trim();
+    if (!sourceValue || !mapsTo) return;
+    if (row[col("Type")] === MJM_IMPORT_TYPE_COLUMN && mapsTo !== MJM_IMPORT_IGNORE_COLUMN) mapping.columns[sourceValue] = mapsTo;
+    if (row[col("Type")] === MJM_IMPORT_TYPE_STATUS) mapping.statuses[sourceValue.toLowerCase()] = mapsTo;
+  });
+  return mapping;
+}
+
+/**
+ * Parses a date from an import file. yyyy-MM-dd dates are taken as local dates.
+ * @param {*} value The value from the file.
+ * @return {Date|null} The date, or null if blank or unreadable.
+ */
+function MJM_parseImportDate(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  const dateParts = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const parsedDate = dateParts ? new Date(Number(dateParts[1]), Number(dateParts[2]) - 1, Number(dateParts[3])) : new Date(text);
+  return isNaN(parsedDate.getTime()) ? null : parsedDate;
+}
+
+/**
+ * Imports the records of a file into the "Applications" sheet. Each record becomes a new row, is merged into the
+ * existing row it matches (including rows added earlier in the same import), or is skipped: no company/title, a status
+ * mapped to MJM_IMPORT_SKIP_ROW, or an ambiguous match (left for the user to enter by hand).
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} mainSS The main spreadsheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The "Applications" sheet.
+ * @param {Object} importFile The file from MJM_readImportFile.
+ * @param {Object} mapping The mapping from MJM_readImportMapping.
+ * @param {Object} runLog The run log (MJM_RunLog.gs).
+ * @return {{success: boolean, message: string, imported: number, merged: number, skipped: number, skipReasons: string[]}} The summary.
+ */
+function MJM_importApplications(mainSS, dataSheet, importFile, mapping, runLog) {
+  MJM_resolveAppSheetColumns(dataSheet); // MJM_SheetUtils.gs
+  const existingRowCount = Math.max(dataSheet.getLastRow() - 1, 0);
+  const sheetRows = existingRowCount > 0 ? dataSheet.getRange(2, 1, existingRowCount, MJM_APP_TOTAL_COLUMNS).getValues() : [];
+  const matchEntries = sheetRows.map((rowValues, idx) => MJM_buildMatchEntryFromRow(rowValues, idx + 2)); // MJM_Matching.gs
+  const allowedStatuses = MJM_getManualEntryFormOptions().statuses; // MJM_ManualEntry.gs
+  const evidence = `Imported from ${importFile.fileName}`;
+  const eventRows = [];
+  const skipReasons = [];
+  let imported = 0, merged = 0, firstChangedIdx = -1, lastChangedIdx = -1;
+  let leadLinkCache = null;
+  try { leadLinkCache = MJM_loadLeadLinkCache(mainSS, true); } // MJM_LeadLinking.gs
+  catch (eLeads) { Logger.log(`[WARN] MJM_Import: Could not load job leads for linking: ${eLeads.message}`); }
+
+  importFile.records.forEach(record => {
+    const fieldValue = appHeader => Object.keys(mapping.columns).filter(column => mapping.columns[column] === appHeader)
+      .map(column => String(record.values[column] || "").trim()).filter(Boolean);
+    const company = fieldValue("Company Name")[0] || "", title = fieldValue("Job Title")[0] || "";
+    const sourceStatus = fieldValue("Status")[0] || "";
+    const status = mapping.statuses[sourceStatus.toLowerCase()] || MJM_guessImportStatus(sourceStatus);
+    if (!company || !title) { skipReasons.push(`${record.sourceRef}: no company or job title`); return; }
+    if (status === MJM_IMPORT_SKIP_ROW) { skipReasons.push(`${record.sourceRef}: status "${sourceStatus}" is mapped to ${MJM_IMPORT_SKIP_ROW}`); return; }
+    if (!allowedStatuses.includes(status)) { skipReasons.push(`${record.sourceRef}: "${status}" is not a known status`); return; }
+
+    const jobUrl = fieldValue("Job URL").find(url => /^https?:\/\//i.test(url)) || "";
+    const appliedDate = MJM_parseImportDate(fieldValue("Email Date")[0]) || new Date();
+    const lastUpdateDate = MJM_parseImportDate(fieldValue("Last Update Email Date")[0]);
+    const entry = {
+      company: company, title: title, platform: fieldValue("Platform")[0] || (jobUrl ? MJM_detectPlatformFromUrl(jobUrl) : MJM_APP_DEFAULT_PLATFORM), // MJM_WebApp.gs
+      date: appliedDate, lastUpdateDate: lastUpdateDate && lastUpdateDate.getTime() > appliedDate.getTime() ? lastUpdateDate : null,
+      jobUrl: jobUrl, status: status, notes: fieldValue("Notes").join("\n"), parser: MJM_EVENT_PARSER_IMPORT, evidence: evidence
+    };
+
+    const matchResult = MJM_findBestApplicationMatch(matchEntries, { threadId: "", requisitionIds: [], company: company, title: title }); // MJM_Matching.gs
+    if (!matchResult.entry && matchResult.ambiguous) { skipReasons.push(`${record.sourceRef}: "${company}" - "${title}" could match several rows (${matchResult.explanation})`); return; }
+
+    let rowValues, originalRow = null, rowIdx;
+    if (matchResult.entry) {
+      rowIdx = matchResult.entry.rowNum - 2;
+      rowValues = sheetRows[rowIdx];
+      originalRow = rowValues.slice();
+      MJM_applyManualEntryToRow(rowValues, entry); // MJM_ManualEntry.gs
+      merged++;
+    } else {
+      rowValues = MJM_buildManualEntryRow(entry); // MJM_ManualEntry.gs
+      const matchingLead = MJM_findMatchingLead(leadLinkCache, company, title); // MJM_LeadLinking.gs
+      if (matchingLead) {
+        rowValues[MJM_APP_LEAD_ID_COL - 1] = matchingLead.entry.leadId;
+        MJM_linkLeadToApplication(leadLinkCache, matchingLead.entry.leadId, rowValues[MJM_APP_KEY_COL - 1]);
+      }
+      rowIdx = sheetRows.push(rowValues) - 1;
+      imported++;
+    }
+    matchEntries[rowIdx] = MJM_buildMatchEntryFromRow(rowValues, rowIdx + 2);
+    if (rowIdx < existingRowCount) {
+      firstChangedIdx = firstChangedIdx === -1 ? rowIdx : Math.min(firstChangedIdx, rowIdx);
+      lastChangedIdx = Math.max(lastChangedIdx, rowIdx);
+    }
+    const eventRow = MJM_buildApplicationEventRow({ appKey: rowValues[MJM_APP_KEY_COL - 1], company: rowValues[MJM_APP_COMPANY_COL - 1], title: rowValues[MJM_APP_JOB_TITLE_COL - 1], // MJM_EventLog.gs
+      oldStatus: originalRow ? originalRow[MJM_APP_STATUS_COL - 1] : "", newStatus: rowValues[MJM_APP_STATUS_COL - 1],
+      oldPeakStatus: originalRow ? originalRow[MJM_APP_PEAK_STATUS_COL - 1] : "", newPeakStatus: rowValues[MJM_APP_PEAK_STATUS_COL - 1],
+      emailId: "", emailDate: entry.lastUpdateDate || entry.date, parser: MJM_EVENT_PARSER_IMPORT });
+    if (eventRow) eventRows.push(eventRow);
+  });
+
+  // Merged rows are written back as one block and new rows appended after them; only managed columns are written.
+  if (firstChangedIdx !== -1) MJM_writeAppSheetRows(dataSheet, firstChangedIdx + 2, sheetRows.slice(firstChangedIdx, lastChangedIdx + 1)); // MJM_SheetUtils.gs
+  if (sheetRows.length > existingRowCount) {
+    const rowsNeeded = sheetRows.length + 1 - dataSheet.getMaxRows();
+    if (rowsNeeded > 0) dataSheet.insertRowsAfter(dataSheet.getMaxRows(), rowsNeeded);
+    MJM_writeAppSheetRows(dataSheet, existingRowCount + 2, sheetRows.slice(existingRowCount));
+  }
+  if (MJM_appendApplicationEvents(mainSS, eventRows) > 0) MJM_rebuildApplicationTimeline(mainSS); // MJM_EventLog.gs
+  try { MJM_updateDashboardMetrics(mainSS); } catch (eDash) { Logger.log(`[WARN] MJM_Import: Dashboard update failed: ${eDash.message}`); } // MJM_Dashboard.gs
+
+  MJM_recordRunStats(runLog, { rowsAdded: imported, rowsUpdated: merged }); // MJM_RunLog.gs
+  const message = `Import of "${importFile.fileName}": ${imported} imported, ${merged} merged into existing rows, ${skipReasons.length} skipped.`;
+  Logger.log(`[INFO] MJM_Import (MJM_importApplications): ${message}`);
+  return { success: true, message: message, imported: imported, merged: merged, skipped: skipReasons.length, skipReasons: skipReasons };
+}
@@ -0,0 +1,166 @@
+// File: MJM_Interviews.gs
+// Description: Records interviews extracted from application emails in the "Interviews" sheet and keeps a
+// matching Google Calendar event for each one. Interviews are keyed by Gmail thread, so a rescheduling email
+// on the same thread moves the existing event instead of creating a duplicate.
+// Relies on constants from MJM_Config.gs (MJM_INTERVIEWS_SHEET_HEADERS, MJM_INTERVIEW_*)
+// and Global_Constants.gs (INTERVIEWS_SHEET_TAB_NAME, APP_TRACKER_SHEET_TAB_NAME, GLOBAL_DEBUG_MODE).
+
+/**
+ * Cleans the raw interview object returned by MJM_callGemini_forApplicationDetails.
+ * @param {Object} rawInterview The "interview" object from Gemini.
+ * @return {{startTime:Date|null, durationMinutes:number, format:string, meetingLink:string, location:string, interviewers:string}|null}
+ *         The normalized details, or null if there is nothing usable.
+ */
+function MJM_normalizeInterviewDetails(rawInterview) {
+  if (!rawInterview || typeof rawInterview !== 'object') return null;
+  const startTime = rawInterview.start_datetime ? new Date(rawInterview.start_datetime) : null;
+  const durationMinutes = Number(rawInterview.duration_minutes);
+  const formatText = String(rawInterview.format || "").trim();
+  const matchedFormat = MJM_INTERVIEW_FORMATS.find(f => f.toLowerCase() === formatText.toLowerCase()); // From MJM_Config.gs
+  const interviewerNames = Array.isArray(rawInterview.interviewer_names) ? rawInterview.interviewer_names : [rawInterview.interviewer_names];
+  return {
+    startTime: (startTime && !isNaN(startTime.getTime())) ? startTime : null,
+    durationMinutes: (durationMinutes > 0 && durationMinutes <= 8 * 60) ? Math.round(durationMinutes) : MJM_INTERVIEW_DEFAULT_DURATION_MINUTES,
+    format: matchedFormat || "Unknown",
+    meetingLink: /^https?:\/\//i.test(String(rawInterview.meeting_link || "").trim()) ? String(rawInterview.meeting_link).trim() : "",
+    location: String(rawInterview.location || "").trim(),
+    interviewers: interviewerNames.map(name => String(name || "").trim()).filter(name => name).join(", ")
+  };
+}
+
+/**
+ * Returns the calendar interview events are written to.
+ * @return {GoogleAppsScript.Calendar.Calendar|null} MJM_INTERVIEW_CALENDAR_ID's calendar, the default calendar, or null on error.
+ */
+function MJM_getInterviewCalendar() {
+  try {
+    if (MJM_INTERVIEW_CALENDAR_ID) { // From MJM_Config.gs
+      const configuredCalendar = CalendarApp.getCalendarById(MJM_INTERVIEW_CALENDAR_ID);
+      if (configuredCalendar) return configuredCalendar;
+      Logger.log(`[WARN] MJM_Interviews (MJM_getInterviewCalendar): Calendar "${MJM_INTERVIEW_CALENDAR_ID}" not found. Using the default calendar.`);
+    }
+    return CalendarApp.getDefaultCalendar();
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Interviews (MJM_getInterviewCalendar): ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Builds the calendar event description, including a link back to the application row.
+ * @param {Object} interviewContext See MJM_recordInterviewFromEmail.
+ * @param {Object} details Normalized details from MJM_normalizeInterviewDetails.
+ * @param {string} applicationRowUrl Link to the row in the "Applications" sheet ("" if unavailable).
+ * @return {string} The description text.
+ */
+function MJM_buildInterviewEventDescription(interviewContext, details, applicationRowUrl) {
+  return [
+    `${interviewContext.title} @ ${interviewContext.company}`,
+    `Format: ${details.format}`,
+    details.meetingLink ? `Join: ${details.meetingLink}` : "",
+    details.interviewers ? `Interviewers: ${details.interviewers}` : "",
+    "",
+    `Application Key: ${interviewContext.appKey}`,
+    applicationRowUrl ? `Application Row: ${applicationRowUrl}` : "",
+    `Source Email: ${interviewContext.emailPermalink}`
+  ].filter((line, idx) => line || idx === 4).join("\n");
+}
+
+/**
+ * Creates or updates the "Interviews" row and calendar event for an interview email.
+ * The row for the email's Gmail thread is reused if it exists: a changed time moves the existing event
+ * (a reschedule), the same time only refreshes the details, and a deleted event is recreated.
+ * Re-processing the same email is a no-op.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Object} interviewContext
+ * @param {Object} interviewContext.rawInterview The "interview" object from Gemini.
+ * @param {string} interviewContext.appKey The application key of the matched/new row.
+ * @param {number} interviewContext.appRowNum The 1-based row number in the "Applications" sheet.
+ * @param {string} interviewContext.company Company name.
+ * @param {string} interviewContext.title Job title.
+ * @param {string} interviewContext.threadId The Gmail thread ID.
+ * @param {string} interviewContext.messageId The Gmail message ID.
+ * @param {string} interviewContext.emailPermalink Link to the email.
+ * @return {string} What happened: 'created', 'moved', 'updated', 'recorded' (no time yet), 'unchanged', or 'error'.
+ */
+function MJM_recordInterviewFromEmail(ss, interviewContext) {
+  const DEBUG = (typeof GLOBAL_DEBUG_MODE !== 'undefined' ? GLOBAL_DEBUG_MODE : false);
+  const details = MJM_normalizeInterviewDetails(interviewContext.rawInterview);
+  if (!details) return 'unchanged';
+
+  const interviewsSheet = MJM_getOrCreateHistorySheet(ss, INTERVIEWS_SHEET_TAB_NAME, MJM_INTERVIEWS_SHEET_HEADERS); // MJM_EventLog.gs
+  if (!interviewsSheet) return 'error';
+
+  try {
+    const col = name => MJM_INTERVIEWS_SHEET_HEADERS.indexOf(name);
+    const lastRow = interviewsSheet.getLastRow();
+    const existingValues = lastRow > 1 ? interviewsSheet.getRange(2, 1, lastRow - 1, MJM_INTERVIEWS_SHEET_HEADERS.length).getValues() : [];
+    let existingIndex = -1;
+    for (let i = existingValues.length - 1; i >= 0; i--) { // Latest row for the thread wins
+      if (String(existingValues[i][col("Gmail Thread ID")]) === interviewContext.threadId) { existingIndex = i; break; }
+    }
+    const existingRow = existingIndex >= 0 ? existingValues[existingIndex] : null;
+    if (existingRow && String(existingRow[col("Source Email ID")]) === interviewContext.messageId) {
+      if (DEBUG) Logger.log(`[DEBUG] MJM_Interviews: Email ${interviewContext.messageId} already recorded. Skipping.`);
+      return 'unchanged';
+    }
+
+    const appSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME); // Global_Constants.gs
+    const applicationRowUrl = (appSheet && interviewContext.appRowNum > 0) ? `${ss.getUrl()}#gid=${appSheet.getSheetId()}&range=A${interviewContext.appRowNum}` : "";
+    let eventId = existingRow ? String(existingRow[col("Calendar Event ID")] || "") : "";
+    let rescheduleCount = existingRow ? (Number(existingRow[col("Reschedule Count")]) || 0) : 0;
+    let outcome = 'recorded';
+
+    if (details.startTime) {
+      const calendar = MJM_getInterviewCalendar();
+      if (!calendar) return 'error';
+      const endTime = new Date(details.startTime.getTime() + details.durationMinutes * 60 * 1000);
+      const eventTitle = `Interview: ${interviewContext.title} @ ${interviewContext.company}`;
+      const eventDescription = MJM_buildInterviewEventDescription(interviewContext, details, applicationRowUrl);
+      const eventLocation = details.location || details.meetingLink;
+      const existingEvent = eventId ? calendar.getEventById(eventId) : null;
+
+      if (existingEvent) {
+        const previousStart = existingEvent.getStartTime();
+        if (previousStart.getTime() !== details.startTime.getTime() || existingEvent.getEndTime().getTime() !== endTime.getTime()) {
+          existingEvent.setTime(details.startTime, endTime);
+          rescheduleCount++;
+          outcome = 'moved';
+          Logger.log(`[INFO] MJM_Interviews: Rescheduled "${eventTitle}" from ${previousStart.toLocaleString()} to ${details.startTime.toLocaleString()}.`);
+        } else {
+          outcome = 'updated';
+        }
+        existingEvent.setTitle(eventTitle).setDescription(eventDescription).setLocation(eventLocation);
+      } else {
+        if (eventId) Logger.log(`[WARN] MJM_Interviews: Calendar event ${eventId} no longer exists. Creating a new one.`);
+        const newEvent = calendar.createEvent(eventTitle, details.startTime, endTime, { description: eventDescription, location: eventLocation });
+        newEvent.setTag(MJM_INTERVIEW_EVENT_TAG_KEY, interviewContext.appKey); // From MJM_Config.gs
+        eventId = newEvent.getId();
+        outcome = 'created';
+        Logger.log(`[INFO] MJM_Interviews: Created calendar event "${eventTitle}" at ${details.startTime.toLocaleString()}.`);
+      }
+    }
+
+    const previousStartValue = existingRow ? existingRow[col("Scheduled Start")] : "";
+    const interviewRow = [
+      interviewContext.appKey, interviewContext.company, interviewContext.title,
+      details.startTime || previousStartValue, details.durationMinutes, details.format,
+      details.meetingLink || (existingRow ? existingRow[col("Meeting Link")] : ""),
+      details.location || (existingRow ? existingRow[col("Location")] : ""),
+      details.interviewers || (existingRow ? existingRow[col("Interviewers")] : ""),
+      eventId, interviewContext.threadId, interviewContext.messageId, interviewContext.emailPermalink,
+      interviewContext.appRowNum, new Date(), rescheduleCount
+    ];
+    if (existingRow) {
+      interviewsSheet.getRange(existingIndex + 2, 1, 1, interviewRow.length).setValues([interviewRow]);
+    } else {
+      interviewsSheet.getRange(lastRow + 1, 1, 1, interviewRow.length).setValues([interviewRow]);
+    }
+    interviewsSheet.getRange(existingRow ? existingIndex + 2 : lastRow + 1, col("Scheduled Start") + 1).setNumberFormat("yyyy-mm-dd hh:mm");
+    if (DEBUG) Logger.log(`[DEBUG] MJM_Interviews: ${outcome} interview for ${interviewContext.appKey} (thread ${interviewContext.threadId}).`);
+    return outcome;
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Interviews (MJM_recordInterviewFromEmail): ${e.message}\nStack: ${e.stack}`);
+    return 'error';
+  }
+}
@@ -0,0 +1,243 @@
+// File: MJM_JsonApi.gs
+// Description: Read-only JSON API over the tracker, for charts and leaderboards built outside Sheets. doGet (MJM_WebApp.gs)
+// hands requests with a "resource" parameter here. Resources: "applications" and "leads" (sheet rows keyed by header
+// name, user-added columns included), "metrics" (the Dashboard scorecard, computed the same way as its formulas) and
+// "rtsSessions" (RTS stage runs from the "Run Log" sheet). Lists are paginated with limit/offset. Every response carries
+// an etag and lastModified derived from the spreadsheet's last update time, so pollers can skip unchanged data cheaply.
+// Relies on constants from MJM_Config.gs (MJM_API_*, MJM_WEB_APP_ERROR_*, MJM_APP_* columns & statuses)
+// and Global_Constants.gs (APP_TRACKER_SHEET_TAB_NAME, LEADS_SHEET_TAB_NAME, RUN_LOG_SHEET_TAB_NAME, MANUAL_REVIEW_NEEDED_TEXT).
+
+/**
+ * Answers a JSON API request.
+ * Parameters: resource and token (required); status, since, limit, offset for lists; ifNoneMatch / ifModifiedSince.
+ * @param {Object} params The request's query parameters (e.parameter).
+ * @return {GoogleAppsScript.Content.TextOutput} The JSON response.
+ */
+function MJM_handleJsonApiRequest(params) {
+  try {
+    MJM_checkApiToken(params.token);
+    const resource = String(params.resource || "").trim();
+    const resourceReaders = {
+      [MJM_API_RESOURCE_APPLICATIONS]: MJM_readApiApplications, [MJM_API_RESOURCE_LEADS]: MJM_readApiLeads, // MJM_Config.gs
+      [MJM_API_RESOURCE_METRICS]: MJM_readApiMetrics, [MJM_API_RESOURCE_RTS_SESSIONS]: MJM_readApiRtsSessions
+    };
+    if (!resourceReaders[resource]) throw MJM_webAppError(MJM_WEB_APP_ERROR_BAD_REQUEST, `Unknown resource "${resource}". Use one of: ${Object.keys(resourceReaders).join(", ")}.`); // MJM_WebApp.gs
+
+    const query = MJM_readApiQuery(params);
+    const ss = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+    if (!ss) throw new Error("The tracker spreadsheet could not be opened.");
+    const lastModified = DriveApp.getFileById(ss.getId()).getLastUpdated();
+    const etag = MJM_buildApiEtag(resource, query, lastModified);
+    const ifModifiedSince = params.ifModifiedSince ? new Date(params.ifModifiedSince) : null;
+    if (params.ifNoneMatch === etag || (ifModifiedSince && !isNaN(ifModifiedSince.getTime()) && lastModified.getTime() <= ifModifiedSince.getTime())) {
+      return MJM_buildWebAppJsonOutput({ ok: true, resource: resource, notModified: true, etag: etag, lastModified: lastModified });
+    }
+
+    const body = Object.assign({ ok: true, resource: resource, etag: etag, lastModified: lastModified }, resourceReaders[resource](ss, query));
+    return MJM_buildWebAppJsonOutput(body);
+  } catch (err) {
+    const code = err.webAppErrorCode || MJM_WEB_APP_ERROR_INTERNAL;
+    Logger.log(`[${code === MJM_WEB_APP_ERROR_INTERNAL ? "ERROR" : "WARN"}] MJM_JsonApi (MJM_handleJsonApiRequest): ${code}: ${err.message}`);
+    return MJM_buildWebAppJsonOutput({ ok: false, error: { code: code, message: err.message } });
+  }
+}
+
+/**
+ * Checks the request's token against the API token stored in UserProperties.
+ * @param {*} token The token sent with the request.
+ * @throws {Error} UNAUTHORIZED if no token is set up or it doesn't match.
+ */
+function MJM_checkApiToken(token) {
+  const expectedToken = PropertiesService.getUserProperties().getProperty(MJM_API_TOKEN_PROPERTY); // MJM_Config.gs
+  if (!expectedToken) throw MJM_webAppError(MJM_WEB_APP_ERROR_UNAUTHORIZED, 'No API token is set up. Run "Web App: Show API Token" from the Admin menu.');
+  if (typeof token !== "string" || token !== expectedToken) throw MJM_webAppError(MJM_WEB_APP_ERROR_UNAUTHORIZED, "The API token is wrong or missing.");
+}
+
+/**
+ * Reads and validates the list parameters.
+ * @param {Object} params The request's query parameters.
+ * @return {{statuses: string[], since: Date|null, limit: number, offset: number}} The query.
+ * @throws {Error} BAD_REQUEST if a parameter is invalid.
+ */
+function MJM_readApiQuery(params) {
+  const query = {
+    statuses: String(params.status || "").split(",").map(status => status.trim()).filter(Boolean),
+    since: null, limit: MJM_API_DEFAULT_PAGE_SIZE, offset: 0
+  };
+  if (params.since) {
+    query.since = new Date(params.since);
+    if (isNaN(query.since.getTime())) throw MJM_webAppError(MJM_WEB_APP_ERROR_BAD_REQUEST, `"since" must be a date such as 2024-01-31 or an ISO timestamp.`);
+  }
+  if (params.limit !== undefined) {
+    query.limit = Number(params.limit);
+    if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MJM_API_MAX_PAGE_SIZE) throw MJM_webAppError(MJM_WEB_APP_ERROR_BAD_REQUEST, `"limit" must be a whole number from 1 to ${MJM_API_MAX_PAGE_SIZE}.`);
+  }
+  if (params.offset !== undefined) {
+    query.offset = Number(params.offset);
+    if (!Number.isInteger(query.offset) || query.offset < 0) throw MJM_webAppError(MJM_WEB_APP_ERROR_BAD_REQUEST, `"offset" must be a whole number, 0 or more.`);
+  }
+  return query;
+}
+
+/**
+ * Builds a weak ETag for a response. It changes whenever the spreadsheet is updated or the query differs.
+ * @param {string} resource The resource name.
+ * @param {Object} query The query from MJM_readApiQuery.
+ * @param {Date} lastModified The spreadsheet's last update time.
+ * @return {string} The ETag.
+ */
+function MJM_buildApiEtag(resource, query, lastModified) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify([resource, query, lastModified.getTime()]), Utilities.Charset.UTF_8);
+  return `W/"${digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, "0")).join("")}"`;
+}
+
+/**
+ * Reads a sheet's data rows as objects keyed by header name. Columns without a header and blank rows are skipped.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet|null} sheet The sheet.
+ * @return {Array<Object>} One object per row, each with its "rowNum".
+ */
+function MJM_readSheetRecords(sheet) {
+  if (!sheet || sheet.getLastRow() < 2 || sheet.getLastColumn() < 1) return [];
+  const sheetValues = sheet.getRange(1, 1, sheet.getLastRow(), sheet.getLastColumn()).getValues();
+  const headers = sheetValues[0].map(header => String(header).trim());
+  const records = [];
+  sheetValues.slice(1).forEach((rowValues, idx) => {
+    if (rowValues.every(value => value === "" || value === null)) return;
+    const record = { rowNum: idx + 2 };
+    headers.forEach((header, colIdx) => { if (header && !(header in record)) record[header] = rowValues[colIdx]; });
+    records.push(record);
+  });
+  return records;
+}
+
+/**
+ * Filters records by status and date, then returns the requested page.
+ * @param {Array<Object>} records The records from MJM_readSheetRecords.
+ * @param {Object} query The query from MJM_readApiQuery.
+ * @param {string|null} statusHeader The header holding the status, or null if the resource has none.
+ * @param {string} dateHeader The header holding the date "since" is compared with.
+ * @return {{total: number, offset: number, limit: number, nextOffset: number|null, items: Array<Object>}} The page.
+ */
+function MJM_buildApiPage(records, query, statusHeader, dateHeader) {
+  const matchingRecords = records.filter(record => {
+    if (statusHeader && query.statuses.length > 0 && !query.statuses.includes(String(record[statusHeader] || "").trim())) return false;
+    if (query.since) {
+      const recordDate = record[dateHeader] ? new Date(record[dateHeader]) : null;
+      if (!recordDate || isNaN(recordDate.getTime()) || recordDate.getTime() < query.since.getTime()) return false;
+    }
+    return true;
+  });
+  const nextOffset = query.offset + query.limit;
+  return {
+    total: matchingRecords.length, offset: query.offset, limit: query.limit,
+    nextOffset: nextOffset < matchingRecords.length ? nextOffset : null,
+    items: matchingRecords.slice(query.offset, nextOffset)
+  };
+}
+
+/**
+ * "applications" resource: rows of the "Applications" sheet. "since" compares with the Last Update Email Date.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Object} query The query from MJM_readApiQuery.
+ * @return {Object} The page from MJM_buildApiPage.
+ */
+function MJM_readApiApplications(ss, query) {
+  const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME); // Global_Constants.gs
+  return MJM_buildApiPage(MJM_readSheetRecords(dataSheet), query, "Status", "Last Update Email Date");
+}
+
+/**
+ * "leads" resource: rows of the "Potential Job Leads" sheet. "since" compares with the Date Added.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Object} query The query from MJM_readApiQuery.
+ * @return {Object} The page from MJM_buildApiPage.
+ */
+function MJM_readApiLeads(ss, query) {
+  const leadsSheet = ss.getSheetByName(LEADS_SHEET_TAB_NAME); // Global_Constants.gs
+  return MJM_buildApiPage(MJM_readSheetRecords(leadsSheet), query, "Status", "Date Added");
+}
+
+/**
+ * "rtsSessions" resource: RTS stage runs from the "Run Log" sheet, newest first. "status" filters on the Outcome and
+ * "since" compares with the Start Time.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Object} query The query from MJM_readApiQuery.
+ * @return {Object} The page from MJM_buildApiPage.
+ */
+function MJM_readApiRtsSessions(ss, query) {
+  const runLogSheet = ss.getSheetByName(RUN_LOG_SHEET_TAB_NAME); // Global_Constants.gs
+  const rtsRuns = MJM_readSheetRecords(runLogSheet).filter(run => String(run["Function"] || "").startsWith(MJM_API_RTS_FUNCTION_PREFIX)).reverse();
+  return MJM_buildApiPage(rtsRuns, query, "Outcome", "Start Time");
+}
+
+/**
+ * "metrics" resource: the Dashboard scorecard, plus application counts by status and by platform for charts.
+ * Columns are found by header name without changing the sheet (unlike MJM_resolveAppSheetColumns); metrics that need
+ * a column the sheet doesn't have are left out.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @return {{metrics: Object}} The metrics.
+ */
+function MJM_readApiMetrics(ss) {
+  const dataSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME); // Global_Constants.gs
+  if (!dataSheet) throw MJM_webAppError(MJM_WEB_APP_ERROR_NOT_FOUND, `The "${APP_TRACKER_SHEET_TAB_NAME}" sheet was not found.`);
+  if (dataSheet.getLastRow() < 1 || dataSheet.getLastColumn() < 1) return { metrics: MJM_computeDashboardMetrics([], {}) };
+  const sheetValues = dataSheet.getRange(1, 1, dataSheet.getLastRow(), dataSheet.getLastColumn()).getValues();
+  const headers = sheetValues[0].map(header => String(header).trim());
+  const column = header => headers.indexOf(header) + 1 || undefined; // A duplicated header resolves to its first column
+  const appColumns = {
+    company: column("Company Name"), jobTitle: column("Job Title"), status: column("Status"),
+    peakStatus: column("Peak Status"), platform: column("Platform")
+  };
+  return { metrics: MJM_computeDashboardMetrics(sheetValues.slice(1), appColumns) };
+}
+
+/**
+ * Computes the Dashboard scorecard values from "Applications" rows, matching the formulas MJM_formatDashboardSheet
+ * (MJM_Dashboard.gs) writes. Rates are fractions (0.25 = 25%).
+ * @param {Array<Array<*>>} appRows The "Applications" data rows.
+ * @param {{company: number=, jobTitle: number=, status: number=, peakStatus: number=, platform: number=}} appColumns
+ *     1-based column numbers; a metric is left out when a column it needs is missing.
+ * @return {Object} The metrics.
+ */
+function MJM_computeDashboardMetrics(appRows, appColumns) {
+  const cell = (rowValues, columnName) => {
+    const value = rowValues[appColumns[columnName] - 1];
+    return String(value === null || value === undefined ? "" : value);
+  };
+  const metricDefinitions = {
+    totalApplications: [["company"], rowValues => cell(rowValues, "company") !== ""],
+    activeApplications: [["status"], rowValues => cell(rowValues, "status") !== ""
+      && ![MJM_APP_REJECTED_STATUS, MJM_APP_ACCEPTED_STATUS, MJM_APP_GHOSTED_STATUS].includes(cell(rowValues, "status"))],
+    peakInterviews: [["peakStatus"], rowValues => cell(rowValues, "peakStatus") === MJM_APP_INTERVIEW_STATUS],
+    peakOffers: [["peakStatus"], rowValues => cell(rowValues, "peakStatus") === MJM_APP_OFFER_STATUS],
+    currentInterviews: [["status"], rowValues => cell(rowValues, "status") === MJM_APP_INTERVIEW_STATUS],
+    currentAssessments: [["status"], rowValues => cell(rowValues, "status") === MJM_APP_ASSESSMENT_STATUS],
+    totalRejections: [["status"], rowValues => cell(rowValues, "status") === MJM_APP_REJECTED_STATUS],
+    peakViewed: [["peakStatus"], rowValues => cell(rowValues, "peakStatus") === MJM_APP_VIEWED_STATUS],
+    ghosted: [["status"], rowValues => cell(rowValues, "status") === MJM_APP_GHOSTED_STATUS],
+    manualReview: [["company", "jobTitle", "status"], rowValues => ["company", "jobTitle", "status"]
+      .some(columnName => cell(rowValues, columnName).trim() === MANUAL_REVIEW_NEEDED_TEXT)], // Global_Constants.gs
+    directRejections: [["status", "peakStatus"], rowValues => cell(rowValues, "status") === MJM_APP_REJECTED_STATUS && cell(rowValues, "peakStatus") === MJM_APP_DEFAULT_STATUS]
+  };
+  const hasColumns = columnNames => columnNames.every(columnName => appColumns[columnName]);
+  const metrics = {};
+  Object.keys(metricDefinitions).forEach(metricName => {
+    const [columnNames, predicate] = metricDefinitions[metricName];
+    if (hasColumns(columnNames)) metrics[metricName] = appRows.filter(predicate).length;
+  });
+  const rates = { interviewRate: "peakInterviews", offerRate: "peakOffers", directRejectRate: "directRejections" };
+  Object.keys(rates).forEach(rateName => {
+    if (!("totalApplications" in metrics) || !(rates[rateName] in metrics)) return;
+    metrics[rateName] = metrics.totalApplications ? metrics[rates[rateName]] / metrics.totalApplications : 0;
+  });
+  [["byStatus", "status"], ["byPlatform", "platform"]].forEach(([metricName, columnName]) => {
+    if (!hasColumns(["company", columnName])) return;
+    metrics[metricName] = {};
+    appRows.forEach(rowValues => {
+      if (cell(rowValues, "company") === "") return;
+      const value = cell(rowValues, columnName).trim() || "(blank)";
+      metrics[metricName][value] = (metrics[metricName][value] || 0) + 1;
+    });
+  });
+  return metrics;
+}
@@ -0,0 +1,102 @@
+// File: MJM_LeadLinking.gs
+// Description: Links new "Applications" rows to the "Potential Job Leads" they came from.
+// When an application row is created, its company and title are fuzzy-matched against unlinked leads. On a match the
+// lead's Status becomes "Applied", the lead gets the application's key ("Linked Application") and the application
+// gets the lead's ID ("Lead ID"), so the Dashboard can report lead-to-application conversion.
+// Relies on constants from MJM_Config.gs (MJM_LEAD_*, MJM_LEADS_SHEET_HEADERS, MJM_COMPANY_NAME_NOISE_PATTERN)
+// and Global_Constants.gs (LEADS_SHEET_TAB_NAME, MANUAL_REVIEW_NEEDED_TEXT).
+
+/**
+ * Normalizes a company name for comparison: lowercased, punctuation and legal suffixes (Inc, LLC, GmbH...) removed.
+ * @param {string} companyName The raw company name.
+ * @return {string} The normalized name, or "" if empty, "N/A" or MANUAL_REVIEW_NEEDED_TEXT.
+ */
+function MJM_normalizeCompanyName(companyName) {
+  const rawName = String(companyName || "").trim();
+  if (!rawName || rawName === MANUAL_REVIEW_NEEDED_TEXT || rawName.toLowerCase() === "n/a") return ""; // Global_Constants.gs
+  const normalizedName = rawName.toLowerCase().replace(/&/g, " and ").replace(/[^a-z0-9\s]/g, " ");
+  return normalizedName.replace(MJM_COMPANY_NAME_NOISE_PATTERN, " ").replace(/\s+/g, " ").trim() || normalizedName.replace(/\s+/g, " ").trim(); // MJM_Config.gs
+}
+
+/**
+ * Loads the "Potential Job Leads" sheet into a cache for linking. Error rows are left out.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {boolean} assignMissingIds Whether to write a "Lead ID" for leads that have none (false for dry runs).
+ * @return {{sheet:GoogleAppsScript.Spreadsheet.Sheet, headerMap:Object, entries:Array<{rowNum:number, leadId:string, company:string, title:string, normalizedCompany:string, normalizedTitle:string, status:string, linkedApplication:string}>}|null}
+ *         The cache, or null if the leads sheet is missing or its headers can't be mapped.
+ */
+function MJM_loadLeadLinkCache(ss, assignMissingIds) {
+  const { sheet: leadsSheet, headerMap } = MJM_Leads_getSheetAndHeaderMap(ss, LEADS_SHEET_TAB_NAME, MJM_LEADS_SHEET_HEADERS); // MJM_Leads_SheetUtils.gs
+  if (!leadsSheet || !headerMap["Lead ID"] || !headerMap["Linked Application"]) return null;
+  const leadCache = { sheet: leadsSheet, headerMap: headerMap, entries: [] };
+  const lastRow = leadsSheet.getLastRow();
+  if (lastRow < 2) return leadCache;
+
+  const lastCol = Math.max(...MJM_LEADS_SHEET_HEADERS.map(h => headerMap[h] || 0));
+  const leadRows = leadsSheet.getRange(2, 1, lastRow - 1, lastCol).getValues();
+  const cell = (row, header) => String(row[headerMap[header] - 1] || "").trim();
+  let assignedCount = 0;
+  leadRows.forEach((row, idx) => {
+    const status = cell(row, "Status");
+    if (status === MJM_LEAD_STATUS_ERROR || !cell(row, "Job Title")) return; // MJM_Config.gs
+    let leadId = cell(row, "Lead ID");
+    if (!leadId && assignMissingIds) {
+      leadId = MJM_Leads_generateLeadId(); // MJM_Leads_SheetUtils.gs; backfills leads written before IDs existed
+      row[headerMap["Lead ID"] - 1] = leadId;
+      assignedCount++;
+    }
+    leadCache.entries.push({ rowNum: idx + 2, leadId: leadId, company: cell(row, "Company"), title: cell(row, "Job Title"),
+      normalizedCompany: MJM_normalizeCompanyName(cell(row, "Company")), normalizedTitle: MJM_normalizeJobTitle(cell(row, "Job Title")), // MJM_Matching.gs
+      status: status, linkedApplication: cell(row, "Linked Application") });
+  });
+  if (assignedCount > 0) {
+    leadsSheet.getRange(2, headerMap["Lead ID"], leadRows.length, 1).setValues(leadRows.map(row => [row[headerMap["Lead ID"] - 1]]));
+    Logger.log(`[INFO] MJM_LeadLinking: Assigned Lead IDs to ${assignedCount} older lead(s).`);
+  }
+  return leadCache;
+}
+
+/**
+ * Finds the unlinked lead that best matches a new application: same normalized company and the most similar title
+ * (at least MJM_LEAD_MATCH_TITLE_SIMILARITY_MIN). Ties go to the most recently added lead.
+ * @param {Object|null} leadCache Cache from MJM_loadLeadLinkCache.
+ * @param {string} company The application's company.
+ * @param {string} title The application's job title.
+ * @return {{entry:Object, similarity:number}|null} The best lead, or null if none qualifies.
+ */
+function MJM_findMatchingLead(leadCache, company, title) {
+  const normalizedCompany = MJM_normalizeCompanyName(company);
+  const normalizedTitle = MJM_normalizeJobTitle(title); // MJM_Matching.gs
+  if (!leadCache || !normalizedCompany || !normalizedTitle) return null;
+  let bestMatch = null;
+  leadCache.entries.forEach(entry => {
+    if (!entry.leadId || entry.linkedApplication || entry.normalizedCompany !== normalizedCompany) return;
+    const similarity = entry.normalizedTitle === normalizedTitle ? 1 : MJM_titleSimilarity(entry.normalizedTitle, normalizedTitle); // MJM_Matching.gs
+    if (similarity < MJM_LEAD_MATCH_TITLE_SIMILARITY_MIN) return; // MJM_Config.gs
+    if (!bestMatch || similarity >= bestMatch.similarity) bestMatch = { entry: entry, similarity: similarity };
+  });
+  return bestMatch;
+}
+
+/**
+ * Marks a lead as applied and cross-references it with an application key.
+ * @param {Object} leadCache Cache from MJM_loadLeadLinkCache.
+ * @param {string} leadId The lead's "Lead ID".
+ * @param {string} appKey The linked application's "Application Key".
+ * @return {boolean} True if the lead row was updated.
+ */
+function MJM_linkLeadToApplication(leadCache, leadId, appKey) {
+  const entry = leadCache ? leadCache.entries.find(e => e.leadId === leadId) : null;
+  if (!entry || !appKey) { Logger.log(`[WARN] MJM_LeadLinking: Lead "${leadId}" not found (or no application key). Not linked.`); return false; }
+  try {
+    const { sheet: leadsSheet, headerMap } = leadCache;
+    leadsSheet.getRange(entry.rowNum, headerMap["Status"]).setValue(MJM_LEAD_STATUS_APPLIED); // MJM_Config.gs
+    leadsSheet.getRange(entry.rowNum, headerMap["Linked Application"]).setValue(appKey);
+    entry.status = MJM_LEAD_STATUS_APPLIED; entry.linkedApplication = appKey; // Keep the cache in sync so the lead isn't linked twice
+    Logger.log(`[INFO] MJM_LeadLinking: Linked lead ${leadId} ("${entry.title}" at ${entry.company}, row ${entry.rowNum}) to application ${appKey}.`);
+    return true;
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_LeadLinking: Failed to link lead ${leadId} to ${appKey}: ${e.message}`);
+    return false;
+  }
+}
@@ -155,8 +155,17 @@ function MJM_setupLeadsModule(mainSpreadsheet) { // Name changed to match call f
  * MJM-prefixed Gmail labels from MJM_Config, SHARED_GEMINI_API_KEY_PROPERTY from Global,
  * MJM_callGemini_forJobLeads, MJM_parseGeminiResponse_forJobLeads,
  * and MJM_Leads_ specific sheet utils.
+ * Each run is recorded in the "Run Log" sheet (MJM_RunLog.gs).
  */
 function MJM_processJobLeads() {
+  MJM_runWithRunLog('MJM_processJobLeads', runLog => MJM_processJobLeadsBatch(runLog)); // MJM_RunLog.gs
+}
+
+/**
+ * Does the work of MJM_processJobLeads.
+ * @param {Object|null} runLog The run log from MJM_runWithRunLog (MJM_RunLog.gs), if the run is being logged.
+ */
+function MJM_processJobLeadsBatch(runLog) {
   const SCRIPT_START_TIME = new Date();
   const moduleName = "MJM Job Leads Processor";
   Logger.log(`\n==== STARTING ${moduleName} (${SCRIPT_START_TIME.toLocaleString()}) ====`);
@@ -168,6 +177,7 @@ function MJM_processJobLeads() {
 
   if (!geminiApiKey) {
     Logger.log(`[FATAL] ${moduleName}: Gemini API Key not found (Property: "${SHARED_GEMINI_API_KEY_PROPERTY}"). Aborting.`);
+    MJM_recordRunError(runLog, `Gemini API Key not found (Property: "${SHARED_GEMINI_API_KEY_PROPERTY}").`, "Setup");
     return;
   }
 
@@ -175,8 +185,10 @@ function MJM_processJobLeads() {
   const mainSpreadsheet = MJM_getOrCreateSpreadsheet_Core();
   if (!mainSpreadsheet) {
     Logger.log(`[FATAL] ${moduleName}: Main application spreadsheet not found. Aborting.`);
+    MJM_recordRunError(runLog, "Main application spreadsheet not found.", "Setup");
     return;
   }
+  MJM_migrateSheetSchemas(mainSpreadsheet, runLog); // MJM_SchemaMigrations.gs; brings sheets from older versions up to date first
 
   // LEADS_SHEET_TAB_NAME from Global_Constants.gs
   // MJM_LEADS_SHEET_HEADERS from MJM_Config.gs
@@ -184,6 +196,7 @@ function MJM_processJobLeads() {
   const { sheet: dataSheet, headerMap } = MJM_Leads_getSheetAndHeaderMap(mainSpreadsheet, LEADS_SHEET_TAB_NAME, MJM_LEADS_SHEET_HEADERS);
   if (!dataSheet || !headerMap || Object.keys(headerMap).length === 0) {
     Logger.log(`[FATAL] ${moduleName}: Leads sheet "${LEADS_SHEET_TAB_NAME}" or its headers not correctly mapped in "${mainSpreadsheet.getName()}". Aborting.`);
+    MJM_recordRunError(runLog, `Leads sheet "${LEADS_SHEET_TAB_NAME}" or its headers not correctly mapped.`, "Setup");
     return;
   }
 
@@ -196,6 +209,7 @@ function MJM_processJobLeads() {
 
   if (!needsProcessLabel) {
     Logger.log(`[FATAL] ${moduleName}: Gmail label "${needsProcessLabelName}" not found. Aborting.`);
+    MJM_recordRunError(runLog, `Gmail label "${needsProcessLabelName}" not found.`, "Setup");
     return;
   }
   if (!doneProcessLabel) Logger.log(`[WARN] ${moduleName}: Gmail label "${doneProcessLabelName}" not found. Processed threads may not be re-labeled correctly.`);
@@ -209,6 +223,7 @@ function MJM_processJobLeads() {
   const LEADS_THREAD_LIMIT_PER_RUN = 10; // Configurable, maybe from Global_Constants.gs or MJM_Config.gs
   const LEADS_MESSAGES_TO_PROCESS_PER_RUN = 15; // Configurable
   let messagesProcessedThisRunCount = 0;
+  const pendingWebhookEvents = []; // New leads for the "Webhooks" sheet, sent once after the loop (MJM_Webhooks.gs)
 
   const threadsToProcess = needsProcessLabel.getThreads(0, LEADS_THREAD_LIMIT_PER_RUN);
   Logger.log(`[INFO] ${moduleName}: Found ${threadsToProcess.length} threads in label "${needsProcessLabelName}".`);
@@ -225,6 +240,7 @@ function MJM_processJobLeads() {
     }
 
     const messagesInThread = thread.getMessages();
+    MJM_recordRunStats(runLog, { messagesScanned: messagesInThread.length }); // MJM_RunLog.gs
     let newMessagesFoundInThread = false;
     let allMessagesInThreadProcessedSuccessfullyThisRun = true;
 
@@ -260,8 +276,12 @@ function MJM_processJobLeads() {
                 // Basic check: ensure there's a job title, not just "N/A" placeholder from Gemini.
                 if (jobData && jobData.jobTitle && String(jobData.jobTitle).trim().toLowerCase() !== 'n/a') {
                   // MJM_Leads_writeJobToSheet from MJM_Leads_SheetUtils.gs
-                  MJM_Leads_writeJobToSheet(dataSheet, message, jobData, headerMap);
+                  const leadRowNum = MJM_Leads_writeJobToSheet(dataSheet, message, jobData, headerMap);
+                  if (leadRowNum) pendingWebhookEvents.push(MJM_buildWebhookEvent(MJM_WEBHOOK_EVENT_LEAD_ADDED, { // MJM_Webhooks.gs
+                    company: jobData.company, title: jobData.jobTitle, newStatus: MJM_LEAD_STATUS_NEW, rowLink: MJM_buildSheetRowLink(dataSheet, leadRowNum),
+                    details: { location: jobData.location || "", job_posting_link: jobData.linkToJobPosting || "", source_email_id: messageId } }));
                   validJobsWrittenThisMessage++;
+                  MJM_recordRunStats(runLog, { rowsAdded: 1 }); // MJM_RunLog.gs
                 } else {
                   if(DEBUG) Logger.log(`    Skipping job item with N/A title from msg ${messageId}: ${JSON.stringify(jobData)}`);
                 }
@@ -279,12 +299,14 @@ function MJM_processJobLeads() {
             Logger.log(`[ERROR] ${moduleName}: Gemini API call FAILED or returned invalid data for msg ${messageId}. Details: ${geminiApiResponse ? geminiApiResponse.error : 'Response object or data was null'}`);
             // MJM_Leads_writeErrorEntryToSheet from MJM_Leads_SheetUtils.gs
             MJM_Leads_writeErrorEntryToSheet(dataSheet, message, "Gemini API Call/Parse Failed for Leads", geminiApiResponse?.error || "Unknown Gemini API error or invalid response", headerMap);
+            MJM_recordRunError(runLog, geminiApiResponse?.error || "Unknown Gemini API error or invalid response", "Gemini lead extraction", messageId); // MJM_RunLog.gs
             allMessagesInThreadProcessedSuccessfullyThisRun = false; // Mark thread as having an issue
           }
         }
       } catch (e) {
         Logger.log(`[FATAL SCRIPT ERROR] ${moduleName}: Uncaught exception processing msg ${messageId}: ${e.message}\nStack: ${e.stack}`);
         MJM_Leads_writeErrorEntryToSheet(dataSheet, message, "Critical Script Error during lead processing", e.toString(), headerMap);
+        MJM_recordRunError(runLog, e, "Lead email", messageId); // MJM_RunLog.gs
         allMessagesInThreadProcessedSuccessfullyThisRun = false; // Mark thread as having an issue
       }
 
@@ -313,5 +335,7 @@ function MJM_processJobLeads() {
     Utilities.sleep(400); // Pause between threads
   } // End loop over threads
 
+  MJM_sendWebhookEvents(mainSpreadsheet, pendingWebhookEvents); // MJM_Webhooks.gs
+  MJM_recordRunStats(runLog, { messagesProcessed: messagesProcessedThisRunCount }); // MJM_RunLog.gs
   Logger.log(`\n==== ${moduleName} FINISHED (${new Date().toLocaleString()}) === Total Time: ${(new Date().getTime() - SCRIPT_START_TIME.getTime())/1000}s. Messages processed this run: ${messagesProcessedThisRunCount} ====`);
 }
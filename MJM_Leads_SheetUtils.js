@@ -57,7 +57,8 @@ function MJM_Leads_setupSheetFormatting(leadsSheet, leadsHeadersArray) {
   const columnWidthsLeads = {
       "Date Added": 100, "Job Title": 220, "Company": 180, "Location": 150,
       "Source Email Subject": 250, "Link to Job Posting": 280, "Status": 100,
-      "Source Email ID": 150, "Processed Timestamp": 120, "Notes": 300
+      "Source Email ID": 150, "Processed Timestamp": 120, "Notes": 300,
+      "Lead ID": 130, "Linked Application": 140
   };
   leadsHeadersArray.forEach((headerName, index) => {
     const columnIndex = index + 1;
@@ -103,7 +104,18 @@ function MJM_Leads_getSheetAndHeaderMap(spreadsheet, sheetName, expectedHeadersA
     return { sheet: null, headerMap: {} }; // If sheet doesn't exist, cannot map headers.
   }
 
-  const headersFromSheet = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  let headersFromSheet = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  // Sheets created before newer columns (e.g., "Lead ID") existed get the missing headers appended on the right
+  const missingHeaders = expectedHeadersArray.filter(expectedHeader => !headersFromSheet.some(h => String(h).trim() === expectedHeader));
+  if (missingHeaders.length > 0 && missingHeaders.length < expectedHeadersArray.length) {
+    try {
+      const firstNewCol = headersFromSheet.length + 1;
+      if (sheet.getMaxColumns() < firstNewCol + missingHeaders.length - 1) sheet.insertColumnsAfter(sheet.getMaxColumns(), firstNewCol + missingHeaders.length - 1 - sheet.getMaxColumns());
+      sheet.getRange(1, firstNewCol, 1, missingHeaders.length).setValues([missingHeaders]).setFontWeight("bold");
+      headersFromSheet = headersFromSheet.concat(missingHeaders);
+      Logger.log(`[INFO] ${moduleName}: Added missing header(s) ${missingHeaders.join(", ")} to sheet "${sheet.getName()}".`);
+    } catch (e) { Logger.log(`[WARN] ${moduleName}: Could not add missing header(s) to "${sheet.getName()}": ${e.toString()}`); }
+  }
   const headerMap = {};
   let headersAreValid = true;
 
@@ -135,6 +147,14 @@ function MJM_Leads_getSheetAndHeaderMap(spreadsheet, sheetName, expectedHeadersA
   return { sheet: sheet, headerMap: headerMap };
 }
 
+/**
+ * Generates a new lead ID for a "Potential Job Leads" row.
+ * @return {string} An ID like "LEAD-1A2B3C4D".
+ */
+function MJM_Leads_generateLeadId() {
+  return "LEAD-" + Utilities.getUuid().replace(/-/g, "").substring(0, 8).toUpperCase();
+}
+
 /**
  * Retrieves a set of all unique email IDs from the "Source Email ID" column of the leads sheet.
  * @param {GoogleAppsScript.Spreadsheet.Sheet} leadsSheet The "Potential Job Leads" sheet object.
@@ -173,12 +193,13 @@ function MJM_Leads_getProcessedEmailIdsFromSheet(leadsSheet, headerMap) {
  * @param {GoogleAppsScript.Gmail.GmailMessage} message The source Gmail message (used for subject, ID).
  * @param {Object} jobData An object containing the job lead details extracted by AI (jobTitle, company, location, linkToJobPosting).
  * @param {Object} headerMap An object mapping header names to column numbers for the sheet.
+ * @return {number|null} The row number the lead was written to, or null if it wasn't written.
  */
 function MJM_Leads_writeJobToSheet(leadsSheet, message, jobData, headerMap) {
   const moduleName = "Leads Sheet Util (writeJobToSheet)";
-  if (!leadsSheet) { Logger.log(`[ERROR] ${moduleName}: Sheet object is null.`); return; }
-  if (!headerMap || Object.keys(headerMap).length === 0) { Logger.log(`[ERROR] ${moduleName}: headerMap is invalid.`); return; }
-  if (!message || !jobData) { Logger.log(`[ERROR] ${moduleName}: Message or jobData is null.`); return; }
+  if (!leadsSheet) { Logger.log(`[ERROR] ${moduleName}: Sheet object is null.`); return null; }
+  if (!headerMap || Object.keys(headerMap).length === 0) { Logger.log(`[ERROR] ${moduleName}: headerMap is invalid.`); return null; }
+  if (!message || !jobData) { Logger.log(`[ERROR] ${moduleName}: Message or jobData is null.`); return null; }
 
   // MJM_LEADS_SHEET_HEADERS from MJM_Config.gs defines the canonical order and completeness
   const newRowArray = new Array(MJM_LEADS_SHEET_HEADERS.length).fill("");
@@ -200,10 +221,12 @@ function MJM_Leads_writeJobToSheet(leadsSheet, message, jobData, headerMap) {
       case "Location":              newRowArray[index] = jobData.location || "N/A"; break;
       case "Source Email Subject":  newRowArray[index] = message.getSubject(); break;
       case "Link to Job Posting":   newRowArray[index] = jobData.linkToJobPosting || "N/A"; break;
-      case "Status":                newRowArray[index] = "New"; break; // Default status
+      case "Status":                newRowArray[index] = MJM_LEAD_STATUS_NEW; break; // Default status (MJM_Config.gs)
       case "Source Email ID":       newRowArray[index] = message.getId(); break;
       case "Processed Timestamp":   newRowArray[index] = new Date(); break;
       case "Notes":                 newRowArray[index] = jobData.notes || ""; break; // Allow 'notes' field from jobData if AI provides
+      case "Lead ID":               newRowArray[index] = MJM_Leads_generateLeadId(); break;
+      case "Linked Application":    newRowArray[index] = ""; break; // Filled in by MJM_linkLeadToApplication (MJM_LeadLinking.gs)
       default: break; // Should not happen if MJM_LEADS_SHEET_HEADERS is exhaustive
     }
   });
@@ -211,8 +234,10 @@ function MJM_Leads_writeJobToSheet(leadsSheet, message, jobData, headerMap) {
   try {
     leadsSheet.appendRow(newRowArray);
     if (GLOBAL_DEBUG_MODE) Logger.log(`  Appended lead: "${jobData.jobTitle || 'N/A'}" to "${leadsSheet.getName()}".`);
+    return leadsSheet.getLastRow();
   } catch (e) {
     Logger.log(`[ERROR] ${moduleName}: Failed to append row for lead "${jobData.jobTitle || 'N/A'}": ${e.toString()}`);
+    return null;
   }
 }
 
@@ -241,10 +266,12 @@ function MJM_Leads_writeErrorEntryToSheet(leadsSheet, message, errorType, errorD
       case "Job Title":             errorRowArray[index] = "PROCESSING ERROR"; break;
       case "Company":               errorRowArray[index] = errorType.substring(0,200); break;
       case "Source Email Subject":  errorRowArray[index] = message ? message.getSubject() : "N/A"; break;
-      case "Status":                errorRowArray[index] = "Error"; break;
+      case "Status":                errorRowArray[index] = MJM_LEAD_STATUS_ERROR; break;
       case "Source Email ID":       errorRowArray[index] = message ? message.getId() : "N/A"; break;
       case "Processed Timestamp":   errorRowArray[index] = new Date(); break;
       case "Notes":                 errorRowArray[index] = `Type: ${errorType}. Details: ${detailsStr}`; break;
+      case "Lead ID":               errorRowArray[index] = ""; break;
+      case "Linked Application":    errorRowArray[index] = ""; break;
       default:                      errorRowArray[index] = "N/A"; break; // For Location, Link, etc.
     }
   });
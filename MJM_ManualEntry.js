@@ -0,0 +1,193 @@
+// File: MJM_ManualEntry.gs
+// Description: Manual application entry, for applications submitted through portals that never send a confirmation
+// email. A sidebar form (MJM_ManualEntrySidebar.html) collects the company, title, platform, date, job URL, status and
+// notes. It first looks for an existing row with the email matcher (MJM_Matching.gs) and offers to update it. Rows get
+// the same status hierarchy, peak status, status events, alerts and webhooks as rows written by email processing.
+// Relies on constants from MJM_Config.gs (MJM_APP_* columns & statuses, MJM_MANUAL_ENTRY_*, MJM_EVENT_PARSER_MANUAL)
+// and Global_Constants.gs (APP_TRACKER_SHEET_TAB_NAME, MANUAL_REVIEW_NEEDED_TEXT).
+
+/**
+ * Menu entry: opens the manual application entry sidebar.
+ */
+function MJM_showManualEntrySidebar() {
+  const sidebarTemplate = HtmlService.createTemplateFromFile('MJM_ManualEntrySidebar');
+  sidebarTemplate.formOptions = MJM_getManualEntryFormOptions();
+  SpreadsheetApp.getUi().showSidebar(sidebarTemplate.evaluate().setTitle('Add Application'));
+}
+
+/**
+ * Gets the choices and defaults shown in the sidebar form.
+ * @return {{statuses: string[], defaultStatus: string, platforms: string[], today: string}} Form options.
+ */
+function MJM_getManualEntryFormOptions() {
+  return {
+    statuses: Object.keys(MJM_APP_STATUS_HIERARCHY).filter(status => !MJM_MANUAL_ENTRY_EXCLUDED_STATUSES.includes(status)), // MJM_Config.gs
+    defaultStatus: MJM_APP_DEFAULT_STATUS,
+    platforms: MJM_MANUAL_ENTRY_PLATFORMS,
+    today: Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd")
+  };
+}
+
+/**
+ * Validates and cleans up the values submitted by the sidebar form.
+ * @param {Object} form The form values (company, title, platform, date as yyyy-MM-dd, jobUrl, status, notes).
+ * @return {{company: string, title: string, platform: string, date: Date, jobUrl: string, status: string, notes: string}} The entry.
+ * @throws {Error} With a message for the user if a value is missing or invalid.
+ */
+function MJM_readManualEntryForm(form) {
+  const text = fieldName => String((form && form[fieldName]) || "").trim();
+  const entry = { company: text("company"), title: text("title"), platform: text("platform") || MJM_APP_DEFAULT_PLATFORM,
+    date: null, jobUrl: text("jobUrl"), status: text("status") || MJM_APP_DEFAULT_STATUS, notes: text("notes") };
+  if (!entry.company || !entry.title) throw new Error("Company and job title are required.");
+  if (!MJM_getManualEntryFormOptions().statuses.includes(entry.status)) throw new Error(`"${entry.status}" is not a known status.`);
+  if (entry.jobUrl && !/^https?:\/\//i.test(entry.jobUrl)) throw new Error("The job URL must start with http:// or https://.");
+  const dateParts = text("date").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  entry.date = dateParts ? new Date(Number(dateParts[1]), Number(dateParts[2]) - 1, Number(dateParts[3])) : new Date();
+  return entry;
+}
+
+/**
+ * Gets the "Applications" sheet with its columns resolved.
+ * @return {{mainSS: GoogleAppsScript.Spreadsheet.Spreadsheet, dataSheet: GoogleAppsScript.Spreadsheet.Sheet}} The spreadsheet and sheet.
+ * @throws {Error} If the sheet is not available.
+ */
+function MJM_getManualEntryTargetSheet() {
+  const mainSS = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+  const dataSheet = mainSS ? mainSS.getSheetByName(APP_TRACKER_SHEET_TAB_NAME) : null; // Global_Constants.gs
+  if (!dataSheet) throw new Error(`The "${APP_TRACKER_SHEET_TAB_NAME}" sheet was not found. Run the setup first.`);
+  MJM_resolveAppSheetColumns(dataSheet); // MJM_SheetUtils.gs
+  return { mainSS: mainSS, dataSheet: dataSheet };
+}
+
+/**
+ * Called by the sidebar before saving: looks for existing application rows the entry may be an update to, using the
+ * same scoring as email processing (company and title; there is no thread or requisition ID to go on).
+ * @param {Object} form The form values.
+ * @return {{explanation: string, ambiguous: boolean, candidates: Array<{rowNum: number, company: string, title: string, status: string}>}}
+ *         The confident match, or every candidate above MJM_MATCH_MIN_SCORE if the match is ambiguous; empty if none.
+ */
+function MJM_findManualEntryMatches(form) {
+  const entry = MJM_readManualEntryForm(form);
+  const { dataSheet } = MJM_getManualEntryTargetSheet();
+  const matchEntries = [];
+  if (dataSheet.getLastRow() >= 2) {
+    dataSheet.getRange(2, 1, dataSheet.getLastRow() - 1, MJM_APP_TOTAL_COLUMNS).getValues()
+      .forEach((rowValues, idx) => matchEntries.push(MJM_buildMatchEntryFromRow(rowValues, idx + 2))); // MJM_Matching.gs
+  }
+  const matchResult = MJM_findBestApplicationMatch(matchEntries, { threadId: "", requisitionIds: [], company: entry.company, title: entry.title }); // MJM_Matching.gs
+  const candidates = matchResult.entry ? [matchResult.entry]
+    : matchResult.ambiguous ? matchResult.rankedCandidates.filter(candidate => candidate.score >= MJM_MATCH_MIN_SCORE).map(candidate => candidate.entry) : [];
+  return {
+    explanation: matchResult.explanation,
+    ambiguous: !matchResult.entry && candidates.length > 0,
+    candidates: candidates.map(candidate => ({ rowNum: candidate.rowNum, company: candidate.company, title: candidate.title, status: candidate.status }))
+  };
+}
+
+/**
+ * Called by the sidebar: adds the entry as a new application row, or applies it to an existing row.
+ * Holds the script lock so it can't interleave with an email processing run.
+ * @param {Object} form The form values.
+ * @param {number|null} rowNumToUpdate The row chosen from MJM_findManualEntryMatches, or null to add a new row.
+ * @return {{rowNum: number, applicationKey: string, status: string, message: string}} Where the entry was written, the
+ *         row's key and resulting status, and a summary for the sidebar.
+ * @throws {Error} With a message for the user if the entry can't be saved.
+ */
+function MJM_saveManualApplication(form, rowNumToUpdate) {
+  const entry = MJM_readManualEntryForm(form);
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(10000)) throw new Error("Email processing is running right now. Try again in a few minutes.");
+  try {
+    const { mainSS, dataSheet } = MJM_getManualEntryTargetSheet();
+    let rowValues, originalRow = null, rowNum;
+
+    if (rowNumToUpdate) {
+      rowNum = Number(rowNumToUpdate);
+      if (!(rowNum >= 2 && rowNum <= dataSheet.getLastRow())) throw new Error(`Row ${rowNum} no longer exists. Check for matches again.`);
+      rowValues = dataSheet.getRange(rowNum, 1, 1, MJM_APP_TOTAL_COLUMNS).getValues()[0];
+      originalRow = rowValues.slice();
+      const companyInSheet = String(rowValues[MJM_APP_COMPANY_COL - 1] || "").trim();
+      if (companyInSheet !== MANUAL_REVIEW_NEEDED_TEXT && companyInSheet.toLowerCase() !== entry.company.toLowerCase()) {
+        throw new Error(`Row ${rowNum} is now "${companyInSheet}". The sheet changed; check for matches again.`);
+      }
+      MJM_applyManualEntryToRow(rowValues, entry);
+      MJM_writeAppSheetRows(dataSheet, rowNum, [rowValues.map(MJM_escapeSheetFormulaText)]); // MJM_SheetUtils.gs; user-added columns are left as they are; entries may come from a web page (MJM_WebApp.gs)
+    } else {
+      rowValues = MJM_buildManualEntryRow(entry);
+      let leadLinkCache = null;
+      try { leadLinkCache = MJM_loadLeadLinkCache(mainSS, true); } // MJM_LeadLinking.gs
+      catch (eLeads) { Logger.log(`[WARN] MJM_ManualEntry: Could not load job leads for linking: ${eLeads.message}`); }
+      const matchingLead = MJM_findMatchingLead(leadLinkCache, entry.company, entry.title);
+      if (matchingLead) rowValues[MJM_APP_LEAD_ID_COL - 1] = matchingLead.entry.leadId;
+      dataSheet.appendRow(rowValues.map(MJM_escapeSheetFormulaText)); // MJM_SheetUtils.gs
+      rowNum = dataSheet.getLastRow();
+      if (matchingLead) MJM_linkLeadToApplication(leadLinkCache, matchingLead.entry.leadId, rowValues[MJM_APP_KEY_COL - 1]);
+    }
+
+    const eventRow = MJM_buildApplicationEventRow({ appKey: rowValues[MJM_APP_KEY_COL - 1], company: rowValues[MJM_APP_COMPANY_COL - 1], title: rowValues[MJM_APP_JOB_TITLE_COL - 1], // MJM_EventLog.gs
+      oldStatus: originalRow ? originalRow[MJM_APP_STATUS_COL - 1] : "", newStatus: rowValues[MJM_APP_STATUS_COL - 1],
+      oldPeakStatus: originalRow ? originalRow[MJM_APP_PEAK_STATUS_COL - 1] : "", newPeakStatus: rowValues[MJM_APP_PEAK_STATUS_COL - 1],
+      emailId: "", emailDate: entry.date, parser: MJM_EVENT_PARSER_MANUAL });
+    const eventRows = eventRow ? [eventRow] : [];
+    if (MJM_appendApplicationEvents(mainSS, eventRows) > 0) MJM_rebuildApplicationTimeline(mainSS); // MJM_EventLog.gs
+    MJM_sendStatusAlerts(mainSS, eventRows); // MJM_Notifications.gs
+    MJM_sendWebhookEvents(mainSS, [MJM_buildStatusChangeWebhookEvent(eventRow, dataSheet, rowNum)]); // MJM_Webhooks.gs
+    try { MJM_updateDashboardMetrics(mainSS); } catch (eDash) { Logger.log(`[WARN] MJM_ManualEntry: Dashboard update failed: ${eDash.message}`); } // MJM_Dashboard.gs
+
+    const statusNote = `Status: ${rowValues[MJM_APP_STATUS_COL - 1]}${originalRow && rowValues[MJM_APP_STATUS_COL - 1] !== entry.status ? ` (kept; "${entry.status}" ranks lower)` : ""}.`;
+    Logger.log(`[INFO] MJM_ManualEntry (MJM_saveManualApplication): ${originalRow ? "Updated" : "Added"} row ${rowNum} (${rowValues[MJM_APP_KEY_COL - 1]}) for "${entry.company}" - "${entry.title}".`);
+    return { rowNum: rowNum, applicationKey: rowValues[MJM_APP_KEY_COL - 1], status: rowValues[MJM_APP_STATUS_COL - 1], message: `${originalRow ? "Updated" : "Added"} row ${rowNum}: ${rowValues[MJM_APP_COMPANY_COL - 1]} - ${rowValues[MJM_APP_JOB_TITLE_COL - 1]}. ${statusNote}` };
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Builds a new "Applications" row from a manual entry. The email columns stay blank.
+ * @param {Object} entry The entry from MJM_readManualEntryForm. Imports (MJM_Import.gs) also set parser, evidence and
+ *     lastUpdateDate; they default to a manual entry's values and the entry date.
+ * @return {Array<*>} The full-width row (MJM_APP_TOTAL_COLUMNS).
+ */
+function MJM_buildManualEntryRow(entry) {
+  const rowValues = new Array(MJM_APP_TOTAL_COLUMNS).fill("");
+  rowValues[MJM_APP_PROCESSED_TIMESTAMP_COL - 1] = new Date(); rowValues[MJM_APP_EMAIL_DATE_COL - 1] = entry.date;
+  rowValues[MJM_APP_PLATFORM_COL - 1] = entry.platform; rowValues[MJM_APP_COMPANY_COL - 1] = entry.company;
+  rowValues[MJM_APP_JOB_TITLE_COL - 1] = entry.title; rowValues[MJM_APP_STATUS_COL - 1] = entry.status;
+  rowValues[MJM_APP_PEAK_STATUS_COL - 1] = MJM_getInitialPeakStatus(entry.status); // MJM_main.gs
+  rowValues[MJM_APP_LAST_UPDATE_DATE_COL - 1] = entry.lastUpdateDate || entry.date;
+  rowValues[MJM_APP_NORMALIZED_TITLE_COL - 1] = MJM_normalizeJobTitle(entry.title); // MJM_Matching.gs
+  rowValues[MJM_APP_MATCH_DETAILS_COL - 1] = `New application (${(entry.parser || MJM_EVENT_PARSER_MANUAL).toLowerCase()})`;
+  rowValues[MJM_APP_KEY_COL - 1] = MJM_generateApplicationKey(); // MJM_EventLog.gs
+  rowValues[MJM_APP_ATS_COL - 1] = MJM_APP_DEFAULT_ATS;
+  rowValues[MJM_APP_PARSE_SOURCE_COL - 1] = entry.parser || MJM_EVENT_PARSER_MANUAL; rowValues[MJM_APP_CONFIDENCE_COL - 1] = 1; rowValues[MJM_APP_EVIDENCE_COL - 1] = entry.evidence || MJM_MANUAL_ENTRY_EVIDENCE;
+  rowValues[MJM_APP_JOB_URL_COL - 1] = entry.jobUrl; rowValues[MJM_APP_NOTES_COL - 1] = entry.notes;
+  return rowValues;
+}
+
+/**
+ * Applies a manual entry to an existing "Applications" row, in place, the way an email update would: the status only
+ * moves as MJM_APP_STATUS_HIERARCHY allows, dates only move forward, and notes are appended.
+ * @param {Array<*>} rowValues The row as read from the sheet; updated in place.
+ * @param {Object} entry The entry from MJM_readManualEntryForm (or an import, see MJM_buildManualEntryRow).
+ */
+function MJM_applyManualEntryToRow(rowValues, entry) {
+  if (!String(rowValues[MJM_APP_KEY_COL - 1] || "").trim()) rowValues[MJM_APP_KEY_COL - 1] = MJM_generateApplicationKey(); // MJM_EventLog.gs; backfills older rows
+  rowValues[MJM_APP_PROCESSED_TIMESTAMP_COL - 1] = new Date();
+  const entryLastUpdate = entry.lastUpdateDate || entry.date;
+  const lastUpdateInSheet = rowValues[MJM_APP_LAST_UPDATE_DATE_COL - 1] ? new Date(rowValues[MJM_APP_LAST_UPDATE_DATE_COL - 1]) : null;
+  if (!lastUpdateInSheet || isNaN(lastUpdateInSheet.getTime()) || entryLastUpdate.getTime() > lastUpdateInSheet.getTime()) rowValues[MJM_APP_LAST_UPDATE_DATE_COL - 1] = entryLastUpdate;
+  if (!rowValues[MJM_APP_EMAIL_DATE_COL - 1]) rowValues[MJM_APP_EMAIL_DATE_COL - 1] = entry.date;
+  if (rowValues[MJM_APP_COMPANY_COL - 1] === MANUAL_REVIEW_NEEDED_TEXT) rowValues[MJM_APP_COMPANY_COL - 1] = entry.company;
+  if (rowValues[MJM_APP_JOB_TITLE_COL - 1] === MANUAL_REVIEW_NEEDED_TEXT) rowValues[MJM_APP_JOB_TITLE_COL - 1] = entry.title;
+  if (!rowValues[MJM_APP_PLATFORM_COL - 1] || rowValues[MJM_APP_PLATFORM_COL - 1] === MJM_APP_DEFAULT_PLATFORM) rowValues[MJM_APP_PLATFORM_COL - 1] = entry.platform;
+  rowValues[MJM_APP_NORMALIZED_TITLE_COL - 1] = MJM_normalizeJobTitle(rowValues[MJM_APP_JOB_TITLE_COL - 1]); // MJM_Matching.gs
+
+  const statusBefore = rowValues[MJM_APP_STATUS_COL - 1];
+  rowValues[MJM_APP_STATUS_COL - 1] = MJM_getUpdatedApplicationStatus(statusBefore, entry.status); // MJM_main.gs
+  rowValues[MJM_APP_PEAK_STATUS_COL - 1] = MJM_getUpdatedPeakStatus(rowValues[MJM_APP_PEAK_STATUS_COL - 1], rowValues[MJM_APP_STATUS_COL - 1]);
+  if (rowValues[MJM_APP_STATUS_COL - 1] !== statusBefore) rowValues[MJM_APP_EVIDENCE_COL - 1] = entry.evidence || MJM_MANUAL_ENTRY_EVIDENCE;
+
+  if (entry.jobUrl) rowValues[MJM_APP_JOB_URL_COL - 1] = entry.jobUrl;
+  const notesInSheet = String(rowValues[MJM_APP_NOTES_COL - 1] || "").trim();
+  if (entry.notes && !notesInSheet.includes(entry.notes)) rowValues[MJM_APP_NOTES_COL - 1] = notesInSheet ? `${notesInSheet}\n${entry.notes}` : entry.notes;
+}
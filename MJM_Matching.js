@@ -0,0 +1,178 @@
+// File: MJM_Matching.gs
+// Description: Resolves incoming application emails to existing rows in the "Applications" sheet
+// using Gmail thread IDs, requisition/job IDs and normalized job titles (not just company name).
+// Produces a ranked, explainable match result so ambiguous cases can be routed to Manual Review.
+// Relies on constants from MJM_Config.gs (column indices, MJM_MATCH_* weights, MJM_REQUISITION_ID_PATTERNS)
+// and Global_Constants.gs (MANUAL_REVIEW_NEEDED_TEXT, GLOBAL_DEBUG_MODE).
+
+/**
+ * Extracts requisition/job IDs (e.g., "JR12345", "REQ-778", Greenhouse/Lever job IDs) from email text.
+ * @param {string} emailSubject The email subject.
+ * @param {string} plainBody The plain text body of the email.
+ * @return {string[]} Unique, uppercased IDs found (may be empty).
+ */
+function MJM_extractRequisitionIds(emailSubject, plainBody) {
+  const textToScan = `${emailSubject || ""}\n${plainBody || ""}`;
+  const foundIds = new Set();
+  MJM_REQUISITION_ID_PATTERNS.forEach(pattern => { // From MJM_Config.gs
+    pattern.lastIndex = 0; // Patterns are global (/g); reset state between calls
+    let match;
+    while ((match = pattern.exec(textToScan)) !== null) {
+      const candidateId = String(match[1] || "").trim().toUpperCase();
+      if (candidateId && /\d/.test(candidateId)) foundIds.add(candidateId); // Real IDs always contain a digit
+    }
+  });
+  return Array.from(foundIds);
+}
+
+/**
+ * Normalizes a job title into a stable matching key: lowercased, requisition IDs and punctuation removed,
+ * common seniority abbreviations expanded.
+ * @param {string} jobTitle The raw job title.
+ * @return {string} The normalized title, or "" if the title is empty or MANUAL_REVIEW_NEEDED_TEXT.
+ */
+function MJM_normalizeJobTitle(jobTitle) {
+  const rawTitle = String(jobTitle || "").trim();
+  if (!rawTitle || rawTitle === MANUAL_REVIEW_NEEDED_TEXT) return ""; // Global_Constants.gs
+  return rawTitle.toLowerCase()
+    .replace(/\b(jr|req)-?\d+\b/g, " ")
+    .replace(/\([^)]*\)/g, " ")             // Drop parentheticals like "(Remote)" or "(m/f/d)"
+    .replace(/[^a-z0-9+#\s]/g, " ")
+    .replace(/\bsr\b/g, "senior").replace(/\bjr\b/g, "junior").replace(/\bmgr\b/g, "manager").replace(/\beng\b/g, "engineer")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Splits a comma-separated ID cell (thread IDs, requisition IDs) into a clean array.
+ * @param {*} cellValue The sheet cell value.
+ * @return {string[]} The IDs.
+ */
+function MJM_splitIdList(cellValue) {
+  return String(cellValue || "").split(",").map(id => id.trim()).filter(id => id);
+}
+
+/**
+ * Builds an in-memory match entry from one "Applications" sheet row.
+ * @param {Array<*>} rowValues The full row values (length MJM_APP_TOTAL_COLUMNS).
+ * @param {number} rowNum The 1-based sheet row number.
+ * @return {{rowNum:number, emailId:string, threadIds:string[], requisitionIds:string[], company:string, title:string, normalizedTitle:string, status:string, peakStatus:string}}
+ */
+function MJM_buildMatchEntryFromRow(rowValues, rowNum) {
+  const title = String(rowValues[MJM_APP_JOB_TITLE_COL - 1] || "").trim(); // MJM_Config.gs
+  return {
+    rowNum: rowNum,
+    emailId: String(rowValues[MJM_APP_EMAIL_ID_COL - 1] || "").trim(),
+    threadIds: MJM_splitIdList(rowValues[MJM_APP_THREAD_IDS_COL - 1]),
+    requisitionIds: MJM_splitIdList(rowValues[MJM_APP_REQUISITION_IDS_COL - 1]).map(id => id.toUpperCase()),
+    company: String(rowValues[MJM_APP_COMPANY_COL - 1] || "").trim(),
+    title: title,
+    normalizedTitle: String(rowValues[MJM_APP_NORMALIZED_TITLE_COL - 1] || "").trim() || MJM_normalizeJobTitle(title),
+    status: String(rowValues[MJM_APP_STATUS_COL - 1] || "").trim(),
+    peakStatus: String(rowValues[MJM_APP_PEAK_STATUS_COL - 1] || "").trim()
+  };
+}
+
+/**
+ * Token-overlap (Jaccard) similarity between two normalized titles.
+ * @param {string} titleA Normalized title.
+ * @param {string} titleB Normalized title.
+ * @return {number} Similarity between 0 and 1.
+ */
+function MJM_titleSimilarity(titleA, titleB) {
+  if (!titleA || !titleB) return 0;
+  const tokensA = new Set(titleA.split(" ")); const tokensB = new Set(titleB.split(" "));
+  let sharedCount = 0;
+  tokensA.forEach(token => { if (tokensB.has(token)) sharedCount++; });
+  const unionCount = tokensA.size + tokensB.size - sharedCount;
+  return unionCount > 0 ? sharedCount / unionCount : 0;
+}
+
+/**
+ * Ranks existing application rows against an incoming email and decides whether one row is a confident match.
+ *
+ * Decision rules:
+ *  - Best candidate scores >= MJM_MATCH_MIN_SCORE and leads the runner-up by >= MJM_MATCH_AMBIGUITY_MARGIN: matched.
+ *  - Best candidate scores >= MJM_MATCH_MIN_SCORE but the runner-up is within the margin: ambiguous.
+ *  - No candidate reaches the minimum, the email has no usable title and the company has several rows: ambiguous.
+ *  - Otherwise: no match (the caller appends a new application row).
+ *
+ * @param {Array<Object>} matchEntries Entries from MJM_buildMatchEntryFromRow.
+ * @param {{threadId:string, requisitionIds:string[], company:string, title:string}} incoming The parsed email details.
+ * @return {{entry:Object|null, score:number, ambiguous:boolean, reasons:string[], rankedCandidates:Array<{entry:Object, score:number, reasons:string[]}>, explanation:string}}
+ */
+function MJM_findBestApplicationMatch(matchEntries, incoming) {
+  const incomingCompanyLC = (incoming.company && incoming.company !== MANUAL_REVIEW_NEEDED_TEXT) ? incoming.company.toLowerCase() : "";
+  const incomingNormTitle = MJM_normalizeJobTitle(incoming.title);
+  const incomingReqIds = (incoming.requisitionIds || []).map(id => id.toUpperCase());
+  const companyEntries = incomingCompanyLC ? matchEntries.filter(e => e.company.toLowerCase() === incomingCompanyLC) : [];
+
+  const rankedCandidates = [];
+  matchEntries.forEach(entry => {
+    const sharesThread = !!incoming.threadId && entry.threadIds.includes(incoming.threadId);
+    const sharedReqIds = incomingReqIds.filter(id => entry.requisitionIds.includes(id));
+    const sameCompany = !!incomingCompanyLC && entry.company.toLowerCase() === incomingCompanyLC;
+    if (!sharesThread && sharedReqIds.length === 0 && !sameCompany) return; // Not a candidate at all
+
+    let score = 0; const reasons = [];
+    if (sharesThread) { score += MJM_MATCH_WEIGHT_THREAD; reasons.push(`same Gmail thread (+${MJM_MATCH_WEIGHT_THREAD})`); }
+    if (sharedReqIds.length > 0) { score += MJM_MATCH_WEIGHT_REQUISITION_ID; reasons.push(`requisition ID ${sharedReqIds.join("/")} (+${MJM_MATCH_WEIGHT_REQUISITION_ID})`); }
+    else if (incomingReqIds.length > 0 && entry.requisitionIds.length > 0) { score += MJM_MATCH_PENALTY_REQUISITION_ID; reasons.push(`different requisition IDs (${MJM_MATCH_PENALTY_REQUISITION_ID})`); }
+    if (sameCompany) { score += MJM_MATCH_WEIGHT_COMPANY; reasons.push(`company "${entry.company}" (+${MJM_MATCH_WEIGHT_COMPANY})`); }
+
+    if (incomingNormTitle && entry.normalizedTitle) {
+      if (incomingNormTitle === entry.normalizedTitle) {
+        score += MJM_MATCH_WEIGHT_TITLE_EXACT; reasons.push(`same title (+${MJM_MATCH_WEIGHT_TITLE_EXACT})`);
+      } else {
+        const similarity = MJM_titleSimilarity(incomingNormTitle, entry.normalizedTitle);
+        if (similarity >= MJM_MATCH_TITLE_SIMILARITY_MIN) {
+          const titlePoints = Math.round(MJM_MATCH_WEIGHT_TITLE_SIMILAR * similarity);
+          score += titlePoints; reasons.push(`similar title ${Math.round(similarity * 100)}% (+${titlePoints})`);
+        } else {
+          score += MJM_MATCH_PENALTY_TITLE_CONFLICT; reasons.push(`different title (${MJM_MATCH_PENALTY_TITLE_CONFLICT})`);
+        }
+      }
+    } else if (!incomingNormTitle && sameCompany && companyEntries.length === 1) {
+      score += MJM_MATCH_WEIGHT_SOLE_COMPANY_APP; reasons.push(`only application at company (+${MJM_MATCH_WEIGHT_SOLE_COMPANY_APP})`);
+    }
+    rankedCandidates.push({ entry: entry, score: score, reasons: reasons });
+  });
+
+  // Highest score first; newer rows win ties so explanations stay deterministic
+  rankedCandidates.sort((a, b) => (b.score - a.score) || (b.entry.rowNum - a.entry.rowNum));
+  const best = rankedCandidates[0] || null;
+  const runnerUp = rankedCandidates[1] || null;
+
+  const result = { entry: null, score: best ? best.score : 0, ambiguous: false, reasons: best ? best.reasons : [], rankedCandidates: rankedCandidates, explanation: "" };
+  const describeCandidate = c => `row ${c.entry.rowNum} score ${c.score} [${c.reasons.join(", ")}]`;
+
+  if (best && best.score >= MJM_MATCH_MIN_SCORE) {
+    if (runnerUp && (best.score - runnerUp.score) < MJM_MATCH_AMBIGUITY_MARGIN) {
+      result.ambiguous = true;
+      result.explanation = `Ambiguous: ${describeCandidate(best)} vs ${describeCandidate(runnerUp)}`;
+    } else {
+      result.entry = best.entry;
+      result.explanation = `Matched ${describeCandidate(best)}`;
+    }
+  } else if (!incomingNormTitle && companyEntries.length > 1) {
+    result.ambiguous = true;
+    result.explanation = `Ambiguous: no title and ${companyEntries.length} applications at "${incoming.company}"`;
+  } else {
+    result.explanation = best ? `New application (best was ${describeCandidate(best)}, below ${MJM_MATCH_MIN_SCORE})` : "New application (no candidate rows)";
+  }
+
+  if (GLOBAL_DEBUG_MODE) Logger.log(`[DEBUG] MJM_Matching (MJM_findBestApplicationMatch): ${result.explanation}`);
+  return result;
+}
+
+/**
+ * Merges new IDs into an existing comma-separated ID cell value without duplicates.
+ * @param {*} existingCellValue The current cell value.
+ * @param {string[]} idsToAdd IDs to merge in.
+ * @return {string} The merged, comma-separated value.
+ */
+function MJM_mergeIdList(existingCellValue, idsToAdd) {
+  const mergedIds = MJM_splitIdList(existingCellValue);
+  (idsToAdd || []).forEach(id => { if (id && !mergedIds.includes(id)) mergedIds.push(id); });
+  return mergedIds.join(", ");
+}
@@ -0,0 +1,209 @@
+// File: MJM_Notifications.gs
+// Description: Email notifications for the MJM Application Tracker.
+// Instant alerts go out (MailApp) as soon as email processing sets one of the configured alert statuses (by default
+// interviews and offers), and a daily digest summarizes new applications, status changes, new leads and the
+// manual-review queue. Recipients, alert statuses and the digest hour live in the "Notification Settings" sheet.
+// Relies on constants from MJM_Config.gs (MJM_NOTIFICATION_*, MJM_NOTIFY_SETTING_*, MJM_APP_EVENTS_SHEET_HEADERS,
+// MJM_LEADS_SHEET_HEADERS, Gmail label names) and Global_Constants.gs (sheet tab names, APP_NAME).
+
+/**
+ * Gets or creates the "Notification Settings" sheet. A new sheet gets the default settings (MJM_NOTIFICATION_DEFAULT_SETTINGS)
+ * with checkboxes for the on/off settings.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null on error.
+ */
+function MJM_setupNotificationSettingsSheet(ss) {
+  const existingSheet = ss ? ss.getSheetByName(NOTIFICATION_SETTINGS_SHEET_TAB_NAME) : null; // Global_Constants.gs
+  const settingsSheet = existingSheet || MJM_getOrCreateHistorySheet(ss, NOTIFICATION_SETTINGS_SHEET_TAB_NAME, MJM_NOTIFICATION_SETTINGS_HEADERS); // MJM_EventLog.gs
+  if (!settingsSheet || existingSheet) return settingsSheet; // Never overwrite settings the user already has
+  try {
+    settingsSheet.getRange(2, 1, MJM_NOTIFICATION_DEFAULT_SETTINGS.length, MJM_NOTIFICATION_SETTINGS_HEADERS.length).setValues(MJM_NOTIFICATION_DEFAULT_SETTINGS); // MJM_Config.gs
+    MJM_NOTIFICATION_DEFAULT_SETTINGS.forEach((settingRow, idx) => {
+      if (typeof settingRow[1] === "boolean") settingsSheet.getRange(idx + 2, 2).insertCheckboxes().setValue(settingRow[1]);
+    });
+    settingsSheet.setColumnWidth(1, 180); settingsSheet.setColumnWidth(2, 300); settingsSheet.setColumnWidth(3, 520);
+    Logger.log(`[INFO] MJM_Notifications (MJM_setupNotificationSettingsSheet): Created "${NOTIFICATION_SETTINGS_SHEET_TAB_NAME}" with default settings.`);
+  } catch (e) {
+    Logger.log(`[WARN] MJM_Notifications (MJM_setupNotificationSettingsSheet): Sheet created, but writing defaults failed: ${e.message}`);
+  }
+  return settingsSheet;
+}
+
+/**
+ * Reads the notification settings. Missing rows or blank values fall back to MJM_NOTIFICATION_DEFAULT_SETTINGS.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @return {{recipients:string, alertsEnabled:boolean, alertStatuses:Set<string>, digestEnabled:boolean, digestHour:number}}
+ *         The settings; recipients is a comma-separated list ready for MailApp ("" if no address is known).
+ */
+function MJM_loadNotificationSettings(ss) {
+  const settingValues = {};
+  MJM_NOTIFICATION_DEFAULT_SETTINGS.forEach(settingRow => { settingValues[settingRow[0]] = settingRow[1]; }); // MJM_Config.gs
+  const settingsSheet = ss ? ss.getSheetByName(NOTIFICATION_SETTINGS_SHEET_TAB_NAME) : null; // Global_Constants.gs
+  if (settingsSheet && settingsSheet.getLastRow() >= 2) {
+    settingsSheet.getRange(2, 1, settingsSheet.getLastRow() - 1, 2).getValues().forEach(([settingName, settingValue]) => {
+      const name = String(settingName || "").trim();
+      if (name in settingValues && String(settingValue).trim() !== "") settingValues[name] = settingValue;
+    });
+  }
+  const isOn = value => value === true || /^(?:true|yes|y|1|on)$/i.test(String(value).trim());
+  const listOf = value => String(value || "").split(/[,;\n]/).map(item => item.trim()).filter(item => item);
+
+  let recipients = listOf(settingValues[MJM_NOTIFY_SETTING_RECIPIENTS]);
+  if (recipients.length === 0) {
+    try { recipients = [Session.getEffectiveUser().getEmail()].filter(address => address); } catch (e) { /* No address available */ }
+  }
+  const digestHour = parseInt(settingValues[MJM_NOTIFY_SETTING_DIGEST_HOUR], 10);
+  return {
+    recipients: recipients.join(","),
+    alertsEnabled: isOn(settingValues[MJM_NOTIFY_SETTING_ALERTS_ENABLED]),
+    alertStatuses: new Set(listOf(settingValues[MJM_NOTIFY_SETTING_ALERT_STATUSES])),
+    digestEnabled: isOn(settingValues[MJM_NOTIFY_SETTING_DIGEST_ENABLED]),
+    digestHour: digestHour >= 0 && digestHour <= 23 ? digestHour : 8
+  };
+}
+
+/**
+ * Sends an instant alert for each status change to one of the configured alert statuses.
+ * Called after email processing (and after applying approved preview rows) with that run's status events.
+ * Alerts beyond MJM_NOTIFICATION_MAX_ALERTS_PER_RUN are skipped; the daily digest still lists them.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Array<Array<*>>} eventRows "Application Events" rows from MJM_buildApplicationEventRow (nulls are ignored).
+ * @return {number} Number of alerts sent.
+ */
+function MJM_sendStatusAlerts(ss, eventRows) {
+  const statusChanges = (eventRows || []).filter(eventRow => eventRow);
+  if (statusChanges.length === 0) return 0;
+  try {
+    const settings = MJM_loadNotificationSettings(ss);
+    if (!settings.alertsEnabled || settings.alertStatuses.size === 0) return 0;
+    const col = name => MJM_APP_EVENTS_SHEET_HEADERS.indexOf(name); // MJM_Config.gs
+    const alertEvents = statusChanges.filter(eventRow => settings.alertStatuses.has(eventRow[col("New Status")]) && eventRow[col("Old Status")] !== eventRow[col("New Status")]);
+    if (alertEvents.length === 0) return 0;
+    if (!settings.recipients) { Logger.log("[WARN] MJM_Notifications (MJM_sendStatusAlerts): No recipient address. Alerts not sent."); return 0; }
+    if (alertEvents.length > MJM_NOTIFICATION_MAX_ALERTS_PER_RUN) Logger.log(`[WARN] MJM_Notifications (MJM_sendStatusAlerts): ${alertEvents.length} alerts this run; sending the first ${MJM_NOTIFICATION_MAX_ALERTS_PER_RUN}. The rest will be in the daily digest.`);
+
+    let alertsSent = 0;
+    alertEvents.slice(0, MJM_NOTIFICATION_MAX_ALERTS_PER_RUN).forEach(eventRow => {
+      const company = eventRow[col("Company")] || "Unknown company", title = eventRow[col("Job Title")] || "Unknown role";
+      const newStatus = eventRow[col("New Status")], emailId = eventRow[col("Source Email ID")];
+      const bodyLines = [
+        `${title} at ${company} is now "${newStatus}"${eventRow[col("Old Status")] ? ` (was "${eventRow[col("Old Status")]}")` : ""}.`,
+        "",
+        `Application Key: ${eventRow[col("Application Key")] || "-"}`,
+        `Parser: ${eventRow[col("Parser")] || "-"}`
+      ];
+      if (emailId) bodyLines.push(`Email: https://mail.google.com/mail/u/0/#inbox/${emailId}`);
+      bodyLines.push(`Tracker: ${ss.getUrl()}`);
+      try {
+        MailApp.sendEmail(settings.recipients, `[${APP_NAME}] ${newStatus}: ${title} at ${company}`, bodyLines.join("\n")); // APP_NAME from Global_Constants.gs
+        alertsSent++;
+      } catch (eMail) {
+        Logger.log(`[ERROR] MJM_Notifications (MJM_sendStatusAlerts): Failed to send alert for ${eventRow[col("Application Key")]}: ${eMail.message}`);
+      }
+    });
+    Logger.log(`[INFO] MJM_Notifications: Sent ${alertsSent} status alert(s) to ${settings.recipients}.`);
+    return alertsSent;
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Notifications (MJM_sendStatusAlerts): ${e.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Emails the daily digest: new applications, status changes and new leads since the last digest, plus the threads
+ * waiting in the Manual Review label. Intended to be run by the daily trigger set up by MJM_applyNotificationSettings,
+ * or from the menu. Nothing is sent when the digest is disabled or there is nothing to report.
+ */
+function MJM_sendDailyDigest() {
+  const mainSS = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+  if (!mainSS) { Logger.log("[FATAL ERROR] MJM_Notifications (Digest): Main spreadsheet not available. Aborting."); return; }
+  const settings = MJM_loadNotificationSettings(mainSS);
+  if (!settings.digestEnabled) { Logger.log("[INFO] MJM_Notifications (Digest): Daily digest is disabled in Notification Settings."); return; }
+  if (!settings.recipients) { Logger.log("[WARN] MJM_Notifications (Digest): No recipient address. Digest not sent."); return; }
+
+  const userProps = PropertiesService.getUserProperties();
+  const now = new Date();
+  const lastSentAt = new Date(userProps.getProperty(MJM_LAST_DIGEST_SENT_PROPERTY) || now.getTime() - 24 * 60 * 60 * 1000); // MJM_Config.gs
+  const sinceTime = isNaN(lastSentAt.getTime()) ? now.getTime() - 24 * 60 * 60 * 1000 : lastSentAt.getTime();
+  const isRecent = value => value instanceof Date && value.getTime() > sinceTime;
+  const listSection = (heading, items) => {
+    const shownItems = items.slice(0, MJM_NOTIFICATION_DIGEST_MAX_ITEMS).map(item => `  • ${item}`);
+    if (items.length > MJM_NOTIFICATION_DIGEST_MAX_ITEMS) shownItems.push(`  …and ${items.length - MJM_NOTIFICATION_DIGEST_MAX_ITEMS} more`);
+    return [`${heading} (${items.length})`].concat(items.length > 0 ? shownItems : ["  None"], [""]);
+  };
+
+  const newApplications = [], statusChanges = [];
+  const eventsSheet = mainSS.getSheetByName(APP_EVENTS_SHEET_TAB_NAME); // Global_Constants.gs
+  if (eventsSheet && eventsSheet.getLastRow() >= 2) {
+    const col = name => MJM_APP_EVENTS_SHEET_HEADERS.indexOf(name);
+    eventsSheet.getRange(2, 1, eventsSheet.getLastRow() - 1, MJM_APP_EVENTS_SHEET_HEADERS.length).getValues().forEach(eventRow => {
+      if (!isRecent(eventRow[col("Event Timestamp")])) return;
+      const label = `${eventRow[col("Job Title")] || "Unknown role"} at ${eventRow[col("Company")] || "Unknown company"}`;
+      if (!eventRow[col("Old Status")]) newApplications.push(`${label} (${eventRow[col("New Status")]})`);
+      else if (eventRow[col("Old Status")] !== eventRow[col("New Status")]) statusChanges.push(`${label}: ${eventRow[col("Old Status")]} → ${eventRow[col("New Status")]}`);
+    });
+  }
+
+  const newLeads = [];
+  const { sheet: leadsSheet, headerMap: leadsHeaderMap } = MJM_Leads_getSheetAndHeaderMap(mainSS, LEADS_SHEET_TAB_NAME, MJM_LEADS_SHEET_HEADERS); // MJM_Leads_SheetUtils.gs
+  if (leadsSheet && leadsHeaderMap["Processed Timestamp"] && leadsSheet.getLastRow() >= 2) {
+    const lastCol = Math.max(...MJM_LEADS_SHEET_HEADERS.map(h => leadsHeaderMap[h] || 0));
+    leadsSheet.getRange(2, 1, leadsSheet.getLastRow() - 1, lastCol).getValues().forEach(leadRow => {
+      const cell = header => leadsHeaderMap[header] ? leadRow[leadsHeaderMap[header] - 1] : "";
+      if (!isRecent(cell("Processed Timestamp")) || cell("Status") === MJM_LEAD_STATUS_ERROR || !cell("Job Title")) return; // MJM_Config.gs
+      newLeads.push(`${cell("Job Title")} at ${cell("Company") || "Unknown company"}${cell("Location") ? ` (${cell("Location")})` : ""}`);
+    });
+  }
+
+  const manualReviewItems = [];
+  try {
+    const manualReviewLabel = GmailApp.getUserLabelByName(MJM_TRACKER_GMAIL_LABEL_MANUAL_REVIEW); // MJM_Config.gs
+    if (manualReviewLabel) manualReviewLabel.getThreads(0, MJM_NOTIFICATION_DIGEST_MAX_ITEMS + 1).forEach(thread => manualReviewItems.push(thread.getFirstMessageSubject() || "(no subject)"));
+  } catch (e) { Logger.log(`[WARN] MJM_Notifications (Digest): Could not read the Manual Review label: ${e.message}`); }
+
+  if (newApplications.length + statusChanges.length + newLeads.length + manualReviewItems.length === 0) {
+    Logger.log("[INFO] MJM_Notifications (Digest): Nothing to report since the last digest. Not sent.");
+    userProps.setProperty(MJM_LAST_DIGEST_SENT_PROPERTY, now.toISOString());
+    return;
+  }
+  const timeZone = Session.getScriptTimeZone();
+  const bodyLines = [`Job search activity since ${Utilities.formatDate(new Date(sinceTime), timeZone, "yyyy-MM-dd HH:mm")}.`, ""]
+    .concat(listSection("New applications", newApplications), listSection("Status changes", statusChanges), listSection("New job leads", newLeads),
+            listSection(`Waiting in "${MJM_TRACKER_GMAIL_LABEL_MANUAL_REVIEW}"`, manualReviewItems), [`Tracker: ${mainSS.getUrl()}`]);
+  try {
+    MailApp.sendEmail(settings.recipients, `[${APP_NAME}] Daily digest for ${Utilities.formatDate(now, timeZone, "yyyy-MM-dd")}`, bodyLines.join("\n")); // APP_NAME from Global_Constants.gs
+    userProps.setProperty(MJM_LAST_DIGEST_SENT_PROPERTY, now.toISOString());
+    Logger.log(`[INFO] MJM_Notifications (Digest): Sent to ${settings.recipients} (${newApplications.length} new, ${statusChanges.length} changes, ${newLeads.length} leads, ${manualReviewItems.length} manual review).`);
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Notifications (Digest): Failed to send: ${e.message}`);
+  }
+}
+
+/**
+ * Creates the "Notification Settings" sheet if needed and (re)schedules the daily digest trigger at the configured hour,
+ * or removes it when the digest is disabled. Run from the menu after changing the settings; also called by setup.
+ * @return {string} A short description of the result, for setup messages and the UI alert.
+ */
+function MJM_applyNotificationSettings() {
+  const mainSS = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+  if (!mainSS || !MJM_setupNotificationSettingsSheet(mainSS)) return "FAILED - Notification Settings sheet unavailable (see logs).";
+  const settings = MJM_loadNotificationSettings(mainSS);
+  let resultMessage;
+  if (settings.digestEnabled) {
+    MJM_createDailyAtHourTrigger('MJM_sendDailyDigest', settings.digestHour); // MJM_Triggers.gs; replaces any earlier digest trigger
+    resultMessage = `Daily digest scheduled around ${settings.digestHour}:00 (${Session.getScriptTimeZone()}).`;
+  } else {
+    MJM_deleteAllTriggersForFunction('MJM_sendDailyDigest'); // MJM_Triggers.gs
+    resultMessage = "Daily digest disabled; its trigger was removed.";
+  }
+  resultMessage += ` Instant alerts ${settings.alertsEnabled ? `on for: ${Array.from(settings.alertStatuses).join(", ") || "(no statuses)"}` : "off"}. Recipients: ${settings.recipients || "(none)"}.`;
+  Logger.log(`[INFO] MJM_Notifications (MJM_applyNotificationSettings): ${resultMessage}`);
+  return resultMessage;
+}
+
+/**
+ * Menu wrapper for MJM_applyNotificationSettings.
+ */
+function MJM_applyNotificationSettings_UI() {
+  SpreadsheetApp.getUi().alert("Notification Settings", MJM_applyNotificationSettings(), SpreadsheetApp.getUi().ButtonSet.OK);
+}
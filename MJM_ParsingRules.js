@@ -0,0 +1,100 @@
+// File: MJM_ParsingRules.gs
+// Description: User-defined parsing rules for the MJM Application Tracker.
+// Rules live in the "Parsing Rules" sheet so keyword/platform tweaks don't need code changes. They are evaluated
+// for each email before Gemini and the regex parser, and the IDs of the rules that matched are recorded on the
+// application row ("Parsing Rule IDs") for auditability.
+// Relies on constants from MJM_Config.gs (MJM_PARSING_RULES_SHEET_HEADERS, MJM_RULE_ACTION_*)
+// and Global_Constants.gs (PARSING_RULES_SHEET_TAB_NAME).
+
+/**
+ * Gets or creates the "Parsing Rules" sheet. A new sheet gets disabled example rules,
+ * an "Enabled" checkbox column and an "Action" dropdown.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null on error.
+ */
+function MJM_setupParsingRulesSheet(ss) {
+  const existingSheet = ss ? ss.getSheetByName(PARSING_RULES_SHEET_TAB_NAME) : null; // Global_Constants.gs
+  const rulesSheet = existingSheet || MJM_getOrCreateHistorySheet(ss, PARSING_RULES_SHEET_TAB_NAME, MJM_PARSING_RULES_SHEET_HEADERS); // MJM_EventLog.gs
+  if (!rulesSheet || existingSheet) return rulesSheet; // Never touch rules the user already has
+  try {
+    const col = name => MJM_PARSING_RULES_SHEET_HEADERS.indexOf(name) + 1;
+    const ruleRowCount = Math.max(rulesSheet.getMaxRows() - 1, 1);
+    rulesSheet.getRange(2, col("Enabled"), ruleRowCount, 1).insertCheckboxes();
+    rulesSheet.getRange(2, col("Action"), ruleRowCount, 1).setDataValidation(
+      SpreadsheetApp.newDataValidation().requireValueInList(MJM_RULE_ACTIONS, true).setAllowInvalid(false).build()); // MJM_Config.gs
+    rulesSheet.getRange(2, 1, MJM_PARSING_RULES_EXAMPLES.length, MJM_PARSING_RULES_SHEET_HEADERS.length).setValues(MJM_PARSING_RULES_EXAMPLES);
+    rulesSheet.setColumnWidth(col("Subject Regex"), 260); rulesSheet.setColumnWidth(col("Body Phrase"), 200);
+    rulesSheet.setColumnWidth(col("Action"), 150); rulesSheet.setColumnWidth(col("Notes"), 300);
+    Logger.log(`[INFO] MJM_ParsingRules (MJM_setupParsingRulesSheet): Created "${PARSING_RULES_SHEET_TAB_NAME}" with ${MJM_PARSING_RULES_EXAMPLES.length} disabled example rule(s).`);
+  } catch (e) {
+    Logger.log(`[WARN] MJM_ParsingRules (MJM_setupParsingRulesSheet): Sheet created, but formatting failed: ${e.message}`);
+  }
+  return rulesSheet;
+}
+
+/**
+ * Reads the enabled rules from the "Parsing Rules" sheet, in sheet order.
+ * Rules with no conditions, an unknown action, an invalid regex or an invalid status are skipped with a warning.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @return {Array<{ruleId:string, senderDomain:string, subjectPattern:RegExp|null, bodyPhrase:string, action:string, actionValue:string}>}
+ *         The compiled rules (empty if the sheet is missing).
+ */
+function MJM_loadParsingRules(ss) {
+  const rulesSheet = ss ? ss.getSheetByName(PARSING_RULES_SHEET_TAB_NAME) : null; // Global_Constants.gs
+  if (!rulesSheet || rulesSheet.getLastRow() < 2) return [];
+  const col = name => MJM_PARSING_RULES_SHEET_HEADERS.indexOf(name);
+  const rules = [];
+  rulesSheet.getRange(2, 1, rulesSheet.getLastRow() - 1, MJM_PARSING_RULES_SHEET_HEADERS.length).getValues().forEach((row, idx) => {
+    const ruleId = String(row[col("Rule ID")] || "").trim() || `Row ${idx + 2}`;
+    if (row[col("Enabled")] !== true) return;
+    const senderDomain = String(row[col("Sender Domain")] || "").trim().toLowerCase().replace(/^@/, "");
+    const subjectRegexText = String(row[col("Subject Regex")] || "").trim();
+    const bodyPhrase = String(row[col("Body Phrase")] || "").trim().toLowerCase();
+    const action = String(row[col("Action")] || "").trim();
+    const actionValue = String(row[col("Action Value")] || "").trim();
+    if (!senderDomain && !subjectRegexText && !bodyPhrase) { Logger.log(`[WARN] MJM_ParsingRules: Rule ${ruleId} has no conditions. Skipping it.`); return; }
+    if (!MJM_RULE_ACTIONS.includes(action)) { Logger.log(`[WARN] MJM_ParsingRules: Rule ${ruleId} has an unknown action "${action}". Skipping it.`); return; }
+    if (action === MJM_RULE_ACTION_SET_STATUS && !(actionValue in MJM_APP_STATUS_HIERARCHY)) { // MJM_Config.gs
+      Logger.log(`[WARN] MJM_ParsingRules: Rule ${ruleId} sets unknown status "${actionValue}". Skipping it.`); return;
+    }
+    if ([MJM_RULE_ACTION_SET_COMPANY, MJM_RULE_ACTION_SET_PLATFORM].includes(action) && !actionValue) {
+      Logger.log(`[WARN] MJM_ParsingRules: Rule ${ruleId} (${action}) has no Action Value. Skipping it.`); return;
+    }
+    let subjectPattern = null;
+    if (subjectRegexText) {
+      try { subjectPattern = new RegExp(subjectRegexText, "i"); }
+      catch (e) { Logger.log(`[WARN] MJM_ParsingRules: Rule ${ruleId} has an invalid Subject Regex (${e.message}). Skipping it.`); return; }
+    }
+    rules.push({ ruleId: ruleId, senderDomain: senderDomain, subjectPattern: subjectPattern, bodyPhrase: bodyPhrase, action: action, actionValue: actionValue });
+  });
+  return rules;
+}
+
+/**
+ * Evaluates the rules against one email.
+ * @param {Array<Object>} rules Rules from MJM_loadParsingRules.
+ * @param {{sender:string, subject:string, body:string}} emailFacts The raw From header, subject and plain body.
+ * @return {{ruleIds:string[], status:string|null, company:string|null, platform:string|null, ignore:boolean, forceManualReview:boolean}}
+ *         The combined outcome; ruleIds lists every rule that matched, in order.
+ */
+function MJM_evaluateParsingRules(rules, emailFacts) {
+  const outcome = { ruleIds: [], status: null, company: null, platform: null, ignore: false, forceManualReview: false };
+  if (!rules || rules.length === 0) return outcome;
+  const senderEmail = (String(emailFacts.sender || "").match(/<([^>]+)>/) || [null, emailFacts.sender])[1];
+  const senderDomain = String(senderEmail || "").trim().toLowerCase().split("@")[1] || "";
+  const subject = String(emailFacts.subject || "");
+  const lowerBody = String(emailFacts.body || "").toLowerCase();
+
+  for (const rule of rules) {
+    if (rule.senderDomain && senderDomain !== rule.senderDomain && !senderDomain.endsWith("." + rule.senderDomain)) continue;
+    if (rule.subjectPattern && !rule.subjectPattern.test(subject)) continue;
+    if (rule.bodyPhrase && !lowerBody.includes(rule.bodyPhrase)) continue;
+    outcome.ruleIds.push(rule.ruleId);
+    if (rule.action === MJM_RULE_ACTION_SET_STATUS) outcome.status = outcome.status || rule.actionValue;
+    else if (rule.action === MJM_RULE_ACTION_SET_COMPANY) outcome.company = outcome.company || rule.actionValue;
+    else if (rule.action === MJM_RULE_ACTION_SET_PLATFORM) outcome.platform = outcome.platform || rule.actionValue;
+    else if (rule.action === MJM_RULE_ACTION_IGNORE) { outcome.ignore = true; break; }
+    else if (rule.action === MJM_RULE_ACTION_MANUAL_REVIEW) { outcome.forceManualReview = true; break; }
+  }
+  return outcome;
+}
@@ -63,6 +63,161 @@ function MJM_parseCompanyFromSenderName(sender) {
   return null;
 }
 
+/**
+ * Returns the text of an email for parsing: the plain body, or text converted from the HTML body when the plain body
+ * is missing or has too little real text (MJM_PLAIN_BODY_MIN_USEFUL_CHARS).
+ * @param {GoogleAppsScript.Gmail.GmailMessage} message The Gmail message object.
+ * @return {{text: string, source: string}} The body text ("[Body Fetch Error]" if neither body could be read) and
+ *         MJM_PLAIN_BODY_SOURCE or MJM_HTML_BODY_SOURCE.
+ */
+function MJM_getEmailBodyText(message) {
+  let plainBody = null;
+  try { plainBody = message.getPlainBody() || ""; } catch (eBody) { Logger.log(`    WARN: Failed to get plain body for Msg ${message.getId()}: ${eBody.message}`); }
+  if (plainBody !== null && MJM_countUsefulBodyChars(plainBody) >= MJM_PLAIN_BODY_MIN_USEFUL_CHARS) { // MJM_Config.gs
+    return { text: plainBody, source: MJM_PLAIN_BODY_SOURCE };
+  }
+
+  let htmlText = "";
+  try { htmlText = MJM_htmlToText(message.getBody()); } catch (eHtml) { Logger.log(`    WARN: Failed to get HTML body for Msg ${message.getId()}: ${eHtml.message}`); }
+  if (htmlText && MJM_countUsefulBodyChars(htmlText) > MJM_countUsefulBodyChars(plainBody || "")) {
+    if (GLOBAL_DEBUG_MODE) Logger.log(`    Body: Plain text too short (${MJM_countUsefulBodyChars(plainBody || "")} useful chars); using HTML body (${htmlText.length} chars).`);
+    return { text: htmlText, source: MJM_HTML_BODY_SOURCE };
+  }
+  return { text: plainBody !== null ? plainBody : "[Body Fetch Error]", source: MJM_PLAIN_BODY_SOURCE };
+}
+
+/**
+ * Counts the characters of a body that carry content: URLs, "[image: ...]" placeholders and whitespace are ignored.
+ * @param {string} bodyText The body text.
+ * @return {number} The number of useful characters.
+ */
+function MJM_countUsefulBodyChars(bodyText) {
+  return String(bodyText || "").replace(/https?:\/\/\S+|<[^>\s]+>|\[image:[^\]]*\]/gi, "").replace(/\s+/g, "").length;
+}
+
+/**
+ * Converts an HTML email body to readable text for the parsers. Head, style and script blocks are dropped, each table
+ * row becomes one line with its cells joined by " | ", block elements become line breaks and links keep their target
+ * as "text (URL)" so job-posting URLs survive. Common HTML entities are decoded.
+ * @param {string} html The HTML body (GmailMessage.getBody()).
+ * @return {string} The text, with blank lines collapsed; "" if there is no HTML.
+ */
+function MJM_htmlToText(html) {
+  if (!html) return "";
+  let text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(head|style|script|title|noscript)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, " ");
+
+  // Links: keep the visible text plus the target, unless the text already is the URL (mailto:/tel: targets are dropped)
+  text = text.replace(/<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a\s*>/gi, (match, quote, href, innerHtml) => {
+    const linkText = innerHtml.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim();
+    const target = href.replace(/&amp;/gi, "&").trim();
+    if (!/^https?:\/\//i.test(target)) return ` ${linkText} `;
+    if (!linkText || linkText === target || target.includes(linkText)) return ` ${target} `;
+    return ` ${linkText} (${target}) `;
+  });
+
+  text = text
+    .replace(/<\/t[dh]\s*>/gi, " | ")                                   // Table cells -> " | " separators
+    .replace(/<br\s*\/?>|<\/?(?:tr|p|div|li|ul|ol|h[1-6]|table|tbody|thead|tfoot|blockquote|section|article|header|footer|center|hr)\b[^>]*>/gi, "\n")
+    .replace(/<img\b[^>]*?\balt\s*=\s*(["'])(.*?)\1[^>]*>/gi, " $2 ")   // Logos often carry the company name in alt text
+    .replace(/<[^>]+>/g, " ");
+
+  const namedEntities = { nbsp: " ", amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", ndash: "–", mdash: "—", hellip: "…", zwnj: "", zwj: "", shy: "" };
+  text = text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const codePoint = code[1].toLowerCase() === "x" ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+      return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : " ";
+    }
+    const decoded = namedEntities[code.toLowerCase()];
+    return decoded !== undefined ? decoded : entity;
+  });
+
+  return text.split("\n")
+    .map(line => line.replace(/[\s\u200B-\u200D\uFEFF]+/g, " ").replace(/^(?:\s*\|\s*)+|(?:\s*\|\s*)+$/g, "").replace(/(?:\s*\|\s*){2,}/g, " | ").trim())
+    .filter(line => line)
+    .join("\n");
+}
+
+/**
+ * Detects the applicant tracking system (ATS) behind an email, independent of the job Platform.
+ * Checks the sender domain first, then ATS links in the body, then "Powered by ..." footer text.
+ * @param {string} sender The raw "From" string of the email.
+ * @param {string} plainBody The plain text body of the email.
+ * @return {string} The ATS name (a key of MJM_ATS_SIGNATURES in MJM_Config.gs) or MJM_APP_DEFAULT_ATS.
+ */
+function MJM_detectAtsVendor(sender, plainBody) {
+  const emailMatch = String(sender || "").match(/<([^>]+)>/);
+  const senderDomain = ((emailMatch ? emailMatch[1] : String(sender || "")).split('@')[1] || "").trim().toLowerCase();
+  const atsNames = Object.keys(MJM_ATS_SIGNATURES); // MJM_Config.gs
+  const body = String(plainBody || "");
+
+  const atsFromDomain = atsNames.find(name => MJM_ATS_SIGNATURES[name].domains.some(domain => senderDomain === domain || senderDomain.endsWith("." + domain)));
+  if (atsFromDomain) return atsFromDomain;
+  const atsFromLink = atsNames.find(name => MJM_ATS_SIGNATURES[name].hostPattern.test(body));
+  if (atsFromLink) return atsFromLink;
+  const footerText = body.slice(-MJM_ATS_FOOTER_SCAN_CHARS); // MJM_Config.gs
+  return atsNames.find(name => MJM_ATS_SIGNATURES[name].footerPattern.test(footerText)) || MJM_APP_DEFAULT_ATS;
+}
+
+/**
+ * Turns a URL slug such as "acme-robotics" or "Senior_Data_Engineer" into "Acme Robotics" / "Senior Data Engineer".
+ * @param {string} slug The slug from a job-posting URL.
+ * @return {string} The title-cased text.
+ */
+function MJM_slugToTitleCase(slug) {
+  return String(slug || "").replace(/[-_.]+/g, ' ').trim().split(/\s+/)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * ATS-specific extraction strategies. Reads the vendor's job-posting link (company/title slugs and the job ID)
+ * and the vendor's usual subject/body formats (e.g., Greenhouse "Thank you for applying to {Company}",
+ * Workday "{Title} (R0012345)").
+ * @param {string} atsVendor The ATS from MJM_detectAtsVendor.
+ * @param {string} emailSubject The subject of the email.
+ * @param {string} plainBody The plain text body of the email.
+ * @return {{company:string|null, title:string|null, linkCompany:string|null, linkTitle:string|null, requisitionIds:string[]}}
+ *         company/title come from the vendor's text formats and are trusted over the generic regex patterns;
+ *         linkCompany/linkTitle come from URL slugs and are only a late fallback. Missing values are null.
+ */
+function MJM_extractAtsSpecificDetails(atsVendor, emailSubject, plainBody) {
+  const details = { company: null, title: null, linkCompany: null, linkTitle: null, requisitionIds: [] };
+  const signature = MJM_ATS_SIGNATURES[atsVendor]; // MJM_Config.gs
+  if (!signature) return details;
+  const subject = String(emailSubject || "");
+  const body = String(plainBody || "");
+
+  const linkMatch = body.match(signature.jobLinkPattern);
+  if (linkMatch) {
+    if (signature.companyGroup && linkMatch[signature.companyGroup]) details.linkCompany = MJM_slugToTitleCase(linkMatch[signature.companyGroup]);
+    if (signature.titleGroup && linkMatch[signature.titleGroup]) details.linkTitle = MJM_slugToTitleCase(linkMatch[signature.titleGroup]);
+    if (signature.idGroup && linkMatch[signature.idGroup]) details.requisitionIds.push(linkMatch[signature.idGroup].toUpperCase());
+  }
+
+  if (atsVendor === "Greenhouse") {
+    const companyMatch = subject.match(/^(?:Thank you for applying to|Thanks for applying to|Your application to|Important information about your application to)\s+(.+?)[!.]?$/i) ||
+                         body.match(/Thank you for your interest in\s+([^!.\n]+)[!.]/i);
+    if (companyMatch) details.company = companyMatch[1].trim();
+    const titleMatch = body.match(/received your application for(?: the)?\s+(.+?)(?:\s+(?:position|role))?(?:,|\.|\s+and\s|\s+at\s|\n)/i);
+    if (titleMatch) details.title = titleMatch[1].trim();
+  } else if (atsVendor === "Lever") {
+    const companyMatch = subject.match(/^(?:Thank you for your application to|Thank you for applying to|Thanks for applying to)\s+(.+?)[!.]?$/i);
+    if (companyMatch) details.company = companyMatch[1].trim();
+    const titleMatch = body.match(/(?:application|applying) for the\s+(.+?)\s+(?:position|role|opportunity)/i);
+    if (titleMatch) details.title = titleMatch[1].trim();
+  } else if (atsVendor === "Workday") {
+    // Workday puts the requisition ID in parentheses after the title, e.g. "Data Analyst (R0012345)"
+    const titleWithIdMatch = `${subject}\n${body}`.match(/(?:applying (?:for|to)|application for|applied (?:for|to))(?: the)?\s+([^\n()]+?)\s*(?:position\s*)?\(((?:JR|R)-?\d{4,}(?:-\d+)?)\)/i);
+    if (titleWithIdMatch) {
+      details.title = titleWithIdMatch[1].trim();
+      details.requisitionIds.push(titleWithIdMatch[2].toUpperCase());
+    }
+  }
+  details.requisitionIds = Array.from(new Set(details.requisitionIds));
+  return details;
+}
+
 /**
  * Extracts company and job title from an email message using regex patterns and sender info.
  * This is the fallback when AI (Gemini) parsing is not used or fails for MJM Application Tracker.
@@ -71,14 +226,17 @@ function MJM_parseCompanyFromSenderName(sender) {
  * @param {string} detectedPlatform The platform detected (e.g., "LinkedIn", "Indeed"). Uses MJM_APP_DEFAULT_PLATFORM from MJM_Config.gs.
  * @param {string} emailSubject The subject of the email.
  * @param {string} plainBody The plain text body of the email.
- * @return {{company: string, title: string}} An object containing the extracted company and title.
- *         Defaults to MANUAL_REVIEW_NEEDED_TEXT (global const) if extraction fails.
+ * @param {Object} [atsDetails] Result of MJM_extractAtsSpecificDetails for the email's ATS, if any.
+ * @return {{company: string, title: string, companyMethod: string|null, titleMethod: string|null, companyConfidence: number, titleConfidence: number}}
+ *         The extracted company and title, which method produced each (a key of MJM_PARSE_CONFIDENCE_BY_METHOD) and its
+ *         heuristic confidence. Values default to MANUAL_REVIEW_NEEDED_TEXT (global const), with confidence 0, if extraction fails.
  */
-function MJM_extractCompanyAndTitle(message, detectedPlatform, emailSubject, plainBody) {
+function MJM_extractCompanyAndTitle(message, detectedPlatform, emailSubject, plainBody, atsDetails) {
   // MANUAL_REVIEW_NEEDED_TEXT from Global_Constants.gs
   // MJM_APP_DEFAULT_PLATFORM from MJM_Config.gs
   let company = MANUAL_REVIEW_NEEDED_TEXT;
   let title = MANUAL_REVIEW_NEEDED_TEXT;
+  let companyMethod = null, titleMethod = null; // Keys of MJM_PARSE_CONFIDENCE_BY_METHOD (MJM_Config.gs)
   const sender = message.getFrom();
 
   if (GLOBAL_DEBUG_MODE) Logger.log(`[DEBUG] MJM_ParsingUtils (Regex C/T Fallback) for subj: "${emailSubject.substring(0,100)}"`);
@@ -93,7 +251,7 @@ function MJM_extractCompanyAndTitle(message, detectedPlatform, emailSubject, pla
     let wfCoSub = emailSubject.match(/update from (.*?)(?: \|| at |$)/i) ||
                   emailSubject.match(/application to (.*?)(?: successfully| at |$)/i) ||
                   emailSubject.match(/New introduction from (.*?)(?: for |$)/i);
-    if (wfCoSub && wfCoSub[1]) company = wfCoSub[1].trim();
+    if (wfCoSub && wfCoSub[1]) { company = wfCoSub[1].trim(); companyMethod = "Wellfound Format"; }
 
     if (title === MANUAL_REVIEW_NEEDED_TEXT && plainBody && sender.toLowerCase().includes("team@hi.wellfound.com")) {
         const markerPhrase = "if there's a match, we will make an email introduction."; // Specific to some Wellfound emails
@@ -101,11 +259,17 @@ function MJM_extractCompanyAndTitle(message, detectedPlatform, emailSubject, pla
         if (markerIndex !== -1) {
             const relevantText = plainBody.substring(markerIndex + markerPhrase.length);
             const titleMatch = relevantText.match(/^\s*\*\s*([A-Za-z\s.,:&'\/-]+?)(?:\s*\(| at | \n|$)/m);
-            if (titleMatch && titleMatch[1]) title = titleMatch[1].trim();
+            if (titleMatch && titleMatch[1]) { title = titleMatch[1].trim(); titleMethod = "Wellfound Format"; }
         }
     }
   }
 
+  // ATS-specific formats are more reliable than the general patterns below
+  if (atsDetails) {
+    if (atsDetails.company && company === MANUAL_REVIEW_NEEDED_TEXT) { company = atsDetails.company; companyMethod = "ATS Format"; }
+    if (atsDetails.title && title === MANUAL_REVIEW_NEEDED_TEXT) { title = atsDetails.title; titleMethod = "ATS Format"; }
+  }
+
   // General Regex patterns for subject line parsing
   const subjectParsePatterns = [
     { r: /Application for(?: the)?\s+(.+?)\s+at\s+([^-:|–—]+)/i, tI: 1, cI: 2 },
@@ -135,8 +299,8 @@ function MJM_extractCompanyAndTitle(message, detectedPlatform, emailSubject, pla
           }
       }
       
-      if (extractedTitle && (title === MANUAL_REVIEW_NEEDED_TEXT || title === MJM_APP_DEFAULT_STATUS)) title = extractedTitle; // MJM_APP_DEFAULT_STATUS from MJM_Config.gs
-      if (extractedCompany && (company === MANUAL_REVIEW_NEEDED_TEXT || company === MJM_APP_DEFAULT_PLATFORM)) company = extractedCompany; // MJM_APP_DEFAULT_PLATFORM from MJM_Config.gs
+      if (extractedTitle && (title === MANUAL_REVIEW_NEEDED_TEXT || title === MJM_APP_DEFAULT_STATUS)) { title = extractedTitle; titleMethod = "Subject Pattern"; } // MJM_APP_DEFAULT_STATUS from MJM_Config.gs
+      if (extractedCompany && (company === MANUAL_REVIEW_NEEDED_TEXT || company === MJM_APP_DEFAULT_PLATFORM)) { company = extractedCompany; companyMethod = "Subject Pattern"; } // MJM_APP_DEFAULT_PLATFORM from MJM_Config.gs
       
       // If both found satisfactory values, break early
       if (company !== MANUAL_REVIEW_NEEDED_TEXT && title !== MANUAL_REVIEW_NEEDED_TEXT &&
@@ -145,23 +309,27 @@ function MJM_extractCompanyAndTitle(message, detectedPlatform, emailSubject, pla
   }
 
   // If subject parsing failed for company, use sender name parse
-  if (company === MANUAL_REVIEW_NEEDED_TEXT && tempCompanyFromName) company = tempCompanyFromName;
+  if (company === MANUAL_REVIEW_NEEDED_TEXT && tempCompanyFromName) { company = tempCompanyFromName; companyMethod = "Sender Name"; }
 
   // Body Scan Fallback if still needed
   if ((company === MANUAL_REVIEW_NEEDED_TEXT || title === MANUAL_REVIEW_NEEDED_TEXT || company === MJM_APP_DEFAULT_PLATFORM || title === MJM_APP_DEFAULT_STATUS) && plainBody) {
     const bodyFirstKChars = plainBody.substring(0, 1500).replace(/<[^>]+>/g, ' '); // Look in first 1500 chars, strip HTML
     if (company === MANUAL_REVIEW_NEEDED_TEXT || company === MJM_APP_DEFAULT_PLATFORM) {
       let bodyCompanyMatch = bodyFirstKChars.match(/(?:applying to|application with|interview with|position at|role at|opportunity at|Thank you for your interest in working at)\s+([A-Z][A-Za-z\s.&'-]+(?:LLC|Inc\.?|Ltd\.?|Corp\.?|GmbH|Group|Solutions|Technologies)?)(?:[.,\s\n\(]|$)/i);
-      if (bodyCompanyMatch && bodyCompanyMatch[1]) company = bodyCompanyMatch[1].trim();
+      if (bodyCompanyMatch && bodyCompanyMatch[1]) { company = bodyCompanyMatch[1].trim(); companyMethod = "Body Scan"; }
     }
     if (title === MANUAL_REVIEW_NEEDED_TEXT || title === MJM_APP_DEFAULT_STATUS) {
       let bodyTitleMatch = bodyFirstKChars.match(/(?:application for the|position of|role of|applying for the|interview for the|title:)\s+([A-Za-z][A-Za-z0-9\s.,:&'\/\(\)-]+?)(?:\s\(| at | with |[\s.,\n\(]|$)/i);
-      if (bodyTitleMatch && bodyTitleMatch[1]) title = bodyTitleMatch[1].trim();
+      if (bodyTitleMatch && bodyTitleMatch[1]) { title = bodyTitleMatch[1].trim(); titleMethod = "Body Scan"; }
     }
   }
 
+  // Job-posting link slugs from the ATS (e.g., boards.greenhouse.io/acme/jobs/123) before the sender domain
+  if (atsDetails && atsDetails.linkCompany && (company === MANUAL_REVIEW_NEEDED_TEXT || company === MJM_APP_DEFAULT_PLATFORM)) { company = atsDetails.linkCompany; companyMethod = "ATS Link"; }
+  if (atsDetails && atsDetails.linkTitle && (title === MANUAL_REVIEW_NEEDED_TEXT || title === MJM_APP_DEFAULT_STATUS)) { title = atsDetails.linkTitle; titleMethod = "ATS Link"; }
+
   // Last resort for company: use domain parse if other methods failed
-  if (company === MANUAL_REVIEW_NEEDED_TEXT && tempCompanyFromDomain) company = tempCompanyFromDomain;
+  if (company === MANUAL_REVIEW_NEEDED_TEXT && tempCompanyFromDomain) { company = tempCompanyFromDomain; companyMethod = "Sender Domain"; }
 
   // Cleaning function for extracted entities
   const cleanEntity = (entityText, isTitleField = false) => {
@@ -186,8 +354,11 @@ function MJM_extractCompanyAndTitle(message, detectedPlatform, emailSubject, pla
   company = cleanEntity(company);
   title = cleanEntity(title, true); // Pass true for title-specific cleaning
 
-  if (GLOBAL_DEBUG_MODE) Logger.log(`  MJM_ParsingUtils Final Fallback Regex Result -> Company:"${company}", Title:"${title}"`);
-  return {company: company, title: title};
+  if (company === MANUAL_REVIEW_NEEDED_TEXT) companyMethod = null;
+  if (title === MANUAL_REVIEW_NEEDED_TEXT) titleMethod = null;
+  if (GLOBAL_DEBUG_MODE) Logger.log(`  MJM_ParsingUtils Final Fallback Regex Result -> Company:"${company}" (${companyMethod}), Title:"${title}" (${titleMethod})`);
+  return {company: company, title: title, companyMethod: companyMethod, titleMethod: titleMethod,
+          companyConfidence: MJM_PARSE_CONFIDENCE_BY_METHOD[companyMethod] || 0, titleConfidence: MJM_PARSE_CONFIDENCE_BY_METHOD[titleMethod] || 0}; // MJM_Config.gs
 }
 
 /**
@@ -198,30 +369,100 @@ function MJM_extractCompanyAndTitle(message, detectedPlatform, emailSubject, pla
  * @return {string|null} The detected status (e.g., MJM_APP_REJECTED_STATUS) or null if no specific keywords found.
  */
 function MJM_parseBodyForStatus(plainBody) {
+  const statusDetails = MJM_parseBodyForStatusDetails(plainBody);
+  return statusDetails ? statusDetails.status : null; // Null implies MJM_APP_DEFAULT_STATUS might be used by caller
+}
+
+/**
+ * Like MJM_parseBodyForStatus, but also returns the keyword that triggered the status and the text around it.
+ * The keyword pack for the email's detected language is checked first, then the English pack (MJM_STATUS_KEYWORD_PACKS).
+ * Within a pack, keyword groups are checked in priority order: offer, interview, assessment, viewed, rejection.
+ *
+ * @param {string} plainBody The plain text body of the email.
+ * @return {{status: string, keyword: string, evidence: string, language: string}|null} The detected status with its evidence, or null.
+ */
+function MJM_parseBodyForStatusDetails(plainBody) {
   if (!plainBody || plainBody.length < 10) {
     if (GLOBAL_DEBUG_MODE) Logger.log("[DEBUG] MJM_ParsingUtils (Regex Status): Body too short/missing for status parse.");
     return null;
   }
-  // Normalize body text for keyword matching
-  let bodyLower = plainBody.toLowerCase().replace(/[.,!?;:()\[\]{}'"“”‘’\-–—]/g, ' ').replace(/\s+/g, ' ').trim();
+  // Normalize body text (and keywords, below) the same way so punctuation inside phrases doesn't prevent a match
+  const normalizeForKeywords = text => String(text).toLowerCase().replace(/[.,!?;:()\[\]{}'"“”‘’\-–—]/g, ' ').replace(/\s+/g, ' ').trim();
+  let bodyLower = normalizeForKeywords(plainBody);
 
-  // Keyword arrays from MJM_Config.gs (e.g., MJM_OFFER_KEYWORDS, MJM_INTERVIEW_KEYWORDS, etc.)
-  if (MJM_OFFER_KEYWORDS.some(k => bodyLower.includes(k))) {
-    if (GLOBAL_DEBUG_MODE) Logger.log(`  Regex Status: Matched OFFER.`); return MJM_APP_OFFER_STATUS;
-  }
-  if (MJM_INTERVIEW_KEYWORDS.some(k => bodyLower.includes(k))) {
-    if (GLOBAL_DEBUG_MODE) Logger.log(`  Regex Status: Matched INTERVIEW.`); return MJM_APP_INTERVIEW_STATUS;
-  }
-  if (MJM_ASSESSMENT_KEYWORDS.some(k => bodyLower.includes(k))) {
-    if (GLOBAL_DEBUG_MODE) Logger.log(`  Regex Status: Matched ASSESSMENT.`); return MJM_APP_ASSESSMENT_STATUS;
-  }
-  if (MJM_APP_VIEWED_KEYWORDS.some(k => bodyLower.includes(k))) {
-    if (GLOBAL_DEBUG_MODE) Logger.log(`  Regex Status: Matched APP_VIEWED.`); return MJM_APP_VIEWED_STATUS;
+  const detectedLanguage = MJM_detectEmailLanguage(plainBody);
+  const languagesToCheck = [detectedLanguage, MJM_DEFAULT_EMAIL_LANGUAGE].filter((lang, idx, arr) => arr.indexOf(lang) === idx); // MJM_Config.gs
+  for (const language of languagesToCheck) {
+    const keywordPack = MJM_STATUS_KEYWORD_PACKS[language]; // MJM_Config.gs (English pack reuses MJM_OFFER_KEYWORDS, etc.)
+    if (!keywordPack) continue;
+    const keywordGroups = [
+      { status: MJM_APP_OFFER_STATUS, keywords: keywordPack.offer, label: "OFFER" },
+      { status: MJM_APP_INTERVIEW_STATUS, keywords: keywordPack.interview, label: "INTERVIEW" },
+      { status: MJM_APP_ASSESSMENT_STATUS, keywords: keywordPack.assessment, label: "ASSESSMENT" },
+      { status: MJM_APP_VIEWED_STATUS, keywords: keywordPack.viewed, label: "APP_VIEWED" },
+      { status: MJM_APP_REJECTED_STATUS, keywords: keywordPack.rejection, label: "REJECTION" }
+    ];
+    for (const group of keywordGroups) {
+      const matchedKeyword = (group.keywords || []).find(k => bodyLower.includes(normalizeForKeywords(k)));
+      if (!matchedKeyword) continue;
+      if (GLOBAL_DEBUG_MODE) Logger.log(`  Regex Status: Matched ${group.label} ("${matchedKeyword}", ${language.toUpperCase()} pack).`);
+      return { status: group.status, keyword: matchedKeyword, evidence: MJM_extractEvidenceSnippet(plainBody, matchedKeyword), language: language };
+    }
   }
-  if (MJM_REJECTION_KEYWORDS.some(k => bodyLower.includes(k))) {
-    if (GLOBAL_DEBUG_MODE) Logger.log(`  Regex Status: Matched REJECTION.`); return MJM_APP_REJECTED_STATUS;
+
+  if (GLOBAL_DEBUG_MODE) Logger.log(`[DEBUG] MJM_ParsingUtils (Regex Status): No specific MJM status keywords found by regex (language: ${detectedLanguage}).`);
+  return null;
+}
+
+/**
+ * Guesses the language of an email by counting common words from each language in MJM_LANGUAGE_HINT_WORDS.
+ * @param {string} text The email text (subject and/or plain body).
+ * @return {string} A language code from MJM_STATUS_KEYWORD_PACKS (e.g., "de"), or MJM_DEFAULT_EMAIL_LANGUAGE if unsure.
+ */
+function MJM_detectEmailLanguage(text) {
+  const words = String(text || "").toLowerCase().match(/[\p{L}]+/gu) || [];
+  if (words.length === 0) return MJM_DEFAULT_EMAIL_LANGUAGE; // MJM_Config.gs
+  const wordCounts = {};
+  words.slice(0, 400).forEach(w => { wordCounts[w] = (wordCounts[w] || 0) + 1; }); // The opening of an email is enough
+  let bestLanguage = MJM_DEFAULT_EMAIL_LANGUAGE, bestScore = 0;
+  for (const language in MJM_LANGUAGE_HINT_WORDS) { // MJM_Config.gs
+    const score = MJM_LANGUAGE_HINT_WORDS[language].reduce((sum, hint) => sum + (wordCounts[hint] || 0), 0);
+    if (score > bestScore) { bestLanguage = language; bestScore = score; }
   }
+  return bestScore >= MJM_LANGUAGE_DETECTION_MIN_HITS && MJM_STATUS_KEYWORD_PACKS[bestLanguage] ? bestLanguage : MJM_DEFAULT_EMAIL_LANGUAGE;
+}
+
+/**
+ * Returns the sentence-sized piece of text around a phrase, for the "Evidence" column.
+ * Falls back to the quoted phrase itself if it only matches after punctuation is stripped.
+ * @param {string} text The text that contains the phrase (e.g., the email body).
+ * @param {string} phrase The phrase to locate (case-insensitive).
+ * @return {string} The snippet, at most MJM_PARSE_EVIDENCE_MAX_CHARS long.
+ */
+function MJM_extractEvidenceSnippet(text, phrase) {
+  const sourceText = String(text || "");
+  const phraseIndex = phrase ? sourceText.toLowerCase().indexOf(String(phrase).toLowerCase()) : -1;
+  if (phraseIndex === -1) return phrase ? `Keyword: "${phrase}"` : "";
+  const contextChars = Math.max(Math.floor((MJM_PARSE_EVIDENCE_MAX_CHARS - phrase.length) / 2), 0); // MJM_Config.gs
+  const snippetStart = Math.max(phraseIndex - contextChars, 0);
+  const snippetEnd = Math.min(phraseIndex + phrase.length + contextChars, sourceText.length);
+  const snippet = sourceText.substring(snippetStart, snippetEnd).replace(/\s+/g, " ").trim();
+  return `${snippetStart > 0 ? "…" : ""}${snippet}${snippetEnd < sourceText.length ? "…" : ""}`;
+}
 
-  if (GLOBAL_DEBUG_MODE) Logger.log("[DEBUG] MJM_ParsingUtils (Regex Status): No specific MJM status keywords found by regex.");
-  return null; // Return null if no strong match, implying MJM_APP_DEFAULT_STATUS might be used by caller
+/**
+ * Combines the per-field parse results of one email into the "Parse Source", "Confidence" and "Evidence" cells.
+ * @param {{company:{source:string, confidence:number}, title:{source:string, confidence:number}, status:{source:string, confidence:number, evidence:string}}} fieldParses
+ *        How each field was produced; a field with no source counts as confidence 0.
+ * @return {{parseSource: string, confidence: number, evidence: string}} The cell values.
+ */
+function MJM_summarizeFieldParses(fieldParses) {
+  const fieldLabels = { company: "Company", title: "Title", status: "Status" };
+  const parseSource = Object.keys(fieldLabels).map(field => {
+    const fieldParse = fieldParses[field] || {};
+    return `${fieldLabels[field]}: ${fieldParse.source || "None"} (${Number(fieldParse.confidence || 0).toFixed(2)})`;
+  }).join(" | ");
+  const confidence = Math.min(...Object.keys(fieldLabels).map(field => Number((fieldParses[field] || {}).confidence) || 0));
+  const evidence = String((fieldParses.status || {}).evidence || "").substring(0, MJM_PARSE_EVIDENCE_MAX_CHARS); // MJM_Config.gs
+  return { parseSource: parseSource, confidence: Math.round(confidence * 100) / 100, evidence: evidence };
 }
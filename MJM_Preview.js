@@ -0,0 +1,285 @@
+// File: MJM_Preview.gs
+// Description: Dry-run ("preview") mode for MJM application email processing.
+// MJM_previewApplicationEmails runs the normal Gemini + regex pipeline without writing anything, and lists the
+// proposed inserts/updates (old vs new values and parser) in the "Processing Preview" sheet. After ticking "Approve"
+// on the rows to keep, MJM_applyProcessingPreview commits only those rows.
+// Relies on constants from MJM_Config.gs (MJM_PREVIEW_*, MJM_APP_* columns) and
+// Global_Constants.gs (PROCESSING_PREVIEW_SHEET_TAB_NAME, APP_TRACKER_SHEET_TAB_NAME, GLOBAL_DEBUG_MODE).
+
+/**
+ * Parses a JSON cell written by MJM_writeProcessingPreview, turning ISO timestamps back into Dates.
+ * @param {string} jsonText The cell value.
+ * @return {*} The parsed value, or null if the cell is blank or invalid.
+ */
+function MJM_parsePreviewJson(jsonText) {
+  if (!jsonText) return null;
+  try {
+    return JSON.parse(jsonText, (key, value) =>
+      (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(value)) ? new Date(value) : value);
+  } catch (e) {
+    Logger.log(`[WARN] MJM_Preview (MJM_parsePreviewJson): Invalid JSON in preview row: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Lists the "Applications" columns a preview row would change, as "Header: old → new" lines.
+ * The Processed Timestamp column is ignored since every write changes it.
+ * @param {Array<*>|null} originalRow The row before the change (null for an insert).
+ * @param {Array<*>} proposedRow The row after the change.
+ * @param {string[]} headerNames The "Applications" header row.
+ * @return {string} One line per changed column.
+ */
+function MJM_describePreviewChanges(originalRow, proposedRow, headerNames) {
+  const timeZone = Session.getScriptTimeZone();
+  const formatCell = value => value instanceof Date ? Utilities.formatDate(value, timeZone, "yyyy-MM-dd HH:mm") : String(value ?? "");
+  const changeLines = [];
+  proposedRow.forEach((newValue, idx) => {
+    if (idx === MJM_APP_PROCESSED_TIMESTAMP_COL - 1) return; // MJM_Config.gs
+    const oldText = originalRow ? formatCell(originalRow[idx]) : "";
+    const newText = formatCell(newValue);
+    if (oldText === newText) return;
+    const header = headerNames[idx] || `Column ${idx + 1}`;
+    changeLines.push(originalRow ? `${header}: ${oldText || "(blank)"} → ${newText || "(blank)"}` : `${header}: ${newText}`);
+  });
+  return changeLines.join("\n");
+}
+
+/**
+ * Replaces the contents of the "Processing Preview" sheet with the proposed changes from a dry run.
+ * Insert/Update rows get an "Approve" checkbox; ambiguous matches are listed for information only.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Array<Object>} previewEntries Entries collected by MJM_processApplicationEmailBatch({dryRun: true}).
+ * @return {number} Number of preview rows written, or -1 on error.
+ */
+function MJM_writeProcessingPreview(ss, previewEntries) {
+  const previewSheet = MJM_getOrCreateHistorySheet(ss, PROCESSING_PREVIEW_SHEET_TAB_NAME, MJM_PREVIEW_SHEET_HEADERS); // MJM_EventLog.gs
+  if (!previewSheet) return -1;
+  try {
+    if (previewSheet.getLastRow() > 1) {
+      const oldRowsRange = previewSheet.getRange(2, 1, previewSheet.getLastRow() - 1, MJM_PREVIEW_SHEET_HEADERS.length);
+      oldRowsRange.clearDataValidations();
+      oldRowsRange.clearContent();
+    }
+    if (previewEntries.length === 0) return 0;
+
+    const appSheet = ss.getSheetByName(APP_TRACKER_SHEET_TAB_NAME); // Global_Constants.gs
+    if (appSheet) MJM_resolveAppSheetColumns(appSheet); // MJM_SheetUtils.gs
+    const headerNames = appSheet ? appSheet.getRange(1, 1, 1, MJM_APP_TOTAL_COLUMNS).getValues()[0].map(String) : [];
+    const previewRows = previewEntries.map(entry => {
+      const proposedRow = entry.proposedRow;
+      const company = proposedRow ? proposedRow[MJM_APP_COMPANY_COL - 1] : entry.company;
+      const title = proposedRow ? proposedRow[MJM_APP_JOB_TITLE_COL - 1] : entry.title;
+      const oldStatus = entry.originalRow ? entry.originalRow[MJM_APP_STATUS_COL - 1] : "";
+      const newStatus = proposedRow ? proposedRow[MJM_APP_STATUS_COL - 1] : entry.newStatus;
+      return [
+        "", "", entry.action, entry.action === MJM_PREVIEW_ACTION_INSERT ? `${entry.rowNum} (new)` : entry.rowNum,
+        proposedRow ? proposedRow[MJM_APP_KEY_COL - 1] : "", company, title, oldStatus, newStatus,
+        proposedRow ? MJM_describePreviewChanges(entry.originalRow, proposedRow, headerNames) : "",
+        entry.parser, entry.matchDetails, entry.emailDate, entry.emailSubject, entry.emailPermalink, entry.threadId, entry.messageId,
+        proposedRow ? JSON.stringify(proposedRow) : "", entry.originalRow ? JSON.stringify(entry.originalRow) : "",
+        entry.interview ? JSON.stringify(entry.interview) : ""
+      ];
+    });
+    previewSheet.getRange(2, 1, previewRows.length, MJM_PREVIEW_SHEET_HEADERS.length).setValues(previewRows);
+    previewEntries.forEach((entry, idx) => {
+      if (entry.action !== MJM_PREVIEW_ACTION_AMBIGUOUS) previewSheet.getRange(idx + 2, 1).insertCheckboxes();
+    });
+    Logger.log(`[INFO] MJM_Preview (MJM_writeProcessingPreview): Wrote ${previewRows.length} proposed change(s) to "${PROCESSING_PREVIEW_SHEET_TAB_NAME}".`);
+    return previewRows.length;
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Preview (MJM_writeProcessingPreview): ${e.message}\nStack: ${e.stack}`);
+    return -1;
+  }
+}
+
+/**
+ * Menu entry: runs the email processing pipeline as a dry run and shows where to review the result.
+ * Holds the script lock so the preview is not taken while a real run is moving the same emails.
+ */
+function MJM_previewApplicationEmails() {
+  const ui = SpreadsheetApp.getUi();
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(10000)) {
+    ui.alert("Preview Email Processing", "Email processing is running right now. Try again in a few minutes.", ui.ButtonSet.OK);
+    return;
+  }
+  let previewRowCount;
+  try {
+    previewRowCount = MJM_processApplicationEmailBatch({ dryRun: true }); // From MJM_main.gs
+  } finally {
+    scriptLock.releaseLock();
+  }
+  if (previewRowCount === undefined || previewRowCount < 0) {
+    ui.alert("Preview Email Processing", "The preview could not be built. Check the execution logs for details.", ui.ButtonSet.OK);
+  } else if (previewRowCount === 0) {
+    ui.alert("Preview Email Processing", "There are no new application emails to process.", ui.ButtonSet.OK);
+  } else {
+    ui.alert("Preview Email Processing",
+      `${previewRowCount} proposed change(s) were written to the "${PROCESSING_PREVIEW_SHEET_TAB_NAME}" sheet. Nothing else was changed.\n\n` +
+      `Tick "Approve" on the rows you want, then run "Apply Approved Preview Rows".`, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu entry: commits the approved rows of the "Processing Preview" sheet, in order.
+ * Each applied row writes its proposed "Applications" values and logs its status event, contacts and interview
+ * just like a normal run. Updates are skipped if the target row changed since the preview was taken.
+ * Applied emails are checkpointed on the processing cursor, so the next normal run skips them and labels their threads.
+ */
+function MJM_applyProcessingPreview() {
+  const ui = SpreadsheetApp.getUi();
+  const mainSS = MJM_getOrCreateSpreadsheet_Core(); // From MJM_SheetUtils.gs
+  const previewSheet = mainSS ? mainSS.getSheetByName(PROCESSING_PREVIEW_SHEET_TAB_NAME) : null;
+  const dataSheet = mainSS ? mainSS.getSheetByName(APP_TRACKER_SHEET_TAB_NAME) : null;
+  if (!previewSheet || previewSheet.getLastRow() < 2 || !dataSheet) {
+    ui.alert("Apply Preview", `There is no preview to apply. Run "Preview Email Processing (Dry Run)" first.`, ui.ButtonSet.OK);
+    return;
+  }
+  MJM_resolveAppSheetColumns(dataSheet); // MJM_SheetUtils.gs
+  const col = name => MJM_PREVIEW_SHEET_HEADERS.indexOf(name);
+  const previewRows = previewSheet.getRange(2, 1, previewSheet.getLastRow() - 1, MJM_PREVIEW_SHEET_HEADERS.length).getValues();
+  const approvedIndexes = [];
+  previewRows.forEach((row, idx) => {
+    const isApplicable = row[col("Action")] === MJM_PREVIEW_ACTION_INSERT || row[col("Action")] === MJM_PREVIEW_ACTION_UPDATE;
+    if (row[col("Approve")] === true && !row[col("Result")] && isApplicable) approvedIndexes.push(idx);
+  });
+  if (approvedIndexes.length === 0) {
+    ui.alert("Apply Preview", `No rows are approved. Tick "Approve" on the rows to apply (already applied rows are skipped).`, ui.ButtonSet.OK);
+    return;
+  }
+  const confirmation = ui.alert("Apply Preview", `Apply ${approvedIndexes.length} approved change(s) to "${APP_TRACKER_SHEET_TAB_NAME}"?`, ui.ButtonSet.YES_NO);
+  if (confirmation != ui.Button.YES) return;
+
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(10000)) {
+    ui.alert("Apply Preview", "Email processing is running right now. Try again in a few minutes.", ui.ButtonSet.OK);
+    return;
+  }
+  const pendingApplicationEvents = [];
+  const pendingContactSightings = [];
+  const pendingWebhookEvents = [];
+  let appliedCount = 0, skippedCount = 0;
+  let processingCursor = null;
+  let isFlushed = false;
+  // Saves the checkpoint of applied messages and their status events. Runs after the loop, or in "finally" if a row
+  // throws, so rows already written are never processed (and appended) again by the next real run.
+  const flushAppliedRows = () => {
+    if (isFlushed) return;
+    isFlushed = true;
+    if (appliedCount > 0) MJM_saveAppEmailsCursor(processingCursor); // MJM_ProcessingCursor.gs
+    if (MJM_appendApplicationEvents(mainSS, pendingApplicationEvents) > 0) MJM_rebuildApplicationTimeline(mainSS); // From MJM_EventLog.gs
+  };
+  try {
+    const rowNumByAppKey = {};
+    if (dataSheet.getLastRow() >= 2) {
+      dataSheet.getRange(2, MJM_APP_KEY_COL, dataSheet.getLastRow() - 1, 1).getValues().forEach((keyCell, idx) => { // MJM_Config.gs
+        if (String(keyCell[0]).trim()) rowNumByAppKey[String(keyCell[0]).trim()] = idx + 2;
+      });
+    }
+    processingCursor = MJM_getAppEmailsCursor() || MJM_newAppEmailsCursor('label'); // MJM_ProcessingCursor.gs
+    let leadLinkCache; // Loaded on the first insert that proposes a lead link (MJM_LeadLinking.gs)
+
+    approvedIndexes.forEach(idx => {
+      const previewRow = previewRows[idx];
+      const proposedRow = MJM_parsePreviewJson(previewRow[col("Proposed Row (JSON)")]);
+      const originalRow = MJM_parsePreviewJson(previewRow[col("Original Row (JSON)")]);
+      const appKey = String(previewRow[col("Application Key")]).trim();
+      let result = MJM_PREVIEW_RESULT_APPLIED;
+      let appRowNum = -1;
+
+      if (!proposedRow || proposedRow.length !== MJM_APP_TOTAL_COLUMNS) {
+        result = "Skipped: proposed row is missing or from an older column layout";
+      } else if (previewRow[col("Action")] === MJM_PREVIEW_ACTION_INSERT) {
+        if (rowNumByAppKey[appKey]) {
+          result = `Skipped: ${appKey} is already in row ${rowNumByAppKey[appKey]}`;
+        } else {
+          proposedRow[MJM_APP_PROCESSED_TIMESTAMP_COL - 1] = new Date();
+          const proposedLeadId = String(proposedRow[MJM_APP_LEAD_ID_COL - 1] || "").trim();
+          if (proposedLeadId && leadLinkCache === undefined) leadLinkCache = MJM_loadLeadLinkCache(mainSS, false);
+          const proposedLead = proposedLeadId && leadLinkCache ? leadLinkCache.entries.find(e => e.leadId === proposedLeadId) : null;
+          if (proposedLeadId && (!proposedLead || proposedLead.linkedApplication)) { // Linked elsewhere (or deleted) since the preview
+            Logger.log(`[WARN] MJM_Preview: Lead ${proposedLeadId} is no longer available. Inserting ${appKey} without a lead link.`);
+            proposedRow[MJM_APP_LEAD_ID_COL - 1] = "";
+          }
+          dataSheet.appendRow(proposedRow);
+          appRowNum = dataSheet.getLastRow();
+          rowNumByAppKey[appKey] = appRowNum;
+          if (proposedRow[MJM_APP_LEAD_ID_COL - 1]) MJM_linkLeadToApplication(leadLinkCache, proposedLeadId, appKey); // MJM_LeadLinking.gs
+        }
+      } else {
+        // Rows that had no key before the preview are found by row number instead.
+        const originalKey = originalRow ? String(originalRow[MJM_APP_KEY_COL - 1] || "").trim() : "";
+        appRowNum = originalKey ? (rowNumByAppKey[originalKey] || -1) : Number(previewRow[col("Sheet Row")]) || -1;
+        const currentRow = appRowNum > 1 && appRowNum <= dataSheet.getLastRow() ? dataSheet.getRange(appRowNum, 1, 1, MJM_APP_TOTAL_COLUMNS).getValues()[0] : null;
+        if (!currentRow || !originalRow) {
+          result = "Skipped: the application row no longer exists (was its insert applied?)";
+        } else if (String(currentRow[MJM_APP_EMAIL_ID_COL - 1]) !== String(originalRow[MJM_APP_EMAIL_ID_COL - 1]) ||
+                   String(currentRow[MJM_APP_STATUS_COL - 1]) !== String(originalRow[MJM_APP_STATUS_COL - 1])) {
+          result = "Skipped: the row changed since the preview. Run the preview again";
+        } else {
+          proposedRow[MJM_APP_PROCESSED_TIMESTAMP_COL - 1] = new Date();
+          MJM_writeAppSheetRows(dataSheet, appRowNum, [proposedRow]); // MJM_SheetUtils.gs
+          rowNumByAppKey[appKey] = appRowNum;
+        }
+      }
+
+      if (result !== MJM_PREVIEW_RESULT_APPLIED) {
+        skippedCount++;
+        previewSheet.getRange(idx + 2, col("Result") + 1).setValue(result);
+        return;
+      }
+      // The row is written: checkpoint its message and queue its event before anything else can fail.
+      appliedCount++;
+      const messageId = String(previewRow[col("Email ID")]);
+      const threadId = String(previewRow[col("Gmail Thread ID")]);
+      const emailDate = previewRow[col("Email Date")];
+      const needsManualReview = proposedRow[MJM_APP_COMPANY_COL - 1] === MANUAL_REVIEW_NEEDED_TEXT || proposedRow[MJM_APP_JOB_TITLE_COL - 1] === MANUAL_REVIEW_NEEDED_TEXT ||
+        Number(proposedRow[MJM_APP_CONFIDENCE_COL - 1]) < MJM_PARSE_CONFIDENCE_REVIEW_THRESHOLD; // MJM_Config.gs
+      const checkpoint = processingCursor.partialThreads[threadId] || { processedIds: [], outcome: 'done' };
+      if (!checkpoint.processedIds.includes(messageId)) checkpoint.processedIds.push(messageId);
+      if (needsManualReview) checkpoint.outcome = 'manual';
+      processingCursor.partialThreads[threadId] = checkpoint;
+      const eventRow = MJM_buildApplicationEventRow({ appKey: appKey, company: proposedRow[MJM_APP_COMPANY_COL - 1], title: proposedRow[MJM_APP_JOB_TITLE_COL - 1], // MJM_EventLog.gs
+        oldStatus: originalRow ? originalRow[MJM_APP_STATUS_COL - 1] : "", newStatus: proposedRow[MJM_APP_STATUS_COL - 1],
+        oldPeakStatus: originalRow ? originalRow[MJM_APP_PEAK_STATUS_COL - 1] : "", newPeakStatus: proposedRow[MJM_APP_PEAK_STATUS_COL - 1],
+        emailId: messageId, emailDate: emailDate, parser: previewRow[col("Parser")] });
+      if (eventRow) pendingApplicationEvents.push(eventRow);
+      pendingWebhookEvents.push(MJM_buildStatusChangeWebhookEvent(eventRow, dataSheet, appRowNum)); // MJM_Webhooks.gs
+      previewSheet.getRange(idx + 2, col("Result") + 1).setValue(result);
+
+      try {
+        const messageObj = GmailApp.getMessageById(messageId);
+        MJM_extractContactsFromMessage(messageObj, MJM_getEmailBodyText(messageObj).text).forEach(contact => pendingContactSightings.push(Object.assign(contact, { // MJM_Contacts.gs
+          company: proposedRow[MJM_APP_COMPANY_COL - 1], appKey: appKey, contactDate: emailDate })));
+      } catch (eContacts) { Logger.log(`[WARN] MJM_Preview: Contact extraction failed for Msg ${messageId}: ${eContacts.message}`); }
+      const rawInterview = MJM_parsePreviewJson(previewRow[col("Interview (JSON)")]);
+      if (rawInterview) {
+        MJM_recordInterviewFromEmail(mainSS, { rawInterview: rawInterview, appKey: appKey, appRowNum: appRowNum, // MJM_Interviews.gs
+          company: proposedRow[MJM_APP_COMPANY_COL - 1], title: proposedRow[MJM_APP_JOB_TITLE_COL - 1],
+          threadId: threadId, messageId: messageId, emailPermalink: previewRow[col("Email Link")] });
+      }
+    });
+
+    flushAppliedRows();
+    MJM_sendStatusAlerts(mainSS, pendingApplicationEvents); // From MJM_Notifications.gs
+    MJM_sendWebhookEvents(mainSS, pendingWebhookEvents); // From MJM_Webhooks.gs
+    MJM_upsertContacts(mainSS, pendingContactSightings); // From MJM_Contacts.gs
+    try { MJM_updateDashboardMetrics(mainSS); } catch (eDash) { Logger.log(`[WARN] MJM_Preview: Dashboard update failed: ${eDash.message}`); } // From MJM_Dashboard.gs
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Preview (MJM_applyProcessingPreview): ${e.message}\nStack: ${e.stack}`);
+    ui.alert("Apply Preview", `Stopped after ${appliedCount} applied row(s): ${e.message}`, ui.ButtonSet.OK);
+    return;
+  } finally {
+    try {
+      flushAppliedRows();
+    } catch (eFlush) {
+      Logger.log(`[ERROR] MJM_Preview (MJM_applyProcessingPreview): Could not save the checkpoint of applied rows: ${eFlush.message}`);
+    } finally {
+      scriptLock.releaseLock();
+    }
+  }
+  Logger.log(`[INFO] MJM_Preview (MJM_applyProcessingPreview): Applied ${appliedCount}, skipped ${skippedCount}.`);
+  ui.alert("Apply Preview", `Applied ${appliedCount} change(s)${skippedCount ? `, skipped ${skippedCount} (see the "Result" column)` : ""}.\n\n` +
+    "The next email processing run will label the applied emails' threads.", ui.ButtonSet.OK);
+}
@@ -0,0 +1,188 @@
+// File: MJM_ProcessingCursor.gs
+// Description: Resumable, checkpointed processing for MJM Application Tracker emails.
+// A JSON cursor in UserProperties remembers where a drain (of the "To Process" label) or a historical
+// backfill left off, including partially processed threads. When a run hits its time/message budget,
+// a one-off continuation trigger is scheduled so processing keeps going until there is nothing left.
+// Relies on constants from MJM_Config.gs (MJM_APP_EMAILS_*, Gmail label names, filter query)
+// and functions from MJM_main.gs (MJM_processJobApplicationEmails) and MJM_Triggers.gs.
+
+/**
+ * Creates a fresh processing cursor.
+ * @param {string} mode 'label' to drain the "To Process" label, or 'backfill' to scan a Gmail search.
+ * @param {string} [query] The Gmail search query (backfill mode only).
+ * @param {string} [sinceDate] The backfill start date as "yyyy-MM-dd" (backfill mode only, for logs/UI).
+ * @return {Object} The cursor object.
+ */
+function MJM_newAppEmailsCursor(mode, query, sinceDate) {
+  return {
+    mode: mode === 'backfill' ? 'backfill' : 'label',
+    query: query || "",
+    sinceDate: sinceDate || "",
+    partialThreads: {}, // threadId -> { processedIds: string[], outcome: 'done'|'manual' }
+    continuations: 0,
+    startedAt: new Date().toISOString(),
+    totals: { updatedRows: 0, newRowsAdded: 0, ambiguousMatches: 0, errorsEncountered: 0 }
+  };
+}
+
+/**
+ * Reads the saved processing cursor from UserProperties.
+ * @return {Object|null} The cursor, or null if none is saved (or it is unreadable).
+ */
+function MJM_getAppEmailsCursor() {
+  const rawCursor = PropertiesService.getUserProperties().getProperty(MJM_APP_EMAILS_CURSOR_PROPERTY); // MJM_Config.gs
+  if (!rawCursor) return null;
+  try {
+    return JSON.parse(rawCursor);
+  } catch (e) {
+    Logger.log(`[WARN] MJM_ProcessingCursor (MJM_getAppEmailsCursor): Saved cursor is not valid JSON. Ignoring it. ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Saves the processing cursor to UserProperties.
+ * @param {Object} cursor The cursor to persist.
+ */
+function MJM_saveAppEmailsCursor(cursor) {
+  PropertiesService.getUserProperties().setProperty(MJM_APP_EMAILS_CURSOR_PROPERTY, JSON.stringify(cursor));
+}
+
+/**
+ * Removes the saved processing cursor and any pending continuation trigger.
+ */
+function MJM_clearAppEmailsCursor() {
+  PropertiesService.getUserProperties().deleteProperty(MJM_APP_EMAILS_CURSOR_PROPERTY);
+  MJM_deleteAllTriggersForFunction(MJM_APP_EMAILS_CONTINUATION_HANDLER); // From MJM_Triggers.gs
+}
+
+/**
+ * Converts a Gmail label name to the form used in Gmail search (e.g., "A/B C" -> "a-b-c").
+ * @param {string} labelName The full label name.
+ * @return {string} The search-ready label token.
+ */
+function MJM_toGmailSearchLabel(labelName) {
+  return String(labelName || "").toLowerCase().replace(/[\s\/]+/g, "-");
+}
+
+/**
+ * Builds the Gmail search used by a backfill: the App Tracker filter query, limited to mail after sinceDate,
+ * excluding threads already labeled Processed or Manual Review (so finished threads drop out of the results).
+ * @param {Date} sinceDate The earliest email date to include.
+ * @return {string} The Gmail search query.
+ */
+function MJM_buildBackfillQuery(sinceDate) {
+  const afterToken = Utilities.formatDate(sinceDate, Session.getScriptTimeZone(), "yyyy/MM/dd");
+  return `(${MJM_TRACKER_GMAIL_FILTER_QUERY_APP_UPDATES}) after:${afterToken}` +
+         ` -label:${MJM_toGmailSearchLabel(MJM_TRACKER_GMAIL_LABEL_PROCESSED)}` +
+         ` -label:${MJM_toGmailSearchLabel(MJM_TRACKER_GMAIL_LABEL_MANUAL_REVIEW)}`; // Label names from MJM_Config.gs
+}
+
+/**
+ * Records the end of one processing run on the cursor and decides what happens next:
+ * schedule a continuation, stop at the safety limit, or clear the cursor because all work is done.
+ * @param {Object} cursor The cursor used for this run (already updated with partial threads).
+ * @param {boolean} moreWorkRemaining True if the run stopped early or more threads may be waiting.
+ * @param {{updatedRows:number, newRowsAdded:number, ambiguousMatches:number, errorsEncountered:number}} runStats Stats for this run.
+ */
+function MJM_finalizeAppEmailsRun(cursor, moreWorkRemaining, runStats) {
+  Object.keys(cursor.totals).forEach(statKey => { cursor.totals[statKey] += (runStats[statKey] || 0); });
+  const totalsText = `Updated ${cursor.totals.updatedRows}, New ${cursor.totals.newRowsAdded}, Ambiguous ${cursor.totals.ambiguousMatches}, Errors ${cursor.totals.errorsEncountered}`;
+  const modeText = cursor.mode === 'backfill' ? `Backfill since ${cursor.sinceDate}` : "Label drain";
+
+  try {
+    if (!moreWorkRemaining) {
+      // Partial threads only exist when a run stops early, so nothing is lost by clearing here.
+      Logger.log(`[INFO] MJM_ProcessingCursor: ${modeText} complete after ${cursor.continuations} continuation(s). Totals: ${totalsText}.`);
+      MJM_clearAppEmailsCursor();
+      return;
+    }
+    if (cursor.continuations >= MJM_APP_EMAILS_MAX_CONTINUATIONS) { // MJM_Config.gs
+      Logger.log(`[WARN] MJM_ProcessingCursor: ${modeText} reached ${MJM_APP_EMAILS_MAX_CONTINUATIONS} continuations. Not scheduling another; the hourly trigger will resume from the saved cursor. Totals so far: ${totalsText}.`);
+      MJM_saveAppEmailsCursor(cursor);
+      return;
+    }
+    cursor.continuations++;
+    MJM_saveAppEmailsCursor(cursor);
+    MJM_scheduleOneOffTrigger(MJM_APP_EMAILS_CONTINUATION_HANDLER, MJM_APP_EMAILS_CONTINUATION_DELAY_MS); // From MJM_Triggers.gs
+    Logger.log(`[INFO] MJM_ProcessingCursor: ${modeText} has more work. Continuation #${cursor.continuations} scheduled. Totals so far: ${totalsText}.`);
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_ProcessingCursor (MJM_finalizeAppEmailsRun): Failed to save cursor or schedule continuation: ${e.message}`);
+  }
+}
+
+/**
+ * Handler for the one-off continuation trigger. Cleans up the fired trigger, then resumes processing.
+ */
+function MJM_continueApplicationEmailProcessing() {
+  MJM_deleteAllTriggersForFunction(MJM_APP_EMAILS_CONTINUATION_HANDLER); // One-off triggers are not removed automatically
+  MJM_processJobApplicationEmails(); // From MJM_main.gs
+}
+
+/**
+ * Provides a UI prompt to backfill application emails from a given date. Historical mail matching the
+ * App Tracker filter query is processed the same way as the "To Process" label, continuing across
+ * runs via the processing cursor until the search returns nothing new.
+ */
+function MJM_backfillApplicationEmailsFromDate_UI() {
+  let ui;
+  try { ui = SpreadsheetApp.getUi(); }
+  catch (e) { Logger.log("[WARN] MJM_ProcessingCursor (Backfill UI): Spreadsheet UI context not available. Run from the sheet menu."); return; }
+
+  const existingCursor = MJM_getAppEmailsCursor();
+  const existingNote = (existingCursor && existingCursor.mode === 'backfill') ? `\n\nA backfill since ${existingCursor.sinceDate} is already in progress and will be REPLACED.` : "";
+  const response = ui.prompt("Backfill Application Emails",
+    `Enter the date to scan from (YYYY-MM-DD).\nAll application emails since then that are not already labeled Processed or Manual Review will be analyzed, in batches, until done.${existingNote}`,
+    ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() != ui.Button.OK) {
+    ui.alert("Backfill Cancelled", "No changes made.", ui.ButtonSet.OK);
+    return;
+  }
+
+  const dateText = response.getResponseText().trim();
+  const dateParts = dateText.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const sinceDate = dateParts ? new Date(Number(dateParts[1]), Number(dateParts[2]) - 1, Number(dateParts[3])) : null;
+  if (!sinceDate || isNaN(sinceDate.getTime()) || sinceDate.getTime() > Date.now()) {
+    ui.alert("Invalid Date", `"${dateText}" is not a valid past date in YYYY-MM-DD format.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const backfillQuery = MJM_buildBackfillQuery(sinceDate);
+  const batchRan = MJM_processJobApplicationEmailsLocked(() => { // From MJM_main.gs; the cursor is swapped under the lock, then the first batch runs
+    MJM_clearAppEmailsCursor();
+    MJM_saveAppEmailsCursor(MJM_newAppEmailsCursor('backfill', backfillQuery, dateText));
+    Logger.log(`[INFO] MJM_ProcessingCursor (Backfill UI): Backfill started since ${dateText}. Query: ${backfillQuery}`);
+  }); // Continuations are scheduled automatically
+  if (!batchRan) {
+    ui.alert("Backfill Not Started", "Email processing is running right now, so the backfill was not started and nothing changed. Try again in a few minutes.", ui.ButtonSet.OK);
+    return;
+  }
+
+  const cursorAfterRun = MJM_getAppEmailsCursor();
+  const statusText = (cursorAfterRun && cursorAfterRun.mode === 'backfill')
+    ? `The first batch is done. The remaining emails will be processed automatically in the background (about every ${Math.round(MJM_APP_EMAILS_CONTINUATION_DELAY_MS / 60000)} minute(s)).`
+    : "All matching emails were processed in the first batch.";
+  ui.alert("Backfill Started", `${statusText}\n\nProgress is written to the execution logs.`, ui.ButtonSet.OK);
+}
+
+/**
+ * Provides a UI confirmation to stop any in-progress backfill/continuation and reset the processing cursor.
+ * The hourly trigger keeps draining the "To Process" label as usual.
+ */
+function MJM_resetApplicationEmailProcessing_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const existingCursor = MJM_getAppEmailsCursor();
+  if (!existingCursor) {
+    MJM_clearAppEmailsCursor();
+    ui.alert("Nothing to Reset", "No processing cursor is saved. Any stray continuation trigger was removed.", ui.ButtonSet.OK);
+    return;
+  }
+  const description = existingCursor.mode === 'backfill' ? `a backfill since ${existingCursor.sinceDate}` : "a label drain";
+  const answer = ui.alert("Reset Email Processing",
+    `The saved cursor is for ${description} (started ${existingCursor.startedAt}, ${existingCursor.continuations} continuation(s)).\n\nStop it and clear the cursor?`,
+    ui.ButtonSet.YES_NO);
+  if (answer !== ui.Button.YES) return;
+  MJM_clearAppEmailsCursor();
+  Logger.log(`[INFO] MJM_ProcessingCursor (Reset UI): Cleared processing cursor for ${description}.`);
+  ui.alert("Email Processing Reset", "The cursor and any pending continuation were cleared.", ui.ButtonSet.OK);
+}
@@ -0,0 +1,143 @@
+// File: MJM_Redaction.gs
+// Description: Masks personal data in email text before it is sent to an LLM. MJM_GeminiService.gs runs the subject and
+// body of every application/lead email through MJM_redactTextForLlm, which replaces the local part of email addresses,
+// phone numbers, street addresses, SSN-like numbers and the user's own name with placeholders such as "[PHONE]"
+// (long numeric IDs too, if that rule is turned on). Sender domains are kept, so Gemini can still tell which company
+// or ATS sent the email, and company names and job titles already tracked are allowlisted, so Gemini still sees them.
+// Redactions are counted in the run log's "Redactions" column.
+// Relies on constants from MJM_Config.gs (MJM_REDACTION_*)
+// and Global_Constants.gs (APP_TRACKER_SHEET_TAB_NAME, LEADS_SHEET_TAB_NAME, PROFILE_DATA_SHEET_NAME, MANUAL_REVIEW_NEEDED_TEXT).
+
+let MJM_redactionTerms = null; // {allowTerms, namePatterns}, loaded once per execution by MJM_getRedactionTerms
+
+/**
+ * Masks personal data in text that is about to be sent to an LLM, and counts the masks against the run in progress.
+ * @param {string} text The text (email subject or body).
+ * @return {string} The text with each match replaced by its rule's mask; unchanged if redaction is disabled.
+ */
+function MJM_redactTextForLlm(text) {
+  if (!MJM_REDACTION_ENABLED || !text) return text || ""; // MJM_Config.gs
+  const result = MJM_redactPii(text, MJM_getRedactionTerms());
+  if (result.redactionCount > 0) {
+    MJM_countRedactions(result.redactionCount); // MJM_RunLog.gs
+    if (GLOBAL_DEBUG_MODE) Logger.log(`[DEBUG] MJM_Redaction (MJM_redactTextForLlm): Masked ${Object.keys(result.countsByType).map(type => `${result.countsByType[type]} ${type}`).join(", ")}.`);
+  }
+  return result.text;
+}
+
+/**
+ * Applies the enabled MJM_REDACTION_RULES to text. All matches are found on the original text first; a match is
+ * dropped if it overlaps an earlier rule's match, or lies wholly inside an allowlisted term or (optionally) a URL.
+ * @param {string} text The text.
+ * @param {{allowTerms: string[], namePatterns: RegExp[]}} redactionTerms From MJM_getRedactionTerms.
+ * @return {{text: string, redactionCount: number, countsByType: Object<string, number>}} The masked text and counts.
+ */
+function MJM_redactPii(text, redactionTerms) {
+  const keptSpans = MJM_findAllowlistedSpans(text, redactionTerms.allowTerms);
+  if (MJM_REDACTION_KEEP_URLS) { // MJM_Config.gs
+    const urlPattern = /https?:\/\/[^\s<>()"']+/gi;
+    let urlMatch;
+    while ((urlMatch = urlPattern.exec(text)) !== null) keptSpans.push({ start: urlMatch.index, end: urlMatch.index + urlMatch[0].length });
+  }
+
+  const maskedSpans = [];
+  MJM_REDACTION_RULES.filter(rule => rule.enabled).forEach(rule => {
+    const patterns = rule.pattern ? [rule.pattern] : (rule.type === "Name" ? redactionTerms.namePatterns : []);
+    patterns.forEach(pattern => {
+      const rulePattern = new RegExp(pattern.source, pattern.flags.includes("g") ? pattern.flags : pattern.flags + "g"); // Fresh lastIndex per call
+      let match;
+      while ((match = rulePattern.exec(text)) !== null) {
+        if (match[0].length === 0) { rulePattern.lastIndex++; continue; }
+        const span = { start: match.index, end: match.index + match[0].length, type: rule.type, mask: rule.mask };
+        if (keptSpans.some(kept => kept.start <= span.start && span.end <= kept.end)) continue;
+        if (maskedSpans.some(masked => span.start < masked.end && masked.start < span.end)) continue;
+        maskedSpans.push(span);
+      }
+    });
+  });
+
+  const countsByType = {};
+  let redactedText = text;
+  maskedSpans.sort((a, b) => b.start - a.start).forEach(span => { // Right to left, so earlier offsets stay valid
+    redactedText = redactedText.substring(0, span.start) + span.mask + redactedText.substring(span.end);
+    countsByType[span.type] = (countsByType[span.type] || 0) + 1;
+  });
+  return { text: redactedText, redactionCount: maskedSpans.length, countsByType: countsByType };
+}
+
+/**
+ * Finds every case-insensitive, whole-word occurrence of the allowlisted terms.
+ * @param {string} text The text.
+ * @param {string[]} allowTerms Lowercased terms.
+ * @return {Array<{start: number, end: number}>} The spans.
+ */
+function MJM_findAllowlistedSpans(text, allowTerms) {
+  const lowerText = text.toLowerCase();
+  const isWordChar = char => !!char && /[\w]/.test(char);
+  const spans = [];
+  allowTerms.forEach(term => {
+    let fromIndex = 0;
+    let foundIndex;
+    while ((foundIndex = lowerText.indexOf(term, fromIndex)) !== -1) {
+      const endIndex = foundIndex + term.length;
+      if (!isWordChar(lowerText[foundIndex - 1]) && !isWordChar(lowerText[endIndex])) spans.push({ start: foundIndex, end: endIndex });
+      fromIndex = foundIndex + 1;
+    }
+  });
+  return spans;
+}
+
+/**
+ * Loads the allowlist (tracked company names and job titles plus MJM_REDACTION_ALLOWLIST) and the pattern matching
+ * the user's name, once per execution. Sheets or a profile that can't be read just leave those terms out.
+ * @return {{allowTerms: string[], namePatterns: RegExp[]}} The terms.
+ */
+function MJM_getRedactionTerms() {
+  if (MJM_redactionTerms) return MJM_redactionTerms;
+  const allowTerms = MJM_REDACTION_ALLOWLIST.slice(); // MJM_Config.gs
+  const names = MJM_REDACTION_EXTRA_NAMES.slice();
+  try {
+    const mainSS = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+    if (mainSS) {
+      [[APP_TRACKER_SHEET_TAB_NAME, ["Company Name", "Job Title"]], [LEADS_SHEET_TAB_NAME, ["Company", "Job Title"]]].forEach(([sheetName, headers]) => { // Global_Constants.gs
+        const sheet = mainSS.getSheetByName(sheetName);
+        if (!sheet || sheet.getLastRow() < 2) return;
+        const sheetHeaders = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(header => String(header).trim());
+        headers.map(header => sheetHeaders.indexOf(header) + 1).filter(column => column > 0).forEach(column => {
+          sheet.getRange(2, column, sheet.getLastRow() - 1, 1).getValues().forEach(row => allowTerms.push(String(row[0])));
+        });
+      });
+      const profile = RTS_getMasterProfileData(mainSS.getId(), PROFILE_DATA_SHEET_NAME); // RTS_MasterResumeData.gs
+      if (profile && profile.personalInfo && profile.personalInfo.fullName) names.push(String(profile.personalInfo.fullName));
+    }
+  } catch (e) {
+    Logger.log(`[WARN] MJM_Redaction (MJM_getRedactionTerms): Could not read allowlist/name sources: ${e.message}`);
+  }
+
+  const cleanAllowTerms = allowTerms.map(term => term.trim().toLowerCase())
+    .filter(term => term.length >= MJM_REDACTION_MIN_TERM_CHARS && term !== MANUAL_REVIEW_NEEDED_TEXT.toLowerCase());
+  MJM_redactionTerms = { allowTerms: cleanAllowTerms.filter((term, idx) => cleanAllowTerms.indexOf(term) === idx), namePatterns: MJM_buildNamePatterns(names) };
+  Logger.log(`[INFO] MJM_Redaction (MJM_getRedactionTerms): ${MJM_redactionTerms.allowTerms.length} allowlisted term(s); user name ${MJM_redactionTerms.namePatterns.length ? "found" : "not set"}.`);
+  return MJM_redactionTerms;
+}
+
+/**
+ * Builds the patterns for the "Name" rule: one for each full name in any case, and one for each of its parts as a
+ * capitalized word (so a first name alone, as in "Hi Jane,", is masked without catching the same word in lowercase).
+ * @param {string[]} names Full names.
+ * @return {RegExp[]} The patterns; empty if there are no usable names.
+ */
+function MJM_buildNamePatterns(names) {
+  const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const wholeWord = alternatives => `(?<!\\p{L})(?:${alternatives.join("|")})(?!\\p{L})`;
+  const fullNames = names.map(name => String(name).trim().replace(/\s+/g, " ")).filter(name => name.length >= MJM_REDACTION_MIN_TERM_CHARS);
+  if (fullNames.length === 0) return [];
+  const nameParts = [];
+  fullNames.forEach(name => name.split(" ").forEach(part => {
+    const cleanPart = part.replace(/[^\p{L}'-]/gu, "");
+    const capitalizedPart = cleanPart.charAt(0).toUpperCase() + cleanPart.slice(1);
+    if (cleanPart.length >= MJM_REDACTION_MIN_TERM_CHARS && !nameParts.includes(capitalizedPart)) nameParts.push(capitalizedPart);
+  }));
+  const fullNamePattern = new RegExp(wholeWord(fullNames.sort((a, b) => b.length - a.length).map(name => escapeRegex(name).replace(/ /g, "\\s+"))), "giu");
+  return nameParts.length ? [fullNamePattern, new RegExp(wholeWord(nameParts.map(escapeRegex)), "gu")] : [fullNamePattern];
+}
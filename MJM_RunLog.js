@@ -0,0 +1,150 @@
+// File: MJM_RunLog.gs
+// Description: Keeps a persistent history of processing runs so it survives beyond the Logger output.
+// Each logged run (MJM_processJobApplicationEmails, MJM_processJobLeads, MJM_markStaleApplicationsAsRejected and the
+// RTS stages started from the menu) appends one row to the "Run Log" sheet with its timing and statistics, and one row
+// per error to the "Run Errors" sheet. Rows older than MJM_RUN_LOG_RETENTION_DAYS are pruned after every run.
+// Relies on constants from MJM_Config.gs (MJM_RUN_LOG_*, MJM_RUN_ERRORS_*, MJM_RUN_OUTCOME_*)
+// and Global_Constants.gs (RUN_LOG_SHEET_TAB_NAME, RUN_ERRORS_SHEET_TAB_NAME).
+
+let MJM_activeRunLog = null; // The run in progress in this execution, so LLM service calls can be counted against it
+
+/**
+ * Runs a function as a logged run: statistics it records on the run log, its errors and its duration are written to
+ * the "Run Log" / "Run Errors" sheets when it finishes. Exceptions are recorded and re-thrown.
+ * A returned object with success === false (the RTS stage convention) marks the run as failed.
+ * @param {string} functionName The name shown in the "Function" column (normally the entry point's name).
+ * @param {function(Object):*} runFunction Does the work; receives the run log for MJM_recordRunStats/MJM_recordRunError.
+ * @return {*} Whatever runFunction returned.
+ */
+function MJM_runWithRunLog(functionName, runFunction) {
+  const runLog = {
+    runId: "RUN-" + Utilities.getUuid().replace(/-/g, "").substring(0, 8).toUpperCase(), functionName: functionName, startTime: new Date(),
+    stats: { messagesScanned: 0, messagesProcessed: 0, rowsAdded: 0, rowsUpdated: 0, errors: 0, llmCalls: 0, redactions: 0 },
+    errorRows: [], notes: [], failed: false
+  };
+  const previousRunLog = MJM_activeRunLog;
+  MJM_activeRunLog = runLog;
+  try {
+    const result = runFunction(runLog);
+    if (result && typeof result === "object" && result.success === false) {
+      runLog.failed = true;
+      MJM_recordRunError(runLog, result.message || "Run returned success: false.", "Result");
+    } else if (result && typeof result === "object" && result.message) {
+      runLog.notes.push(String(result.message));
+    }
+    return result;
+  } catch (e) {
+    runLog.failed = true;
+    MJM_recordRunError(runLog, e, "Uncaught exception");
+    throw e;
+  } finally {
+    MJM_activeRunLog = previousRunLog;
+    MJM_writeRunLog(runLog);
+  }
+}
+
+/**
+ * Adds to a run's statistics. Safe to call without a run log (e.g., from a dry run).
+ * @param {Object|null} runLog The run log passed in by MJM_runWithRunLog.
+ * @param {{messagesScanned:number, messagesProcessed:number, rowsAdded:number, rowsUpdated:number}} statCounts Amounts to add.
+ */
+function MJM_recordRunStats(runLog, statCounts) {
+  if (!runLog) return;
+  Object.keys(statCounts).forEach(statName => {
+    if (statName in runLog.stats) runLog.stats[statName] += Number(statCounts[statName]) || 0;
+  });
+}
+
+/**
+ * Records an error on a run; it is written to the "Run Errors" sheet when the run finishes.
+ * Safe to call without a run log.
+ * @param {Object|null} runLog The run log passed in by MJM_runWithRunLog.
+ * @param {Error|string} error The error (its stack is summarized) or a description.
+ * @param {string} context What was being done (e.g., "Application email", "Sheet write").
+ * @param {string} [messageId] The Gmail message ID involved, if any.
+ */
+function MJM_recordRunError(runLog, error, context, messageId) {
+  if (!runLog) return;
+  runLog.stats.errors++;
+  if (runLog.errorRows.length >= MJM_RUN_ERRORS_MAX_PER_RUN) return; // MJM_Config.gs
+  const isErrorObject = !!error && typeof error === "object";
+  const errorMessage = isErrorObject ? String(error.message || error) : String(error);
+  const stackSummary = isErrorObject && error.stack ? String(error.stack).split("\n").map(line => line.trim())
+    .filter(line => line.startsWith("at ")).slice(0, MJM_RUN_ERROR_STACK_MAX_LINES).join(" | ") : "";
+  runLog.errorRows.push([runLog.runId, runLog.functionName, new Date(), messageId || "", context || "", errorMessage, stackSummary]);
+}
+
+/**
+ * Counts one LLM API request (Gemini or Groq) against the run in progress, if any.
+ * Called by the LLM service functions right before each request, retries included.
+ */
+function MJM_countLlmCall() {
+  if (MJM_activeRunLog) MJM_activeRunLog.stats.llmCalls++;
+}
+
+/**
+ * Counts PII redactions made before an LLM request (MJM_Redaction.gs) against the run in progress, if any.
+ * @param {number} redactionCount Number of masked matches.
+ */
+function MJM_countRedactions(redactionCount) {
+  if (MJM_activeRunLog) MJM_activeRunLog.stats.redactions += redactionCount;
+}
+
+/**
+ * Writes a finished run to the "Run Log" and "Run Errors" sheets and prunes old rows. Never throws, so logging
+ * problems can't mask the run's own result.
+ * @param {Object} runLog The run log from MJM_runWithRunLog.
+ */
+function MJM_writeRunLog(runLog) {
+  try {
+    const mainSS = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+    if (!mainSS) { Logger.log(`[WARN] MJM_RunLog (MJM_writeRunLog): Main spreadsheet not available. Run ${runLog.runId} not logged.`); return; }
+    const endTime = new Date();
+    const stats = runLog.stats;
+    const outcome = runLog.failed ? MJM_RUN_OUTCOME_FAILED : (stats.errors > 0 ? MJM_RUN_OUTCOME_WITH_ERRORS : MJM_RUN_OUTCOME_SUCCESS); // MJM_Config.gs
+    const notes = runLog.notes.concat(stats.errors > runLog.errorRows.length ? [`${stats.errors - runLog.errorRows.length} more error(s) not itemized.`] : []);
+
+    const runLogSheet = MJM_getOrCreateHistorySheet(mainSS, RUN_LOG_SHEET_TAB_NAME, MJM_RUN_LOG_SHEET_HEADERS); // MJM_EventLog.gs; Global_Constants.gs
+    if (runLogSheet) {
+      MJM_migrateSheetSchema(mainSS, MJM_SHEET_SCHEMAS.find(schema => schema.sheetName === RUN_LOG_SHEET_TAB_NAME)); // MJM_SchemaMigrations.gs; rows are written by position
+      runLogSheet.appendRow([runLog.runId, runLog.functionName, runLog.startTime, endTime, Math.round((endTime - runLog.startTime) / 100) / 10, outcome,
+        stats.messagesScanned, stats.messagesProcessed, stats.rowsAdded, stats.rowsUpdated, stats.errors, stats.llmCalls, stats.redactions, notes.join(" ").substring(0, 500)]);
+    }
+    if (runLog.errorRows.length > 0) {
+      const runErrorsSheet = MJM_getOrCreateHistorySheet(mainSS, RUN_ERRORS_SHEET_TAB_NAME, MJM_RUN_ERRORS_SHEET_HEADERS);
+      if (runErrorsSheet) runLog.errorRows.forEach(errorRow => runErrorsSheet.appendRow(errorRow)); // appendRow is safe for runs that overlap
+    }
+    Logger.log(`[INFO] MJM_RunLog: ${runLog.functionName} run ${runLog.runId} logged (${outcome}, ${stats.errors} error(s), ${stats.llmCalls} LLM call(s), ${stats.redactions} redaction(s)).`);
+
+    MJM_pruneRunLogSheet(mainSS.getSheetByName(RUN_LOG_SHEET_TAB_NAME), MJM_RUN_LOG_SHEET_HEADERS.indexOf("Start Time") + 1);
+    MJM_pruneRunLogSheet(mainSS.getSheetByName(RUN_ERRORS_SHEET_TAB_NAME), MJM_RUN_ERRORS_SHEET_HEADERS.indexOf("Timestamp") + 1);
+  } catch (e) {
+    Logger.log(`[WARN] MJM_RunLog (MJM_writeRunLog): Could not log run ${runLog.runId}: ${e.message}`);
+  }
+}
+
+/**
+ * Deletes rows older than MJM_RUN_LOG_RETENTION_DAYS, and the oldest rows beyond MJM_RUN_LOG_MAX_ROWS.
+ * Rows are appended in time order, so the rows to delete are always at the top.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet|null} sheet The "Run Log" or "Run Errors" sheet.
+ * @param {number} dateColumn The 1-based column holding each row's date.
+ * @return {number} Number of rows deleted.
+ */
+function MJM_pruneRunLogSheet(sheet, dateColumn) {
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+  const dataRowCount = sheet.getLastRow() - 1;
+  const cutoffTime = new Date().getTime() - MJM_RUN_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000; // MJM_Config.gs
+  const rowDates = sheet.getRange(2, dateColumn, dataRowCount, 1).getValues();
+  let expiredRowCount = 0;
+  while (expiredRowCount < dataRowCount) {
+    const rowDate = rowDates[expiredRowCount][0];
+    if (!(rowDate instanceof Date) || rowDate.getTime() >= cutoffTime) break;
+    expiredRowCount++;
+  }
+  const rowsToDelete = Math.max(expiredRowCount, dataRowCount - MJM_RUN_LOG_MAX_ROWS);
+  if (rowsToDelete <= 0) return 0;
+  if (rowsToDelete >= dataRowCount) sheet.getRange(2, 1, dataRowCount, sheet.getLastColumn()).clearContent(); // deleteRows can't remove every non-frozen row
+  else sheet.deleteRows(2, rowsToDelete);
+  Logger.log(`[INFO] MJM_RunLog (MJM_pruneRunLogSheet): Pruned ${rowsToDelete} old row(s) from "${sheet.getName()}".`);
+  return rowsToDelete;
+}
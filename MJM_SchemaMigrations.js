@@ -0,0 +1,262 @@
+// File: MJM_SchemaMigrations.gs
+// Description: Brings sheets created by an older version of the suite up to the column layout the code now expects.
+// Each sheet in MJM_SHEET_SCHEMAS stores its schema version in a developer metadata key. The runner applies the
+// migration steps newer than that version (adding, renaming or reordering columns, keeping every row's data) and then
+// stores the latest version. A sheet without the key is assumed to be at the newest version whose headers it has.
+// Migrations run at the start of each application/lead processing run and from the menu; results go to the run log.
+// Relies on constants from MJM_Config.gs (MJM_SHEET_SCHEMAS, MJM_SCHEMA_VERSION_METADATA_KEY)
+// and RTS_MasterResumeData.gs (RTS_Profile_getCanonicalSectionTitle, RTS_Profile_rowIsEffectivelyBlank) for MasterProfile.
+
+/**
+ * Menu entry point: migrates every sheet in MJM_SHEET_SCHEMAS as a logged run and shows what changed.
+ */
+function MJM_runSchemaMigrations() {
+  const summary = MJM_runWithRunLog('MJM_runSchemaMigrations', runLog => { // MJM_RunLog.gs
+    const mainSS = MJM_getOrCreateSpreadsheet_Core(); // MJM_SheetUtils.gs
+    if (!mainSS) throw new Error("Main spreadsheet not available.");
+    const migratedCount = MJM_migrateSheetSchemas(mainSS, runLog);
+    return { success: true, message: `${migratedCount} sheet(s) migrated.` };
+  });
+  try {
+    SpreadsheetApp.getUi().alert("Sheet Schema Migrations", `${summary.message} See the "${RUN_LOG_SHEET_TAB_NAME}" sheet for details.`, SpreadsheetApp.getUi().ButtonSet.OK);
+  } catch (e) { /* No UI when run from the editor or a trigger */ }
+}
+
+/**
+ * Migrates every sheet in MJM_SHEET_SCHEMAS that exists and is behind the latest version. Cheap when all sheets are
+ * current (one metadata read per sheet). Errors are recorded per sheet, so one broken sheet doesn't block the others.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Object|null} runLog The run log from MJM_runWithRunLog; receives one note per migrated sheet.
+ * @return {number} Number of sheets migrated.
+ */
+function MJM_migrateSheetSchemas(ss, runLog) {
+  let migratedCount = 0;
+  MJM_SHEET_SCHEMAS.forEach(schema => { // MJM_Config.gs
+    try {
+      const result = MJM_migrateSheetSchema(ss, schema);
+      if (!result) return;
+      if (runLog) runLog.notes.push(result.note);
+      if (result.migrated) migratedCount++;
+    } catch (e) {
+      Logger.log(`[ERROR] MJM_SchemaMigrations (MJM_migrateSheetSchemas): "${schema.sheetName}": ${e.message}`);
+      MJM_recordRunError(runLog, e, `Schema migration: ${schema.sheetName}`); // MJM_RunLog.gs
+    }
+  });
+  return migratedCount;
+}
+
+/**
+ * Migrates one sheet to its schema's latest version.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Object} schema An entry of MJM_SHEET_SCHEMAS.
+ * @return {{migrated: boolean, note: string}|null} What happened, or null if there was nothing to report
+ *         (sheet missing, already current, or empty and simply stamped with the latest version).
+ */
+function MJM_migrateSheetSchema(ss, schema) {
+  const sheet = ss.getSheetByName(schema.sheetName);
+  if (!sheet) return null; // Created with the current layout when it's first needed
+  const latestVersion = schema.versions[schema.versions.length - 1].version;
+  const storedVersion = MJM_getSheetSchemaVersion(sheet);
+  if (storedVersion === latestVersion) return null;
+  if (storedVersion > latestVersion) {
+    Logger.log(`[WARN] MJM_SchemaMigrations (MJM_migrateSheetSchema): "${schema.sheetName}" is at schema v${storedVersion}, newer than this script's v${latestVersion}. Left unchanged.`);
+    return { migrated: false, note: `Schema: "${schema.sheetName}" is at v${storedVersion}, newer than v${latestVersion}; left unchanged.` };
+  }
+
+  const tables = MJM_readSchemaTables(sheet, schema);
+  if (Object.keys(tables).length === 0) { // Nothing written yet, so nothing to migrate
+    MJM_setSheetSchemaVersion(sheet, latestVersion);
+    return null;
+  }
+  const fromVersion = storedVersion || MJM_inferSheetSchemaVersion(schema, tables);
+  if (fromVersion === 0) {
+    Logger.log(`[WARN] MJM_SchemaMigrations (MJM_migrateSheetSchema): "${schema.sheetName}" headers don't match any known schema version. Left unchanged.`);
+    return { migrated: false, note: `Schema: "${schema.sheetName}" headers don't match any known version; left unchanged.` };
+  }
+  if (fromVersion === latestVersion) { // Already current, just never stamped (e.g., created before migrations existed)
+    MJM_setSheetSchemaVersion(sheet, latestVersion);
+    return null;
+  }
+
+  let changeCount = 0;
+  schema.versions.filter(version => version.version > fromVersion).forEach(version => {
+    (version.steps || []).forEach(step => {
+      const table = tables[step.section || ""];
+      if (table && MJM_applySchemaStep(sheet, table, step)) changeCount++;
+    });
+    Logger.log(`[INFO] MJM_SchemaMigrations (MJM_migrateSheetSchema): "${schema.sheetName}" migrated to v${version.version} (${version.description}).`);
+  });
+  MJM_setSheetSchemaVersion(sheet, latestVersion);
+  return { migrated: true, note: `Schema: "${schema.sheetName}" v${fromVersion}${storedVersion ? "" : " (detected)"} → v${latestVersion}, ${changeCount} column change(s).` };
+}
+
+/**
+ * Reads a sheet's schema version from its developer metadata.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @return {number} The stored version, or 0 if none is stored.
+ */
+function MJM_getSheetSchemaVersion(sheet) {
+  const versionMetadata = sheet.getDeveloperMetadata().find(metadata => metadata.getKey() === MJM_SCHEMA_VERSION_METADATA_KEY);
+  return versionMetadata ? (parseInt(versionMetadata.getValue(), 10) || 0) : 0;
+}
+
+/**
+ * Stores a sheet's schema version in its developer metadata, replacing any earlier value.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {number} version The schema version.
+ */
+function MJM_setSheetSchemaVersion(sheet, version) {
+  const versionMetadata = sheet.getDeveloperMetadata().find(metadata => metadata.getKey() === MJM_SCHEMA_VERSION_METADATA_KEY);
+  if (versionMetadata) versionMetadata.setValue(String(version));
+  else sheet.addDeveloperMetadata(MJM_SCHEMA_VERSION_METADATA_KEY, String(version));
+}
+
+/**
+ * Finds the header row(s) a schema applies to. Plain sheets have one table keyed "" with its headers in row 1;
+ * MasterProfile has one table per tabular section, keyed by section title, spanning the rows up to the next section.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {Object} schema An entry of MJM_SHEET_SCHEMAS.
+ * @return {Object<string, {headerRow: number, lastRow: number, wholeColumns: boolean, headers: string[]}>} Tables found; empty if none.
+ */
+function MJM_readSchemaTables(sheet, schema) {
+  if (sheet.getLastRow() === 0 || sheet.getLastColumn() === 0) return {};
+  const sheetValues = sheet.getDataRange().getValues();
+  const toHeaders = row => row.map(cell => String(cell).trim());
+  if (!schema.versions[0].sectionHeaders) {
+    const headers = toHeaders(sheetValues[0]);
+    return headers.some(header => header) ? { "": { headerRow: 1, lastRow: sheetValues.length, wholeColumns: true, headers: headers } } : {};
+  }
+
+  const sectionStarts = [];
+  sheetValues.forEach((row, rowIndex) => {
+    const sectionTitle = RTS_Profile_getCanonicalSectionTitle(String(row[0] || "").trim()); // RTS_MasterResumeData.gs
+    if (sectionTitle) sectionStarts.push({ title: sectionTitle, rowIndex: rowIndex });
+  });
+  const tables = {};
+  sectionStarts.forEach((sectionStart, sectionIndex) => {
+    if (!schema.versions[0].sectionHeaders[sectionStart.title]) return; // Not a tabular section
+    const lastRowIndex = sectionIndex + 1 < sectionStarts.length ? sectionStarts[sectionIndex + 1].rowIndex - 1 : sheetValues.length - 1;
+    let headerRowIndex = sectionStart.rowIndex + 1;
+    while (headerRowIndex <= lastRowIndex && RTS_Profile_rowIsEffectivelyBlank(sheetValues[headerRowIndex])) headerRowIndex++; // Same rule as RTS_getMasterProfileData
+    if (headerRowIndex <= lastRowIndex) {
+      tables[sectionStart.title] = { headerRow: headerRowIndex + 1, lastRow: lastRowIndex + 1, wholeColumns: false, headers: toHeaders(sheetValues[headerRowIndex]) };
+    }
+  });
+  return tables;
+}
+
+/**
+ * Works out the headers a schema has at a version, by replaying its steps on the version 1 headers.
+ * @param {Object} schema An entry of MJM_SHEET_SCHEMAS.
+ * @param {number} targetVersion The version.
+ * @return {Object<string, string[]>} Headers per table key ("" for plain sheets, section title for MasterProfile).
+ */
+function MJM_getSchemaHeadersAtVersion(schema, targetVersion) {
+  const firstVersion = schema.versions[0];
+  const layout = {};
+  if (firstVersion.sectionHeaders) Object.keys(firstVersion.sectionHeaders).forEach(section => { layout[section] = firstVersion.sectionHeaders[section].slice(); });
+  else layout[""] = firstVersion.headers.slice();
+  schema.versions.filter(version => version.version > firstVersion.version && version.version <= targetVersion).forEach(version => {
+    (version.steps || []).forEach(step => {
+      const key = step.section || "";
+      layout[key] = MJM_applySchemaStepToHeaders(layout[key] || [], step);
+    });
+  });
+  return layout;
+}
+
+/**
+ * Applies one migration step to a list of headers, the same way MJM_applySchemaStep applies it to the sheet.
+ * @param {string[]} headers The headers before the step.
+ * @param {Object} step A step from MJM_SHEET_SCHEMAS.
+ * @return {string[]} The headers after the step.
+ */
+function MJM_applySchemaStepToHeaders(headers, step) {
+  const result = headers.slice();
+  if (step.add && !result.includes(step.add)) {
+    const afterIndex = step.after ? result.indexOf(step.after) : -1;
+    result.splice(afterIndex >= 0 ? afterIndex + 1 : result.length, 0, step.add);
+  } else if (step.rename && result.includes(step.rename) && !result.includes(step.to)) {
+    result[result.indexOf(step.rename)] = step.to;
+  } else if (step.reorder) {
+    const present = step.reorder.filter(header => result.includes(header));
+    if (present.length < 2) return result;
+    const startIndex = Math.min(...present.map(header => result.indexOf(header)));
+    const others = result.filter(header => !present.includes(header));
+    others.splice(startIndex, 0, ...present);
+    return others;
+  }
+  return result;
+}
+
+/**
+ * Guesses the version of a sheet with no stored version: the newest version all of whose headers are present.
+ * @param {Object} schema An entry of MJM_SHEET_SCHEMAS.
+ * @param {Object<string, {headers: string[]}>} tables The sheet's tables from MJM_readSchemaTables.
+ * @return {number} The version, or 0 if not even version 1's headers are present.
+ */
+function MJM_inferSheetSchemaVersion(schema, tables) {
+  let detectedVersion = 0;
+  schema.versions.forEach(version => {
+    const layout = MJM_getSchemaHeadersAtVersion(schema, version.version);
+    const matches = Object.keys(layout).every(key => tables[key] && layout[key].every(header => tables[key].headers.includes(header)));
+    if (matches) detectedVersion = version.version;
+  });
+  return detectedVersion;
+}
+
+/**
+ * Applies one migration step to the sheet. Plain sheets get whole columns inserted/moved, which keeps formats,
+ * validation and formulas; MasterProfile sections only shift their own rows' cells, leaving other sections alone.
+ * Steps already done (header present, old name gone) are skipped.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {{headerRow: number, lastRow: number, wholeColumns: boolean}} table The table the step applies to.
+ * @param {Object} step A step from MJM_SHEET_SCHEMAS.
+ * @return {boolean} True if the sheet was changed.
+ */
+function MJM_applySchemaStep(sheet, table, step) {
+  const width = sheet.getLastColumn();
+  const headers = sheet.getRange(table.headerRow, 1, 1, width).getValues()[0].map(cell => String(cell).trim());
+  const newHeaders = MJM_applySchemaStepToHeaders(headers, step);
+  if (newHeaders.join("\u0000") === headers.join("\u0000")) return false;
+
+  if (step.add) {
+    const newColumn = newHeaders.indexOf(step.add) + 1;
+    const lastHeaderColumn = headers.reduce((lastColumn, header, index) => header ? index + 1 : lastColumn, 0);
+    const addsInsideTable = step.after && headers.includes(step.after) && newColumn <= lastHeaderColumn;
+    const columnToWrite = addsInsideTable ? newColumn : lastHeaderColumn + 1; // Appends go right after the last header
+    if (sheet.getMaxColumns() < width + 1) sheet.insertColumnsAfter(sheet.getMaxColumns(), width + 1 - sheet.getMaxColumns());
+    if (addsInsideTable && table.wholeColumns) {
+      sheet.insertColumnBefore(columnToWrite);
+    } else if (addsInsideTable) {
+      const blockRowCount = table.lastRow - table.headerRow + 1;
+      const shiftedRange = sheet.getRange(table.headerRow, columnToWrite, blockRowCount, width - columnToWrite + 1);
+      sheet.getRange(table.headerRow, columnToWrite + 1, blockRowCount, width - columnToWrite + 1).setValues(shiftedRange.getValues());
+      sheet.getRange(table.headerRow, columnToWrite, blockRowCount, 1).clearContent();
+    }
+    sheet.getRange(table.headerRow, columnToWrite).setValue(step.add);
+    return true;
+  }
+
+  if (step.rename) {
+    sheet.getRange(table.headerRow, headers.indexOf(step.rename) + 1).setValue(step.to);
+    return true;
+  }
+
+  if (table.wholeColumns) { // Reorder by moving each column into place, left to right
+    const startColumn = Math.min(...step.reorder.filter(header => headers.includes(header)).map(header => headers.indexOf(header))) + 1;
+    newHeaders.slice(startColumn - 1).forEach((header, offset) => {
+      if (!step.reorder.includes(header)) return;
+      const currentHeaders = sheet.getRange(table.headerRow, 1, 1, width).getValues()[0].map(cell => String(cell).trim());
+      const currentColumn = currentHeaders.indexOf(header) + 1;
+      if (currentColumn !== startColumn + offset) sheet.moveColumns(sheet.getRange(table.headerRow, currentColumn), startColumn + offset);
+    });
+  } else { // Reorder by rewriting the section's rows; positions are used rather than names, as blank headers repeat
+    const movedIndexes = step.reorder.map(header => headers.indexOf(header)).filter(index => index >= 0);
+    const sourceIndexes = headers.map((header, index) => index).filter(index => !movedIndexes.includes(index));
+    sourceIndexes.splice(Math.min(...movedIndexes), 0, ...movedIndexes);
+    const blockRange = sheet.getRange(table.headerRow, 1, table.lastRow - table.headerRow + 1, width);
+    blockRange.setValues(blockRange.getValues().map(row => sourceIndexes.map(index => row[index])));
+  }
+  return true;
+}
@@ -20,6 +20,17 @@ function MJM_columnToLetter(column) {
   return letter;
 }
 
+/**
+ * Makes a value safe to write to a cell: text starting with "=", "+", "-", "@" (or a tab/carriage return) gets a
+ * leading apostrophe, so Sheets stores it as text instead of evaluating it as a formula (e.g. an =IMPORTXML(...) in a
+ * job page title). The apostrophe is not part of the stored value. Other values are returned as they are.
+ * @param {*} value The value.
+ * @return {*} The value, or the escaped text.
+ */
+function MJM_escapeSheetFormulaText(value) {
+  return (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) ? "'" + value : value;
+}
+
 /**
  * Gets or creates the main application spreadsheet object.
  * Uses APP_SPREADSHEET_ID or APP_TARGET_FILENAME from Global_Constants.gs.
@@ -183,20 +194,6 @@ function MJM_setupApplicationsSheetFormatting(sheet, isNewlyHandledSheet = false
   const DEBUG = GLOBAL_DEBUG_MODE;
   if(DEBUG) Logger.log(`  MJM_SheetUtils (AppsFormat): Applying formatting to sheet: "${sheet.getName()}". IsNewlyHandled: ${isNewlyHandledSheet}`);
 
-  // Headers from MJM_Config.gs
-  let appSheetHeaders = new Array(MJM_APP_TOTAL_COLUMNS).fill('');
-  appSheetHeaders[MJM_APP_PROCESSED_TIMESTAMP_COL - 1] = "Processed Timestamp"; 
-  appSheetHeaders[MJM_APP_EMAIL_DATE_COL - 1] = "Email Date";
-  appSheetHeaders[MJM_APP_PLATFORM_COL - 1] = "Platform"; 
-  appSheetHeaders[MJM_APP_COMPANY_COL - 1] = "Company Name";
-  appSheetHeaders[MJM_APP_JOB_TITLE_COL - 1] = "Job Title"; 
-  appSheetHeaders[MJM_APP_STATUS_COL - 1] = "Status";
-  appSheetHeaders[MJM_APP_PEAK_STATUS_COL - 1] = "Peak Status"; 
-  appSheetHeaders[MJM_APP_LAST_UPDATE_DATE_COL - 1] = "Last Update Email Date";
-  appSheetHeaders[MJM_APP_EMAIL_SUBJECT_COL - 1] = "Email Subject"; 
-  appSheetHeaders[MJM_APP_EMAIL_LINK_COL - 1] = "Email Link";
-  appSheetHeaders[MJM_APP_EMAIL_ID_COL - 1] = "Email ID";
-
   // If sheet is newly handled or appears empty, prepare it fully
   // Check getLastRow first. If sheet is truly empty, getLastColumn might be 0.
   let isEmptyLooking = sheet.getLastRow() === 0;
@@ -222,19 +219,19 @@ function MJM_setupApplicationsSheetFormatting(sheet, isNewlyHandledSheet = false
     
     // Ensure sheet dimensions after clearing (clear can sometimes reduce max rows/cols)
     const minRowsNeeded = 100; // For data and operations
-    const minColsNeeded = MJM_APP_TOTAL_COLUMNS;
+    const minColsNeeded = MJM_APP_SHEET_HEADERS.length;
     if(sheet.getMaxRows() < minRowsNeeded) sheet.insertRowsAfter(Math.max(1,sheet.getMaxRows()), minRowsNeeded - Math.max(1,sheet.getMaxRows()));
     if(sheet.getMaxColumns() < minColsNeeded) sheet.insertColumnsAfter(Math.max(1,sheet.getMaxColumns()), minColsNeeded - Math.max(1,sheet.getMaxColumns()));
     
-    sheet.getRange(1, 1, 1, MJM_APP_TOTAL_COLUMNS).setValues([appSheetHeaders]);
-  } else { 
-      // Sheet has content. Ensure header row isn't blank from a partial previous error.
-      const firstRowValues = sheet.getRange(1, 1, 1, MJM_APP_TOTAL_COLUMNS).getValues()[0];
-      if (firstRowValues.every(cell => String(cell).trim() === '')) {
-          sheet.getRange(1, 1, 1, MJM_APP_TOTAL_COLUMNS).setValues([appSheetHeaders]);
-          if(DEBUG) Logger.log(`    Applications sheet "${sheet.getName()}" had content but blank header; headers re-applied.`);
-      }
+    sheet.getRange(1, 1, 1, MJM_APP_SHEET_HEADERS.length).setValues([MJM_APP_SHEET_HEADERS]); // Default layout (MJM_Config.gs)
+  } else if (sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0].every(cell => String(cell).trim() === '')) {
+      // Sheet has content but a blank header row (e.g., from a partial previous error); assume the default layout.
+      if (sheet.getMaxColumns() < MJM_APP_SHEET_HEADERS.length) sheet.insertColumnsAfter(sheet.getMaxColumns(), MJM_APP_SHEET_HEADERS.length - sheet.getMaxColumns());
+      sheet.getRange(1, 1, 1, MJM_APP_SHEET_HEADERS.length).setValues([MJM_APP_SHEET_HEADERS]);
+      if(DEBUG) Logger.log(`    Applications sheet "${sheet.getName()}" had content but blank header; headers re-applied.`);
   }
+  // Columns are found by header name; headers missing from older sheets are appended on the right
+  MJM_resolveAppSheetColumns(sheet);
 
   // Apply common formatting (headers, widths, data rows, banding etc.)
   const headerRange = sheet.getRange(1, 1, 1, MJM_APP_TOTAL_COLUMNS);
@@ -247,7 +244,14 @@ function MJM_setupApplicationsSheetFormatting(sheet, isNewlyHandledSheet = false
     sheet.setColumnWidth(MJM_APP_JOB_TITLE_COL, 250); sheet.setColumnWidth(MJM_APP_STATUS_COL, 150);
     sheet.setColumnWidth(MJM_APP_PEAK_STATUS_COL, 150); sheet.setColumnWidth(MJM_APP_LAST_UPDATE_DATE_COL, 160);
     sheet.setColumnWidth(MJM_APP_EMAIL_SUBJECT_COL, 300); sheet.setColumnWidth(MJM_APP_EMAIL_LINK_COL, 100);
-    sheet.setColumnWidth(MJM_APP_EMAIL_ID_COL, 200);
+    sheet.setColumnWidth(MJM_APP_EMAIL_ID_COL, 200); sheet.setColumnWidth(MJM_APP_THREAD_IDS_COL, 160);
+    sheet.setColumnWidth(MJM_APP_REQUISITION_IDS_COL, 140); sheet.setColumnWidth(MJM_APP_NORMALIZED_TITLE_COL, 200);
+    sheet.setColumnWidth(MJM_APP_MATCH_DETAILS_COL, 300); sheet.setColumnWidth(MJM_APP_KEY_COL, 130);
+    sheet.setColumnWidth(MJM_APP_FOLLOW_UP_STATUS_COL, 120); sheet.setColumnWidth(MJM_APP_FOLLOW_UP_DATE_COL, 120);
+    sheet.setColumnWidth(MJM_APP_FOLLOW_UP_DRAFT_ID_COL, 160); sheet.setColumnWidth(MJM_APP_PARSING_RULE_IDS_COL, 130);
+    sheet.setColumnWidth(MJM_APP_ATS_COL, 130); sheet.setColumnWidth(MJM_APP_LEAD_ID_COL, 130);
+    sheet.setColumnWidth(MJM_APP_PARSE_SOURCE_COL, 320); sheet.setColumnWidth(MJM_APP_CONFIDENCE_COL, 90); sheet.setColumnWidth(MJM_APP_EVIDENCE_COL, 300);
+    sheet.setColumnWidth(MJM_APP_JOB_URL_COL, 200); sheet.setColumnWidth(MJM_APP_NOTES_COL, 300);
   } catch (e) { Logger.log(`[WARN] MJM_SheetUtils (AppsFormat): Col width error: ${e.message}`); }
 
   const maxRows = sheet.getMaxRows();
@@ -259,6 +263,7 @@ function MJM_setupApplicationsSheetFormatting(sheet, isNewlyHandledSheet = false
             dataArea.setWrapStrategy(SpreadsheetApp.WrapStrategy.WRAP).setVerticalAlignment('top');
             sheet.setRowHeightsForced(2, dataFormatRangeRowCount, 30);
             sheet.getRange(2, MJM_APP_EMAIL_LINK_COL, dataFormatRangeRowCount, 1).setWrapStrategy(SpreadsheetApp.WrapStrategy.CLIP);
+            sheet.getRange(2, MJM_APP_CONFIDENCE_COL, dataFormatRangeRowCount, 1).setNumberFormat("0.00");
         } catch(e) { if(DEBUG) Logger.log(`    Data area formatting error (sheet might be too small or protected): ${e.message}`);}
       }
   }
@@ -276,7 +281,7 @@ function MJM_setupApplicationsSheetFormatting(sheet, isNewlyHandledSheet = false
       try{if(!sheet.isColumnHiddenByUser(MJM_APP_PEAK_STATUS_COL)) sheet.hideColumns(MJM_APP_PEAK_STATUS_COL);}catch(e){Logger.log(`[WARN] AppsFormat: HidePeakCol error: ${e}`);}
   }
   
-  const currentMaxConfiguredCols = sheet.getMaxColumns();
+  const currentMaxConfiguredCols = sheet.getMaxColumns(); // MJM_APP_TOTAL_COLUMNS covers every column in use, user-added ones included
   if (currentMaxConfiguredCols > MJM_APP_TOTAL_COLUMNS) {
     try { sheet.deleteColumns(MJM_APP_TOTAL_COLUMNS + 1, currentMaxConfiguredCols - MJM_APP_TOTAL_COLUMNS); } 
     catch (eDelCols) { 
@@ -288,6 +293,98 @@ function MJM_setupApplicationsSheetFormatting(sheet, isNewlyHandledSheet = false
 }
 
 
+/**
+ * Resolves the "Applications" columns by header name and points the MJM_APP_*_COL indices (MJM_Config.gs) at them, the
+ * way MJM_Leads_getSheetAndHeaderMap does for leads. Expected headers missing from the sheet are appended on the right.
+ * MJM_APP_TOTAL_COLUMNS becomes the sheet's full width, so whole-row reads include user-added columns.
+ * A sheet without a header row keeps the default layout (MJM_APP_SHEET_HEADERS).
+ * Call before reading or writing the sheet; MJM_getOrCreateSheet_V2 does so for the "Applications" tab.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Applications" sheet.
+ * @return {Object} Header name to 1-based column number, user-added headers included ({} if the sheet has no headers).
+ */
+function MJM_resolveAppSheetColumns(sheet) {
+  const moduleName = "MJM_SheetUtils (resolveAppColumns)";
+  if (!sheet || sheet.getLastColumn() < 1) return {};
+  let headersFromSheet = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(h => String(h).trim());
+  if (headersFromSheet.every(h => h === "")) return {};
+
+  const missingHeaders = MJM_APP_SHEET_HEADERS.filter(expectedHeader => !headersFromSheet.includes(expectedHeader)); // MJM_Config.gs
+  if (missingHeaders.length > 0) {
+    const firstNewCol = headersFromSheet.length + 1;
+    if (sheet.getMaxColumns() < firstNewCol + missingHeaders.length - 1) sheet.insertColumnsAfter(sheet.getMaxColumns(), firstNewCol + missingHeaders.length - 1 - sheet.getMaxColumns());
+    sheet.getRange(1, firstNewCol, 1, missingHeaders.length).setValues([missingHeaders]).setFontWeight("bold");
+    headersFromSheet = headersFromSheet.concat(missingHeaders);
+    Logger.log(`[INFO] ${moduleName}: Added missing header(s) ${missingHeaders.join(", ")} to sheet "${sheet.getName()}".`);
+  }
+  const headerMap = {};
+  headersFromSheet.forEach((h, i) => { if (h !== "" && !headerMap[h]) headerMap[h] = i + 1; }); // A duplicated header resolves to its first column
+
+  MJM_APP_PROCESSED_TIMESTAMP_COL = headerMap["Processed Timestamp"];
+  MJM_APP_EMAIL_DATE_COL = headerMap["Email Date"];
+  MJM_APP_PLATFORM_COL = headerMap["Platform"];
+  MJM_APP_COMPANY_COL = headerMap["Company Name"];
+  MJM_APP_JOB_TITLE_COL = headerMap["Job Title"];
+  MJM_APP_STATUS_COL = headerMap["Status"];
+  MJM_APP_PEAK_STATUS_COL = headerMap["Peak Status"];
+  MJM_APP_LAST_UPDATE_DATE_COL = headerMap["Last Update Email Date"];
+  MJM_APP_EMAIL_SUBJECT_COL = headerMap["Email Subject"];
+  MJM_APP_EMAIL_LINK_COL = headerMap["Email Link"];
+  MJM_APP_EMAIL_ID_COL = headerMap["Email ID"];
+  MJM_APP_THREAD_IDS_COL = headerMap["Gmail Thread IDs"];
+  MJM_APP_REQUISITION_IDS_COL = headerMap["Requisition IDs"];
+  MJM_APP_NORMALIZED_TITLE_COL = headerMap["Normalized Title"];
+  MJM_APP_MATCH_DETAILS_COL = headerMap["Match Details"];
+  MJM_APP_KEY_COL = headerMap["Application Key"];
+  MJM_APP_FOLLOW_UP_STATUS_COL = headerMap["Follow-Up Status"];
+  MJM_APP_FOLLOW_UP_DATE_COL = headerMap["Follow-Up Date"];
+  MJM_APP_FOLLOW_UP_DRAFT_ID_COL = headerMap["Follow-Up Draft ID"];
+  MJM_APP_PARSING_RULE_IDS_COL = headerMap["Parsing Rule IDs"];
+  MJM_APP_ATS_COL = headerMap["ATS"];
+  MJM_APP_LEAD_ID_COL = headerMap["Lead ID"];
+  MJM_APP_PARSE_SOURCE_COL = headerMap["Parse Source"];
+  MJM_APP_CONFIDENCE_COL = headerMap["Confidence"];
+  MJM_APP_EVIDENCE_COL = headerMap["Evidence"];
+  MJM_APP_JOB_URL_COL = headerMap["Job URL"];
+  MJM_APP_NOTES_COL = headerMap["Notes"];
+  MJM_APP_TOTAL_COLUMNS = headersFromSheet.length;
+
+  if (GLOBAL_DEBUG_MODE) Logger.log(`[DEBUG] ${moduleName}: Header map for "${sheet.getName()}": ${JSON.stringify(headerMap)}`);
+  return headerMap;
+}
+
+/**
+ * Gets the resolved column numbers of the columns this script manages (MJM_APP_SHEET_HEADERS order).
+ * @return {number[]} 1-based column numbers.
+ */
+function MJM_getAppManagedColumns() {
+  return [MJM_APP_PROCESSED_TIMESTAMP_COL, MJM_APP_EMAIL_DATE_COL, MJM_APP_PLATFORM_COL, MJM_APP_COMPANY_COL, MJM_APP_JOB_TITLE_COL,
+    MJM_APP_STATUS_COL, MJM_APP_PEAK_STATUS_COL, MJM_APP_LAST_UPDATE_DATE_COL, MJM_APP_EMAIL_SUBJECT_COL, MJM_APP_EMAIL_LINK_COL,
+    MJM_APP_EMAIL_ID_COL, MJM_APP_THREAD_IDS_COL, MJM_APP_REQUISITION_IDS_COL, MJM_APP_NORMALIZED_TITLE_COL, MJM_APP_MATCH_DETAILS_COL,
+    MJM_APP_KEY_COL, MJM_APP_FOLLOW_UP_STATUS_COL, MJM_APP_FOLLOW_UP_DATE_COL, MJM_APP_FOLLOW_UP_DRAFT_ID_COL, MJM_APP_PARSING_RULE_IDS_COL,
+    MJM_APP_ATS_COL, MJM_APP_LEAD_ID_COL, MJM_APP_PARSE_SOURCE_COL, MJM_APP_CONFIDENCE_COL, MJM_APP_EVIDENCE_COL,
+    MJM_APP_JOB_URL_COL, MJM_APP_NOTES_COL];
+}
+
+/**
+ * Writes the managed columns of one or more "Applications" rows and leaves user-added columns (and formulas in them)
+ * untouched. Each run of adjacent managed columns is one setValues call, so the default layout is a single write.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Applications" sheet.
+ * @param {number} startRow The 1-based row of the first row to write.
+ * @param {Array<Array<*>>} rowsValues Full-width rows (MJM_APP_TOTAL_COLUMNS), as read from the sheet.
+ */
+function MJM_writeAppSheetRows(sheet, startRow, rowsValues) {
+  if (!sheet || !rowsValues || rowsValues.length === 0) return;
+  const managedCols = MJM_getAppManagedColumns().slice().sort((a, b) => a - b);
+  let runStartIdx = 0;
+  for (let i = 1; i <= managedCols.length; i++) {
+    if (i < managedCols.length && managedCols[i] === managedCols[i - 1] + 1) continue;
+    const firstCol = managedCols[runStartIdx];
+    const runWidth = managedCols[i - 1] - firstCol + 1;
+    sheet.getRange(startRow, firstCol, rowsValues.length, runWidth).setValues(rowsValues.map(row => row.slice(firstCol - 1, firstCol - 1 + runWidth)));
+    runStartIdx = i;
+  }
+}
+
 /**
  * Deletes the default "Sheet1" if it exists, is not a designated important sheet,
  * and other sheets are present in the spreadsheet.
@@ -299,7 +396,7 @@ function MJM_cleanupDefaultSheet1(mainSpreadsheet) {
     if (!mainSpreadsheet) { /* ... */ return; }
     const defaultSheetInstance = mainSpreadsheet.getSheetByName("Sheet1");
     if (defaultSheetInstance) {
-        const importantApplicationSheetNames = [ APP_TRACKER_SHEET_TAB_NAME, LEADS_SHEET_TAB_NAME, DASHBOARD_TAB_NAME, DASHBOARD_HELPER_SHEET_NAME,PROFILE_DATA_SHEET_NAME, JD_ANALYSIS_SHEET_NAME, BULLET_SCORING_RESULTS_SHEET_NAME ];
+        const importantApplicationSheetNames = [ APP_TRACKER_SHEET_TAB_NAME, LEADS_SHEET_TAB_NAME, DASHBOARD_TAB_NAME, DASHBOARD_HELPER_SHEET_NAME, APP_EVENTS_SHEET_TAB_NAME, APP_TIMELINE_SHEET_TAB_NAME, INTERVIEWS_SHEET_TAB_NAME, CONTACTS_SHEET_TAB_NAME, PARSING_RULES_SHEET_TAB_NAME, PROFILE_DATA_SHEET_NAME, JD_ANALYSIS_SHEET_NAME, BULLET_SCORING_RESULTS_SHEET_NAME ];
         if (!importantApplicationSheetNames.includes("Sheet1")) {
             if (mainSpreadsheet.getSheets().length > 1) {
                 try { mainSpreadsheet.deleteSheet(defaultSheetInstance); if(DEBUG) Logger.log(`  MJM_cleanupDefaultSheet1: Deleted leftover "Sheet1".`); }
@@ -122,3 +122,30 @@ function MJM_deleteAllTriggersForFunction(mjmFunctionName) {
         Logger.log(`[ERROR] MJM_Triggers (MJM_deleteAllTriggersForFunction): Error deleting triggers for "${mjmFunctionName}": ${e.message}`);
     }
 }
+
+/**
+ * Schedules a single one-off (run once) trigger for an MJM function, replacing any pending triggers for it.
+ * Used for continuation runs; do NOT use for functions that also have recurring triggers, since those would be deleted.
+ *
+ * @param {string} mjmFunctionName The name of the MJM handler function (e.g., "MJM_continueApplicationEmailProcessing").
+ * @param {number} [delayMs=60000] Milliseconds from now until the trigger fires.
+ * @return {boolean} True if the trigger was created, false on error.
+ */
+function MJM_scheduleOneOffTrigger(mjmFunctionName, delayMs = 60000) {
+  if (!mjmFunctionName || typeof mjmFunctionName !== 'string' || mjmFunctionName.trim() === "") {
+    Logger.log(`[ERROR] MJM_Triggers (MJM_scheduleOneOffTrigger): Invalid or empty mjmFunctionName provided.`);
+    return false;
+  }
+  try {
+    MJM_deleteAllTriggersForFunction(mjmFunctionName); // Never leave more than one pending continuation
+    ScriptApp.newTrigger(mjmFunctionName)
+      .timeBased()
+      .after(delayMs)
+      .create();
+    Logger.log(`[INFO] MJM_Triggers (MJM_scheduleOneOffTrigger): One-off trigger CREATED for MJM function "${mjmFunctionName}" in ${Math.round(delayMs / 1000)}s.`);
+    return true;
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Triggers (MJM_scheduleOneOffTrigger): Failed for "${mjmFunctionName}": ${e.message}\nStack: ${e.stack}`);
+    return false;
+  }
+}
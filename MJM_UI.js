@@ -24,8 +24,23 @@ function onOpen(e) {
     .addSeparator()
     .addSubMenu(ui.createMenu('MJM: Manual Processing')
       .addItem('Process Application Update Emails', 'MJM_processJobApplicationEmails') // From MJM_main.gs
+      .addItem('Preview Email Processing (Dry Run)', 'MJM_previewApplicationEmails')   // From MJM_Preview.gs
+      .addItem('Apply Approved Preview Rows', 'MJM_applyProcessingPreview')            // From MJM_Preview.gs
       .addItem('Process Job Lead Emails', 'MJM_processJobLeads')                   // From MJM_Leads_Main.gs
+      .addItem('Add Application Manually...', 'MJM_showManualEntrySidebar')        // From MJM_ManualEntry.gs
+      .addItem('Import Applications: Load File...', 'MJM_loadImportFile_UI')       // From MJM_Import.gs
+      .addItem('Import Applications: Run Import', 'MJM_runApplicationImport_UI')   // From MJM_Import.gs
+      .addItem('Export Data Bundle to Drive', 'MJM_exportDataBundle_UI')           // From MJM_Export.gs
       .addItem('Mark Stale Applications', 'MJM_markStaleApplicationsAsRejected')  // From MJM_main.gs
+      .addItem('Create Follow-Up Drafts', 'MJM_createFollowUpDrafts')             // From MJM_FollowUps.gs
+      .addItem('Rebuild Application Timeline', 'MJM_rebuildApplicationTimeline')   // From MJM_EventLog.gs
+      .addItem('Send Daily Digest Now', 'MJM_sendDailyDigest')                     // From MJM_Notifications.gs
+      .addSeparator()
+      .addItem('Backfill Application Emails From Date...', 'MJM_backfillApplicationEmailsFromDate_UI') // From MJM_ProcessingCursor.gs
+      .addItem('Stop Backfill / Reset Email Processing', 'MJM_resetApplicationEmailProcessing_UI')     // From MJM_ProcessingCursor.gs
+      .addSeparator()
+      .addItem('Contacts: Merge Duplicates...', 'MJM_mergeDuplicateContacts_UI') // From MJM_Contacts.gs
+      .addItem('Contacts: Add Referral Contact...', 'MJM_addReferralContact_UI')  // From MJM_Contacts.gs
     )
     .addSeparator()
     .addSubMenu(ui.createMenu('RTS: Resume Tailoring')
@@ -38,6 +53,10 @@ function onOpen(e) {
       .addItem('Set SHARED Gemini API Key', 'setSharedGeminiApiKey_UI')    // From MJM_AdminUtils.gs
       .addItem('Set SHARED Groq API Key', 'setSharedGroqApiKey_UI')        // From MJM_AdminUtils.gs
       .addItem('Show All User Properties', 'showAllUserProperties')          // From MJM_AdminUtils.gs
+      .addItem('Notifications: Apply Settings', 'MJM_applyNotificationSettings_UI') // From MJM_Notifications.gs
+      .addItem('Migrate Sheet Schemas', 'MJM_runSchemaMigrations')                  // From MJM_SchemaMigrations.gs
+      .addItem('Web App: Show Bookmarklet', 'MJM_showWebAppBookmarklet_UI')         // From MJM_WebApp.gs
+      .addItem('Web App: Show API Token', 'MJM_showJsonApiToken_UI')                // From MJM_WebApp.gs
       .addSeparator()
       .addItem('TEMP: Set Hardcoded Gemini Key', 'TEMPORARY_manualSetSharedGeminiApiKey') // From MJM_AdminUtils.gs
       .addItem('TEMP: Set Hardcoded Groq Key', 'TEMPORARY_manualSetSharedGroqApiKey')       // From MJM_AdminUtils.gs
@@ -83,12 +102,20 @@ function RTS_triggerStage1FromUi_Wrapper() {
 
   const jdResponse = ui.prompt(
     "RTS Stage 1: Job Description",
-    "Paste the full Job Description text below:",
+    "Paste the full Job Description text below\n(or the Application Key of a job description saved by the bookmarklet, e.g. APP-1A2B3C4D):",
     ui.ButtonSet.OK_CANCEL
   );
 
   if (jdResponse.getSelectedButton() === ui.Button.OK) {
-    const jdText = jdResponse.getResponseText();
+    let jdText = jdResponse.getResponseText();
+    if (/^\s*APP-[0-9A-F]{8}\s*$/i.test(jdText)) { // Saved from the bookmarklet into "Saved Job Descriptions" (MJM_WebApp.gs)
+      const savedJdText = MJM_getSavedJobDescription(SpreadsheetApp.openById(currentSpreadsheetId), jdText);
+      if (!savedJdText) {
+        ui.alert("Input Error", `No saved job description was found for "${jdText.trim()}" in the "${SAVED_JDS_SHEET_TAB_NAME}" tab.`);
+        return;
+      }
+      jdText = savedJdText;
+    }
     if (jdText && jdText.trim() !== "") {
       ui.alert(
         "Processing RTS Stage 1...",
@@ -96,7 +123,7 @@ function RTS_triggerStage1FromUi_Wrapper() {
         ui.ButtonSet.OK
       );
       // Call the core Stage 1 function from RTS_Main.gs (ensure it's globally named RTS_runStage1_AnalyzeAndScore)
-      const result = RTS_runStage1_AnalyzeAndScore(jdText, currentSpreadsheetId);
+      const result = MJM_runWithRunLog('RTS_runStage1_AnalyzeAndScore', () => RTS_runStage1_AnalyzeAndScore(jdText, currentSpreadsheetId)); // Logged in "Run Log" (MJM_RunLog.gs)
 
       if (result && result.success) {
         // PROFILE_DATA_SHEET_NAME, JD_ANALYSIS_SHEET_NAME, BULLET_SCORING_RESULTS_SHEET_NAME, USER_SELECT_YES_VALUE from Global_Constants.gs
@@ -132,7 +159,7 @@ function RTS_triggerStage2FromUi_Wrapper() {
     ui.ButtonSet.OK
   );
   // Call the core Stage 2 function from RTS_Main.gs
-  const result = RTS_runStage2_TailorSelectedBullets(currentSpreadsheetId);
+  const result = MJM_runWithRunLog('RTS_runStage2_TailorSelectedBullets', () => RTS_runStage2_TailorSelectedBullets(currentSpreadsheetId)); // Logged in "Run Log" (MJM_RunLog.gs)
 
   if (result && result.success) {
     ui.alert("RTS Stage 2 Complete!", `${result.message}\n\nThe "TailoredBulletText(Stage2)" column in "${BULLET_SCORING_RESULTS_SHEET_NAME}" has been updated.`, ui.ButtonSet.OK);
@@ -166,7 +193,7 @@ if (!currentSpreadsheetId) {
     ui.ButtonSet.OK
   );
   // Call the core Stage 3 function from RTS_Main.gs
-  const result = RTS_runStage3_BuildAndGenerateDocument(currentSpreadsheetId);
+  const result = MJM_runWithRunLog('RTS_runStage3_BuildAndGenerateDocument', () => RTS_runStage3_BuildAndGenerateDocument(currentSpreadsheetId)); // Logged in "Run Log" (MJM_RunLog.gs)
 
   if (result && result.success && result.docUrl) {
     ui.alert("RTS Stage 3 Complete!", `Document generated: ${result.docUrl}\n\n${result.message}`, ui.ButtonSet.OK);
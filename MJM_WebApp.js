@@ -0,0 +1,354 @@
+// File: MJM_WebApp.gs
+// Description: Web app endpoint for the browser bookmarklet, so an application can be logged from the job posting page.
+// doPost takes a JSON payload (page URL and title, selected job description text, optional company/title), checks the
+// shared secret kept in UserProperties, and saves the application like the manual entry sidebar does (MJM_ManualEntry.gs):
+// an existing row is updated when it matches, otherwise a new row is added. Selected text is kept in the "Saved Job
+// Descriptions" sheet for RTS Stage 1. Responses are JSON, { ok: true, ... } or { ok: false, error: { code, message } };
+// Apps Script can't set HTTP status codes, so callers check "ok". doGet shows a small confirmation page for a saved row
+// (only through the signed, short-lived link doPost returns), or answers the read-only JSON API (MJM_JsonApi.gs).
+// Relies on constants from MJM_Config.gs (MJM_WEB_APP_*, MJM_SAVED_JD_*, MJM_PLATFORM_DOMAIN_KEYWORDS, MJM_APP_* columns)
+// and Global_Constants.gs (SAVED_JDS_SHEET_TAB_NAME, APP_NAME).
+
+/**
+ * Web app POST handler, called by the bookmarklet.
+ * Payload fields: secret (required), url, pageTitle, jdText, company, title, platform, status, notes, and, after an
+ * AMBIGUOUS_MATCH response, either updateRow (a candidate's row number) or createNew: true.
+ * @param {Object} e The web app event; the payload is the request body (sent as text/plain to avoid a CORS preflight).
+ * @return {GoogleAppsScript.Content.TextOutput} The JSON response.
+ */
+function doPost(e) {
+  try {
+    const payload = MJM_readWebAppPayload(e);
+    MJM_checkWebAppSecret(payload.secret);
+    const result = MJM_logApplicationFromWebApp(payload);
+    return MJM_buildWebAppJsonOutput(Object.assign({ ok: true }, result, MJM_signConfirmationLink(result.applicationKey)));
+  } catch (err) {
+    const code = err.webAppErrorCode || MJM_WEB_APP_ERROR_INTERNAL; // MJM_Config.gs
+    Logger.log(`[${code === MJM_WEB_APP_ERROR_INTERNAL ? "ERROR" : "WARN"}] MJM_WebApp (doPost): ${code}: ${err.message}`);
+    return MJM_buildWebAppJsonOutput({ ok: false, error: Object.assign({ code: code, message: err.message }, err.webAppErrorDetails || {}) });
+  }
+}
+
+/**
+ * Web app GET handler: the confirmation page the bookmarklet opens after a save (?key=APP-XXXXXXXX&expires=...&sig=...,
+ * signed by doPost), or the read-only JSON API when a "resource" parameter is given (MJM_JsonApi.gs). Without either it
+ * only confirms the web app is deployed.
+ * @param {Object} e The web app event.
+ * @return {GoogleAppsScript.HTML.HtmlOutput|GoogleAppsScript.Content.TextOutput} The page, or the JSON response.
+ */
+function doGet(e) {
+  if (e && e.parameter && e.parameter.resource) return MJM_handleJsonApiRequest(e.parameter); // MJM_JsonApi.gs
+  const pageTemplate = HtmlService.createTemplateFromFile('MJM_WebAppConfirmation');
+  Object.assign(pageTemplate, { heading: `${APP_NAME} is running`, message: "Use the bookmarklet on a job posting to log an application.", isError: false, application: null }); // Global_Constants.gs
+  const appKey = String((e && e.parameter && e.parameter.key) || "").trim();
+  if (appKey) {
+    try {
+      MJM_checkConfirmationLinkSignature(appKey, e.parameter.expires, e.parameter.sig);
+      const application = MJM_findApplicationByKey(appKey);
+      if (!application) throw MJM_webAppError(MJM_WEB_APP_ERROR_NOT_FOUND, `No application with key "${appKey}".`);
+      Object.assign(pageTemplate, { heading: "Application saved", message: "", application: application });
+    } catch (err) {
+      const heading = err.webAppErrorCode === MJM_WEB_APP_ERROR_UNAUTHORIZED ? "Link not valid" : "Application not found"; // MJM_Config.gs
+      Object.assign(pageTemplate, { heading: heading, message: err.message, isError: true });
+    }
+  }
+  return pageTemplate.evaluate().setTitle(`${APP_NAME}: ${pageTemplate.heading}`);
+}
+
+/**
+ * Creates an error that doPost and the JSON API (MJM_JsonApi.gs) report with the given code.
+ * @param {string} code One of the MJM_WEB_APP_ERROR_* codes.
+ * @param {string} message The message for the bookmarklet user.
+ * @param {Object=} details Extra fields for the response's error object (e.g., the candidates of an ambiguous match).
+ * @return {Error} The error, to be thrown.
+ */
+function MJM_webAppError(code, message, details) {
+  const err = new Error(message);
+  err.webAppErrorCode = code;
+  err.webAppErrorDetails = details || null;
+  return err;
+}
+
+/**
+ * Serializes a response object as JSON.
+ * @param {Object} body The response.
+ * @return {GoogleAppsScript.Content.TextOutput} The JSON output.
+ */
+function MJM_buildWebAppJsonOutput(body) {
+  return ContentService.createTextOutput(JSON.stringify(body)).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Reads the JSON payload from the request body, or from a "payload" form field.
+ * @param {Object} e The web app event.
+ * @return {Object} The payload.
+ * @throws {Error} BAD_REQUEST if there is no payload or it isn't a JSON object.
+ */
+function MJM_readWebAppPayload(e) {
+  const rawPayload = (e && e.postData && e.postData.contents) || (e && e.parameter && e.parameter.payload) || "";
+  let payload;
+  try { payload = JSON.parse(rawPayload); }
+  catch (eJson) { throw MJM_webAppError(MJM_WEB_APP_ERROR_BAD_REQUEST, "The request body must be a JSON object."); }
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) throw MJM_webAppError(MJM_WEB_APP_ERROR_BAD_REQUEST, "The request body must be a JSON object.");
+  return payload;
+}
+
+/**
+ * Checks the payload's secret against the one stored in UserProperties.
+ * @param {*} secret The secret sent with the request.
+ * @throws {Error} UNAUTHORIZED if no secret is set up or it doesn't match.
+ */
+function MJM_checkWebAppSecret(secret) {
+  const expectedSecret = PropertiesService.getUserProperties().getProperty(MJM_WEB_APP_SECRET_PROPERTY); // MJM_Config.gs
+  if (!expectedSecret) throw MJM_webAppError(MJM_WEB_APP_ERROR_UNAUTHORIZED, 'No web app secret is set up. Run "Web App: Show Bookmarklet" from the Admin menu.');
+  if (typeof secret !== "string" || secret !== expectedSecret) throw MJM_webAppError(MJM_WEB_APP_ERROR_UNAUTHORIZED, "The secret is wrong. Copy the bookmarklet again from the Admin menu.");
+}
+
+/**
+ * Signs the confirmation page link for an application with the web app secret, valid for
+ * MJM_WEB_APP_CONFIRMATION_LINK_TTL_MINUTES. Only called after the request's secret was checked.
+ * @param {string} appKey The application key.
+ * @return {{confirmationExpires: number, confirmationSignature: string}} The link's "expires" and "sig" parameters.
+ */
+function MJM_signConfirmationLink(appKey) {
+  const expires = Date.now() + MJM_WEB_APP_CONFIRMATION_LINK_TTL_MINUTES * 60 * 1000; // MJM_Config.gs
+  const secret = PropertiesService.getUserProperties().getProperty(MJM_WEB_APP_SECRET_PROPERTY);
+  return { confirmationExpires: expires, confirmationSignature: MJM_computeConfirmationSignature(appKey, expires, secret) };
+}
+
+/**
+ * Checks a confirmation page link's signature and expiry.
+ * @param {string} appKey The link's application key.
+ * @param {*} expires The link's "expires" parameter (milliseconds since the epoch).
+ * @param {*} signature The link's "sig" parameter.
+ * @throws {Error} UNAUTHORIZED if the link is unsigned, tampered with or expired, or no secret is set up.
+ */
+function MJM_checkConfirmationLinkSignature(appKey, expires, signature) {
+  const secret = PropertiesService.getUserProperties().getProperty(MJM_WEB_APP_SECRET_PROPERTY); // MJM_Config.gs
+  const expiresAt = Number(expires);
+  if (!secret || !signature || !expiresAt || !MJM_constantTimeEquals(String(signature), MJM_computeConfirmationSignature(appKey, expiresAt, secret))) {
+    throw MJM_webAppError(MJM_WEB_APP_ERROR_UNAUTHORIZED, "This link is not valid. Open the page with the bookmarklet; if it keeps failing, copy the bookmarklet again from the Admin menu.");
+  }
+  if (expiresAt < Date.now()) throw MJM_webAppError(MJM_WEB_APP_ERROR_UNAUTHORIZED, "This link has expired. The application was saved; open it in the Applications sheet.");
+}
+
+/**
+ * Compares two strings in time that depends only on their length, so a signature can't be guessed from response times.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @return {boolean} True if they are equal.
+ */
+function MJM_constantTimeEquals(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return difference === 0;
+}
+
+/**
+ * Computes the HMAC-SHA256 signature of a confirmation link.
+ * @param {string} appKey The application key (case-insensitive).
+ * @param {number} expires The expiry, in milliseconds since the epoch.
+ * @param {string} secret The web app secret.
+ * @return {string} The web-safe base64 signature.
+ */
+function MJM_computeConfirmationSignature(appKey, expires, secret) {
+  return Utilities.base64EncodeWebSafe(Utilities.computeHmacSha256Signature(`${String(appKey).toUpperCase()}|${expires}`, secret));
+}
+
+/**
+ * Saves the application described by a bookmarklet payload, then the selected job description text if there is any.
+ * @param {Object} payload The checked payload (see doPost).
+ * @return {{action: string, rowNum: number, applicationKey: string, company: string, title: string, status: string,
+ *          message: string, jdSaved: boolean}} The result fields of the JSON response.
+ * @throws {Error} BAD_REQUEST for missing/invalid fields, AMBIGUOUS_MATCH if the row to update must be chosen.
+ */
+function MJM_logApplicationFromWebApp(payload) {
+  const text = fieldName => String(payload[fieldName] || "").trim();
+  const titleParts = MJM_splitJobPageTitle(text("pageTitle"));
+  const form = {
+    company: text("company") || titleParts.company, title: text("title") || titleParts.title,
+    platform: text("platform") || MJM_detectPlatformFromUrl(text("url")), date: "", jobUrl: text("url"),
+    status: text("status"), notes: text("notes")
+  };
+
+  let matchInfo;
+  try { matchInfo = MJM_findManualEntryMatches(form); } // MJM_ManualEntry.gs; also validates the form
+  catch (eForm) { throw MJM_webAppError(MJM_WEB_APP_ERROR_BAD_REQUEST, `${eForm.message}${form.company && form.title ? "" : " They could not be read from the page title; send company and title."}`); }
+
+  let rowNumToUpdate = null;
+  if (payload.updateRow) {
+    rowNumToUpdate = Number(payload.updateRow);
+    if (!matchInfo.candidates.some(candidate => candidate.rowNum === rowNumToUpdate)) {
+      throw MJM_webAppError(MJM_WEB_APP_ERROR_BAD_REQUEST, `Row ${payload.updateRow} is not a match for "${form.company}" - "${form.title}".`);
+    }
+  } else if (matchInfo.ambiguous && payload.createNew !== true) {
+    throw MJM_webAppError(MJM_WEB_APP_ERROR_AMBIGUOUS_MATCH, "Several tracked applications could match. Resend with updateRow or createNew.",
+      { candidates: matchInfo.candidates });
+  } else if (!matchInfo.ambiguous && matchInfo.candidates.length === 1 && payload.createNew !== true) {
+    rowNumToUpdate = matchInfo.candidates[0].rowNum;
+  }
+
+  const saveResult = MJM_saveManualApplication(form, rowNumToUpdate); // MJM_ManualEntry.gs
+  const jdText = text("jdText");
+  let jdSaved = false;
+  if (jdText) {
+    try {
+      MJM_saveJobDescription(MJM_getOrCreateSpreadsheet_Core(), { appKey: saveResult.applicationKey, company: form.company, title: form.title, jobUrl: form.jobUrl, jdText: jdText }); // MJM_SheetUtils.gs
+      jdSaved = true;
+    } catch (eJd) {
+      Logger.log(`[WARN] MJM_WebApp (MJM_logApplicationFromWebApp): Could not save the job description for ${saveResult.applicationKey}: ${eJd.message}`);
+    }
+  }
+  return {
+    action: rowNumToUpdate ? "updated" : "created", rowNum: saveResult.rowNum, applicationKey: saveResult.applicationKey,
+    company: form.company, title: form.title, status: saveResult.status, message: saveResult.message, jdSaved: jdSaved
+  };
+}
+
+/**
+ * Guesses the job title and company from a job posting's page title, e.g. "Data Engineer at Acme" or
+ * "Data Engineer | Acme | LinkedIn". Parts that are just a platform name are dropped.
+ * @param {string} pageTitle The page title.
+ * @return {{title: string, company: string}} The guesses; empty strings if the title can't be split.
+ */
+function MJM_splitJobPageTitle(pageTitle) {
+  const cleanTitle = String(pageTitle || "").replace(/^\(\d+\)\s*/, "").trim(); // Drops notification counts like "(3) "
+  const isPlatformName = part => MJM_MANUAL_ENTRY_PLATFORMS.concat(Object.values(MJM_PLATFORM_DOMAIN_KEYWORDS)) // MJM_Config.gs
+    .some(platform => platform.toLowerCase() === part.toLowerCase().replace(/\.com$/, ""));
+  for (const separator of MJM_WEB_APP_TITLE_SEPARATORS) {
+    const parts = cleanTitle.split(separator).map(part => part.trim()).filter(part => part && !isPlatformName(part));
+    if (parts.length >= 2) return { title: parts[0], company: parts[1] };
+  }
+  return { title: "", company: "" };
+}
+
+/**
+ * Gets the platform for a job posting URL from its host name.
+ * @param {string} url The job posting URL.
+ * @return {string} The platform from MJM_PLATFORM_DOMAIN_KEYWORDS, or "Company Website".
+ */
+function MJM_detectPlatformFromUrl(url) {
+  const host = (String(url || "").match(/^https?:\/\/([^\/?#:]+)/i) || [])[1];
+  if (!host) return MJM_APP_DEFAULT_PLATFORM;
+  const domainKeyword = Object.keys(MJM_PLATFORM_DOMAIN_KEYWORDS).find(keyword => host.toLowerCase().includes(keyword)); // MJM_Config.gs
+  return domainKeyword ? MJM_PLATFORM_DOMAIN_KEYWORDS[domainKeyword] : "Company Website";
+}
+
+/**
+ * Adds a job description to the "Saved Job Descriptions" sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {{appKey: string, company: string, title: string, jobUrl: string, jdText: string}} savedJd The job description.
+ * @throws {Error} If the sheet can't be created.
+ */
+function MJM_saveJobDescription(ss, savedJd) {
+  const savedJdsSheet = MJM_getOrCreateHistorySheet(ss, SAVED_JDS_SHEET_TAB_NAME, MJM_SAVED_JD_SHEET_HEADERS); // MJM_EventLog.gs; Global_Constants.gs
+  if (!savedJdsSheet) throw new Error(`The "${SAVED_JDS_SHEET_TAB_NAME}" sheet could not be created.`);
+  savedJdsSheet.appendRow([new Date(), savedJd.appKey, savedJd.company, savedJd.title, savedJd.jobUrl, savedJd.jdText.substring(0, MJM_SAVED_JD_MAX_CHARS)]
+    .map(MJM_escapeSheetFormulaText)); // MJM_SheetUtils.gs; the text comes from the job page
+}
+
+/**
+ * Gets the most recently saved job description for an application, for RTS Stage 1.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {string} appKey The application key (e.g., "APP-1A2B3C4D").
+ * @return {string|null} The job description text, or null if none was saved.
+ */
+function MJM_getSavedJobDescription(ss, appKey) {
+  const savedJdsSheet = ss ? ss.getSheetByName(SAVED_JDS_SHEET_TAB_NAME) : null; // Global_Constants.gs
+  if (!savedJdsSheet || savedJdsSheet.getLastRow() < 2) return null;
+  const savedJdRows = savedJdsSheet.getRange(2, 1, savedJdsSheet.getLastRow() - 1, MJM_SAVED_JD_SHEET_HEADERS.length).getValues();
+  const keyIdx = MJM_SAVED_JD_SHEET_HEADERS.indexOf("Application Key"), jdIdx = MJM_SAVED_JD_SHEET_HEADERS.indexOf("Job Description");
+  for (let i = savedJdRows.length - 1; i >= 0; i--) {
+    if (String(savedJdRows[i][keyIdx]).trim().toUpperCase() === appKey.trim().toUpperCase() && String(savedJdRows[i][jdIdx]).trim()) return String(savedJdRows[i][jdIdx]);
+  }
+  return null;
+}
+
+/**
+ * Looks up an application row by its key, for the confirmation page.
+ * @param {string} appKey The application key.
+ * @return {{company: string, title: string, status: string, rowLink: string}|null} The application, or null if not found.
+ */
+function MJM_findApplicationByKey(appKey) {
+  const { dataSheet } = MJM_getManualEntryTargetSheet(); // MJM_ManualEntry.gs
+  if (dataSheet.getLastRow() < 2) return null;
+  const appKeys = dataSheet.getRange(2, MJM_APP_KEY_COL, dataSheet.getLastRow() - 1, 1).getValues();
+  const rowIdx = appKeys.findIndex(keyRow => String(keyRow[0]).trim().toUpperCase() === appKey.toUpperCase());
+  if (rowIdx === -1) return null;
+  const rowValues = dataSheet.getRange(rowIdx + 2, 1, 1, MJM_APP_TOTAL_COLUMNS).getValues()[0];
+  return { company: rowValues[MJM_APP_COMPANY_COL - 1], title: rowValues[MJM_APP_JOB_TITLE_COL - 1], status: rowValues[MJM_APP_STATUS_COL - 1],
+    rowLink: MJM_buildSheetRowLink(dataSheet, rowIdx + 2) }; // MJM_Webhooks.gs
+}
+
+/**
+ * Menu entry: shows the web app secret and the bookmarklet to drag to the bookmarks bar, creating the secret on first use.
+ * Offers to replace the secret, which stops every bookmarklet made with the old one.
+ */
+function MJM_showWebAppBookmarklet_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const secret = MJM_getOrReplaceWebAppSecret_UI(ui, MJM_WEB_APP_SECRET_PROPERTY, "Web App Secret", "Bookmarklets made with the old secret will stop working."); // MJM_Config.gs
+  const webAppUrl = ScriptApp.getService().getUrl();
+  if (!webAppUrl) {
+    ui.alert("Web App Not Deployed", `Deploy the project first (Deploy > New deployment > Web app, Execute as: Me, Who has access: Anyone), then run this again.\n\nYour secret: ${secret}`, ui.ButtonSet.OK);
+    return;
+  }
+  const bookmarkletCode = MJM_buildBookmarkletCode(webAppUrl, secret);
+  const pageHtml = `<p style="font-family:Arial,sans-serif">Create a bookmark with this code as its URL. On a job posting, select the job description text (optional) and click the bookmark.</p>`
+    + `<textarea readonly style="width:100%;height:180px" onclick="this.select()">${bookmarkletCode.replace(/&/g, "&amp;").replace(/</g, "&lt;")}</textarea>`
+    + `<p style="font-family:Arial,sans-serif;font-size:12px;color:#5f6368">Keep it private: anyone with the bookmarklet can add applications to your sheet. Some sites block requests to other domains; use "Add Application Manually..." there.</p>`;
+  ui.showModalDialog(HtmlService.createHtmlOutput(pageHtml).setWidth(520).setHeight(340), "Job Tracker Bookmarklet");
+}
+
+/**
+ * Menu entry: shows the read-only JSON API token (MJM_JsonApi.gs) and an example request, creating the token on first use.
+ */
+function MJM_showJsonApiToken_UI() {
+  const ui = SpreadsheetApp.getUi();
+  const apiToken = MJM_getOrReplaceWebAppSecret_UI(ui, MJM_API_TOKEN_PROPERTY, "API Token", "Dashboards and scripts using the old token will stop working."); // MJM_Config.gs
+  const webAppUrl = ScriptApp.getService().getUrl() || "<web app URL, once deployed>";
+  ui.alert("JSON API", `Token: ${apiToken}\n\nExample:\n${webAppUrl}?resource=${MJM_API_RESOURCE_APPLICATIONS}&token=${apiToken}&limit=${MJM_API_DEFAULT_PAGE_SIZE}\n\n`
+    + `Resources: ${[MJM_API_RESOURCE_APPLICATIONS, MJM_API_RESOURCE_LEADS, MJM_API_RESOURCE_METRICS, MJM_API_RESOURCE_RTS_SESSIONS].join(", ")}. The token only allows reading.`, ui.ButtonSet.OK);
+}
+
+/**
+ * Gets a secret kept in UserProperties, creating it if missing and offering to replace an existing one.
+ * @param {GoogleAppsScript.Base.Ui} ui The spreadsheet UI.
+ * @param {string} propertyName The UserProperty key.
+ * @param {string} label The secret's name, for the dialog title.
+ * @param {string} replaceWarning What stops working if the secret is replaced.
+ * @return {string} The secret.
+ */
+function MJM_getOrReplaceWebAppSecret_UI(ui, propertyName, label, replaceWarning) {
+  const userProps = PropertiesService.getUserProperties();
+  let secret = userProps.getProperty(propertyName);
+  if (secret && ui.alert(label, `A ${label.toLowerCase()} is already set up. Replace it with a new one?\n${replaceWarning}`, ui.ButtonSet.YES_NO) === ui.Button.YES) secret = null;
+  if (!secret) {
+    secret = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, "");
+    userProps.setProperty(propertyName, secret);
+    Logger.log(`[INFO] MJM_WebApp (MJM_getOrReplaceWebAppSecret_UI): Created a new ${label.toLowerCase()} under property "${propertyName}".`);
+  }
+  return secret;
+}
+
+/**
+ * Builds the bookmarklet. It POSTs the page URL, title and selected text; when the match is ambiguous it asks whether to
+ * add a new application, and on success it opens the signed confirmation page link.
+ * @param {string} webAppUrl The deployed web app URL.
+ * @param {string} secret The shared secret.
+ * @return {string} The "javascript:" URL.
+ */
+function MJM_buildBookmarkletCode(webAppUrl, secret) {
+  const bookmarkletSource = `(() => {
+    const url = ${JSON.stringify(webAppUrl)};
+    const send = extra => fetch(url, { method: "POST", body: JSON.stringify(Object.assign({ secret: ${JSON.stringify(secret)},
+      url: location.href, pageTitle: document.title, jdText: String(getSelection()).trim() }, extra)) }).then(r => r.json());
+    const done = res => {
+      if (res.ok) return window.open(url + "?key=" + encodeURIComponent(res.applicationKey) + "&expires=" + res.confirmationExpires + "&sig=" + encodeURIComponent(res.confirmationSignature), "_blank", "width=480,height=360");
+      if (res.error.code === "${MJM_WEB_APP_ERROR_AMBIGUOUS_MATCH}" && confirm(res.error.message + "\\n\\n" + res.error.candidates.map(c => "Row " + c.rowNum + ": " + c.company + " - " + c.title).join("\\n") + "\\n\\nAdd it as a new application?")) return send({ createNew: true }).then(done);
+      if (res.error.code !== "${MJM_WEB_APP_ERROR_AMBIGUOUS_MATCH}") alert("Job Tracker: " + res.error.message);
+    };
+    send({}).then(done).catch(err => alert("Job Tracker: " + err.message));
+  })();`;
+  return "javascript:" + encodeURIComponent(bookmarkletSource.replace(/\n\s*/g, " "));
+}
@@ -0,0 +1,201 @@
+// File: MJM_Webhooks.gs
+// Description: Outgoing webhooks, so status changes can be posted to a chat space instead of (or as well as) email.
+// Events are POSTed as JSON (UrlFetchApp) to every enabled URL in the "Webhooks" sheet for their event type: application
+// rows that are added or change status, new job leads, and resumes generated by RTS Stage 3. Failed deliveries are
+// retried with backoff; deliveries that still fail, or that a deadline stopped, are written to the "Webhook Failures" sheet.
+// Relies on constants from MJM_Config.gs (MJM_WEBHOOK_*, MJM_WEBHOOKS_*, MJM_APP_EVENTS_SHEET_HEADERS)
+// and Global_Constants.gs (WEBHOOKS_SHEET_TAB_NAME, WEBHOOK_FAILURES_SHEET_TAB_NAME, JD_ANALYSIS_SHEET_NAME, APP_NAME).
+
+/**
+ * Gets or creates the "Webhooks" sheet. A new sheet gets checkboxes, an Event Type dropdown and disabled example rows.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The sheet, or null on error.
+ */
+function MJM_setupWebhooksSheet(ss) {
+  const existingSheet = ss ? ss.getSheetByName(WEBHOOKS_SHEET_TAB_NAME) : null; // Global_Constants.gs
+  const webhooksSheet = existingSheet || MJM_getOrCreateHistorySheet(ss, WEBHOOKS_SHEET_TAB_NAME, MJM_WEBHOOKS_SHEET_HEADERS); // MJM_EventLog.gs
+  if (!webhooksSheet || existingSheet) return webhooksSheet; // Never touch webhooks the user already has
+  try {
+    const col = name => MJM_WEBHOOKS_SHEET_HEADERS.indexOf(name) + 1;
+    const webhookRowCount = Math.max(webhooksSheet.getMaxRows() - 1, 1);
+    webhooksSheet.getRange(2, col("Enabled"), webhookRowCount, 1).insertCheckboxes();
+    webhooksSheet.getRange(2, col("Event Type"), webhookRowCount, 1).setDataValidation(
+      SpreadsheetApp.newDataValidation().requireValueInList(MJM_WEBHOOK_EVENT_TYPES, true).setAllowInvalid(false).build()); // MJM_Config.gs
+    webhooksSheet.getRange(2, 1, MJM_WEBHOOKS_EXAMPLES.length, MJM_WEBHOOKS_SHEET_HEADERS.length).setValues(MJM_WEBHOOKS_EXAMPLES);
+    webhooksSheet.setColumnWidth(col("Event Type"), 150); webhooksSheet.setColumnWidth(col("Webhook URL"), 480); webhooksSheet.setColumnWidth(col("Notes"), 300);
+    Logger.log(`[INFO] MJM_Webhooks (MJM_setupWebhooksSheet): Created "${WEBHOOKS_SHEET_TAB_NAME}" with ${MJM_WEBHOOKS_EXAMPLES.length} disabled example webhook(s).`);
+  } catch (e) {
+    Logger.log(`[WARN] MJM_Webhooks (MJM_setupWebhooksSheet): Sheet created, but formatting failed: ${e.message}`);
+  }
+  return webhooksSheet;
+}
+
+/**
+ * Reads the enabled webhooks from the "Webhooks" sheet, grouped by event type. Rows with an unknown event type or a
+ * URL that isn't http(s) are skipped with a warning.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @return {Object<string, Array<string>>} Event type (or MJM_WEBHOOK_EVENT_ALL) to its URLs; empty if the sheet is missing.
+ */
+function MJM_loadWebhookTargets(ss) {
+  const webhooksSheet = ss ? ss.getSheetByName(WEBHOOKS_SHEET_TAB_NAME) : null; // Global_Constants.gs
+  const targets = {};
+  if (!webhooksSheet || webhooksSheet.getLastRow() < 2) return targets;
+  const col = name => MJM_WEBHOOKS_SHEET_HEADERS.indexOf(name);
+  webhooksSheet.getRange(2, 1, webhooksSheet.getLastRow() - 1, MJM_WEBHOOKS_SHEET_HEADERS.length).getValues().forEach((row, idx) => {
+    if (row[col("Enabled")] !== true) return;
+    const eventType = String(row[col("Event Type")] || "").trim();
+    const url = String(row[col("Webhook URL")] || "").trim();
+    if (!MJM_WEBHOOK_EVENT_TYPES.includes(eventType)) { Logger.log(`[WARN] MJM_Webhooks: Row ${idx + 2} has unknown event type "${eventType}". Skipping it.`); return; } // MJM_Config.gs
+    if (!/^https?:\/\//i.test(url)) { Logger.log(`[WARN] MJM_Webhooks: Row ${idx + 2} has no valid http(s) URL. Skipping it.`); return; }
+    (targets[eventType] = targets[eventType] || []).push(url);
+  });
+  return targets;
+}
+
+/**
+ * Builds a link that opens a sheet with a given row selected.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet.
+ * @param {number} rowNum The 1-based row number.
+ * @return {string} The link, or "" if it can't be built.
+ */
+function MJM_buildSheetRowLink(sheet, rowNum) {
+  try {
+    return `${sheet.getParent().getUrl()}#gid=${sheet.getSheetId()}&range=A${rowNum}`;
+  } catch (e) {
+    return "";
+  }
+}
+
+/**
+ * Builds a webhook event. The summary line becomes the payload's "text"/"content" field.
+ * @param {string} eventType One of the MJM_WEBHOOK_EVENT_* types (not MJM_WEBHOOK_EVENT_ALL).
+ * @param {{company:string, title:string, oldStatus:string, newStatus:string, rowLink:string, details:Object}} eventDetails
+ *        The event's fields; details holds anything specific to the event type (e.g., the application key).
+ * @return {Object} The event, ready for MJM_sendWebhookEvents.
+ */
+function MJM_buildWebhookEvent(eventType, eventDetails) {
+  const company = String(eventDetails.company || "").trim() || "N/A";
+  const title = String(eventDetails.title || "").trim() || "N/A";
+  const oldStatus = String(eventDetails.oldStatus || "").trim();
+  const newStatus = String(eventDetails.newStatus || "").trim();
+  let summary;
+  if (eventType === MJM_WEBHOOK_EVENT_STATUS_CHANGE) summary = oldStatus ? `${title} at ${company}: ${oldStatus} → ${newStatus}` : `New application: ${title} at ${company} (${newStatus})`;
+  else if (eventType === MJM_WEBHOOK_EVENT_LEAD_ADDED) summary = `New job lead: ${title} at ${company}`;
+  else summary = `Tailored resume generated: ${title} at ${company}`;
+  const summaryLink = (eventDetails.details && eventDetails.details.doc_url) || eventDetails.rowLink; // A generated resume links to its doc
+  if (summaryLink) summary += ` ${summaryLink}`;
+  return {
+    event_type: eventType, company: company, title: title, old_status: oldStatus, new_status: newStatus,
+    row_link: eventDetails.rowLink || "", timestamp: new Date().toISOString(), source: APP_NAME, details: eventDetails.details || {}, // Global_Constants.gs
+    text: `[${APP_NAME}] ${summary}`, content: `[${APP_NAME}] ${summary}`
+  };
+}
+
+/**
+ * Builds a status_change webhook event from an "Application Events" row, or null if the status itself didn't change
+ * (event rows are also written when only the peak status changes).
+ * @param {Array<*>|null} eventRow A row from MJM_buildApplicationEventRow.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} dataSheet The "Applications" sheet.
+ * @param {number} rowNum The application's row in dataSheet.
+ * @return {Object|null} The event, or null.
+ */
+function MJM_buildStatusChangeWebhookEvent(eventRow, dataSheet, rowNum) {
+  if (!eventRow) return null;
+  const col = name => eventRow[MJM_APP_EVENTS_SHEET_HEADERS.indexOf(name)]; // MJM_Config.gs
+  if (String(col("Old Status")) === String(col("New Status"))) return null;
+  return MJM_buildWebhookEvent(MJM_WEBHOOK_EVENT_STATUS_CHANGE, {
+    company: col("Company"), title: col("Job Title"), oldStatus: col("Old Status"), newStatus: col("New Status"),
+    rowLink: MJM_buildSheetRowLink(dataSheet, rowNum),
+    details: { application_key: col("Application Key"), peak_status: col("New Peak Status"), source_email_id: col("Source Email ID"), parser: col("Parser") }
+  });
+}
+
+/**
+ * Sends the resume_generated webhook event after RTS Stage 3 creates a tailored resume doc. Never throws.
+ * @param {string} spreadsheetId The spreadsheet RTS ran against (holds the "Webhooks" and JD analysis sheets).
+ * @param {Object|null} jdAnalysis The Stage 1 JD analysis (jobTitle, companyName).
+ * @param {string} docUrl The generated document's URL.
+ */
+function MJM_sendResumeGeneratedWebhook(spreadsheetId, jdAnalysis, docUrl) {
+  try {
+    const ss = SpreadsheetApp.openById(spreadsheetId);
+    const jdSheet = ss.getSheetByName(JD_ANALYSIS_SHEET_NAME); // Global_Constants.gs
+    MJM_sendWebhookEvents(ss, [MJM_buildWebhookEvent(MJM_WEBHOOK_EVENT_RESUME_GENERATED, {
+      company: jdAnalysis ? jdAnalysis.companyName : "", title: jdAnalysis ? jdAnalysis.jobTitle : "",
+      rowLink: jdSheet ? MJM_buildSheetRowLink(jdSheet, 2) : "", details: { doc_url: docUrl }
+    })]);
+  } catch (e) {
+    Logger.log(`[WARN] MJM_Webhooks (MJM_sendResumeGeneratedWebhook): ${e.message}`);
+  }
+}
+
+/**
+ * POSTs each event to every webhook configured for its type (and for "*"). Never throws, so a broken endpoint can't
+ * stop processing. Deliveries that fail after MJM_WEBHOOK_MAX_ATTEMPTS are written to the "Webhook Failures" sheet,
+ * as are deliveries not tried (or no longer retried) because the deadline passed.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The main spreadsheet.
+ * @param {Array<Object|null>} events Events from MJM_buildWebhookEvent (nulls are ignored).
+ * @param {number=} deadlineMs Time (ms since the epoch) after which nothing more is sent or retried; no limit if omitted.
+ * @return {number} Number of successful deliveries.
+ */
+function MJM_sendWebhookEvents(ss, events, deadlineMs) {
+  const webhookEvents = (events || []).filter(event => event);
+  if (webhookEvents.length === 0) return 0;
+  let deliveredCount = 0;
+  try {
+    const targets = MJM_loadWebhookTargets(ss);
+    if (Object.keys(targets).length === 0) return 0;
+    const failureRows = [];
+    webhookEvents.forEach(event => {
+      const urls = (targets[event.event_type] || []).concat(targets[MJM_WEBHOOK_EVENT_ALL] || []);
+      urls.filter((url, idx) => urls.indexOf(url) === idx).forEach(url => {
+        const result = (deadlineMs && Date.now() >= deadlineMs)
+          ? { success: false, attempts: 0, responseCode: 0, error: "Not sent: the run was out of time." }
+          : MJM_postWebhook(url, event, deadlineMs);
+        if (result.success) { deliveredCount++; return; }
+        Logger.log(`[WARN] MJM_Webhooks (MJM_sendWebhookEvents): ${event.event_type} delivery failed after ${result.attempts} attempt(s): ${result.error}`);
+        failureRows.push([new Date(), event.event_type, url, result.attempts, result.responseCode || "", result.error,
+          JSON.stringify(event).substring(0, MJM_WEBHOOK_FAILURE_PAYLOAD_MAX_CHARS)]); // MJM_Config.gs
+      });
+    });
+    if (failureRows.length > 0) {
+      const failuresSheet = MJM_getOrCreateHistorySheet(ss, WEBHOOK_FAILURES_SHEET_TAB_NAME, MJM_WEBHOOK_FAILURES_SHEET_HEADERS); // MJM_EventLog.gs; Global_Constants.gs
+      if (failuresSheet) failuresSheet.getRange(failuresSheet.getLastRow() + 1, 1, failureRows.length, MJM_WEBHOOK_FAILURES_SHEET_HEADERS.length).setValues(failureRows);
+    }
+    Logger.log(`[INFO] MJM_Webhooks (MJM_sendWebhookEvents): ${deliveredCount} delivery(ies) sent, ${failureRows.length} failed, for ${webhookEvents.length} event(s).`);
+  } catch (e) {
+    Logger.log(`[ERROR] MJM_Webhooks (MJM_sendWebhookEvents): ${e.message}`);
+  }
+  return deliveredCount;
+}
+
+/**
+ * POSTs one event to one URL, retrying network errors, 5xx, 408 and 429 responses with exponential backoff.
+ * @param {string} url The webhook URL.
+ * @param {Object} event The event from MJM_buildWebhookEvent.
+ * @param {number=} deadlineMs Time (ms since the epoch) after which no retry is started; no limit if omitted.
+ * @return {{success:boolean, attempts:number, responseCode:number, error:string}} The delivery result.
+ */
+function MJM_postWebhook(url, event, deadlineMs) {
+  const options = {'method': 'post', 'contentType': 'application/json', 'payload': JSON.stringify(event), 'muteHttpExceptions': true};
+  let responseCode = 0; let lastError = "";
+  for (let attempt = 1; attempt <= MJM_WEBHOOK_MAX_ATTEMPTS; attempt++) { // MJM_Config.gs
+    let isRetryable = true;
+    try {
+      const response = UrlFetchApp.fetch(url, options);
+      responseCode = response.getResponseCode();
+      if (responseCode >= 200 && responseCode < 300) return { success: true, attempts: attempt, responseCode: responseCode, error: "" };
+      lastError = `HTTP ${responseCode}: ${response.getContentText().substring(0, 200)}`;
+      isRetryable = responseCode >= 500 || responseCode === 408 || responseCode === 429;
+    } catch (e) {
+      responseCode = 0; lastError = e.message; // DNS failure, timeout, invalid URL...
+    }
+    if (!isRetryable) return { success: false, attempts: attempt, responseCode: responseCode, error: lastError };
+    const retryDelayMs = MJM_WEBHOOK_RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1);
+    if (attempt < MJM_WEBHOOK_MAX_ATTEMPTS && deadlineMs && Date.now() + retryDelayMs >= deadlineMs) {
+      return { success: false, attempts: attempt, responseCode: responseCode, error: `${lastError} (not retried: the run was out of time)` };
+    }
+    if (attempt < MJM_WEBHOOK_MAX_ATTEMPTS) Utilities.sleep(retryDelayMs);
+  }
+  return { success: false, attempts: MJM_WEBHOOK_MAX_ATTEMPTS, responseCode: responseCode, error: lastError };
+}
@@ -1,6 +1,6 @@
 // File: MJM_main.gs
 // Description: Core orchestration for the Master Job Manager, including full project setup,
-// Application Tracker email processing, and stale application rejection.
+// Application Tracker email processing, and the stale application policy (ghosting / follow-ups).
 // Relies on Global_Constants.gs and MJM_Config.gs for configurations.
 // UI menus are managed in MJM_UI.gs.
 
@@ -165,6 +165,14 @@ function runFullProjectInitialSetup() {
     Logger.log("[WARN] FULL SETUP: Skipping RTS Intermediate Sheets due to previous errors.");
   }
 
+  // --- Step 4.5: Stamp sheet schema versions (migrating any sheets left from an older version) ---
+  try {
+    const migratedCount = MJM_migrateSheetSchemas(mainSpreadsheet, null); // From MJM_SchemaMigrations.gs
+    fullSetupMessages.push(`  Sheet Schema Versions: OK (${migratedCount} sheet(s) migrated).`);
+  } catch (e) {
+    Logger.log(`[WARN] FULL SETUP (Sheet Schema Versions): Not critical. ${e.toString()}`);
+  }
+
   // --- Step 5: Final Cleanup of Default "Sheet1" (if it's a leftover) ---
   Logger.log("\n--- Final Step: Attempt Cleanup of Default 'Sheet1' (if applicable) ---");
   if (mainSpreadsheet) {
@@ -232,6 +240,11 @@ function runFullProjectInitialSetup() {
       setTabColorSafe(DASHBOARD_TAB_NAME, COLOR_DASH_APPS);
       setTabColorSafe(DASHBOARD_HELPER_SHEET_NAME, COLOR_DASH_APPS); 
       setTabColorSafe(APP_TRACKER_SHEET_TAB_NAME, COLOR_DASH_APPS); // Applications
+      setTabColorSafe(APP_EVENTS_SHEET_TAB_NAME, COLOR_DASH_APPS); // Application Events
+      setTabColorSafe(APP_TIMELINE_SHEET_TAB_NAME, COLOR_DASH_APPS); // Application Timeline
+      setTabColorSafe(INTERVIEWS_SHEET_TAB_NAME, COLOR_DASH_APPS); // Interviews
+      setTabColorSafe(CONTACTS_SHEET_TAB_NAME, COLOR_DASH_APPS); // Contacts
+      setTabColorSafe(PARSING_RULES_SHEET_TAB_NAME, COLOR_DASH_APPS); // Parsing Rules
 
       // Cornflower Blue Group
       setTabColorSafe(LEADS_SHEET_TAB_NAME, COLOR_LEADS); // Potential Job Leads
@@ -399,6 +412,20 @@ function MJM_setupAppTrackerModule(mainSpreadsheet) {
         messages.push("AppTracker Sheet: Dummy data added for dashboard initialization.");
         if(DEBUG) Logger.log(`    ${functionNameForLog}: Added ${dummyRowsData.length} dummy rows to "${appDataSheet.getName()}".`);
     }
+    // Status history tabs (MJM_EventLog.gs); not critical, so failures only add a message
+    const eventsSheet = MJM_getOrCreateHistorySheet(mainSpreadsheet, APP_EVENTS_SHEET_TAB_NAME, MJM_APP_EVENTS_SHEET_HEADERS);
+    const timelineSheet = MJM_getOrCreateHistorySheet(mainSpreadsheet, APP_TIMELINE_SHEET_TAB_NAME, MJM_APP_TIMELINE_SHEET_HEADERS);
+    messages.push(`Sheets "${APP_EVENTS_SHEET_TAB_NAME}" & "${APP_TIMELINE_SHEET_TAB_NAME}": ${eventsSheet && timelineSheet ? "OK/Exists" : "FAILED to create (see logs)"}.`);
+    const interviewsSheet = MJM_getOrCreateHistorySheet(mainSpreadsheet, INTERVIEWS_SHEET_TAB_NAME, MJM_INTERVIEWS_SHEET_HEADERS); // MJM_Interviews.gs rows
+    messages.push(`Sheet "${INTERVIEWS_SHEET_TAB_NAME}": ${interviewsSheet ? "OK/Exists" : "FAILED to create (see logs)"}.`);
+    const contactsSheet = MJM_getOrCreateHistorySheet(mainSpreadsheet, CONTACTS_SHEET_TAB_NAME, MJM_CONTACTS_SHEET_HEADERS); // MJM_Contacts.gs rows
+    messages.push(`Sheet "${CONTACTS_SHEET_TAB_NAME}": ${contactsSheet ? "OK/Exists" : "FAILED to create (see logs)"}.`);
+    const parsingRulesSheet = MJM_setupParsingRulesSheet(mainSpreadsheet); // MJM_ParsingRules.gs; example rules start disabled
+    messages.push(`Sheet "${PARSING_RULES_SHEET_TAB_NAME}": ${parsingRulesSheet ? "OK/Exists" : "FAILED to create (see logs)"}.`);
+    const notificationSettingsSheet = MJM_setupNotificationSettingsSheet(mainSpreadsheet); // MJM_Notifications.gs
+    messages.push(`Sheet "${NOTIFICATION_SETTINGS_SHEET_TAB_NAME}": ${notificationSettingsSheet ? "OK/Exists" : "FAILED to create (see logs)"}.`);
+    const webhooksSheet = MJM_setupWebhooksSheet(mainSpreadsheet); // MJM_Webhooks.gs; example webhooks start disabled
+    messages.push(`Sheet "${WEBHOOKS_SHEET_TAB_NAME}": ${webhooksSheet ? "OK/Exists" : "FAILED to create (see logs)"}.`);
     Logger.log(`  [INFO] ${functionNameForLog}: Phase 2 - Applications Sheet Setup Completed Successfully.`);
   } catch (e) {
     const errorDetail = `[ERROR] ${functionNameForLog} (Applications Sheet Setup): ${e.toString()}\nStack: ${e.stack || 'No stack'}`;
@@ -507,6 +534,24 @@ function MJM_setupAppTrackerModule(mainSpreadsheet) {
       messages.push(`Trigger for Stale Apps: FAILED - ${eTrig2.message}`);
       success = false;
     }
+    try {
+      if (MJM_createDailyAtHourTrigger('MJM_createFollowUpDrafts', 3)) { // From MJM_Triggers.gs; runs after the stale check queues follow-ups
+        messages.push("Trigger for 'MJM_createFollowUpDrafts' (Daily): Successfully set up.");
+      } else {
+        messages.push("Trigger for 'MJM_createFollowUpDrafts' (Daily): Not newly created (check logs).");
+      }
+    } catch (eTrig3) {
+      Logger.log(`[ERROR] ${functionNameForLog} (Trigger for Follow-Up Drafts): ${eTrig3.message}`);
+      messages.push(`Trigger for Follow-Up Drafts: FAILED - ${eTrig3.message}`);
+      success = false;
+    }
+    try {
+      messages.push(`Notifications: ${MJM_applyNotificationSettings()}`); // From MJM_Notifications.gs; daily digest trigger at the configured hour
+    } catch (eTrig4) {
+      Logger.log(`[ERROR] ${functionNameForLog} (Trigger for Daily Digest): ${eTrig4.message}`);
+      messages.push(`Trigger for Daily Digest: FAILED - ${eTrig4.message}`);
+      success = false;
+    }
     Logger.log(`  [INFO] ${functionNameForLog}: Phase 4 - Trigger Setup Completed.`);
   } else {
       messages.push("AppTracker Triggers: SKIPPED due to errors in prior setup phases.");
@@ -519,11 +564,51 @@ function MJM_setupAppTrackerModule(mainSpreadsheet) {
 
 /**
  * Main email processing function for MJM Job Application updates.
- * This function is intended to be triggered automatically (e.g., hourly).
+ * This function is intended to be triggered automatically (e.g., hourly), by a continuation trigger, or from the menu.
+ * Holds the script lock so the hourly trigger and a continuation run never process the same emails concurrently.
+ * Each batch is recorded in the "Run Log" sheet (MJM_RunLog.gs).
  */
 function MJM_processJobApplicationEmails() {
+  MJM_processJobApplicationEmailsLocked(null);
+}
+
+/**
+ * Runs one logged batch of application email processing under the script lock.
+ * @param {function()|null} beforeBatch Runs once the lock is held, before the batch (e.g., the backfill UI swapping
+ *        in its cursor), so a run already in progress can't overwrite what it sets up. Not called if the lock is busy.
+ * @return {boolean} True if the batch ran; false if another run held the lock.
+ */
+function MJM_processJobApplicationEmailsLocked(beforeBatch) {
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(10000)) {
+    Logger.log("[WARN] MJM App Emails: Another processing run holds the lock. Skipping this invocation.");
+    return false;
+  }
+  try {
+    if (beforeBatch) beforeBatch();
+    MJM_runWithRunLog('MJM_processJobApplicationEmails', runLog => MJM_processApplicationEmailBatch({ runLog: runLog })); // MJM_RunLog.gs
+    return true;
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Processes one batch of application emails, resuming from the saved processing cursor (MJM_ProcessingCursor.gs).
+ * The batch comes from the "To Process" label, or from the backfill search when a backfill is in progress.
+ * When the time/message budget is hit, partially processed threads are checkpointed and a continuation is scheduled.
+ * Call via MJM_processJobApplicationEmails() so the script lock is held.
+ * @param {{dryRun: boolean, runLog: Object}} [options] With dryRun, the same batch is parsed and matched, but the proposed inserts/updates
+ *        are written to the "Processing Preview" sheet (MJM_Preview.gs) instead. The "Applications" sheet, Gmail labels,
+ *        history sheets, contacts, calendar and the processing cursor are left untouched.
+ *        runLog (from MJM_runWithRunLog) receives the batch's statistics and errors.
+ * @return {number|undefined} In a dry run, the number of preview rows written.
+ */
+function MJM_processApplicationEmailBatch(options) {
   const SCRIPT_START_TIME = new Date();
-  Logger.log(`\n==== STARTING MJM_PROCESS_JOB_APP_EMAILS (${SCRIPT_START_TIME.toLocaleString()}) ====`);
+  const isDryRun = !!(options && options.dryRun);
+  const runLog = (options && options.runLog) || null; // MJM_RunLog.gs; null for dry runs
+  Logger.log(`\n==== STARTING MJM_PROCESS_JOB_APP_EMAILS${isDryRun ? " (DRY RUN)" : ""} (${SCRIPT_START_TIME.toLocaleString()}) ====`);
   const DEBUG = (typeof GLOBAL_DEBUG_MODE !== 'undefined' ? GLOBAL_DEBUG_MODE : false); // Global_Constants.gs
 
   const userProps = PropertiesService.getUserProperties();
@@ -532,12 +617,13 @@ function MJM_processJobApplicationEmails() {
   if (DEBUG) Logger.log(useGemini ? "[DEBUG] MJM App Emails: Using Gemini." : "[DEBUG] MJM App Emails: Using Regex (Gemini key issue/not set).");
 
   const mainSS = MJM_getOrCreateSpreadsheet_Core(); // From MJM_SheetUtils.gs
-  if (!mainSS) { Logger.log("[FATAL ERROR] MJM App Emails: Main Spreadsheet not found. Aborting."); return; }
+  if (!mainSS) { Logger.log("[FATAL ERROR] MJM App Emails: Main Spreadsheet not found. Aborting."); MJM_recordRunError(runLog, "Main Spreadsheet not found.", "Setup"); return; }
+  if (!isDryRun) MJM_migrateSheetSchemas(mainSS, runLog); // MJM_SchemaMigrations.gs; brings sheets from older versions up to date first
   
   // APP_TRACKER_SHEET_TAB_NAME from Global_Constants.gs
   // MJM_getOrCreateSheet_V2 is used here to *ensure* the sheet exists; normally it would, but this is defensive.
   const { sheet: dataSheet } = MJM_getOrCreateSheet_V2(mainSS, APP_TRACKER_SHEET_TAB_NAME); 
-  if (!dataSheet) { Logger.log(`[FATAL ERROR] MJM App Emails: Sheet "${APP_TRACKER_SHEET_TAB_NAME}" could not be accessed. Aborting.`); return; }
+  if (!dataSheet) { Logger.log(`[FATAL ERROR] MJM App Emails: Sheet "${APP_TRACKER_SHEET_TAB_NAME}" could not be accessed. Aborting.`); MJM_recordRunError(runLog, `Sheet "${APP_TRACKER_SHEET_TAB_NAME}" could not be accessed.`, "Setup"); return; }
 
   // Label names from MJM_Config.gs (e.g., MJM_TRACKER_GMAIL_LABEL_TO_PROCESS)
   let toProcessLabel, processedLabel, manualReviewLabel;
@@ -548,64 +634,70 @@ function MJM_processJobApplicationEmails() {
     if (!toProcessLabel || !processedLabel || !manualReviewLabel) {
       throw new Error(`One or more core App Tracker labels ("${MJM_TRACKER_GMAIL_LABEL_TO_PROCESS}", "${MJM_TRACKER_GMAIL_LABEL_PROCESSED}", "${MJM_TRACKER_GMAIL_LABEL_MANUAL_REVIEW}") not found.`);
     }
-  } catch(e) { Logger.log(`[FATAL ERROR] MJM App Emails: Could not retrieve critical Tracker labels. ${e.message}`); return; }
+  } catch(e) { Logger.log(`[FATAL ERROR] MJM App Emails: Could not retrieve critical Tracker labels. ${e.message}`); MJM_recordRunError(runLog, e, "Setup (Gmail labels)"); return; }
 
   const lastSheetDataRow = dataSheet.getLastRow();
-  const applicationDataCache = {}; 
+  const applicationDataCache = []; // Match entries (see MJM_Matching.gs), one per application row
   const alreadyProcessedMsgIdsThisRun = new Set(); 
 
   if (lastSheetDataRow >= 2) { 
     try { 
-      const colsToLoadForCache = [MJM_APP_COMPANY_COL,MJM_APP_JOB_TITLE_COL,MJM_APP_EMAIL_ID_COL,MJM_APP_STATUS_COL,MJM_APP_PEAK_STATUS_COL]; // From MJM_Config.gs
-      const minColCache = Math.min(...colsToLoadForCache); const maxColCache = Math.max(...colsToLoadForCache);
-      const numColsForCache = maxColCache - minColCache + 1;
-      const cacheRangeValues = dataSheet.getRange(2, minColCache, lastSheetDataRow - 1, numColsForCache).getValues();
-
-      const relCompanyIdx = MJM_APP_COMPANY_COL - minColCache; const relTitleIdx = MJM_APP_JOB_TITLE_COL - minColCache;
-      const relEmailIdIdx = MJM_APP_EMAIL_ID_COL - minColCache; const relStatusIdx = MJM_APP_STATUS_COL - minColCache;
-      const relPeakStatusIdx = MJM_APP_PEAK_STATUS_COL - minColCache;
-
+      const cacheRangeValues = dataSheet.getRange(2, 1, lastSheetDataRow - 1, MJM_APP_TOTAL_COLUMNS).getValues(); // From MJM_Config.gs
       cacheRangeValues.forEach((rowValues, sheetRowIndex) => {
-        const emailId = String(rowValues[relEmailIdIdx] || "").trim();
-        const company = String(rowValues[relCompanyIdx] || "").trim();
-        const companyLCKey = company.toLowerCase();
-        // MANUAL_REVIEW_NEEDED_TEXT from Global_Constants.gs
-        if (companyLCKey && companyLCKey !== MANUAL_REVIEW_NEEDED_TEXT.toLowerCase() && companyLCKey !== 'n/a') {
-          if (!applicationDataCache[companyLCKey]) applicationDataCache[companyLCKey] = [];
-          applicationDataCache[companyLCKey].push({
-            rowNum: sheetRowIndex + 2, emailId: emailId, company: company, title: String(rowValues[relTitleIdx] || "").trim(),
-            status: String(rowValues[relStatusIdx] || "").trim(), peakStatus: String(rowValues[relPeakStatusIdx] || "").trim()
-          });
-        }
+        applicationDataCache.push(MJM_buildMatchEntryFromRow(rowValues, sheetRowIndex + 2)); // From MJM_Matching.gs
       });
-      if (DEBUG) Logger.log(`  MJM App Emails Preload: Cached ${Object.keys(applicationDataCache).length} unique companies.`);
+      if (DEBUG) Logger.log(`  MJM App Emails Preload: Cached ${applicationDataCache.length} application rows for matching.`);
     } catch (e) { Logger.log(`[ERROR] MJM App Emails: Failed during preload cache operation: ${e.toString()}\nStack: ${e.stack}`); }
   } else { if(DEBUG) Logger.log(`  MJM App Emails Preload: Application sheet empty or header only. No cache preloaded.`); }
-
-  const MAX_THREADS_TO_SCAN = 15; 
-  const MAX_MESSAGES_TO_PROCESS_THIS_RUN = 20; 
+  const parsingRules = MJM_loadParsingRules(mainSS); // MJM_ParsingRules.gs; evaluated before Gemini/regex for every email
+  if (DEBUG) Logger.log(`  MJM App Emails Preload: ${parsingRules.length} enabled parsing rule(s).`);
+  let leadLinkCache = null; // New application rows are linked to the job lead they came from (MJM_LeadLinking.gs)
+  try { leadLinkCache = MJM_loadLeadLinkCache(mainSS, !isDryRun); }
+  catch (eLeads) { Logger.log(`[WARN] MJM App Emails: Could not load job leads for linking: ${eLeads.message}`); }
+
+  const MAX_THREADS_TO_SCAN = MJM_APP_EMAILS_MAX_THREADS_PER_RUN; // MJM_Config.gs
+  const MAX_MESSAGES_TO_PROCESS_THIS_RUN = MJM_APP_EMAILS_MAX_MESSAGES_PER_RUN; // MJM_Config.gs
   let processedMessagesCountThisRun = 0;
+  const processingCursor = MJM_getAppEmailsCursor() || MJM_newAppEmailsCursor('label'); // MJM_ProcessingCursor.gs
+  if (DEBUG) Logger.log(`  MJM App Emails Cursor: mode=${processingCursor.mode}, continuations=${processingCursor.continuations}, partial threads=${Object.keys(processingCursor.partialThreads).length}`);
   let gmailThreadsToScan = [];
-  try { gmailThreadsToScan = toProcessLabel.getThreads(0, MAX_THREADS_TO_SCAN); }
-  catch (e) { Logger.log(`[ERROR] MJM App Emails: Failed to get threads from label "${toProcessLabel.getName()}": ${e.message}`); return; }
+  try {
+    gmailThreadsToScan = (processingCursor.mode === 'backfill')
+      ? GmailApp.search(processingCursor.query, 0, MAX_THREADS_TO_SCAN)
+      : toProcessLabel.getThreads(0, MAX_THREADS_TO_SCAN);
+  }
+  catch (e) { Logger.log(`[ERROR] MJM App Emails: Failed to get threads (${processingCursor.mode === 'backfill' ? `backfill query "${processingCursor.query}"` : `label "${toProcessLabel.getName()}"`}): ${e.message}`); MJM_recordRunError(runLog, e, "Fetching threads"); return; }
+  const moreThreadsMayRemain = gmailThreadsToScan.length >= MAX_THREADS_TO_SCAN;
 
   const newMessagesList = [];
   const emailIdsAlreadyInSheet = new Set();
-  Object.values(applicationDataCache).flat().forEach(entry => { if (entry.emailId) emailIdsAlreadyInSheet.add(entry.emailId); });
+  applicationDataCache.forEach(entry => { if (entry.emailId) emailIdsAlreadyInSheet.add(entry.emailId); });
 
+  const newMessageCountByThread = {}; // threadId -> number of messages queued this run
+  const unreadableThreadIds = new Set(); // Threads whose messages couldn't be fetched; left unlabeled so the next run retries them
   gmailThreadsToScan.forEach(thread => {
     try {
-      thread.getMessages().forEach(msg => {
-        if (!emailIdsAlreadyInSheet.has(msg.getId()) && !alreadyProcessedMsgIdsThisRun.has(msg.getId())) { 
+      const checkpointedMsgIds = new Set(processingCursor.partialThreads[thread.getId()]?.processedIds || []); // Handled by an earlier run
+      const threadMessages = thread.getMessages();
+      MJM_recordRunStats(runLog, { messagesScanned: threadMessages.length }); // MJM_RunLog.gs
+      threadMessages.forEach(msg => {
+        if (!emailIdsAlreadyInSheet.has(msg.getId()) && !alreadyProcessedMsgIdsThisRun.has(msg.getId()) && !checkpointedMsgIds.has(msg.getId())) { 
           newMessagesList.push({ messageObj: msg, emailDate: msg.getDate(), gmailThreadId: thread.getId() });
           alreadyProcessedMsgIdsThisRun.add(msg.getId()); 
+          newMessageCountByThread[thread.getId()] = (newMessageCountByThread[thread.getId()] || 0) + 1;
         }
       });
-    } catch (eFetchMsg) { Logger.log(`[WARN] MJM App Emails: Error fetching messages for thread ${thread.getId()}: ${eFetchMsg.message}`); }
+    } catch (eFetchMsg) { unreadableThreadIds.add(thread.getId()); Logger.log(`[WARN] MJM App Emails: Error fetching messages for thread ${thread.getId()}: ${eFetchMsg.message}`); MJM_recordRunError(runLog, eFetchMsg, `Fetching messages (thread ${thread.getId()})`); }
   });
 
   if (newMessagesList.length === 0) {
     Logger.log("[INFO] MJM App Emails: No new unread application email messages to process.");
+    if (isDryRun) return MJM_writeProcessingPreview(mainSS, []); // From MJM_Preview.gs
+    // Scanned threads hold nothing new; label them so the label/backfill search moves past them.
+    const nothingNewOutcomes = {};
+    gmailThreadsToScan.filter(thread => !unreadableThreadIds.has(thread.getId())).forEach(thread => { nothingNewOutcomes[thread.getId()] = processingCursor.partialThreads[thread.getId()]?.outcome || 'done'; delete processingCursor.partialThreads[thread.getId()]; });
+    MJM_applyFinalLabelsToThreads(nothingNewOutcomes, toProcessLabel, processedLabel, manualReviewLabel); // From MJM_GmailUtils.gs
+    MJM_finalizeAppEmailsRun(processingCursor, moreThreadsMayRemain, {}); // From MJM_ProcessingCursor.gs
     if(mainSS) try { MJM_updateDashboardMetrics(mainSS); } catch (eDashboard) { Logger.log(`[WARN] MJM App Emails: Dashboard update failed (no new msgs): ${eDashboard.message}`); } 
     Logger.log(`==== MJM_PROCESS_JOB_APP_EMAILS FINISHED (No new messages) ====`); return;
   }
@@ -613,19 +705,31 @@ function MJM_processJobApplicationEmails() {
   Logger.log(`[INFO] MJM App Emails: Found ${newMessagesList.length} new messages to analyze.`);
 
   let threadProcessingOutcomesMap = {}; 
-  let runProcessingStats = { updatedRows: 0, newRowsAdded: 0, errorsEncountered: 0 };
+  let runProcessingStats = { updatedRows: 0, newRowsAdded: 0, ambiguousMatches: 0, errorsEncountered: 0 };
+  const pendingApplicationEvents = []; // Status history rows, written once after the loop (MJM_EventLog.gs)
+  const pendingContactSightings = []; // People seen in emails, upserted once after the loop (MJM_Contacts.gs)
+  const pendingWebhookEvents = []; // Status changes for the "Webhooks" sheet, sent once after the loop (MJM_Webhooks.gs)
+  const handledMsgIdsByThread = {}; // threadId -> message IDs handled this run (success, ambiguous or error)
+  let stoppedForBudget = false;
+  const previewEntries = []; // Dry run only: proposed changes for the "Processing Preview" sheet (MJM_Preview.gs)
+  const dryRunRowValues = {}; // Dry run only: rowNum -> row values as they would be after this run
+  let nextDryRunRowNum = Math.max(lastSheetDataRow, 1) + 1; // Dry run only: where the next inserted row would land
 
   for (let idx = 0; idx < newMessagesList.length; idx++) {
-    if (processedMessagesCountThisRun >= MAX_MESSAGES_TO_PROCESS_THIS_RUN || (new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000 > 330) {
-      Logger.log(`[WARN] MJM App Emails: Reached processing limit. Stopping loop.`); break;
+    if (processedMessagesCountThisRun >= MAX_MESSAGES_TO_PROCESS_THIS_RUN || (new Date().getTime() - SCRIPT_START_TIME.getTime()) / 1000 > MJM_APP_EMAILS_TIME_BUDGET_SECONDS) {
+      Logger.log(`[WARN] MJM App Emails: Reached processing limit. Stopping loop; remaining messages will be picked up by a continuation.`);
+      stoppedForBudget = true; break;
     }
     const { messageObj, emailDate, gmailThreadId } = newMessagesList[idx];
     const messageId = messageObj.getId();
     processedMessagesCountThisRun++;
+    (handledMsgIdsByThread[gmailThreadId] = handledMsgIdsByThread[gmailThreadId] || []).push(messageId);
     if(DEBUG) Logger.log(`  --- Processing App Msg ${processedMessagesCountThisRun}/${newMessagesList.length} (ID: ${messageId}, Thread: ${gmailThreadId}) ---`);
 
     let extractedCompany = MANUAL_REVIEW_NEEDED_TEXT, extractedTitle = MANUAL_REVIEW_NEEDED_TEXT, extractedStatus = null; // MANUAL_REVIEW_NEEDED_TEXT from Global_Constants.gs
     let emailPlainBody = "", needsManualReviewFlag = false, sheetWriteSuccessful = false;
+    let parserUsed = MJM_EVENT_PARSER_REGEX; // MJM_Config.gs; recorded on status events
+    let extractedInterview = null; // Raw interview details from Gemini, if this email schedules one
 
     try {
       const emailSubject = messageObj.getSubject() || "";
@@ -634,50 +738,106 @@ function MJM_processJobApplicationEmails() {
       let detectedPlatform = MJM_APP_DEFAULT_PLATFORM; // MJM_Config.gs
       try { const senderDom = (emailSender.match(/@([^>]+)/) || [])[1]?.toLowerCase(); if(senderDom) for(const k in MJM_PLATFORM_DOMAIN_KEYWORDS) if(senderDom.includes(k)){detectedPlatform=MJM_PLATFORM_DOMAIN_KEYWORDS[k];break;} } catch(eP){Logger.log(`    Platform detection error: ${eP}`);} // MJM_PLATFORM_DOMAIN_KEYWORDS from MJM_Config.gs
 
-      try { emailPlainBody = messageObj.getPlainBody(); } catch (eBody) { Logger.log(`    WARN: Failed to get plain body for Msg ${messageId}: ${eBody.message}`); emailPlainBody = "[Body Fetch Error]";}
+      const emailBodyResult = MJM_getEmailBodyText(messageObj); // MJM_ParsingUtils.gs; falls back to the HTML body when the plain text is near-empty
+      emailPlainBody = emailBodyResult.text;
+
+      const detectedAts = MJM_detectAtsVendor(emailSender, emailPlainBody); // MJM_ParsingUtils.gs; separate from Platform
+      const atsDetails = MJM_extractAtsSpecificDetails(detectedAts, emailSubject, emailPlainBody); // MJM_ParsingUtils.gs
+      if (DEBUG && detectedAts !== MJM_APP_DEFAULT_ATS) Logger.log(`    ATS: ${detectedAts} (C='${atsDetails.company || atsDetails.linkCompany || ""}', T='${atsDetails.title || atsDetails.linkTitle || ""}', IDs=${atsDetails.requisitionIds.join("/")})`);
+
+      const ruleOutcome = MJM_evaluateParsingRules(parsingRules, { sender: emailSender, subject: emailSubject, body: emailPlainBody }); // MJM_ParsingRules.gs
+      if (DEBUG && ruleOutcome.ruleIds.length > 0) Logger.log(`    Parsing rules matched: ${ruleOutcome.ruleIds.join(", ")}`);
+      if (ruleOutcome.ignore) {
+        Logger.log(`[INFO] MJM App Emails: MsgID ${messageId} ignored by parsing rule ${ruleOutcome.ruleIds[ruleOutcome.ruleIds.length - 1]}.`);
+        if (!threadProcessingOutcomesMap[gmailThreadId]) threadProcessingOutcomesMap[gmailThreadId] = 'done';
+        if (isDryRun) previewEntries.push({ action: MJM_PREVIEW_ACTION_IGNORED, rowNum: "", originalRow: null, proposedRow: null, company: "", title: "", newStatus: "",
+          parser: MJM_EVENT_PARSER_RULE, matchDetails: `Ignored by parsing rule(s): ${ruleOutcome.ruleIds.join(", ")}`, emailDate: emailDate, emailSubject: emailSubject,
+          emailPermalink: emailPermalink, threadId: gmailThreadId, messageId: messageId, interview: null });
+        continue;
+      }
+      if (ruleOutcome.platform) detectedPlatform = ruleOutcome.platform;
+      const fieldParses = { company: {}, title: {}, status: {} }; // Source/confidence/evidence per field (MJM_summarizeFieldParses)
+      const ruleSource = `${MJM_EVENT_PARSER_RULE} ${ruleOutcome.ruleIds.join(", ")}`;
+      if (ruleOutcome.company) { extractedCompany = ruleOutcome.company; fieldParses.company = { source: ruleSource, confidence: MJM_PARSE_CONFIDENCE_BY_METHOD["Parsing Rule"] }; } // MJM_Config.gs
+      if (ruleOutcome.status) {
+        extractedStatus = ruleOutcome.status; parserUsed = MJM_EVENT_PARSER_RULE; // MJM_Config.gs
+        fieldParses.status = { source: ruleSource, confidence: MJM_PARSE_CONFIDENCE_BY_METHOD["Parsing Rule"], evidence: `Rule ${ruleOutcome.ruleIds.join(", ")}` };
+      }
+      const applyBodyStatusFallback = () => { // Keyword scan when no parser produced a definite status
+        const regexStatusDetails = MJM_parseBodyForStatusDetails(emailPlainBody); // MJM_ParsingUtils.gs
+        if (!regexStatusDetails) return;
+        extractedStatus = regexStatusDetails.status;
+        const keywordLanguageNote = regexStatusDetails.language !== MJM_DEFAULT_EMAIL_LANGUAGE ? `, ${regexStatusDetails.language.toUpperCase()}` : ""; // MJM_Config.gs
+        fieldParses.status = { source: `${MJM_EVENT_PARSER_REGEX} (Body Keyword${keywordLanguageNote})`, confidence: MJM_PARSE_CONFIDENCE_BY_METHOD["Body Keyword"], evidence: regexStatusDetails.evidence };
+      };
 
       if (useGemini && emailPlainBody.trim() && emailPlainBody !== "[Body Fetch Error]") {
-        const geminiResult = MJM_callGemini_forApplicationDetails(emailSubject, emailPlainBody, geminiApiKey); // MJM_GeminiService.gs
+        const geminiResult = MJM_callGemini_forApplicationDetails(emailSubject, emailPlainBody, geminiApiKey, emailDate); // MJM_GeminiService.gs
         if (geminiResult) {
-          extractedCompany = geminiResult.company || MANUAL_REVIEW_NEEDED_TEXT;
+          if (!ruleOutcome.status) parserUsed = MJM_EVENT_PARSER_GEMINI;
+          extractedInterview = geminiResult.interview || null;
+          extractedCompany = ruleOutcome.company || geminiResult.company || MANUAL_REVIEW_NEEDED_TEXT; // Parsing rules win over Gemini
           extractedTitle = geminiResult.title || MANUAL_REVIEW_NEEDED_TEXT;
-          extractedStatus = geminiResult.status; 
-          if (DEBUG) Logger.log(`    Gemini Parsed: C='${extractedCompany}', T='${extractedTitle}', S='${extractedStatus}'`);
-          if (!extractedStatus || extractedStatus === MANUAL_REVIEW_NEEDED_TEXT || extractedStatus === "Update/Other") {
-            const regexStatusFromBody = MJM_parseBodyForStatus(emailPlainBody); // MJM_ParsingUtils.gs
-            if (regexStatusFromBody) extractedStatus = regexStatusFromBody;
-          }
+          extractedStatus = ruleOutcome.status || geminiResult.status; 
+          const geminiConfidence = geminiResult.confidence || {};
+          if (!ruleOutcome.company) fieldParses.company = { source: MJM_EVENT_PARSER_GEMINI, confidence: geminiConfidence.company || 0 };
+          fieldParses.title = { source: MJM_EVENT_PARSER_GEMINI, confidence: geminiConfidence.title || 0 };
+          if (!ruleOutcome.status) fieldParses.status = { source: MJM_EVENT_PARSER_GEMINI, confidence: geminiConfidence.status || 0, evidence: geminiResult.evidence || "" };
+          if (DEBUG) Logger.log(`    Gemini Parsed: C='${extractedCompany}', T='${extractedTitle}', S='${extractedStatus}' (Confidence: ${JSON.stringify(geminiConfidence)})`);
+          if (!extractedStatus || extractedStatus === MANUAL_REVIEW_NEEDED_TEXT || extractedStatus === "Update/Other") applyBodyStatusFallback();
         } else { if(DEBUG) Logger.log(`    Gemini call returned null, relying on regex fallback.`); }
       }
 
       if (extractedCompany === MANUAL_REVIEW_NEEDED_TEXT || extractedTitle === MANUAL_REVIEW_NEEDED_TEXT || !extractedStatus || extractedStatus === MANUAL_REVIEW_NEEDED_TEXT || extractedStatus === "Update/Other") {
         if(DEBUG && useGemini && (extractedCompany === MANUAL_REVIEW_NEEDED_TEXT || extractedTitle === MANUAL_REVIEW_NEEDED_TEXT || !extractedStatus || extractedStatus === MANUAL_REVIEW_NEEDED_TEXT || extractedStatus === "Update/Other")) Logger.log(`    Invoking regex fallback for some fields.`);
-        const regexParseResult = MJM_extractCompanyAndTitle(messageObj, detectedPlatform, emailSubject, emailPlainBody); // MJM_ParsingUtils.gs
-        if (extractedCompany === MANUAL_REVIEW_NEEDED_TEXT) extractedCompany = regexParseResult.company;
-        if (extractedTitle === MANUAL_REVIEW_NEEDED_TEXT) extractedTitle = regexParseResult.title;
-        if (!extractedStatus || extractedStatus === MANUAL_REVIEW_NEEDED_TEXT || extractedStatus === "Update/Other") {
-          const regexStatusFromBody = MJM_parseBodyForStatus(emailPlainBody); // MJM_ParsingUtils.gs
-          if (regexStatusFromBody) extractedStatus = regexStatusFromBody;
+        if (parserUsed === MJM_EVENT_PARSER_GEMINI) parserUsed = MJM_EVENT_PARSER_GEMINI_WITH_REGEX;
+        const regexParseResult = MJM_extractCompanyAndTitle(messageObj, detectedPlatform, emailSubject, emailPlainBody, atsDetails); // MJM_ParsingUtils.gs
+        if (extractedCompany === MANUAL_REVIEW_NEEDED_TEXT) {
+          extractedCompany = regexParseResult.company;
+          fieldParses.company = { source: regexParseResult.companyMethod ? `${MJM_EVENT_PARSER_REGEX} (${regexParseResult.companyMethod})` : "", confidence: regexParseResult.companyConfidence };
+        }
+        if (extractedTitle === MANUAL_REVIEW_NEEDED_TEXT) {
+          extractedTitle = regexParseResult.title;
+          fieldParses.title = { source: regexParseResult.titleMethod ? `${MJM_EVENT_PARSER_REGEX} (${regexParseResult.titleMethod})` : "", confidence: regexParseResult.titleConfidence };
         }
+        if (!extractedStatus || extractedStatus === MANUAL_REVIEW_NEEDED_TEXT || extractedStatus === "Update/Other") applyBodyStatusFallback();
         if(DEBUG) Logger.log(`    Regex Fallback/Final Parsed: C='${extractedCompany}', T='${extractedTitle}', S='${extractedStatus}'`);
       }
-      
-      needsManualReviewFlag = (extractedCompany === MANUAL_REVIEW_NEEDED_TEXT || extractedTitle === MANUAL_REVIEW_NEEDED_TEXT);
+      if (!extractedStatus) fieldParses.status = { source: "Default Status", confidence: MJM_PARSE_CONFIDENCE_BY_METHOD["Default Status"], evidence: "" }; // Becomes MJM_APP_DEFAULT_STATUS below
+      const parseSummary = MJM_summarizeFieldParses(fieldParses); // MJM_ParsingUtils.gs
+      if (emailBodyResult.source === MJM_HTML_BODY_SOURCE) parseSummary.parseSource += ` | Body: ${MJM_HTML_BODY_SOURCE}`; // MJM_Config.gs
+      const isLowConfidence = parseSummary.confidence < MJM_PARSE_CONFIDENCE_REVIEW_THRESHOLD; // MJM_Config.gs
+      if (DEBUG) Logger.log(`    Parse: ${parseSummary.parseSource}. Confidence ${parseSummary.confidence}${isLowConfidence ? " (below threshold)" : ""}. Evidence: "${parseSummary.evidence}"`);
+
+      needsManualReviewFlag = (extractedCompany === MANUAL_REVIEW_NEEDED_TEXT || extractedTitle === MANUAL_REVIEW_NEEDED_TEXT || ruleOutcome.forceManualReview || isLowConfidence);
       const finalStatusToLog = extractedStatus || MJM_APP_DEFAULT_STATUS; // MJM_Config.gs
-      const companyCacheKeyForSearch = (extractedCompany !== MANUAL_REVIEW_NEEDED_TEXT) ? extractedCompany.toLowerCase() : `_mrev_entry_key_${messageId}`; // Needs careful review
-      let existingApplicationEntry = null; let sheetRowNumberToUpdate = -1;
-
-      if (extractedCompany !== MANUAL_REVIEW_NEEDED_TEXT && applicationDataCache[companyCacheKeyForSearch]) {
-        const matches = applicationDataCache[companyCacheKeyForSearch];
-        if (extractedTitle !== MANUAL_REVIEW_NEEDED_TEXT) existingApplicationEntry = matches.find(e => e.title?.toLowerCase() === extractedTitle.toLowerCase());
-        if (!existingApplicationEntry && matches.length > 0) existingApplicationEntry = matches.sort((a,b) => b.rowNum - a.rowNum)[0]; // Get most recent if multiple by company
-        if (existingApplicationEntry) sheetRowNumberToUpdate = existingApplicationEntry.rowNum;
+      const requisitionIdsFound = MJM_splitIdList(MJM_mergeIdList(MJM_extractRequisitionIds(emailSubject, emailPlainBody).join(", "), atsDetails.requisitionIds)); // MJM_Matching.gs
+      const matchResult = MJM_findBestApplicationMatch(applicationDataCache, { threadId: gmailThreadId, requisitionIds: requisitionIdsFound, company: extractedCompany, title: extractedTitle }); // MJM_Matching.gs
+      if(DEBUG) Logger.log(`    Match: ${matchResult.explanation}`);
+
+      if (matchResult.ambiguous) {
+        // Do not guess between rows; leave the sheet untouched and flag the thread for a human.
+        Logger.log(`[WARN] MJM App Emails: Ambiguous match for MsgID ${messageId} (C='${extractedCompany}', T='${extractedTitle}'). Routing to Manual Review. ${matchResult.explanation}`);
+        runProcessingStats.ambiguousMatches++;
+        threadProcessingOutcomesMap[gmailThreadId] = 'manual';
+        if (isDryRun) previewEntries.push({ action: MJM_PREVIEW_ACTION_AMBIGUOUS, rowNum: "", originalRow: null, proposedRow: null, company: extractedCompany, title: extractedTitle,
+          newStatus: finalStatusToLog, parser: parserUsed, matchDetails: matchResult.explanation, emailDate: emailDate, emailSubject: emailSubject,
+          emailPermalink: emailPermalink, threadId: gmailThreadId, messageId: messageId, interview: extractedInterview });
+        Utilities.sleep(200 + Math.floor(Math.random() * 100));
+        continue;
       }
+      const existingApplicationEntry = matchResult.entry;
+      const sheetRowNumberToUpdate = existingApplicationEntry ? existingApplicationEntry.rowNum : -1;
+      let applicationRowNum = sheetRowNumberToUpdate;
 
       let currentRowDataValues; 
       if (sheetRowNumberToUpdate !== -1 && existingApplicationEntry) { 
         if(DEBUG) Logger.log(`    Updating entry at row ${sheetRowNumberToUpdate} for C='${extractedCompany}', T='${extractedTitle}'`);
-        currentRowDataValues = dataSheet.getRange(sheetRowNumberToUpdate, 1, 1, MJM_APP_TOTAL_COLUMNS).getValues()[0]; // MJM_Config.gs
+        currentRowDataValues = dryRunRowValues[sheetRowNumberToUpdate] ? dryRunRowValues[sheetRowNumberToUpdate].slice() : dataSheet.getRange(sheetRowNumberToUpdate, 1, 1, MJM_APP_TOTAL_COLUMNS).getValues()[0]; // MJM_Config.gs
+        const originalRowDataValues = currentRowDataValues.slice();
+        const previousStatus = String(currentRowDataValues[MJM_APP_STATUS_COL - 1] || "").trim();
+        const previousPeakStatus = String(currentRowDataValues[MJM_APP_PEAK_STATUS_COL - 1] || "").trim();
+        if (!String(currentRowDataValues[MJM_APP_KEY_COL - 1] || "").trim()) currentRowDataValues[MJM_APP_KEY_COL - 1] = MJM_generateApplicationKey(); // MJM_EventLog.gs; backfills older rows
         
         currentRowDataValues[MJM_APP_PROCESSED_TIMESTAMP_COL - 1] = new Date(); // MJM_Config.gs
         const currentEmailDateInSheet = currentRowDataValues[MJM_APP_EMAIL_DATE_COL-1] instanceof Date ? currentRowDataValues[MJM_APP_EMAIL_DATE_COL-1] : (currentRowDataValues[MJM_APP_EMAIL_DATE_COL-1] ? new Date(currentRowDataValues[MJM_APP_EMAIL_DATE_COL-1]) : null);
@@ -690,26 +850,34 @@ function MJM_processJobApplicationEmails() {
         currentRowDataValues[MJM_APP_EMAIL_ID_COL-1]=messageId; currentRowDataValues[MJM_APP_PLATFORM_COL-1]=detectedPlatform;
         if(extractedCompany!==MANUAL_REVIEW_NEEDED_TEXT && (currentRowDataValues[MJM_APP_COMPANY_COL-1]===MANUAL_REVIEW_NEEDED_TEXT || String(currentRowDataValues[MJM_APP_COMPANY_COL-1]).toLowerCase()!==extractedCompany.toLowerCase())) currentRowDataValues[MJM_APP_COMPANY_COL-1]=extractedCompany;
         if(extractedTitle!==MANUAL_REVIEW_NEEDED_TEXT && (currentRowDataValues[MJM_APP_JOB_TITLE_COL-1]===MANUAL_REVIEW_NEEDED_TEXT || String(currentRowDataValues[MJM_APP_JOB_TITLE_COL-1]).toLowerCase()!==extractedTitle.toLowerCase())) currentRowDataValues[MJM_APP_JOB_TITLE_COL-1]=extractedTitle;
-
-        const statusInSheet = String(currentRowDataValues[MJM_APP_STATUS_COL - 1] || MJM_APP_DEFAULT_STATUS).trim(); // MJM_Config.gs
-        if(statusInSheet !== MJM_APP_ACCEPTED_STATUS || finalStatusToLog === MJM_APP_ACCEPTED_STATUS){ // MJM_Config.gs
-          const currentRank = MJM_APP_STATUS_HIERARCHY[statusInSheet] ?? 0; // MJM_Config.gs
-          const newRank = MJM_APP_STATUS_HIERARCHY[finalStatusToLog] ?? 0;
-          if (newRank >= currentRank || finalStatusToLog === MJM_APP_REJECTED_STATUS || finalStatusToLog === MJM_APP_OFFER_STATUS) currentRowDataValues[MJM_APP_STATUS_COL - 1] = finalStatusToLog;
-        }
+        currentRowDataValues[MJM_APP_THREAD_IDS_COL-1]=MJM_mergeIdList(currentRowDataValues[MJM_APP_THREAD_IDS_COL-1], [gmailThreadId]); // MJM_Matching.gs
+        currentRowDataValues[MJM_APP_REQUISITION_IDS_COL-1]=MJM_mergeIdList(currentRowDataValues[MJM_APP_REQUISITION_IDS_COL-1], requisitionIdsFound);
+        currentRowDataValues[MJM_APP_NORMALIZED_TITLE_COL-1]=MJM_normalizeJobTitle(currentRowDataValues[MJM_APP_JOB_TITLE_COL-1]);
+        currentRowDataValues[MJM_APP_MATCH_DETAILS_COL-1]=matchResult.explanation;
+        currentRowDataValues[MJM_APP_PARSING_RULE_IDS_COL-1]=MJM_mergeIdList(currentRowDataValues[MJM_APP_PARSING_RULE_IDS_COL-1], ruleOutcome.ruleIds); // MJM_Matching.gs
+        if(detectedAts!==MJM_APP_DEFAULT_ATS || !currentRowDataValues[MJM_APP_ATS_COL-1]) currentRowDataValues[MJM_APP_ATS_COL-1]=detectedAts; // Keep a known ATS when a later email comes from a person
+        currentRowDataValues[MJM_APP_PARSE_SOURCE_COL-1]=parseSummary.parseSource; currentRowDataValues[MJM_APP_CONFIDENCE_COL-1]=parseSummary.confidence; currentRowDataValues[MJM_APP_EVIDENCE_COL-1]=parseSummary.evidence;
+        if(currentRowDataValues[MJM_APP_FOLLOW_UP_STATUS_COL-1]===MJM_APP_FOLLOW_UP_QUEUED){ currentRowDataValues[MJM_APP_FOLLOW_UP_STATUS_COL-1]=""; currentRowDataValues[MJM_APP_FOLLOW_UP_DATE_COL-1]=""; } // They replied; the queued nudge is no longer needed
+
+        currentRowDataValues[MJM_APP_STATUS_COL - 1] = MJM_getUpdatedApplicationStatus(currentRowDataValues[MJM_APP_STATUS_COL - 1], finalStatusToLog);
         const updatedStatusInSheet = currentRowDataValues[MJM_APP_STATUS_COL - 1];
-
-        let peakStatus = existingApplicationEntry.peakStatus || String(currentRowDataValues[MJM_APP_PEAK_STATUS_COL-1]||"").trim() || MJM_APP_DEFAULT_STATUS;
-        const excludedPeak = new Set([MJM_APP_REJECTED_STATUS, MJM_APP_ACCEPTED_STATUS, MANUAL_REVIEW_NEEDED_TEXT, "Update/Other"]); // Uses Global & MJM_Config constants
-        if((MJM_APP_STATUS_HIERARCHY[updatedStatusInSheet]??-2) > (MJM_APP_STATUS_HIERARCHY[peakStatus]??-2) && !excludedPeak.has(updatedStatusInSheet)) peakStatus=updatedStatusInSheet;
-        else if(peakStatus === MJM_APP_DEFAULT_STATUS && !excludedPeak.has(updatedStatusInSheet) && (MJM_APP_STATUS_HIERARCHY[updatedStatusInSheet]??0) > (MJM_APP_STATUS_HIERARCHY[MJM_APP_DEFAULT_STATUS]??0)) peakStatus=updatedStatusInSheet;
+        const peakStatus = MJM_getUpdatedPeakStatus(existingApplicationEntry.peakStatus || currentRowDataValues[MJM_APP_PEAK_STATUS_COL - 1], updatedStatusInSheet);
         currentRowDataValues[MJM_APP_PEAK_STATUS_COL - 1] = peakStatus;
         if(DEBUG) Logger.log(`    Updated Row ${sheetRowNumberToUpdate}. Status: "${updatedStatusInSheet}", Peak: "${peakStatus}"`);
         
-        dataSheet.getRange(sheetRowNumberToUpdate, 1, 1, MJM_APP_TOTAL_COLUMNS).setValues([currentRowDataValues]);
+        if (isDryRun) {
+          dryRunRowValues[sheetRowNumberToUpdate] = currentRowDataValues;
+          previewEntries.push({ action: MJM_PREVIEW_ACTION_UPDATE, rowNum: sheetRowNumberToUpdate, originalRow: originalRowDataValues, proposedRow: currentRowDataValues.slice(), parser: parserUsed,
+            matchDetails: matchResult.explanation, emailDate: emailDate, emailSubject: emailSubject, emailPermalink: emailPermalink, threadId: gmailThreadId, messageId: messageId, interview: extractedInterview });
+        } else {
+          MJM_writeAppSheetRows(dataSheet, sheetRowNumberToUpdate, [currentRowDataValues]); // MJM_SheetUtils.gs; user-added columns are left as they are
+        }
         runProcessingStats.updatedRows++; sheetWriteSuccessful = true;
-        const cacheItem = applicationDataCache[companyCacheKeyForSearch]?.find(e => e.rowNum === sheetRowNumberToUpdate);
-        if(cacheItem) Object.assign(cacheItem, {status: updatedStatusInSheet, peakStatus: peakStatus, emailId: messageId, company:currentRowDataValues[MJM_APP_COMPANY_COL-1], title:currentRowDataValues[MJM_APP_JOB_TITLE_COL-1]});
+        const updateEventRow = MJM_buildApplicationEventRow({ appKey: currentRowDataValues[MJM_APP_KEY_COL-1], company: currentRowDataValues[MJM_APP_COMPANY_COL-1], title: currentRowDataValues[MJM_APP_JOB_TITLE_COL-1],
+          oldStatus: previousStatus, newStatus: updatedStatusInSheet, oldPeakStatus: previousPeakStatus, newPeakStatus: peakStatus, emailId: messageId, emailDate: emailDate, parser: parserUsed }); // MJM_EventLog.gs
+        if (updateEventRow) pendingApplicationEvents.push(updateEventRow);
+        pendingWebhookEvents.push(MJM_buildStatusChangeWebhookEvent(updateEventRow, dataSheet, sheetRowNumberToUpdate)); // MJM_Webhooks.gs
+        Object.assign(existingApplicationEntry, MJM_buildMatchEntryFromRow(currentRowDataValues, sheetRowNumberToUpdate)); // Keep cache in sync for later messages this run
       } else { 
         if(DEBUG) Logger.log(`    Appending new entry for C='${extractedCompany}', T='${extractedTitle}'`);
         currentRowDataValues = new Array(MJM_APP_TOTAL_COLUMNS).fill("");
@@ -718,16 +886,47 @@ function MJM_processJobApplicationEmails() {
         currentRowDataValues[MJM_APP_JOB_TITLE_COL-1]=extractedTitle; currentRowDataValues[MJM_APP_STATUS_COL-1]=finalStatusToLog;
         currentRowDataValues[MJM_APP_LAST_UPDATE_DATE_COL-1]=emailDate; currentRowDataValues[MJM_APP_EMAIL_SUBJECT_COL-1]=emailSubject;
         currentRowDataValues[MJM_APP_EMAIL_LINK_COL-1]=emailPermalink; currentRowDataValues[MJM_APP_EMAIL_ID_COL-1]=messageId;
-        const excludedPInit = new Set([MJM_APP_REJECTED_STATUS,MJM_APP_ACCEPTED_STATUS,MANUAL_REVIEW_NEEDED_TEXT,"Update/Other"]);
-        const initPeak = !excludedPInit.has(finalStatusToLog)?finalStatusToLog:MJM_APP_DEFAULT_STATUS;
-        currentRowDataValues[MJM_APP_PEAK_STATUS_COL-1]=initPeak;
+        currentRowDataValues[MJM_APP_THREAD_IDS_COL-1]=gmailThreadId; currentRowDataValues[MJM_APP_REQUISITION_IDS_COL-1]=requisitionIdsFound.join(", ");
+        currentRowDataValues[MJM_APP_NORMALIZED_TITLE_COL-1]=MJM_normalizeJobTitle(extractedTitle); currentRowDataValues[MJM_APP_MATCH_DETAILS_COL-1]=matchResult.explanation;
+        currentRowDataValues[MJM_APP_PARSING_RULE_IDS_COL-1]=ruleOutcome.ruleIds.join(", "); currentRowDataValues[MJM_APP_ATS_COL-1]=detectedAts;
+        currentRowDataValues[MJM_APP_PARSE_SOURCE_COL-1]=parseSummary.parseSource; currentRowDataValues[MJM_APP_CONFIDENCE_COL-1]=parseSummary.confidence; currentRowDataValues[MJM_APP_EVIDENCE_COL-1]=parseSummary.evidence;
+        const initPeak = MJM_getInitialPeakStatus(finalStatusToLog);
+        currentRowDataValues[MJM_APP_PEAK_STATUS_COL-1]=initPeak; currentRowDataValues[MJM_APP_KEY_COL-1]=MJM_generateApplicationKey(); // MJM_EventLog.gs
+        const matchingLead = MJM_findMatchingLead(leadLinkCache, extractedCompany, extractedTitle); // MJM_LeadLinking.gs
+        if (matchingLead) currentRowDataValues[MJM_APP_LEAD_ID_COL-1] = matchingLead.entry.leadId;
         if(DEBUG) Logger.log(`    Appending. Status: "${finalStatusToLog}", Peak: "${initPeak}"`);
-        dataSheet.appendRow(currentRowDataValues);
+        let newRowNum;
+        if (isDryRun) {
+          newRowNum = nextDryRunRowNum++;
+          dryRunRowValues[newRowNum] = currentRowDataValues;
+          if (matchingLead) matchingLead.entry.linkedApplication = currentRowDataValues[MJM_APP_KEY_COL-1]; // In memory only, so one lead isn't proposed twice
+          previewEntries.push({ action: MJM_PREVIEW_ACTION_INSERT, rowNum: newRowNum, originalRow: null, proposedRow: currentRowDataValues.slice(), parser: parserUsed,
+            matchDetails: matchResult.explanation, emailDate: emailDate, emailSubject: emailSubject, emailPermalink: emailPermalink, threadId: gmailThreadId, messageId: messageId, interview: extractedInterview });
+        } else {
+          dataSheet.appendRow(currentRowDataValues);
+          newRowNum = dataSheet.getLastRow();
+          if (matchingLead) MJM_linkLeadToApplication(leadLinkCache, matchingLead.entry.leadId, currentRowDataValues[MJM_APP_KEY_COL-1]); // MJM_LeadLinking.gs
+        }
         runProcessingStats.newRowsAdded++; sheetWriteSuccessful = true;
-        const newRowNum = dataSheet.getLastRow();
-        const cKeyNew = (extractedCompany !== MANUAL_REVIEW_NEEDED_TEXT)?extractedCompany.toLowerCase():`_mrev_entry_key_${messageId}`;
-        if(!applicationDataCache[cKeyNew])applicationDataCache[cKeyNew]=[];
-        applicationDataCache[cKeyNew].push({rowNum:newRowNum,emailId:messageId,company:extractedCompany,title:extractedTitle,status:finalStatusToLog,peakStatus:initPeak});
+        const insertEventRow = MJM_buildApplicationEventRow({ appKey: currentRowDataValues[MJM_APP_KEY_COL-1], company: extractedCompany, title: extractedTitle,
+          oldStatus: "", newStatus: finalStatusToLog, oldPeakStatus: "", newPeakStatus: initPeak, emailId: messageId, emailDate: emailDate, parser: parserUsed }); // MJM_EventLog.gs
+        pendingApplicationEvents.push(insertEventRow);
+        pendingWebhookEvents.push(MJM_buildStatusChangeWebhookEvent(insertEventRow, dataSheet, newRowNum)); // MJM_Webhooks.gs
+        applicationRowNum = newRowNum;
+        applicationDataCache.push(MJM_buildMatchEntryFromRow(currentRowDataValues, newRowNum)); // MJM_Matching.gs
+      }
+
+      if (sheetWriteSuccessful && !isDryRun) {
+        try {
+          MJM_extractContactsFromMessage(messageObj, emailPlainBody).forEach(contact => pendingContactSightings.push(Object.assign(contact, { // MJM_Contacts.gs
+            company: currentRowDataValues[MJM_APP_COMPANY_COL-1], appKey: currentRowDataValues[MJM_APP_KEY_COL-1], contactDate: emailDate })));
+        } catch (eContacts) { Logger.log(`    WARN: Contact extraction failed for Msg ${messageId}: ${eContacts.message}`); }
+      }
+      if (sheetWriteSuccessful && extractedInterview && !isDryRun) {
+        // Interview bookkeeping must never block the status update, so failures are only logged.
+        MJM_recordInterviewFromEmail(mainSS, { rawInterview: extractedInterview, appKey: currentRowDataValues[MJM_APP_KEY_COL-1], appRowNum: applicationRowNum,
+          company: currentRowDataValues[MJM_APP_COMPANY_COL-1], title: currentRowDataValues[MJM_APP_JOB_TITLE_COL-1],
+          threadId: gmailThreadId, messageId: messageId, emailPermalink: emailPermalink }); // MJM_Interviews.gs
       }
 
       if(sheetWriteSuccessful) {
@@ -736,12 +935,14 @@ function MJM_processJobApplicationEmails() {
           if(outcomeLabel === 'manual') threadProcessingOutcomesMap[gmailThreadId] = 'manual'; // 'manual' outcome is sticky for the thread
       } else {
           runProcessingStats.errorsEncountered++;
+          MJM_recordRunError(runLog, "Sheet write did not complete; thread sent to Manual Review.", "Application email", messageId); // MJM_RunLog.gs
           threadProcessingOutcomesMap[gmailThreadId] = 'manual'; // Assume manual review if sheet write fails
       }
     } catch (errInner) {
         Logger.log(`[ERROR] MJM App Emails Proc Loop: MsgID ${messageId}. ${errInner.message}\nStack: ${errInner.stack}`);
         threadProcessingOutcomesMap[gmailThreadId]='manual';
         runProcessingStats.errorsEncountered++;
+        MJM_recordRunError(runLog, errInner, "Application email", messageId); // MJM_RunLog.gs
     }
     // Note: `alreadyProcessedMsgIdsThisRun.add(messageId)` was done earlier, before the main try-catch in this loop.
     // This means even if processing for a message fails catastrophically within this loop, it won't be re-attempted in *this specific run*.
@@ -749,24 +950,130 @@ function MJM_processJobApplicationEmails() {
     Utilities.sleep(200 + Math.floor(Math.random() * 100));
   } 
 
-  Logger.log(`  MJM App Emails Loop End. Stats: Updated ${runProcessingStats.updatedRows}, New ${runProcessingStats.newRowsAdded}, Errors ${runProcessingStats.errorsEncountered}.`);
-  MJM_applyFinalLabelsToThreads(threadProcessingOutcomesMap, toProcessLabel, processedLabel, manualReviewLabel); // From MJM_GmailUtils.gs
+  Logger.log(`  MJM App Emails Loop End. Stats: Updated ${runProcessingStats.updatedRows}, New ${runProcessingStats.newRowsAdded}, Ambiguous ${runProcessingStats.ambiguousMatches}, Errors ${runProcessingStats.errorsEncountered}.`);
+  MJM_recordRunStats(runLog, { messagesProcessed: processedMessagesCountThisRun, rowsAdded: runProcessingStats.newRowsAdded, rowsUpdated: runProcessingStats.updatedRows }); // MJM_RunLog.gs
+  if (runLog && runProcessingStats.ambiguousMatches > 0) runLog.notes.push(`${runProcessingStats.ambiguousMatches} ambiguous match(es) sent to Manual Review.`);
+  if (runLog && stoppedForBudget) runLog.notes.push("Stopped at the processing limit; a continuation will pick up the rest.");
+  if (runLog && unreadableThreadIds.size > 0) runLog.notes.push(`${unreadableThreadIds.size} thread(s) could not be read and were left for the next run.`);
+  if (isDryRun) {
+    const previewRowCount = MJM_writeProcessingPreview(mainSS, previewEntries); // From MJM_Preview.gs
+    Logger.log(`==== MJM_PROCESS_JOB_APP_EMAILS DRY RUN FINISHED === ${previewRowCount} preview row(s), ${stoppedForBudget ? "stopped at the processing limit" : "batch complete"} ====`);
+    return previewRowCount;
+  }
+  // Only label threads whose queued messages were all handled; checkpoint the rest so the next run skips what's done.
+  const finishedThreadOutcomes = {};
+  Object.keys(threadProcessingOutcomesMap).forEach(threadId => {
+    const earlierCheckpoint = processingCursor.partialThreads[threadId];
+    const mergedOutcome = (threadProcessingOutcomesMap[threadId] === 'manual' || earlierCheckpoint?.outcome === 'manual') ? 'manual' : 'done'; // 'manual' stays sticky across runs
+    const handledIds = handledMsgIdsByThread[threadId] || [];
+    if (handledIds.length < (newMessageCountByThread[threadId] || 0)) {
+      processingCursor.partialThreads[threadId] = { processedIds: (earlierCheckpoint?.processedIds || []).concat(handledIds), outcome: mergedOutcome };
+    } else {
+      finishedThreadOutcomes[threadId] = mergedOutcome;
+      delete processingCursor.partialThreads[threadId];
+    }
+  });
+  gmailThreadsToScan.forEach(thread => { // Threads with nothing new queued are finished too
+    const threadId = thread.getId();
+    if (!newMessageCountByThread[threadId] && !unreadableThreadIds.has(threadId)) { finishedThreadOutcomes[threadId] = processingCursor.partialThreads[threadId]?.outcome || 'done'; delete processingCursor.partialThreads[threadId]; }
+  });
+  MJM_applyFinalLabelsToThreads(finishedThreadOutcomes, toProcessLabel, processedLabel, manualReviewLabel); // From MJM_GmailUtils.gs
+  if (MJM_appendApplicationEvents(mainSS, pendingApplicationEvents) > 0) MJM_rebuildApplicationTimeline(mainSS); // From MJM_EventLog.gs
+  MJM_sendStatusAlerts(mainSS, pendingApplicationEvents); // From MJM_Notifications.gs; interview/offer alerts
+  MJM_upsertContacts(mainSS, pendingContactSightings); // From MJM_Contacts.gs
+  MJM_finalizeAppEmailsRun(processingCursor, stoppedForBudget || moreThreadsMayRemain, runProcessingStats); // From MJM_ProcessingCursor.gs; saved before webhooks, so a slow endpoint can't lose the checkpoint
+  MJM_sendWebhookEvents(mainSS, pendingWebhookEvents, SCRIPT_START_TIME.getTime() + MJM_APP_EMAILS_WEBHOOK_DEADLINE_SECONDS * 1000); // From MJM_Webhooks.gs; MJM_Config.gs
   if(mainSS)try{MJM_updateDashboardMetrics(mainSS);}catch(eDash){Logger.log(`[WARN] MJM App Emails: Final dashboard update fail: ${eDash.message}`);} // From MJM_Dashboard.gs
   Logger.log(`==== MJM_PROCESS_JOB_APP_EMAILS FINISHED (${new Date().toLocaleString()}) === Total time: ${(new Date().getTime() - SCRIPT_START_TIME.getTime())/1000}s ====`);
-} // End of MJM_processJobApplicationEmails
+} // End of MJM_processApplicationEmailBatch
+
+/**
+ * Decides an application's Status when a new status is seen for it (by email or manual entry), following
+ * MJM_APP_STATUS_HIERARCHY: a status never moves down, except to Rejected or Offer Received, and an accepted
+ * offer only changes on another acceptance.
+ * @param {*} currentStatus The Status currently in the sheet (blank counts as MJM_APP_DEFAULT_STATUS).
+ * @param {string} incomingStatus The newly seen status.
+ * @return {*} The Status to write: incomingStatus, or currentStatus unchanged.
+ */
+function MJM_getUpdatedApplicationStatus(currentStatus, incomingStatus) {
+  const statusInSheet = String(currentStatus || MJM_APP_DEFAULT_STATUS).trim(); // MJM_Config.gs
+  if (statusInSheet === MJM_APP_ACCEPTED_STATUS && incomingStatus !== MJM_APP_ACCEPTED_STATUS) return currentStatus;
+  const currentRank = MJM_APP_STATUS_HIERARCHY[statusInSheet] ?? 0;
+  const newRank = MJM_APP_STATUS_HIERARCHY[incomingStatus] ?? 0;
+  return (newRank >= currentRank || incomingStatus === MJM_APP_REJECTED_STATUS || incomingStatus === MJM_APP_OFFER_STATUS) ? incomingStatus : currentStatus;
+}
+
+/**
+ * Gives the Peak Status of a new application row: its status, unless that is in MJM_APP_PEAK_STATUS_EXCLUDED.
+ * @param {string} status The new row's Status.
+ * @return {string} The Peak Status to write.
+ */
+function MJM_getInitialPeakStatus(status) {
+  return MJM_APP_PEAK_STATUS_EXCLUDED.includes(status) ? MJM_APP_DEFAULT_STATUS : status; // MJM_Config.gs
+}
+
+/**
+ * Raises an application's Peak Status when its updated Status ranks higher in MJM_APP_STATUS_HIERARCHY.
+ * Statuses in MJM_APP_PEAK_STATUS_EXCLUDED never become the peak.
+ * @param {*} currentPeakStatus The Peak Status currently in the sheet (blank counts as MJM_APP_DEFAULT_STATUS).
+ * @param {string} updatedStatus The row's Status after the update.
+ * @return {string} The Peak Status to write.
+ */
+function MJM_getUpdatedPeakStatus(currentPeakStatus, updatedStatus) {
+  const peakStatus = String(currentPeakStatus || "").trim() || MJM_APP_DEFAULT_STATUS;
+  if (MJM_APP_PEAK_STATUS_EXCLUDED.includes(updatedStatus)) return peakStatus;
+  if ((MJM_APP_STATUS_HIERARCHY[updatedStatus] ?? -2) > (MJM_APP_STATUS_HIERARCHY[peakStatus] ?? -2)) return updatedStatus;
+  if (peakStatus === MJM_APP_DEFAULT_STATUS && (MJM_APP_STATUS_HIERARCHY[updatedStatus] ?? 0) > (MJM_APP_STATUS_HIERARCHY[MJM_APP_DEFAULT_STATUS] ?? 0)) return updatedStatus;
+  return peakStatus;
+}
 
 /**
- * Marks stale MJM applications (those not in a final state and not updated recently) as rejected.
- * Intended to be run by a daily time-driven trigger.
+ * Finds the first stale policy rule (MJM_STALE_POLICY_RULES) that applies to a row's status and platform.
+ * @param {string} appStatus The row's current Status.
+ * @param {string} appPlatform The row's Platform.
+ * @return {Object|null} The matching rule, or null if no rule applies.
+ */
+function MJM_findStalePolicyRule(appStatus, appPlatform) {
+  const platformLC = String(appPlatform || "").trim().toLowerCase();
+  return MJM_STALE_POLICY_RULES.find(rule => // From MJM_Config.gs
+    (rule.status === "*" || rule.status === appStatus) &&
+    (!rule.platform || String(rule.platform).toLowerCase() === platformLC)) || null;
+}
+
+/**
+ * Applies the stale application policy (MJM_STALE_POLICY_RULES) to MJM applications that are not in a final state
+ * and have not been updated recently. Depending on the matching rule, a stale row is marked
+ * MJM_APP_GHOSTED_STATUS, gets a follow-up queued (and is ghosted later if still silent), or is marked rejected.
+ * Intended to be run by a daily time-driven trigger (the function name is kept for existing triggers).
+ * Each run is recorded in the "Run Log" sheet (MJM_RunLog.gs). Holds the script lock (skipping the run if email
+ * processing, an import or another write has it), so rows written meanwhile aren't overwritten with stale values.
  */
 function MJM_markStaleApplicationsAsRejected() {
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(10000)) {
+    Logger.log("[WARN] Stale Apps: Another run holds the lock. Skipping this invocation; the next scheduled run will apply the policy.");
+    return;
+  }
+  try {
+    MJM_runWithRunLog('MJM_markStaleApplicationsAsRejected', runLog => MJM_applyStalePolicy(runLog)); // MJM_RunLog.gs
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+/**
+ * Does the work of MJM_markStaleApplicationsAsRejected. Call via MJM_markStaleApplicationsAsRejected() so the script lock is held.
+ * @param {Object|null} runLog The run log from MJM_runWithRunLog (MJM_RunLog.gs), if the run is being logged.
+ */
+function MJM_applyStalePolicy(runLog) {
   const SCRIPT_START_TIME = new Date();
-  Logger.log(`\n==== STARTING MJM_MARK_STALE_APPLICATIONS_AS_REJECTED (${SCRIPT_START_TIME.toLocaleString()}) ====`);
+  Logger.log(`\n==== STARTING MJM_MARK_STALE_APPLICATIONS (${SCRIPT_START_TIME.toLocaleString()}) ====`);
   const DEBUG = (typeof GLOBAL_DEBUG_MODE !== 'undefined' ? GLOBAL_DEBUG_MODE : false); // Global_Constants.gs
 
   const mainSS = MJM_getOrCreateSpreadsheet_Core(); // From MJM_SheetUtils.gs
   if (!mainSS) { 
     Logger.log("[FATAL ERROR] Stale Apps: Main application spreadsheet could not be accessed. Aborting."); 
+    MJM_recordRunError(runLog, "Main application spreadsheet could not be accessed.", "Setup");
     return; 
   }
   
@@ -775,11 +1082,11 @@ function MJM_markStaleApplicationsAsRejected() {
   const { sheet: dataSheet } = MJM_getOrCreateSheet_V2(mainSS, APP_TRACKER_SHEET_TAB_NAME); 
   if (!dataSheet) { 
     Logger.log(`[FATAL ERROR] Stale Apps: Sheet/Tab "${APP_TRACKER_SHEET_TAB_NAME}" could not be accessed. Aborting.`); 
+    MJM_recordRunError(runLog, `Sheet "${APP_TRACKER_SHEET_TAB_NAME}" could not be accessed.`, "Setup");
     return; 
   }
 
-  const allDataRange = dataSheet.getDataRange();
-  const allSheetValues = allDataRange.getValues(); 
+  const allSheetValues = dataSheet.getDataRange().getValues(); 
 
   if (allSheetValues.length <= 1) { 
     Logger.log("[INFO] Stale Apps: No data rows found in the applications sheet to process for staleness.");
@@ -787,31 +1094,28 @@ function MJM_markStaleApplicationsAsRejected() {
   }
 
   const currentDate = new Date();
-  const staleDateThreshold = new Date(currentDate);
-  staleDateThreshold.setDate(currentDate.getDate() - (MJM_STALE_WEEKS_THRESHOLD * 7)); // MJM_STALE_WEEKS_THRESHOLD from MJM_Config.gs
-  
-  if(DEBUG) Logger.log(`  Stale Apps: Application considered stale if Last Update Date < ${staleDateThreshold.toLocaleDateString()} (Threshold: ${MJM_STALE_WEEKS_THRESHOLD} weeks)`);
-
-  let updatedStaleApplicationsCount = 0;
+  const MS_PER_WEEK = 7 * 24 * 60 * 60 * 1000;
+  const weeksSince = dateObj => (currentDate.getTime() - dateObj.getTime()) / MS_PER_WEEK;
+  const toValidDate = value => {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (value && typeof value === 'string' && value.trim() !== "") { const parsed = new Date(value); return isNaN(parsed.getTime()) ? null : parsed; }
+    return null;
+  };
+  const hasFollowUpColumns = allSheetValues[0].length >= MJM_APP_FOLLOW_UP_DATE_COL; // Older sheets get these columns on the next setup run
+
+  const actionCounts = { [MJM_STALE_ACTION_GHOST]: 0, [MJM_STALE_ACTION_FOLLOW_UP]: 0, [MJM_STALE_ACTION_REJECT]: 0 };
   let rowsActuallyProcessedForStaleness = 0; 
+  const staleApplicationEvents = []; // Status history rows (MJM_EventLog.gs)
+  const staleWebhookEvents = []; // Sent only if the sheet write succeeds (MJM_Webhooks.gs)
+  const changedRowIndexes = []; // Indexes into allSheetValues of the rows to write back
 
   for (let i = 1; i < allSheetValues.length; i++) { // Start from 1 to skip header
     const currentRowArray = allSheetValues[i];
     const sheetRowNumberForLog = i + 1;
 
     const currentAppStatus = String(currentRowArray[MJM_APP_STATUS_COL - 1] || "").trim(); // From MJM_Config.gs
-    const lastUpdateDateValue = currentRowArray[MJM_APP_LAST_UPDATE_DATE_COL - 1]; // From MJM_Config.gs
-    let lastUpdateDateObject;
-
-    if (lastUpdateDateValue instanceof Date && !isNaN(lastUpdateDateValue.getTime())) {
-      lastUpdateDateObject = lastUpdateDateValue;
-    } else if (lastUpdateDateValue && typeof lastUpdateDateValue === 'string' && lastUpdateDateValue.trim() !== "") {
-      lastUpdateDateObject = new Date(lastUpdateDateValue);
-      if (isNaN(lastUpdateDateObject.getTime())) { 
-        if(DEBUG) Logger.log(`    Row ${sheetRowNumberForLog} Skip Stale Check: Invalid date string for Last Update Date: "${lastUpdateDateValue}"`);
-        continue; 
-      }
-    } else {
+    const lastUpdateDateObject = toValidDate(currentRowArray[MJM_APP_LAST_UPDATE_DATE_COL - 1]); // From MJM_Config.gs
+    if (!lastUpdateDateObject) {
       if(DEBUG) Logger.log(`    Row ${sheetRowNumberForLog} Skip Stale Check: Missing or unparseable Last Update Date field.`);
       continue; 
     }
@@ -824,29 +1128,67 @@ function MJM_markStaleApplicationsAsRejected() {
       continue;
     }
 
-    if (lastUpdateDateObject.getTime() >= staleDateThreshold.getTime()) { 
-      if(DEBUG) Logger.log(`    Row ${sheetRowNumberForLog} Skip Stale: Last Update Date ${lastUpdateDateObject.toLocaleDateString()} is NOT older than threshold date ${staleDateThreshold.toLocaleDateString()}.`);
+    const stalePolicyRule = MJM_findStalePolicyRule(currentAppStatus, currentRowArray[MJM_APP_PLATFORM_COL - 1]);
+    if (!stalePolicyRule || weeksSince(lastUpdateDateObject) < stalePolicyRule.weeks) {
+      if(DEBUG) Logger.log(`    Row ${sheetRowNumberForLog} Skip Stale: Last Update ${lastUpdateDateObject.toLocaleDateString()} is within ${stalePolicyRule ? stalePolicyRule.weeks : "-"} week(s) for status "${currentAppStatus}".`);
       continue;
     }
 
-    if(DEBUG) Logger.log(`[INFO] Stale Apps: Row ${sheetRowNumberForLog} - MARKING STALE. Last Update: ${lastUpdateDateObject.toLocaleDateString()}, Old Status: "${currentAppStatus}" -> New Status: "${MJM_APP_REJECTED_STATUS}".`);
+    let staleAction = stalePolicyRule.action;
+    if (staleAction === MJM_STALE_ACTION_FOLLOW_UP) {
+      if (!hasFollowUpColumns) {
+        Logger.log(`[WARN] Stale Apps: Row ${sheetRowNumberForLog} needs a follow-up, but the sheet has no Follow-Up columns yet. Re-run MJM setup to add them.`);
+        continue;
+      }
+      const existingFollowUpStatus = String(currentRowArray[MJM_APP_FOLLOW_UP_STATUS_COL - 1] || "").trim();
+      if (!existingFollowUpStatus) {
+        allSheetValues[i][MJM_APP_FOLLOW_UP_STATUS_COL - 1] = MJM_APP_FOLLOW_UP_QUEUED; // From MJM_Config.gs
+        allSheetValues[i][MJM_APP_FOLLOW_UP_DATE_COL - 1] = currentDate;
+        if(DEBUG) Logger.log(`[INFO] Stale Apps: Row ${sheetRowNumberForLog} - FOLLOW-UP QUEUED. Status "${currentAppStatus}" unchanged.`);
+        changedRowIndexes.push(i);
+        actionCounts[MJM_STALE_ACTION_FOLLOW_UP]++;
+        continue;
+      }
+      const followUpDateObject = toValidDate(currentRowArray[MJM_APP_FOLLOW_UP_DATE_COL - 1]);
+      if (typeof stalePolicyRule.ghostAfterWeeks !== 'number' || (followUpDateObject && weeksSince(followUpDateObject) < stalePolicyRule.ghostAfterWeeks)) {
+        if(DEBUG) Logger.log(`    Row ${sheetRowNumberForLog} Skip Stale: Follow-up already "${existingFollowUpStatus}"; waiting before ghosting.`);
+        continue;
+      }
+      staleAction = MJM_STALE_ACTION_GHOST; // Follow-up went unanswered
+    }
+
+    const newAppStatus = staleAction === MJM_STALE_ACTION_REJECT ? MJM_APP_REJECTED_STATUS : MJM_APP_GHOSTED_STATUS; // From MJM_Config.gs
+    if(DEBUG) Logger.log(`[INFO] Stale Apps: Row ${sheetRowNumberForLog} - MARKING STALE. Last Update: ${lastUpdateDateObject.toLocaleDateString()}, Old Status: "${currentAppStatus}" -> New Status: "${newAppStatus}".`);
     
-    allSheetValues[i][MJM_APP_STATUS_COL - 1] = MJM_APP_REJECTED_STATUS; // From MJM_Config.gs
+    allSheetValues[i][MJM_APP_STATUS_COL - 1] = newAppStatus;
     allSheetValues[i][MJM_APP_LAST_UPDATE_DATE_COL - 1] = currentDate; 
     allSheetValues[i][MJM_APP_PROCESSED_TIMESTAMP_COL - 1] = currentDate; // From MJM_Config.gs
-    updatedStaleApplicationsCount++;
+    if (currentRowArray.length >= MJM_APP_KEY_COL && !String(currentRowArray[MJM_APP_KEY_COL - 1] || "").trim()) allSheetValues[i][MJM_APP_KEY_COL - 1] = MJM_generateApplicationKey(); // MJM_EventLog.gs
+    const peakStatusForEvent = String(currentRowArray[MJM_APP_PEAK_STATUS_COL - 1] || "").trim();
+    const staleEventRow = MJM_buildApplicationEventRow({ appKey: allSheetValues[i][MJM_APP_KEY_COL - 1] || "", company: currentRowArray[MJM_APP_COMPANY_COL - 1], title: currentRowArray[MJM_APP_JOB_TITLE_COL - 1],
+      oldStatus: currentAppStatus, newStatus: newAppStatus, oldPeakStatus: peakStatusForEvent, newPeakStatus: peakStatusForEvent, emailId: "", emailDate: currentDate, parser: MJM_EVENT_PARSER_STALE_CHECK }); // Peak Status is unchanged by the stale policy
+    staleApplicationEvents.push(staleEventRow);
+    staleWebhookEvents.push(MJM_buildStatusChangeWebhookEvent(staleEventRow, dataSheet, sheetRowNumberForLog)); // MJM_Webhooks.gs
+    changedRowIndexes.push(i);
+    actionCounts[staleAction]++;
   }
 
   if(DEBUG) Logger.log(`  Stale Apps: Total rows with valid dates considered for staleness check: ${rowsActuallyProcessedForStaleness}.`);
-  if (updatedStaleApplicationsCount > 0) {
+  const totalRowsChanged = actionCounts[MJM_STALE_ACTION_GHOST] + actionCounts[MJM_STALE_ACTION_FOLLOW_UP] + actionCounts[MJM_STALE_ACTION_REJECT];
+  if (totalRowsChanged > 0) {
     try {
-      allDataRange.setValues(allSheetValues); 
-      Logger.log(`[INFO] Stale Apps: Successfully updated ${updatedStaleApplicationsCount} stale applications to "${MJM_APP_REJECTED_STATUS}".`);
+      changedRowIndexes.forEach(i => MJM_writeAppSheetRows(dataSheet, i + 1, [allSheetValues[i]])); // MJM_SheetUtils.gs; only changed rows, and user-added columns are left as they are
+      Logger.log(`[INFO] Stale Apps: Ghosted ${actionCounts[MJM_STALE_ACTION_GHOST]}, follow-ups queued ${actionCounts[MJM_STALE_ACTION_FOLLOW_UP]}, rejected ${actionCounts[MJM_STALE_ACTION_REJECT]}.`);
+      MJM_recordRunStats(runLog, { rowsUpdated: totalRowsChanged }); // MJM_RunLog.gs
+      if (runLog) runLog.notes.push(`Ghosted ${actionCounts[MJM_STALE_ACTION_GHOST]}, follow-ups queued ${actionCounts[MJM_STALE_ACTION_FOLLOW_UP]}, rejected ${actionCounts[MJM_STALE_ACTION_REJECT]}.`);
+      if (MJM_appendApplicationEvents(mainSS, staleApplicationEvents) > 0) MJM_rebuildApplicationTimeline(mainSS); // From MJM_EventLog.gs
+      MJM_sendWebhookEvents(mainSS, staleWebhookEvents); // From MJM_Webhooks.gs
     } catch (eWrite) {
       Logger.log(`[ERROR] Stale Apps: Failed to write updated values back to sheet: ${eWrite.message}\nStack: ${eWrite.stack}`);
+      MJM_recordRunError(runLog, eWrite, "Sheet write");
     }
   } else {
     Logger.log("[INFO] Stale Apps: No stale applications found meeting all criteria for update.");
   }
-  Logger.log(`==== MJM_MARK_STALE_APPLICATIONS_AS_REJECTED END ==== Total Time: ${(new Date().getTime()-SCRIPT_START_TIME.getTime()) / 1000}s ====`);
-} // End of MJM_markStaleApplicationsAsRejected
+  Logger.log(`==== MJM_MARK_STALE_APPLICATIONS END ==== Total Time: ${(new Date().getTime()-SCRIPT_START_TIME.getTime()) / 1000}s ====`);
+} // End of MJM_applyStalePolicy
@@ -2,7 +2,7 @@
 // Description: Provides functions for interacting with the Groq API.
 // Handles API key retrieval from PropertiesService (using SHARED_GROQ_API_KEY_PROPERTY)
 // and makes HTTP requests to the Groq API endpoint.
-// Relies on constants from Global_Constants.gs.
+// Relies on constants from Global_Constants.gs (and MJM_countLlmCall from MJM_RunLog.gs for run statistics).
 
 /**
  * Calls the Groq API with the provided prompt text using an OpenAI-compatible chat completions endpoint.
@@ -64,6 +64,7 @@ function RTS_callGroq( // Renamed for clarity if MJM were to have its own Groq c
 
   if(DEBUG) Logger.log(`  RTS_callGroq: Calling Groq API (Model: ${modelName}, Temp: ${temperature}). User Prompt Len: ${promptText.length}`);
   try {
+    MJM_countLlmCall(); // MJM_RunLog.gs; counted against the RTS stage run, if one is logged
     const response = UrlFetchApp.fetch(API_ENDPOINT, options);
     const responseCode = response.getResponseCode();
     const responseBody = response.getContentText();
@@ -44,7 +44,7 @@ function RTS_runStage1_AnalyzeAndScore(jobDescriptionText, spreadsheetId) {
   let scoringSheet; 
   const allScoredDataRowsForSheet = []; 
   let itemsScoredCounter = 0;
-  const scoringSheetHeaders = ["UniqueID", "Section", "ItemIdentifier", "OriginalBulletText", "RelevanceScore", "MatchingKeywords", "Justification", "SelectToTailor(Manual)", "TailoredBulletText(Stage2)"];
+  const scoringSheetHeaders = [...BULLET_SCORING_RESULTS_HEADERS]; // Global_Constants.gs
 
   // ---- Start of MAIN TRY block for sheet operations and scoring ----
   try { 
@@ -600,6 +600,8 @@ function RTS_runStage3_BuildAndGenerateDocument(spreadsheetId) {
 
   if (generatedDocUrl) {
     Logger.log(`--- RTS Stage 3: SUCCESS! Tailored Resume Document Generated: ${generatedDocUrl} ---`);
+    MJM_saveTailoredResume(spreadsheetId, jdAnalysis, generatedDocUrl, finalTailoredResumeObject); // From MJM_Export.gs
+    MJM_sendResumeGeneratedWebhook(spreadsheetId, jdAnalysis, generatedDocUrl); // From MJM_Webhooks.gs
     return { success: true, message: "Stage 3 Complete: Tailored resume document generated successfully.", docUrl: generatedDocUrl, tailoredResumeObjectForDebug: DEBUG ? finalTailoredResumeObject : "Debug object excluded." };
   } else {
     Logger.log("--- RTS Stage 3: FAILED - Document generation error (RTS_createFormattedResumeDoc returned null/false). ---");
@@ -762,6 +764,8 @@ function RTS_runStage3_BuildAndGenerateDocument(spreadsheetId) {
 
   if (docUrl) {
     Logger.log(`--- RTS Stage 3: SUCCESS! Document: ${docUrl} ---`);
+    MJM_saveTailoredResume(spreadsheetId, jdAnalysis, docUrl, finalTailoredResumeObject); // From MJM_Export.gs
+    MJM_sendResumeGeneratedWebhook(spreadsheetId, jdAnalysis, docUrl); // From MJM_Webhooks.gs
     return { success: true, message: "Stage 3 Complete: Tailored resume document generated.", docUrl: docUrl, tailoredResumeObjectForDebug: DEBUG ? finalTailoredResumeObject : "Debug data excluded." };
   } else {
     Logger.log("--- RTS Stage 3: FAILED - Document generation error. ---");